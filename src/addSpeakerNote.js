@@ -195,6 +195,7 @@ Please provide speaker notes that:
 5. Help the presenter engage with the audience`;
 
 	return callGroq_(systemMessage, userMessage, {
+		feature: "speakerNotes",
 		maxTokens: 1000,
 		temperature: 0.7,
 	});
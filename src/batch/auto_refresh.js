@@ -0,0 +1,181 @@
+// ⏱ AUTO REFRESH MODULE - Rebuild chrome on open or on a timer when the deck changed
+/**
+ * Opt-in installable triggers (like enableUpdateOnOpenTrigger in
+ * self_update.js) that keep page numbers, tabs and the TOC in step after
+ * slides are reordered:
+ * - On open, or every AUTO_REFRESH_MINUTES while the deck exists
+ * - A cheap fingerprint of what the chrome depends on (slide order, titles,
+ *   section markers, skip / opt-out flags, the deck's settings) is compared
+ *   with the one saved after the last build; only a change triggers the
+ *   incremental rebuild (see chrome_diff.js)
+ * - Every run is recorded per deck (last run only) and shown from the menu
+ * Manual runs save the fingerprint too, so the next automatic run after one
+ * does nothing.
+ */
+
+const AUTO_REFRESH_HANDLERS = { open: 'autoRefreshOnOpen_', timer: 'autoRefreshOnTimer_' };
+
+// Minutes between timer runs (one of 1, 5, 10, 15, 30 — the values Apps Script allows).
+const AUTO_REFRESH_MINUTES = 10;
+
+// Document properties: fingerprint of the last build, log of the last automatic run.
+const AUTO_REFRESH_KEYS = { FINGERPRINT: 'auto_refresh_fingerprint', LOG: 'auto_refresh_log' };
+
+/**
+ * Fingerprint of everything the chrome is built from. Reads titles, markers
+ * and notes only — no batchUpdate, no Advanced Service call.
+ * @param {Array} slides - every slide of the deck
+ * @return {string}
+ */
+function chromeFingerprint(slides) {
+	const pages = slides.map(slide => [
+		slide.getObjectId(),
+		slideIsSkipped(slide) ? 1 : 0,
+		slideOptsOutOfChrome(slide) ? 1 : 0,
+		isTocSlide(slide) ? 1 : 0,
+		tocSlideTitle(slide)
+	].join(':'));
+	const sections = getSectionHeadersUltra(slides).map(sec => `${sec.index}:${sec.title}:${sec.appendix ? 1 : 0}`);
+	return chromeHash(JSON.stringify({ pages, sections, config: readConfigValues() }));
+}
+
+/**
+ * Save the deck's fingerprint after a build (manual or automatic)
+ */
+function saveChromeFingerprint(slides) {
+	try {
+		PropertiesService.getDocumentProperties().setProperty(AUTO_REFRESH_KEYS.FINGERPRINT, chromeFingerprint(slides));
+	} catch (e) {
+		console.log('Error saving chrome fingerprint: ' + e.message);
+	}
+}
+
+/**
+ * Rebuild the chrome if the deck changed since the last build, and log the run
+ * @param {string} source - 'open' | 'timer'
+ * @return {{at: string, source: string, result: string, message: string}} the log entry
+ */
+function autoRefreshChrome(source) {
+	const entry = { at: new Date().toISOString(), source, result: 'unchanged', message: '' };
+	const lock = LockService.getDocumentLock();
+	if (!lock.tryLock(1000)) {
+		entry.result = 'busy';
+		entry.message = 'Another run was in progress';
+		return logAutoRefresh_(entry);
+	}
+	try {
+		const props = PropertiesService.getDocumentProperties();
+		const slides = SlidesApp.getActivePresentation().getSlides();
+		if (chromeFingerprint(slides) === props.getProperty(AUTO_REFRESH_KEYS.FINGERPRINT)) {
+			return logAutoRefresh_(entry);
+		}
+		const stats = runAllFunctionsUltraMegaBatch({ incremental: true });
+		entry.result = 'rebuilt';
+		entry.message = `kept ${stats.kept}, updated ${stats.updated}, created ${stats.created}, deleted ${stats.deleted}`;
+	} catch (e) {
+		entry.result = 'error';
+		entry.message = e.message;
+	} finally {
+		lock.releaseLock();
+	}
+	return logAutoRefresh_(entry);
+}
+
+/**
+ * Record the run as the deck's last one
+ */
+function logAutoRefresh_(entry) {
+	Logger.log(`Auto refresh (${entry.source}): ${entry.result} ${entry.message}`);
+	try {
+		PropertiesService.getDocumentProperties().setProperty(AUTO_REFRESH_KEYS.LOG, JSON.stringify(entry));
+	} catch (e) {
+		console.log('Error saving auto refresh log: ' + e.message);
+	}
+	return entry;
+}
+
+/**
+ * Installable on-open handler
+ */
+function autoRefreshOnOpen_() {
+	autoRefreshChrome('open');
+}
+
+/**
+ * Time-driven handler
+ */
+function autoRefreshOnTimer_() {
+	autoRefreshChrome('timer');
+}
+
+/**
+ * This project's auto-refresh triggers
+ */
+function autoRefreshTriggers_() {
+	const handlers = Object.keys(AUTO_REFRESH_HANDLERS).map(key => AUTO_REFRESH_HANDLERS[key]);
+	return ScriptApp.getProjectTriggers().filter(t => handlers.indexOf(t.getHandlerFunction()) >= 0);
+}
+
+/**
+ * Menu: turn automatic refresh off if it is on; otherwise ask whether to
+ * refresh on open or on a timer and install that trigger
+ */
+function toggleAutoRefresh() {
+	const ui = SlidesApp.getUi();
+	try {
+		const existing = autoRefreshTriggers_();
+		if (existing.length) {
+			existing.forEach(t => ScriptApp.deleteTrigger(t));
+			ui.alert('已關閉自動更新 chrome。');
+			return;
+		}
+		const choice = ui.alert(
+			'⏱ 自動更新 chrome',
+			'投影片順序、標題或章節變動時自動重建頁碼、標籤與目錄。\n\n' +
+				'「是」：開啟簡報時檢查\n' +
+				`「否」：每 ${AUTO_REFRESH_MINUTES} 分鐘檢查一次`,
+			ui.ButtonSet.YES_NO_CANCEL,
+		);
+		if (choice === ui.Button.YES) {
+			ScriptApp.newTrigger(AUTO_REFRESH_HANDLERS.open)
+				.forPresentation(SlidesApp.getActivePresentation())
+				.onOpen()
+				.create();
+		} else if (choice === ui.Button.NO) {
+			ScriptApp.newTrigger(AUTO_REFRESH_HANDLERS.timer)
+				.timeBased()
+				.everyMinutes(AUTO_REFRESH_MINUTES)
+				.create();
+		} else {
+			return;
+		}
+		saveChromeFingerprint(SlidesApp.getActivePresentation().getSlides());
+		ui.alert(choice === ui.Button.YES
+			? '已啟用：之後開啟此簡報時，若有變動會自動更新 chrome。'
+			: `已啟用：每 ${AUTO_REFRESH_MINUTES} 分鐘檢查一次，有變動才更新 chrome。`);
+	} catch (e) {
+		ui.alert('無法切換自動更新：' + e.message);
+	}
+}
+
+/**
+ * Menu: show whether automatic refresh is on and what its last run did
+ */
+function showAutoRefreshLog() {
+	const ui = SlidesApp.getUi();
+	const triggers = autoRefreshTriggers_();
+	const mode = !triggers.length ? '關閉'
+		: triggers[0].getHandlerFunction() === AUTO_REFRESH_HANDLERS.open ? '開啟時'
+			: `每 ${AUTO_REFRESH_MINUTES} 分鐘`;
+	let last = '尚未執行';
+	try {
+		const saved = PropertiesService.getDocumentProperties().getProperty(AUTO_REFRESH_KEYS.LOG);
+		if (saved) {
+			const entry = JSON.parse(saved);
+			last = `${entry.at}（${entry.source}）\n${entry.result}${entry.message ? '：' + entry.message : ''}`;
+		}
+	} catch (e) {
+		last = '紀錄讀取失敗：' + e.message;
+	}
+	ui.alert('⏱ 自動更新紀錄', `模式：${mode}\n\n上次執行：${last}`, ui.ButtonSet.OK);
+}
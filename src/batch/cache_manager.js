@@ -53,23 +53,30 @@ function getNextGuid() {
 
 /**
  * Create optimized slide cache with pre-calculated properties
+ * @param {Object=} chromeConfig - anchor presets (default: getChromeConfig())
  */
-function createUltraSlideCache(presentation, slides) {
+function createUltraSlideCache(presentation, slides, chromeConfig) {
 	const width = presentation.getPageWidth();
 	const height = presentation.getPageHeight();
+	// Every chrome anchor from the real page size (chrome_layout.js)
+	const layout = computeChromeLayout(width, height, chromeConfig || getChromeConfig());
 	
 	return {
-		width, height, totalSlides: slides.length,
+		width, height, totalSlides: slides.length, layout,
+		// Appendix divider index, -1 = none (set by the batch run, chrome_config.js)
+		appendixStart: -1,
+		// This deck's chrome designs (chrome_presets.js)
+		preset: CHROME_PRESETS[getChromePreset()],
 		// Pre-calculated positions
-		progressBarY: height - progressBarHeight,
+		progressBarY: layout.progress.y,
 		rightFooterX: width,
 		centerX: width / 2,
 		// Pre-calculated common sizes
 		sizes: {
-			pageNum: { width: { magnitude: 70, unit: 'PT' }, height: { magnitude: 30, unit: 'PT' } },
+			pageNum: { width: { magnitude: layout.pageNum.width, unit: 'PT' }, height: { magnitude: layout.pageNum.height, unit: 'PT' } },
 			progressBar: { height: { magnitude: progressBarHeight, unit: 'PT' } },
-			tabBar: { height: { magnitude: 14, unit: 'PT' } },
-			sectionBox: { width: { magnitude: 600, unit: 'PT' }, height: { magnitude: 150, unit: 'PT' } }
+			tabBar: { height: { magnitude: layout.tabs.height, unit: 'PT' } },
+			sectionBox: { width: { magnitude: layout.sectionBox.width, unit: 'PT' }, height: { magnitude: layout.sectionBox.height, unit: 'PT' } }
 		},
 		// Slide data with minimal API calls
 		slideData: slides.map((slide, idx) => ({
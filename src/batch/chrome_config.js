@@ -0,0 +1,185 @@
+// 🎛 CHROME CONFIG MODULE - Which chrome goes on which slide
+/**
+ * Deck chrome settings (config sidebar → Slide Chrome; saved in the deck, over
+ * the user's defaults) plus per-slide
+ * opt-outs, resolved into one plan before the generators run:
+ * - Per-component toggles: progress bar, page number, title footnote, tabs,
+ *   navigation buttons (previous section / agenda / next section)
+ * - Deck rules: no chrome after slide N; appendix mode (below)
+ * - Skipped slides (hidden in presentation mode): left out of the chrome, the
+ *   page count, the TOC and the exports unless includeSkipped is on
+ * - Per slide: an LZ `NO_CHROME` marker shape, or a speaker-notes line
+ *   `lz: no-chrome`
+ * - Anchor presets: where the page number, tabs and progress bar sit
+ *   (positions are resolved per page size in chrome_layout.js)
+ * Section slides still get their section box, label and outline — those mark
+ * the structure rather than decorate a content slide.
+ */
+
+// Defaults match the behaviour before chrome was configurable (the footnote
+// was never part of the run-all batch).
+const CHROME_DEFAULTS = {
+	progress: true,
+	pageNumber: true,
+	footnote: false,
+	tabs: true,
+	navigation: false,
+	skipAfter: 0, // 0 = off; otherwise slides after this slide number get none
+	skipAppendix: false, // true = no chrome at all from the appendix on
+	includeSkipped: false, // true = skipped slides are numbered and exported like any other
+	pageNumberAnchor: "bottom-right",
+	tabsAnchor: "top-strip",
+	progressAnchor: "bottom-strip",
+};
+
+// Allowed values of the anchor settings (first = default).
+const CHROME_ANCHOR_PRESETS = {
+	pageNumberAnchor: ["bottom-right", "bottom-center", "bottom-left", "top-right"],
+	tabsAnchor: ["top-strip", "bottom-strip"],
+	progressAnchor: ["bottom-strip", "top-strip"],
+};
+
+// A section whose title matches starts the appendix (as does an LZ APPENDIX
+// marker on its slide).
+const CHROME_APPENDIX_PATTERN = /^\s*(appendix|appendices|supplementa(ry|l)|附錄|補充資料)/i;
+
+// Speaker-notes directive that opts a slide out.
+const CHROME_NOTES_DIRECTIVE = /^\s*lz\s*:\s*no[-_ ]?chrome\s*$/im;
+
+/**
+ * Saved chrome settings merged over CHROME_DEFAULTS: the user's defaults, then
+ * this deck's own settings
+ */
+function getChromeConfig() {
+	const config = Object.assign({}, CHROME_DEFAULTS);
+	getConfigStores().reverse().forEach(store => {
+		try {
+			const saved = store.getProperty(CONFIG_KEYS.CHROME);
+			if (saved) Object.assign(config, JSON.parse(saved));
+		} catch (e) {
+			console.log("Error reading chrome config: " + e.message);
+		}
+	});
+	return config;
+}
+
+/**
+ * Save chrome settings to this deck (unknown keys dropped, numbers coerced,
+ * unknown presets reset to the default); `asDefault` also makes them the
+ * user's default for decks without their own
+ */
+function saveChromeConfig(chrome, asDefault) {
+	const config = {};
+	Object.keys(CHROME_DEFAULTS).forEach(key => {
+		const value = chrome && chrome[key] !== undefined ? chrome[key] : CHROME_DEFAULTS[key];
+		if (CHROME_ANCHOR_PRESETS[key]) {
+			config[key] = CHROME_ANCHOR_PRESETS[key].indexOf(value) >= 0 ? value : CHROME_DEFAULTS[key];
+		} else if (typeof CHROME_DEFAULTS[key] === "number") {
+			config[key] = Math.max(0, Number.parseInt(value, 10) || 0);
+		} else {
+			config[key] = !!value;
+		}
+	});
+	const json = JSON.stringify(config);
+	PropertiesService.getDocumentProperties().setProperty(CONFIG_KEYS.CHROME, json);
+	if (asDefault) PropertiesService.getUserProperties().setProperty(CONFIG_KEYS.CHROME, json);
+	return config;
+}
+
+/**
+ * True if the slide opts out of chrome (NO_CHROME marker or notes directive)
+ */
+function slideOptsOutOfChrome(slide) {
+	if (slide.getPageElements().some(el => lzRoleOf(el) === LZ_ROLES.NO_CHROME)) return true;
+	try {
+		const notes = slide.getNotesPage().getSpeakerNotesShape().getText().asString();
+		return CHROME_NOTES_DIRECTIVE.test(notes);
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * True if the slide is skipped in presentation mode
+ */
+function slideIsSkipped(slide) {
+	try {
+		return !!slide.isSkipped();
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * The slides the chrome, the TOC and the exports count: every slide with
+ * includeSkipped, else the ones not skipped in presentation mode
+ * @param {Array} slides
+ * @param {Object=} config - getChromeConfig() result
+ */
+function countedSlides(slides, config) {
+	const cfg = config || getChromeConfig();
+	return cfg.includeSkipped ? slides : slides.filter(slide => !slideIsSkipped(slide));
+}
+
+/**
+ * Index of the appendix divider (the first section with an APPENDIX marker or
+ * a title matching CHROME_APPENDIX_PATTERN), or -1
+ */
+function findAppendixStart(sectionsCache) {
+	const section = sectionsCache.find(sec => sec.appendix || CHROME_APPENDIX_PATTERN.test(sec.title));
+	return section ? section.index : -1;
+}
+
+/**
+ * Sections of the main talk (those before the appendix divider) — what the
+ * tabs, section counter, segmented progress and outline list
+ */
+function chromeMainSections(sectionsCache) {
+	const start = findAppendixStart(sectionsCache);
+	return start < 0 ? sectionsCache : sectionsCache.filter(sec => sec.index < start);
+}
+
+/**
+ * Slides in the main talk: the progress ratio and the `i / N` total count
+ * these only (slideCache.appendixStart is set by the batch run)
+ */
+function chromeMainSlides(slideCache) {
+	return slideCache.appendixStart >= 0 ? slideCache.appendixStart : slideCache.totalSlides;
+}
+
+/**
+ * Page label of a slide: its number in the main talk, `A1`, `A2`, … after the
+ * appendix divider, "" for the divider itself
+ */
+function chromePageLabel(slideIndex, appendixStart) {
+	if (!(appendixStart >= 0) || slideIndex < appendixStart) return String(slideIndex + 1);
+	return slideIndex === appendixStart ? "" : `A${slideIndex - appendixStart}`;
+}
+
+/**
+ * Per-slide chrome flags: plan[i] = { progress, pageNumber, footnote, tabs, navigation }
+ * (slide 0, the title slide, never gets chrome). Appendix slides get no
+ * progress bar and the divider no page number; with skipAppendix they get
+ * nothing at all.
+ * @param {Array} slides
+ * @param {Array} sectionsCache - getSectionHeadersUltra() result
+ * @param {Object=} config - getChromeConfig() result
+ */
+function planChromeUltra(slides, sectionsCache, config) {
+	const cfg = config || getChromeConfig();
+	const appendixStart = findAppendixStart(sectionsCache);
+	return slides.map((slide, i) => {
+		const inAppendix = appendixStart >= 0 && i >= appendixStart;
+		const skip = i === 0 ||
+			(cfg.skipAfter > 0 && i + 1 > cfg.skipAfter) ||
+			(inAppendix && cfg.skipAppendix) ||
+			slideOptsOutOfChrome(slide);
+		return {
+			progress: !skip && !inAppendix && cfg.progress,
+			pageNumber: !skip && i !== appendixStart && cfg.pageNumber,
+			footnote: !skip && cfg.footnote,
+			tabs: !skip && cfg.tabs,
+			navigation: !skip && cfg.navigation,
+		};
+	});
+}
@@ -0,0 +1,223 @@
+// 🧮 CHROME DIFF MODULE - Incremental chrome rebuild
+/**
+ * Instead of deleting every progress bar, tab, page number and section box and
+ * drawing them again, compute the chrome each slide should carry and touch only
+ * what differs:
+ * - The generators (element_generators.js, section_elements.js) still build
+ *   the desired requests; they are grouped back into one element per createShape
+ * - Each element gets a stable key per slide (`tab#2`, `page_num#0`, …) and a
+ *   signature of its requests, stamped into the alt text as an LZ JSON payload
+ * - Same key + same signature → kept (0 requests); same key, new signature →
+ *   updated in place (transform, text, styles — objectId unchanged); no match →
+ *   created; leftover chrome → deleted
+ * Object IDs survive a rebuild, so links and comments anchored to chrome keep
+ * working. The first incremental run on a deck built by the full rebuild has no
+ * stamps to match and recreates everything once.
+ */
+
+// Object-ID prefix of generated chrome → the LZ role it is stamped with.
+const CHROME_PREFIX_ROLES = {
+	progress_bg: 'PROGRESS_BG',
+	progress: 'PROGRESS',
+	progress_seg_bg: 'PROGRESS_BG',
+	progress_seg: 'PROGRESS',
+	page_num: 'PAGE_NUM',
+	page_num_dot: 'PAGE_NUM',
+	tab_bg: 'TAB',
+	tab: 'TAB',
+	tab_crumb: 'TAB',
+	sections: 'SECTION_BOX',
+	label: 'SECTION_LABEL',
+	outline: 'OUTLINE',
+	obj: 'MAIN_TITLE', // title footnote
+	toc: 'TOC_ENTRY',
+	toc_num: 'TOC_ENTRY',
+	nav: 'NAV',
+};
+
+/**
+ * Short, stable hash of a string (32-bit FNV-1a, base 36)
+ */
+function chromeHash(text) {
+	let h = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		h ^= text.charCodeAt(i);
+		h = Math.imul(h, 0x01000193) >>> 0;
+	}
+	return h.toString(36);
+}
+
+/**
+ * Group generator requests into chrome elements: a createShape plus every later
+ * request on the same objectId. Keys count per slide and prefix, in order.
+ * @return {Array<{objectId, slideId, key, role, create, rest, sig}>}
+ */
+function groupChromeRequests(requests) {
+	const elements = [];
+	const byId = {};
+	const counts = {};
+	for (const req of requests) {
+		if (req.createShape) {
+			const objectId = req.createShape.objectId;
+			const slideId = req.createShape.elementProperties.pageObjectId;
+			const cut = objectId.indexOf(`_${slideId}_`);
+			const prefix = cut > 0 ? objectId.slice(0, cut) : objectId;
+			const countKey = `${slideId}/${prefix}`;
+			counts[countKey] = (counts[countKey] || 0) + 1;
+			const element = {
+				objectId, slideId, key: `${prefix}#${counts[countKey] - 1}`,
+				role: CHROME_PREFIX_ROLES[prefix] || '', create: req, rest: []
+			};
+			byId[objectId] = element;
+			elements.push(element);
+			continue;
+		}
+		const body = req[Object.keys(req)[0]];
+		if (body && byId[body.objectId]) byId[body.objectId].rest.push(req);
+	}
+	// Signature: the requests with the (random) objectId blanked out
+	elements.forEach(element => {
+		const blank = [element.create].concat(element.rest).map(r => retargetChromeRequest(r, ''));
+		element.sig = chromeHash(JSON.stringify(blank));
+	});
+	return elements;
+}
+
+/**
+ * Copy of a request aimed at another objectId
+ */
+function retargetChromeRequest(req, objectId) {
+	const copy = JSON.parse(JSON.stringify(req));
+	copy[Object.keys(copy)[0]].objectId = objectId;
+	return copy;
+}
+
+/**
+ * The `{key, sig}` an incremental rebuild stamped on a chrome shape, or null
+ */
+function chromeStamp(shape) {
+	if (!lzIsManaged(shape)) return null;
+	const instr = lzInstr(shape);
+	return instr && instr.key && instr.sig ? { key: String(instr.key), sig: String(instr.sig) } : null;
+}
+
+/**
+ * Chrome already on the deck: stamped shapes by slide and key, plus every other
+ * shape the full rebuild would delete (unstamped chrome, repeated keys)
+ */
+function collectExistingChrome(slides) {
+	const keyed = {};
+	const loose = [];
+	slides.forEach((slide, idx) => {
+		const slideId = slide.getObjectId();
+		const own = keyed[slideId] = {};
+		for (const shape of slide.getShapes()) {
+			const stamp = chromeStamp(shape);
+			if (stamp && !own[stamp.key]) {
+				own[stamp.key] = { shape, sig: stamp.sig };
+			} else if (stamp || (idx > 0 && isChromeShape(shape))) {
+				loose.push(shape);
+			}
+		}
+	});
+	return { keyed, loose };
+}
+
+/**
+ * Requests that turn an existing chrome shape into the desired element without
+ * recreating it: absolute transform (scaled to the shape's inherent size),
+ * text replaced, styles re-applied. Null when the shape cannot be resized.
+ */
+function chromeUpdateRequests(shape, element) {
+	const objectId = shape.getObjectId();
+	const props = element.create.createShape.elementProperties;
+	const inherentW = shape.getInherentWidth();
+	const inherentH = shape.getInherentHeight();
+	if (!inherentW || !inherentH) return null;
+
+	const t = props.transform;
+	const sx = props.size.width.magnitude / inherentW;
+	const sy = props.size.height.magnitude / inherentH;
+	const out = [{
+		updatePageElementTransform: {
+			objectId, applyMode: 'ABSOLUTE',
+			transform: {
+				scaleX: (t.scaleX || 0) * sx, shearY: (t.shearY || 0) * sx,
+				shearX: (t.shearX || 0) * sy, scaleY: (t.scaleY || 0) * sy,
+				translateX: t.translateX || 0, translateY: t.translateY || 0, unit: 'PT'
+			}
+		}
+	}];
+	const hasText = shape.getText().asString().replace(/\n$/, '') !== '';
+	if (hasText && element.rest.some(r => r.insertText)) {
+		out.push({ deleteText: { objectId, textRange: { type: 'ALL' } } });
+	}
+	element.rest.forEach(r => out.push(retargetChromeRequest(r, objectId)));
+	return out;
+}
+
+/**
+ * Alt-text stamp that lets the next incremental run recognize the element
+ */
+function chromeStampRequest(objectId, element) {
+	return {
+		updatePageElementAltText: {
+			objectId, title: element.role,
+			description: lzTagDescription(element.role, { key: element.key, sig: element.sig })
+		}
+	};
+}
+
+/**
+ * Diff the desired chrome requests against the deck and push only the needed
+ * deletes, creates and in-place updates onto `requests`.
+ * @param {Array} slides
+ * @param {Array} desired - requests the generators would send for a full rebuild
+ * @param {Array} requests - receives the incremental requests
+ * @return {{kept: number, created: number, updated: number, deleted: number,
+ *   requests: number, fullRebuild: number, saved: number}}
+ */
+function diffChromeRequests(slides, desired, requests) {
+	const existing = collectExistingChrome(slides);
+	const stats = { kept: 0, created: 0, updated: 0, deleted: 0 };
+	const deletes = [];
+	const writes = [];
+	let existingCount = existing.loose.length;
+
+	existing.loose.forEach(shape => deletes.push({ deleteObject: { objectId: shape.getObjectId() } }));
+	const desiredElements = groupChromeRequests(desired);
+	const claimed = {};
+	desiredElements.forEach(element => {
+		const own = existing.keyed[element.slideId] || {};
+		const match = element.role ? own[element.key] : null;
+		claimed[`${element.slideId}/${element.key}`] = true;
+		if (match && match.sig === element.sig) {
+			stats.kept++;
+			return;
+		}
+		const update = match ? chromeUpdateRequests(match.shape, element) : null;
+		if (update) {
+			writes.push(...update, chromeStampRequest(match.shape.getObjectId(), element));
+			stats.updated++;
+			return;
+		}
+		if (match) deletes.push({ deleteObject: { objectId: match.shape.getObjectId() } });
+		writes.push(element.create, ...element.rest);
+		if (element.role) writes.push(chromeStampRequest(element.objectId, element));
+		stats.created++;
+	});
+	Object.keys(existing.keyed).forEach(slideId => {
+		Object.keys(existing.keyed[slideId]).forEach(key => {
+			existingCount++;
+			if (claimed[`${slideId}/${key}`]) return;
+			deletes.push({ deleteObject: { objectId: existing.keyed[slideId][key].shape.getObjectId() } });
+		});
+	});
+	stats.deleted = deletes.length;
+
+	requests.push(...deletes, ...writes);
+	stats.requests = deletes.length + writes.length;
+	stats.fullRebuild = existingCount + desired.length;
+	stats.saved = stats.fullRebuild - stats.requests;
+	return stats;
+}
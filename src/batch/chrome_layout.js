@@ -0,0 +1,79 @@
+// 📐 CHROME LAYOUT MODULE - Chrome anchors from the real page size
+/**
+ * Every chrome position derived from the deck's page size, so 16:9, 4:3,
+ * 16:10, A4 and custom decks all get chrome on the page:
+ * - Strips (progress bar, tabs) span the page width at the top or bottom edge;
+ *   strips on the same edge stack instead of overlapping
+ * - The page number sits at a named anchor clear of the bottom / top strips;
+ *   the navigation buttons take the opposite bottom corner
+ * - Section box, outline and footnote keep their distance from the right edge
+ *   and centre vertically
+ * On the 720×405 canvas the defaults reproduce the original hard-coded
+ * positions (page number at 650, 370; section box at 200, 52.5).
+ */
+
+const CHROME_LAYOUT = {
+	pageNum: { width: 70, height: 30, inset: 5 },
+	nav: { button: 20, count: 3, inset: 5 },
+	tabHeight: 14,
+	sectionBox: { width: 500, height: 300, right: 20, left: 200 },
+	sectionLabel: { x: 50, y: 50, width: 80, height: 25 },
+	outline: { width: 400, height: 300, right: 40, left: 280, y: 51 },
+	footnote: { length: 360, margin: 20 },
+};
+
+/**
+ * Resolve chrome anchors for a page
+ * @param {number} width - page width (pt)
+ * @param {number} height - page height (pt)
+ * @param {Object=} config - getChromeConfig() result (anchor presets)
+ * @return {Object} { progress, tabs, pageNum, nav, sectionBox, sectionLabel, outline, footnote }
+ */
+function computeChromeLayout(width, height, config) {
+	const cfg = Object.assign({}, CHROME_DEFAULTS, config || {});
+	const L = CHROME_LAYOUT;
+	const barH = progressBarHeight;
+	const progressTop = cfg.progressAnchor === 'top-strip';
+	const tabsTop = cfg.tabsAnchor !== 'bottom-strip';
+
+	// Strips: progress hugs its edge, tabs stack inside it on a shared edge
+	const progressY = progressTop ? 0 : height - barH;
+	let tabsY;
+	if (tabsTop) tabsY = progressTop ? barH : 0;
+	else tabsY = height - L.tabHeight - (progressTop ? 0 : barH);
+
+	// Space the strips take at each edge
+	const topUsed = (progressTop ? barH : 0) + (tabsTop ? L.tabHeight : 0);
+	const bottomStrips = (progressTop ? 0 : barH) + (tabsTop ? 0 : L.tabHeight);
+
+	const pn = L.pageNum;
+	const bottomY = height - pn.height - Math.max(pn.inset, bottomStrips + 2.5);
+	const pageNumAt = {
+		'bottom-right': { x: width - pn.width, y: bottomY, align: 'right' },
+		'bottom-center': { x: (width - pn.width) / 2, y: bottomY, align: 'center' },
+		'bottom-left': { x: 0, y: bottomY, align: 'left' },
+		'top-right': { x: width - pn.width, y: topUsed + 2, align: 'right' },
+	}[cfg.pageNumberAnchor] || { x: width - pn.width, y: bottomY, align: 'right' };
+
+	// Navigation row: bottom-left, or bottom-right when the page number is there
+	const nav = L.nav;
+	const navW = nav.button * nav.count;
+	const navX = pageNumAt.align === 'left' && pageNumAt.y === bottomY ? width - navW - nav.inset : nav.inset;
+
+	const boxW = Math.min(L.sectionBox.width, width - L.sectionBox.left - L.sectionBox.right);
+	const boxH = Math.min(L.sectionBox.height, height - 2 * L.sectionBox.right);
+	const outlineW = Math.min(L.outline.width, width - L.outline.left - L.outline.right);
+	const outlineH = Math.min(L.outline.height, height - L.outline.y - L.footnote.margin);
+	const footLen = Math.min(L.footnote.length, height - 2 * L.footnote.margin);
+
+	return {
+		progress: { y: progressY, width },
+		tabs: { y: tabsY, width, height: L.tabHeight },
+		pageNum: { x: pageNumAt.x, y: pageNumAt.y, width: pn.width, height: pn.height, align: pageNumAt.align },
+		nav: { x: navX, y: bottomY + (pn.height - nav.button) / 2, button: nav.button },
+		sectionBox: { x: width - boxW - L.sectionBox.right, y: (height - boxH) / 2, width: boxW, height: boxH },
+		sectionLabel: Object.assign({}, L.sectionLabel),
+		outline: { x: width - outlineW - L.outline.right, y: L.outline.y, width: outlineW, height: outlineH },
+		footnote: { x: width, y: (height - footLen) / 2, length: footLen },
+	};
+}
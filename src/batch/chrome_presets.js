@@ -0,0 +1,320 @@
+// 🎨 CHROME PRESETS MODULE - Alternative progress bar, tab and page-number designs
+/**
+ * A chrome preset picks one design per component:
+ * - progress:   "bar" (grey track + main-colour fill) | "segmented" (one
+ *               segment per section, filled up to the current slide)
+ * - pageNumber: "counter" (`i / N`) | "dots" (one dot per slide) |
+ *               "section" (`Section x of y · i / n`)
+ * - tabs:       "tabs" (one tab per section) | "breadcrumb" (deck title ›
+ *               section, one line in the tab strip) | "none"
+ * The preset is saved per deck (document properties), picked and previewed in
+ * the config sidebar. Component toggles, skip rules and anchors
+ * (chrome_config.js / chrome_layout.js) apply to every preset.
+ *
+ * In appendix mode every design counts the main talk only (chromeMainSections
+ * / chromeMainSlides in chrome_config.js): appendix slides show their `A1`
+ * label instead of dots or a section counter, and no appendix section gets a
+ * tab or a progress segment.
+ *
+ * Object IDs keep the prefixes isChromeShape() and the incremental diff know:
+ * segments are `progress_seg_…`, dots `page_num_dot_…`, the breadcrumb
+ * `tab_crumb_…`.
+ */
+
+const CHROME_PRESETS = {
+	classic: {
+		label: 'Classic', description: 'Progress bar, section tabs, i / N counter',
+		progress: 'bar', pageNumber: 'counter', tabs: 'tabs',
+	},
+	segmented: {
+		label: 'Segmented', description: 'Progress split by section, section tabs, i / N counter',
+		progress: 'segmented', pageNumber: 'counter', tabs: 'tabs',
+	},
+	dots: {
+		label: 'Dots', description: 'Progress bar, section tabs, dot pagination',
+		progress: 'bar', pageNumber: 'dots', tabs: 'tabs',
+	},
+	sectionCounter: {
+		label: 'Section counter', description: 'Progress bar, section tabs, "Section x of y" counter',
+		progress: 'bar', pageNumber: 'section', tabs: 'tabs',
+	},
+	breadcrumb: {
+		label: 'Breadcrumb', description: 'Progress bar, deck › section breadcrumb, i / N counter',
+		progress: 'bar', pageNumber: 'counter', tabs: 'breadcrumb',
+	},
+	minimal: {
+		label: 'Minimal', description: 'Progress bar and i / N counter, no tabs',
+		progress: 'bar', pageNumber: 'counter', tabs: 'none',
+	},
+};
+
+const CHROME_DEFAULT_PRESET = 'classic';
+
+// Dot pagination falls back to the counter beyond this many slides.
+const CHROME_MAX_DOTS = 40;
+
+/**
+ * This deck's preset id (document properties), or the default
+ */
+function getChromePreset() {
+	try {
+		const id = PropertiesService.getDocumentProperties().getProperty(CONFIG_KEYS.CHROME_PRESET);
+		if (id && CHROME_PRESETS[id]) return id;
+	} catch (e) {
+		console.log("Error reading chrome preset: " + e.message);
+	}
+	return CHROME_DEFAULT_PRESET;
+}
+
+/**
+ * Save this deck's preset id
+ */
+function saveChromePreset(id) {
+	if (!CHROME_PRESETS[id]) throw new Error("Unknown chrome preset: " + id);
+	PropertiesService.getDocumentProperties().setProperty(CONFIG_KEYS.CHROME_PRESET, id);
+	return id;
+}
+
+/**
+ * Presets for the sidebar picker / preview
+ */
+function listChromePresets() {
+	return Object.keys(CHROME_PRESETS).map(id => Object.assign({ id }, CHROME_PRESETS[id]));
+}
+
+/**
+ * Solid rectangle (fill + outline in one colour) — the unit of bars and dots
+ */
+function pushChromeShape(requests, cache, objectId, shapeType, slideId, box, rgb) {
+	requests.push(
+		{
+			createShape: {
+				objectId, shapeType,
+				elementProperties: {
+					pageObjectId: slideId,
+					size: { height: { magnitude: box.h, unit: 'PT' }, width: { magnitude: box.w, unit: 'PT' } },
+					transform: { ...cache.transforms.identity, translateX: box.x, translateY: box.y }
+				}
+			}
+		},
+		{
+			updateShapeProperties: {
+				objectId,
+				shapeProperties: {
+					shapeBackgroundFill: { solidFill: { color: { rgbColor: rgb } } },
+					outline: { weight: { magnitude: 0.1, unit: 'PT' }, outlineFill: { solidFill: { color: { rgbColor: rgb } } } }
+				},
+				fields: 'shapeBackgroundFill.solidFill.color,outline.weight,outline.outlineFill.solidFill.color'
+			}
+		}
+	);
+}
+
+/**
+ * x of a `w`-wide row aligned like the page-number anchor
+ */
+function chromeAnchorX(pageNum, w) {
+	if (pageNum.align === 'left') return pageNum.x;
+	if (pageNum.align === 'center') return pageNum.x + (pageNum.width - w) / 2;
+	return pageNum.x + pageNum.width - w;
+}
+
+/**
+ * Slide ranges per section: [{ start, end }] (end exclusive), slides before
+ * the first section folded into it
+ */
+function chromeSectionRanges(sectionsCache, totalSlides) {
+	return sectionsCache.map((sec, idx) => ({
+		start: idx === 0 ? 1 : sec.index,
+		end: idx + 1 < sectionsCache.length ? sectionsCache[idx + 1].index : totalSlides,
+	}));
+}
+
+/**
+ * Progress split into one segment per main-talk section; finished sections
+ * full, the current one filled up to this slide
+ */
+function addSegmentedProgressUltra(slideId, slideIndex, slideCache, sectionsCache, requests, cache) {
+	const mainSections = chromeMainSections(sectionsCache);
+	if (!mainSections.length) {
+		addProgressBarUltra(slideId, slideIndex, slideCache, requests, cache);
+		return;
+	}
+	const gap = 2;
+	const mainSlides = chromeMainSlides(slideCache);
+	const ranges = chromeSectionRanges(mainSections, mainSlides);
+	const span = Math.max(mainSlides - 1, 1);
+	const usable = slideCache.width - gap * (ranges.length - 1);
+	const h = progressBarHeight;
+	const y = slideCache.progressBarY;
+	let x = 0;
+	ranges.forEach(range => {
+		const count = Math.max(range.end - range.start, 1);
+		const w = usable * count / span;
+		pushChromeShape(requests, cache, `progress_seg_bg_${slideId}_${getNextGuid()}`, 'RECTANGLE', slideId,
+			{ x, y, w, h }, cache.colors.gray);
+		const done = slideIndex >= range.end ? 1 : slideIndex < range.start ? 0 : (slideIndex - range.start + 1) / count;
+		if (done > 0) {
+			pushChromeShape(requests, cache, `progress_seg_${slideId}_${getNextGuid()}`, 'RECTANGLE', slideId,
+				{ x, y, w: w * done, h }, cache.colors.main);
+		}
+		x += w + gap;
+	});
+}
+
+/**
+ * One dot per main-talk slide at the page-number anchor; the current one in
+ * the main colour (falls back to the counter on long decks and in the appendix)
+ */
+function addDotPaginationUltra(slideId, slideIndex, slideCache, requests, cache) {
+	const total = chromeMainSlides(slideCache);
+	if (total > CHROME_MAX_DOTS || slideIndex >= total) {
+		addPageNumberUltra(slideId, slideIndex, slideCache, requests, cache);
+		return;
+	}
+	const size = 5;
+	const gap = 4;
+	const pn = slideCache.layout.pageNum;
+	const rowW = total * size + (total - 1) * gap;
+	const y = pn.y + (pn.height - size) / 2;
+	let x = chromeAnchorX(pn, rowW);
+	for (let i = 0; i < total; i++) {
+		pushChromeShape(requests, cache, `page_num_dot_${slideId}_${getNextGuid()}`, 'ELLIPSE', slideId,
+			{ x, y, w: size, h: size }, i === slideIndex ? cache.colors.main : cache.colors.gray);
+		x += size + gap;
+	}
+}
+
+/**
+ * "Section x of y · i / n" (position within the section) at the page-number
+ * anchor; the plain counter before the first section and in the appendix
+ */
+function addSectionCounterUltra(slideId, slideIndex, slideCache, sectionsCache, currentSectionIdx, requests, cache) {
+	const mainSections = chromeMainSections(sectionsCache);
+	if (currentSectionIdx < 0 || currentSectionIdx >= mainSections.length) {
+		addPageNumberUltra(slideId, slideIndex, slideCache, requests, cache);
+		return;
+	}
+	const range = chromeSectionRanges(mainSections, chromeMainSlides(slideCache))[currentSectionIdx];
+	const text = `Section ${currentSectionIdx + 1} of ${mainSections.length} · ` +
+		`${slideIndex - range.start + 1} / ${range.end - range.start}`;
+	const pn = slideCache.layout.pageNum;
+	const w = 160;
+	const pageId = `page_num_${slideId}_${getNextGuid()}`;
+	requests.push(
+		{
+			createShape: {
+				objectId: pageId, shapeType: 'TEXT_BOX',
+				elementProperties: {
+					pageObjectId: slideId,
+					size: { width: { magnitude: w, unit: 'PT' }, height: { magnitude: pn.height, unit: 'PT' } },
+					transform: { ...cache.transforms.identity, translateX: chromeAnchorX(pn, w), translateY: pn.y }
+				}
+			}
+		},
+		{ insertText: { objectId: pageId, text } },
+		{
+			updateTextStyle: {
+				objectId: pageId, textRange: { type: 'ALL' },
+				style: {
+					bold: false, fontFamily: main_font_family, fontSize: { magnitude: 9, unit: 'PT' },
+					foregroundColor: { opaqueColor: { rgbColor: cache.colors.inactive } }
+				},
+				fields: 'bold,fontFamily,fontSize,foregroundColor'
+			}
+		},
+		{
+			updateParagraphStyle: {
+				objectId: pageId, textRange: { type: 'ALL' },
+				style: { alignment: { left: 'START', center: 'CENTER' }[pn.align] || 'END' }, fields: 'alignment'
+			}
+		}
+	);
+}
+
+/**
+ * "Deck title › Section" on one line in the tab strip; the section part links
+ * to the section slide
+ */
+function addBreadcrumbUltra(slideId, sectionsCache, currentSectionIdx, slideCache, requests, cache) {
+	if (cache.mainTitle === undefined) {
+		cache.mainTitle = getMainTitleFromFirstSlide(slideCache.slideData[0].slide ||
+			SlidesApp.getActivePresentation().getSlides()[0]) || '';
+	}
+	const sec = currentSectionIdx >= 0 ? sectionsCache[currentSectionIdx] : null;
+	const head = cache.mainTitle;
+	const parts = [head, sec ? sec.title : ''].filter(Boolean);
+	if (!parts.length) return;
+	const text = parts.join(' › ');
+	const strip = slideCache.layout.tabs;
+	const crumbId = `tab_crumb_${slideId}_${getNextGuid()}`;
+	requests.push(
+		{
+			createShape: {
+				objectId: crumbId, shapeType: 'TEXT_BOX',
+				elementProperties: {
+					pageObjectId: slideId,
+					size: { height: { magnitude: strip.height, unit: 'PT' }, width: { magnitude: strip.width - 20, unit: 'PT' } },
+					transform: { ...cache.transforms.identity, translateX: 10, translateY: strip.y }
+				}
+			}
+		},
+		{ insertText: { objectId: crumbId, text } },
+		{
+			updateShapeProperties: {
+				objectId: crumbId,
+				shapeProperties: { shapeBackgroundFill: { propertyState: 'NOT_RENDERED' }, contentAlignment: 'MIDDLE' },
+				fields: 'shapeBackgroundFill,contentAlignment'
+			}
+		},
+		{
+			updateTextStyle: {
+				objectId: crumbId, textRange: { type: 'ALL' },
+				style: {
+					bold: false, fontFamily: main_font_family, fontSize: { magnitude: 8, unit: 'PT' },
+					foregroundColor: { opaqueColor: { rgbColor: cache.colors.inactive } }, underline: false
+				},
+				fields: 'bold,fontFamily,fontSize,foregroundColor,underline'
+			}
+		}
+	);
+	if (sec) {
+		requests.push({
+			updateTextStyle: {
+				objectId: crumbId,
+				textRange: { type: 'FIXED_RANGE', startIndex: text.length - sec.title.length, endIndex: text.length },
+				style: {
+					bold: true, foregroundColor: { opaqueColor: { rgbColor: cache.colors.main } },
+					link: { pageObjectId: sec.slideId }
+				},
+				fields: 'bold,foregroundColor,link'
+			}
+		});
+	}
+}
+
+/**
+ * Progress, page number and tabs for one slide in the preset's designs
+ * @param {Object} chrome - this slide's planChromeUltra() flags
+ */
+function addPresetChromeUltra(preset, chrome, slideId, slideData, slideIndex, slideCache, sectionsCache, currentSectionIdx, requests, cache) {
+	if (chrome.progress) {
+		if (preset.progress === 'segmented') addSegmentedProgressUltra(slideId, slideIndex, slideCache, sectionsCache, requests, cache);
+		else addProgressBarUltra(slideId, slideIndex, slideCache, requests, cache);
+	}
+
+	if (chrome.pageNumber) {
+		if (preset.pageNumber === 'dots') addDotPaginationUltra(slideId, slideIndex, slideCache, requests, cache);
+		else if (preset.pageNumber === 'section') addSectionCounterUltra(slideId, slideIndex, slideCache, sectionsCache, currentSectionIdx, requests, cache);
+		else addPageNumberUltra(slideId, slideIndex, slideCache, requests, cache);
+	}
+
+	// Tabs / breadcrumb only on non-section slides of a deck with sections;
+	// tabs list the main talk (none is active on appendix slides)
+	if (!chrome.tabs || preset.tabs === 'none') return;
+	if (slideData.layoutName === "SECTION_HEADER" || !sectionsCache.length) return;
+	if (preset.tabs === 'breadcrumb') addBreadcrumbUltra(slideId, sectionsCache, currentSectionIdx, slideCache, requests, cache);
+	else if (chromeMainSections(sectionsCache).length) {
+		addTabNavigationUltra(slideId, chromeMainSections(sectionsCache), currentSectionIdx, requests, cache, slideCache);
+	}
+}
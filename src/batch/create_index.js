@@ -1,234 +1,336 @@
-// 🚀 OPTIMIZED INDEX GENERATOR - Ultra-fast batch processing
+// 📑 TABLE OF CONTENTS MODULE - Section-aware TOC regenerated by the batch run
 /**
- * Optimized index slide generation using batch requests
- * Performance: ~100 individual calls → ~4-8 batch requests per item in 1 API call
- * Expected: 3-5x faster for typical presentations
+ * A real table of contents driven by getSectionHeadersUltra():
+ * - Sections as headings, the slides of each section nested under them
+ * - Page numbers and links (pageObjectId) on every line; both are rebuilt on
+ *   each batch run, so reordering slides only needs "run all" again
+ * - Columns fill top to bottom; entries that do not fit overflow onto
+ *   continuation slides inserted right after the TOC slide
+ * - Skipped slides are left out unless the deck counts them (countedSlides)
+ * A slide is a TOC slide when it carries an LZ `TOC` marker or the
+ * speaker-notes line `lz: toc`. An "Index" slide from the old flat index is
+ * turned into one in place. The entries are chrome (prefix `toc_`, role
+ * TOC_ENTRY): the full rebuild deletes and redraws them, the incremental run
+ * diffs them like any other chrome.
  */
-function generateIndexSlide() {
-	const presentation = SlidesApp.getActivePresentation();
-	const presentationId = presentation.getId();
-	let slides = presentation.getSlides();
-
-	Logger.log("🚀 Starting optimized index generation...");
-	const startTime = Date.now();
-
-	// Step 0: Batch delete old index slides
-	const deleteRequests = [];
-	for (let i = slides.length - 1; i >= 0; i--) {
-		const slide = slides[i];
-		const layout = slide.getLayout();
-		const layoutName = layout ? layout.getLayoutName() : "";
-
-		if (layoutName === "TITLE_ONLY") {
-			const shapes = slide.getShapes();
-			if (shapes.length > 0) {
-				const titleText = shapes[0].getText().asString().trim();
-				if (titleText === "Index") {
-					deleteRequests.push({
-						deleteObject: { objectId: slide.getObjectId() },
-					});
-				}
-			}
-		}
-	}
 
-	// Execute deletion batch if needed
-	if (deleteRequests.length > 0) {
-		Logger.log(`Deleting ${deleteRequests.length} old index slides...`);
-		Slides.Presentations.batchUpdate(
-			{ requests: deleteRequests },
-			presentationId,
-		);
-		slides = presentation.getSlides(); // Refresh slides list
-	}
+// Speaker-notes directive that marks a TOC slide.
+const TOC_NOTES_DIRECTIVE = /^\s*lz\s*:\s*toc\s*$/im;
 
-	// Step 1: Collect index items efficiently
-	const indexItems = generateIndexItemsUltra(slides);
+// Entry area and typography. The area is inset from the page edges and starts
+// under the slide title.
+const TOC_LAYOUT = {
+	left: 40,
+	right: 40,
+	top: 90,
+	bottom: 40,
+	columns: 2,
+	columnGap: 24,
+	lineHeight: 18,
+	indent: 14,
+	numberWidth: 30,
+	sectionFontSize: 12,
+	slideFontSize: 10,
+};
 
-	if (indexItems.length === 0) {
-		Logger.log("No slides found for index generation");
-		return;
-	}
-
-	// Step 2: Create new index slide
-	const newSlide = presentation.appendSlide(
-		SlidesApp.PredefinedLayout.TITLE_ONLY,
-	);
-	const indexSlideId = newSlide.getObjectId();
+const TOC_TITLE = 'Contents';
+const TOC_CONTINUED = ' (cont.)';
 
-	// Update title immediately (single operation)
-	newSlide.getShapes()[0].getText().setText("Index");
+// The old flat index: a TITLE_ONLY slide titled "Index" with `index_…` entries.
+const LEGACY_INDEX_TITLE = 'Index';
+const LEGACY_INDEX_PREFIX = 'index_';
 
-	// Step 3: Generate all index items in single batch
-	generateIndexItemsBatch(indexItems, indexSlideId, presentationId);
-
-	const elapsed = Date.now() - startTime;
-	Logger.log(
-		`✅ Ultra-optimized index created in ${elapsed}ms with ${indexItems.length} items`,
-	);
+/**
+ * True if the slide holds the table of contents (LZ TOC marker or notes line)
+ */
+function isTocSlide(slide) {
+	if (slide.getPageElements().some(el => lzRoleOf(el) === LZ_ROLES.TOC)) return true;
+	try {
+		const notes = slide.getNotesPage().getSpeakerNotesShape().getText().asString();
+		return TOC_NOTES_DIRECTIVE.test(notes);
+	} catch (e) {
+		return false;
+	}
 }
 
 /**
- * 🚀 Ultra-efficient index items collection
+ * True for an index slide the old flat index made: it holds `index_` entries,
+ * or is a TITLE_ONLY slide titled "Index" (the old generator's own test)
  */
-function generateIndexItemsUltra(slides) {
-	const indexItems = [];
+function isLegacyIndexSlide(slide) {
+	if (slide.getPageElements().some(el => el.getObjectId().startsWith(LEGACY_INDEX_PREFIX))) return true;
+	const layout = slide.getLayout();
+	return !!layout && layout.getLayoutName() === 'TITLE_ONLY' && tocSlideTitle(slide) === LEGACY_INDEX_TITLE;
+}
 
-	slides.forEach((slide, index) => {
-		const layout = slide.getLayout();
-		const layoutName = layout ? layout.getLayoutName() : "";
-		if (layoutName === "SECTION_HEADER") return;
+/**
+ * Turn legacy index slides into TOC slides where they are: their old entries
+ * are removed and the `lz: toc` notes line added, so the batch run fills them
+ * @param {Array} slides
+ * @return {number} slides converted
+ */
+function convertLegacyIndexSlides(slides) {
+	let converted = 0;
+	slides.forEach(slide => {
+		if (isTocSlide(slide) || !isLegacyIndexSlide(slide)) return;
+		slide.getPageElements()
+			.filter(el => el.getObjectId().startsWith(LEGACY_INDEX_PREFIX))
+			.forEach(el => el.remove());
+		const notes = slide.getNotesPage().getSpeakerNotesShape().getText();
+		const text = notes.asString().trim();
+		notes.setText(text ? `${text}\nlz: toc` : 'lz: toc');
+		converted++;
+	});
+	if (converted) Logger.log(`TOC: converted ${converted} legacy index slide(s)`);
+	return converted;
+}
 
-		// Quick title extraction
-		const titleText = extractSlideTitle(slide);
+/**
+ * First line of the slide's title: title placeholder, else the first text that
+ * is not generated chrome
+ */
+function tocSlideTitle(slide) {
+	const placeholder = slide.getPlaceholder(SlidesApp.PlaceholderType.TITLE) ||
+		slide.getPlaceholder(SlidesApp.PlaceholderType.CENTERED_TITLE);
+	let text = placeholder && placeholder.asShape ? placeholder.asShape().getText().asString() : '';
+	if (!text.trim()) {
+		const shape = slide.getShapes().find(s => !isChromeShape(s) && s.getText().asString().trim());
+		text = shape ? shape.getText().asString() : '';
+	}
+	return text.trim().split('\n')[0].trim();
+}
 
-		indexItems.push({
-			text: `${titleText || "[No title]"}, p${index + 1}`,
-			slideId: slide.getObjectId(), // Store ID instead of slide object
-			index: index,
+/**
+ * TOC lines in deck order: sections (level 0) with their slides (level 1).
+ * Slides before the first section are listed without a heading; the title
+ * slide and the TOC slides themselves are left out.
+ * @param {Array} slides
+ * @param {Array} sectionsCache - getSectionHeadersUltra() result
+ * @param {Array<boolean>} tocFlags - isTocSlide() per slide
+ * @return {Array<{level: number, title: string, slideId: string, page: string}>}
+ *   page: the slide's page label (`A1`, … in the appendix, see chromePageLabel)
+ */
+function collectTocItems(slides, sectionsCache, tocFlags) {
+	const appendixStart = findAppendixStart(sectionsCache);
+	const sectionAt = {};
+	sectionsCache.forEach(sec => { sectionAt[sec.index] = sec; });
+	const items = [];
+	slides.forEach((slide, i) => {
+		if (i === 0 || tocFlags[i]) return;
+		const section = sectionAt[i];
+		items.push({
+			level: section ? 0 : 1,
+			title: section ? section.title.split('\n')[0].trim() : tocSlideTitle(slide) || '[No title]',
+			slideId: slide.getObjectId(),
+			page: chromePageLabel(i, appendixStart)
 		});
 	});
+	return items;
+}
 
-	return indexItems;
+/**
+ * Entry area for a page size
+ */
+function tocArea(width, height) {
+	const L = TOC_LAYOUT;
+	const innerWidth = width - L.left - L.right;
+	return {
+		x: L.left,
+		y: L.top,
+		columnWidth: (innerWidth - (L.columns - 1) * L.columnGap) / L.columns,
+		rows: Math.max(1, Math.floor((height - L.top - L.bottom) / L.lineHeight))
+	};
 }
 
 /**
- * Extract slide title efficiently
+ * Place the lines into columns and pages. A section heading never ends a
+ * column: it moves to the next one with its first slide.
+ * @return {Array<Array<{item, x, y, width}>>} one array per TOC slide
  */
-function extractSlideTitle(slide) {
-	const pageElements = slide.getPageElements();
-
-	for (const element of pageElements) {
-		if (element.getPageElementType() === SlidesApp.PageElementType.SHAPE) {
-			const shape = element.asShape();
-			const text = shape.getText().asString().trim();
-			if (text.length > 0) {
-				return text;
-			}
+function layoutTocPages(items, area) {
+	const L = TOC_LAYOUT;
+	const pages = [];
+	let page = null;
+	let column = L.columns;
+	let row = area.rows;
+	items.forEach(item => {
+		const orphan = item.level === 0 && row === area.rows - 1 && area.rows > 1;
+		if (row >= area.rows || orphan) {
+			column++;
+			row = 0;
 		}
-	}
-	return "";
+		if (column >= L.columns) {
+			page = [];
+			pages.push(page);
+			column = 0;
+		}
+		const indent = item.level === 0 ? 0 : L.indent;
+		page.push({
+			item,
+			x: area.x + column * (area.columnWidth + L.columnGap) + indent,
+			y: area.y + row * L.lineHeight,
+			width: area.columnWidth - indent
+		});
+		row++;
+	});
+	return pages;
 }
 
 /**
- * 🚀 Ultra-efficient batch creation of index items
- * Consolidates ~100 individual API calls into 1 batch call
+ * Make the number of TOC slides match the pages the TOC needs: continuation
+ * slides are inserted after the last TOC slide (same layout, title + notes
+ * marker); surplus ones are removed
+ * @param {Array} slides - every slide of the deck, skipped ones included
+ * @return {Array} the deck's slides after the change
  */
-function generateIndexItemsBatch(indexItems, indexSlideId, presentationId) {
-	const requests = [];
-
-	// Layout configuration
-	const CONFIG = {
-		initialLeft: 40,
-		initialTop: 90,
-		width: 230,
-		height: 20,
-		spacing: 0,
-		itemsPerColumn: 12,
-		fontSize: 9,
-	};
+function syncTocSlidesUltra(presentation, slides) {
+	convertLegacyIndexSlides(slides);
+	const counted = countedSlides(slides);
+	const tocSlides = counted.filter(isTocSlide);
+	if (!tocSlides.length) return slides;
 
-	// Initialize cache for optimization
-	const cache = initializeUltraCache();
+	const tocFlags = counted.map(slide => tocSlides.indexOf(slide) >= 0);
+	const items = collectTocItems(counted, getSectionHeadersUltra(counted), tocFlags);
+	const area = tocArea(presentation.getPageWidth(), presentation.getPageHeight());
+	const needed = Math.max(1, layoutTocPages(items, area).length);
+	if (needed === tocSlides.length) return slides;
 
-	Logger.log(`Generating ${indexItems.length} index items in batch...`);
+	if (needed < tocSlides.length) {
+		tocSlides.slice(needed).forEach(slide => slide.remove());
+	} else {
+		const first = tocSlides[0];
+		const title = tocSlideTitle(first) || TOC_TITLE;
+		let at = slides.indexOf(tocSlides[tocSlides.length - 1]) + 1;
+		for (let n = tocSlides.length; n < needed; n++) {
+			insertTocSlide_(presentation, at++, first.getLayout(), title.replace(TOC_CONTINUED, '') + TOC_CONTINUED);
+		}
+	}
+	Logger.log(`TOC: ${tocSlides.length} → ${needed} slide(s)`);
+	return presentation.getSlides();
+}
 
-	indexItems.forEach((item, i) => {
-		const column = Math.floor(i / CONFIG.itemsPerColumn);
-		const row = i % CONFIG.itemsPerColumn;
-		const left = CONFIG.initialLeft + column * CONFIG.width;
-		const top = CONFIG.initialTop + row * (CONFIG.height + CONFIG.spacing);
+/**
+ * Insert an empty TOC slide: title text plus the `lz: toc` notes marker
+ */
+function insertTocSlide_(presentation, index, layout, title) {
+	const slide = presentation.insertSlide(index, layout);
+	const placeholder = slide.getPlaceholder(SlidesApp.PlaceholderType.TITLE);
+	if (placeholder) placeholder.asShape().getText().setText(title);
+	slide.getNotesPage().getSpeakerNotesShape().getText().setText('lz: toc');
+	return slide;
+}
 
-		createIndexItemUltra(
-			item,
-			i,
-			left,
-			top,
-			CONFIG,
-			indexSlideId,
-			requests,
-			cache,
-		);
-	});
+/**
+ * Push the TOC entries onto every TOC slide (a title box and a right-aligned
+ * page number per line, both linked to the slide)
+ * @param {Array} slides
+ * @param {Array} sectionsCache - getSectionHeadersUltra() result
+ * @param {Array} requests
+ * @param {Object} cache - initializeUltraCache() result
+ * @param {Object} slideCache - createUltraSlideCache() result (page size)
+ */
+function addTocUltra(slides, sectionsCache, requests, cache, slideCache) {
+	const tocFlags = slides.map(isTocSlide);
+	const tocIds = slides.filter((slide, i) => tocFlags[i]).map(slide => slide.getObjectId());
+	if (!tocIds.length) return;
 
-	// Single mega batch update
-	if (requests.length > 0) {
-		Logger.log(
-			`Executing ultra batch: ${requests.length} operations in 1 API call`,
-		);
-		const batchStart = Date.now();
-		Slides.Presentations.batchUpdate({ requests }, presentationId);
-		Logger.log(`Batch completed in ${Date.now() - batchStart}ms`);
-	}
+	const items = collectTocItems(slides, sectionsCache, tocFlags);
+	const pages = layoutTocPages(items, tocArea(slideCache.width, slideCache.height));
+	const textColor = hexToRgb(text_color);
+	pages.forEach((entries, p) => {
+		const slideId = tocIds[Math.min(p, tocIds.length - 1)];
+		entries.forEach(entry => {
+			const heading = entry.item.level === 0;
+			const style = {
+				fontSize: heading ? TOC_LAYOUT.sectionFontSize : TOC_LAYOUT.slideFontSize,
+				bold: heading,
+				color: heading ? cache.colors.main : textColor
+			};
+			const numberWidth = TOC_LAYOUT.numberWidth;
+			addTocText(`toc_${slideId}_${getNextGuid()}`, slideId, entry.item.title, 'START', style,
+				{ x: entry.x, y: entry.y, w: entry.width - numberWidth }, entry.item.slideId, requests, cache);
+			// The appendix divider has no page label (and insertText rejects "")
+			if (!entry.item.page) return;
+			addTocText(`toc_num_${slideId}_${getNextGuid()}`, slideId, entry.item.page, 'END', style,
+				{ x: entry.x + entry.width - numberWidth, y: entry.y, w: numberWidth }, entry.item.slideId, requests, cache);
+		});
+	});
 }
 
 /**
- * Create single index item with optimal batch requests
- * Consolidates 5+ individual calls into 4 batch requests
+ * One linked, single-line text box of the TOC
  */
-function createIndexItemUltra(
-	item,
-	index,
-	left,
-	top,
-	config,
-	slideId,
-	requests,
-	cache,
-) {
-	const shapeId = `index_${index}_${getNextGuid()}`;
-
-	// 1. Create text box shape
-	requests.push({
-		createShape: {
-			objectId: shapeId,
-			shapeType: "TEXT_BOX",
-			elementProperties: {
-				pageObjectId: slideId,
-				size: {
-					width: { magnitude: config.width, unit: "PT" },
-					height: { magnitude: config.height, unit: "PT" },
-				},
-				transform: {
-					...cache.transforms.identity,
-					translateX: left,
-					translateY: top,
-				},
-			},
+function addTocText(objectId, slideId, text, alignment, style, box, targetId, requests, cache) {
+	requests.push(
+		{
+			createShape: {
+				objectId,
+				shapeType: 'TEXT_BOX',
+				elementProperties: {
+					pageObjectId: slideId,
+					size: {
+						width: { magnitude: box.w, unit: 'PT' },
+						height: { magnitude: TOC_LAYOUT.lineHeight, unit: 'PT' }
+					},
+					transform: { ...cache.transforms.identity, translateX: box.x, translateY: box.y }
+				}
+			}
 		},
-	});
-
-	// 2. Insert text content
-	requests.push({
-		insertText: {
-			objectId: shapeId,
-			text: item.text,
+		{ insertText: { objectId, text } },
+		{
+			updateTextStyle: {
+				objectId,
+				textRange: { type: 'ALL' },
+				style: {
+					fontSize: { magnitude: style.fontSize, unit: 'PT' },
+					fontFamily: main_font_family,
+					bold: style.bold,
+					underline: false,
+					foregroundColor: { opaqueColor: { rgbColor: style.color } },
+					link: { pageObjectId: targetId }
+				},
+				fields: 'fontSize,fontFamily,bold,underline,foregroundColor,link'
+			}
 		},
-	});
-
-	// 3. Apply text styling (consolidated)
-	requests.push({
-		updateTextStyle: {
-			objectId: shapeId,
-			textRange: { type: "ALL" },
-			style: {
-				fontSize: { magnitude: config.fontSize, unit: "PT" },
-				fontFamily: main_font_family || "Arial",
-				foregroundColor: { opaqueColor: { rgbColor: cache.colors.main } },
-				link: { pageObjectId: item.slideId }, // Add link in text style
-			},
-			fields: "fontSize,fontFamily,foregroundColor,link",
+		{
+			updateParagraphStyle: {
+				objectId,
+				textRange: { type: 'ALL' },
+				style: { alignment },
+				fields: 'alignment'
+			}
 		},
-	});
+		{
+			updateShapeProperties: {
+				objectId,
+				shapeProperties: { contentAlignment: 'MIDDLE' },
+				fields: 'contentAlignment'
+			}
+		}
+	);
+}
 
-	// 4. Apply shape properties (alignment)
-	requests.push({
-		updateShapeProperties: {
-			objectId: shapeId,
-			shapeProperties: {
-				contentAlignment: "MIDDLE",
-			},
-			fields: "contentAlignment",
-		},
-	});
+/**
+ * Menu: insert a TOC slide (after the current slide, or after the title slide)
+ * if the deck has none — an old "Index" slide becomes it — then run the batch
+ * so it is filled in
+ */
+function generateIndexSlide() {
+	const presentation = SlidesApp.getActivePresentation();
+	const slides = presentation.getSlides();
+	convertLegacyIndexSlides(slides);
+	if (!slides.some(isTocSlide)) {
+		let index = 1;
+		try {
+			const current = presentation.getSelection().getCurrentPage();
+			const at = current ? slides.findIndex(s => s.getObjectId() === current.getObjectId()) : -1;
+			if (at >= 0) index = at + 1;
+		} catch (e) {
+			// No selection (e.g. run from the editor): after the title slide
+		}
+		const layout = presentation.getLayouts().find(l => lzIsLayout(l, 'TITLE_ONLY')) ||
+			SlidesApp.PredefinedLayout.TITLE_ONLY;
+		insertTocSlide_(presentation, Math.min(index, slides.length), layout, TOC_TITLE);
+	}
+	runAllFunctionsUltraMegaBatch();
 }
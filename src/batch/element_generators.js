@@ -5,6 +5,7 @@
  * - Page numbers  
  * - Title footnotes
  * - Tab navigation
+ * - Navigation buttons (previous section / home / next section)
  * - Section elements
  */
 
@@ -12,27 +13,108 @@
  * Generate all elements for a single slide (consolidated)
  */
 function generateSlideElementsUltra(slideId, slideData, slideIndex, slideCache, sectionsCache, currentSectionIdx, requests, cache) {
-	// 1. Progress bar (2 consolidated requests instead of 6)
-	addProgressBarUltra(slideId, slideIndex, slideCache, requests, cache);
-	
-	// 2. Page number (1 consolidated request instead of 4)
-	addPageNumberUltra(slideId, slideIndex, slideCache, requests, cache);
+	// Per-slide flags from planChromeUltra() (chrome_config.js); all but the
+	// footnote on when no plan was made
+	const chrome = slideData.chrome || { progress: true, pageNumber: true, footnote: false, tabs: true };
+
+	// 1-3. Progress bar, page number and tabs in the deck's preset designs
+	// (chrome_presets.js; classic = the generators below)
+	const preset = slideCache.preset || CHROME_PRESETS[CHROME_DEFAULT_PRESET];
+	addPresetChromeUltra(preset, chrome, slideId, slideData, slideIndex, slideCache, sectionsCache,
+		currentSectionIdx, requests, cache);
 
-	// 3. Title footnote — intentionally NOT part of the run-all batch. It is run
-	// standalone via the "🦶 更新 Footer" menu item (runUpdateTitleFootnotes).
-	// addTitleFootnoteUltra(slideId, slideCache, requests, cache);
+	// 4. Title footnote — off by default; also run standalone via the
+	// "🦶 更新 Footer" menu item (runUpdateTitleFootnotes).
+	if (chrome.footnote) addTitleFootnoteUltra(slideId, slideCache, requests, cache);
 
-	// 4. Tab navigation (only for non-section slides)
-	if (slideData.layoutName !== "SECTION_HEADER" && sectionsCache.length > 0) {
-		addTabNavigationUltra(slideId, sectionsCache, currentSectionIdx, requests, cache);
+	// 5. Navigation buttons — off by default (Slide Chrome → Navigation buttons)
+	if (chrome.navigation) {
+		addNavigationUltra(slideId, slideCache, sectionsCache, currentSectionIdx, requests, cache);
 	}
 }
 
+/**
+ * Slide the home button links to: the TOC slide, else a slide with a minted
+ * agenda, else an "Outline" second slide; null if the deck has none
+ */
+function findNavHomeSlideId(slides) {
+	const toc = slides.find(isTocSlide);
+	if (toc) return toc.getObjectId();
+	const agenda = slides.find(slide => slide.getPageElements().some(el => {
+		if (lzRoleOf(el) !== LZ_ROLES.MINTED) return false;
+		// JSON payload or, after a house-style export, TOML (lzInstr reads both)
+		const data = lzInstr(el);
+		return !!data && data.minter === 'agenda';
+	}));
+	if (agenda) return agenda.getObjectId();
+	if (slides[1] && getOutlineSlideTitle(slides[1]) === 'Outline') return slides[1].getObjectId();
+	return null;
+}
+
+/**
+ * Previous-section ◀, home ⌂ and next-section ▶ buttons in the navigation
+ * row (chrome_layout.js). Each keeps its slot; one with nowhere to go (no
+ * earlier / later section, no home slide, home on the home slide) is left out.
+ * @param {Object} slideCache - uses .layout.nav and .homeSlideId
+ */
+function addNavigationUltra(slideId, slideCache, sectionsCache, currentSectionIdx, requests, cache) {
+	const nav = slideCache.layout.nav;
+	const prev = currentSectionIdx > 0 ? sectionsCache[currentSectionIdx - 1] : null;
+	const next = sectionsCache[currentSectionIdx + 1] || null;
+	const home = slideCache.homeSlideId && slideCache.homeSlideId !== slideId ? slideCache.homeSlideId : null;
+	const buttons = [
+		{ glyph: '◀', target: prev && prev.slideId },
+		{ glyph: '⌂', target: home },
+		{ glyph: '▶', target: next && next.slideId },
+	];
+	buttons.forEach((button, slot) => {
+		if (!button.target) return;
+		const navId = `nav_${slideId}_${getNextGuid()}`;
+		requests.push(
+			{
+				createShape: {
+					objectId: navId, shapeType: 'TEXT_BOX',
+					elementProperties: {
+						pageObjectId: slideId,
+						size: { width: { magnitude: nav.button, unit: 'PT' }, height: { magnitude: nav.button, unit: 'PT' } },
+						transform: { ...cache.transforms.identity, translateX: nav.x + slot * nav.button, translateY: nav.y }
+					}
+				}
+			},
+			{ insertText: { objectId: navId, text: button.glyph } },
+			{
+				updateTextStyle: {
+					objectId: navId, textRange: { type: 'ALL' },
+					style: {
+						fontFamily: main_font_family, fontSize: { magnitude: 10, unit: 'PT' },
+						foregroundColor: { opaqueColor: { rgbColor: cache.colors.inactive } },
+						underline: false, link: { pageObjectId: button.target }
+					},
+					fields: 'fontFamily,fontSize,foregroundColor,underline,link'
+				}
+			},
+			{
+				updateParagraphStyle: {
+					objectId: navId, textRange: { type: 'ALL' },
+					style: { alignment: 'CENTER' }, fields: 'alignment'
+				}
+			},
+			{
+				updateShapeProperties: {
+					objectId: navId, shapeProperties: { contentAlignment: 'MIDDLE' },
+					fields: 'contentAlignment'
+				}
+			}
+		);
+	});
+}
+
 /**
  * Ultra-efficient progress bar (2 requests instead of 6)
  */
 function addProgressBarUltra(slideId, slideIndex, slideCache, requests, cache) {
-	const progressRatio = slideIndex / (slideCache.totalSlides - 1);
+	// Main talk only: the last slide before the appendix fills the bar
+	const progressRatio = Math.min(slideIndex / Math.max(chromeMainSlides(slideCache) - 1, 1), 1);
 	const barWidth = slideCache.width * progressRatio;
 	const bgId = `progress_bg_${slideId}_${getNextGuid()}`;
 	const progId = `progress_${slideId}_${getNextGuid()}`;
@@ -83,10 +165,14 @@ function addProgressBarUltra(slideId, slideIndex, slideCache, requests, cache) {
 }
 
 /**
- * Ultra-efficient page number (1 consolidated request instead of 4)
+ * Ultra-efficient page number (1 consolidated request instead of 4):
+ * `i / N` over the main talk, `A1`, `A2`, … in the appendix
  */
 function addPageNumberUltra(slideId, slideIndex, slideCache, requests, cache) {
 	const pageId = `page_num_${slideId}_${getNextGuid()}`;
+	const mainSlides = chromeMainSlides(slideCache);
+	const label = chromePageLabel(slideIndex, slideCache.appendixStart);
+	const text = slideIndex < mainSlides ? `${label} / ${mainSlides}` : label;
 	
 	requests.push(
 		{
@@ -95,11 +181,11 @@ function addPageNumberUltra(slideId, slideIndex, slideCache, requests, cache) {
 				elementProperties: {
 					pageObjectId: slideId,
 					size: slideCache.sizes.pageNum,
-					transform: { ...cache.transforms.identity, translateX: 650, translateY: 370 }
+					transform: { ...cache.transforms.identity, translateX: slideCache.layout.pageNum.x, translateY: slideCache.layout.pageNum.y }
 				}
 			}
 		},
-		{ insertText: { objectId: pageId, text: `${slideIndex + 1} / ${slideCache.totalSlides}` } },
+		{ insertText: { objectId: pageId, text } },
 		{
 			updateTextStyle: {
 				objectId: pageId, textRange: { type: 'ALL' },
@@ -131,8 +217,9 @@ function addTitleFootnoteUltra(slideId, slideCache, requests, cache) {
 	if (!cache.mainTitle) return;
 
 	const footnoteId = `obj_${slideId}_${Date.now().toString(36)}_${getNextGuid()}`;
-	const boxWidth = 360;
-	const boxY = (slideCache.height - boxWidth) / 2;
+	const foot = slideCache.layout.footnote;
+	const boxWidth = foot.length;
+	const boxY = foot.y;
 
 	requests.push(
 		{
@@ -143,7 +230,7 @@ function addTitleFootnoteUltra(slideId, slideCache, requests, cache) {
 					size: { width: { magnitude: boxWidth, unit: 'PT' }, height: { magnitude: 30, unit: 'PT' } },
 					transform: {
 						...cache.transforms.rotation90,
-						translateX: slideCache.width, translateY: boxY
+						translateX: foot.x, translateY: boxY
 					}
 				}
 			}
@@ -178,12 +265,15 @@ function addTitleFootnoteUltra(slideId, slideCache, requests, cache) {
 /**
  * Ultra-efficient tab navigation
  */
-function addTabNavigationUltra(slideId, sections, currentSection, requests, cache) {
+function addTabNavigationUltra(slideId, sections, currentSection, requests, cache, slideCache) {
+	// Strip position from the page size (chrome_layout.js)
+	const strip = slideCache.layout.tabs;
+
 	// Pre-calculate tab layout
 	const estCharW = 8 * 0.75; // fontSize * 0.75
 	const widths = sections.map(sec => Math.max(sec.title.length * estCharW, 50) + 5); // +5pt buffer
 	const totalWidth = widths.reduce((a, b) => a + b, 0);
-	const xStart = Math.max((720 - totalWidth) / 2, 0);
+	const xStart = Math.max((strip.width - totalWidth) / 2, 0);
 	
 	// Background bar
 	const bgId = `tab_bg_${slideId}_${getNextGuid()}`;
@@ -193,8 +283,8 @@ function addTabNavigationUltra(slideId, sections, currentSection, requests, cach
 				objectId: bgId, shapeType: 'RECTANGLE',
 				elementProperties: {
 					pageObjectId: slideId,
-					size: { height: { magnitude: 14, unit: 'PT' }, width: { magnitude: 720, unit: 'PT' } },
-					transform: { ...cache.transforms.identity, translateX: 0, translateY: 0 }
+					size: { height: { magnitude: strip.height, unit: 'PT' }, width: { magnitude: strip.width, unit: 'PT' } },
+					transform: { ...cache.transforms.identity, translateX: 0, translateY: strip.y }
 				}
 			}
 		},
@@ -225,8 +315,8 @@ function addTabNavigationUltra(slideId, sections, currentSection, requests, cach
 					objectId: tabId, shapeType: 'TEXT_BOX',
 					elementProperties: {
 						pageObjectId: slideId,
-						size: { height: { magnitude: 14, unit: 'PT' }, width: { magnitude: widths[idx], unit: 'PT' } },
-						transform: { ...cache.transforms.identity, translateX: xPos, translateY: 0 }
+						size: { height: { magnitude: strip.height, unit: 'PT' }, width: { magnitude: widths[idx], unit: 'PT' } },
+						transform: { ...cache.transforms.identity, translateX: xPos, translateY: strip.y }
 					}
 				}
 			},
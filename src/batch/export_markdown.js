@@ -1,8 +1,12 @@
 // 📝 EXPORT MARKDOWN MODULE - Extract slide content as clean markdown
 /**
- * Extracts meaningful content from slides and exports as Marp-like markdown.
+ * Extracts meaningful content from slides and exports it as lizard-markdown
+ * (LIZARD-MARKDOWN.md), the dialect md2slides reads, so the file imports back
+ * to the same slides.
  * Filters out auto-generated elements: page numbers, tabs, sections labels,
  * progress bars, index items, outlines, watermarks, and footnotes.
+ * Skipped slides are left out unless the deck counts them (countedSlides in
+ * chrome_config.js).
  */
 
 /**
@@ -21,6 +25,7 @@ const GENERATED_ELEMENT_PREFIXES = [
 	"index_", // Index items
 	"obj_", // Title footnotes (obj_slideId_timestamp_guid)
 	"watermark_", // Watermarks
+	"nav_", // Prev / home / next navigation buttons
 ];
 
 /**
@@ -56,15 +61,32 @@ function isGeneratedTextContent(text) {
 }
 
 /**
- * Extract text from a shape with bullet list detection
- * Uses SlidesApp's ListStyle API to detect bulleted paragraphs
+ * List type of a paragraph in the md2slides vocabulary (detectListType),
+ * read from the glyph Slides renders for it. A nested level of an ordered
+ * preset counts `a.` / `i.`, read as numbered.
+ * @param {GoogleAppsScript.Slides.ListStyle} listStyle - The paragraph's list style
+ * @returns {string} "numbered", "numbered_parens", "lettered", "bullet" or "none"
+ */
+function listTypeOfParagraph(listStyle) {
+	if (listStyle.isInList() !== true) return "none";
+	const glyph = (listStyle.getGlyph() || "").trim();
+	if (/^\((\d+|[a-z]+)\)$/.test(glyph)) return "numbered_parens";
+	if (/^(\d+|[a-z]+)[.)]$/.test(glyph)) return "numbered";
+	if (/^[A-Z][.)]$/.test(glyph)) return "lettered";
+	return "bullet";
+}
+
+/**
+ * Add a shape's paragraphs to the slide's body items, with list type and
+ * nesting level (SlidesApp's ListStyle API)
  * @param {GoogleAppsScript.Slides.Shape} shape - The shape to extract text from
- * @returns {string} Formatted text with markdown bullet prefixes where applicable
+ * @param {Object} result - Slide object the items are appended to
  */
-function extractTextWithBullets(shape) {
-	const textRange = shape.getText();
-	const paragraphs = textRange.getParagraphs();
-	const lines = [];
+function extractBodyItems(shape, result) {
+	const paragraphs = shape.getText().getParagraphs();
+	// List id and type of the last item at each level: a nested item in its
+	// parent's list has the parent's type whatever its level's glyph
+	let parents = [];
 
 	for (const paragraph of paragraphs) {
 		const paragraphRange = paragraph.getRange();
@@ -75,40 +97,41 @@ function extractTextWithBullets(shape) {
 			continue;
 		}
 
-		// Check if this paragraph is in a list
 		const listStyle = paragraphRange.getListStyle();
-		const isInList = listStyle.isInList();
-
-		if (isInList === true) {
-			// Get nesting level for indentation (0-based)
-			const nestingLevel = listStyle.getNestingLevel() || 0;
-			const indent = "  ".repeat(nestingLevel); // 2 spaces per level
-			lines.push(`${indent}- ${paragraphText.trim()}`);
+		let listType = listTypeOfParagraph(listStyle);
+		// Nesting level (0-based) of list items
+		const level = listType === "none" ? 0 : listStyle.getNestingLevel() || 0;
+		if (listType === "none") {
+			parents = [];
 		} else {
-			lines.push(paragraphText.trim());
+			const listId = listStyle.getList().getListId();
+			const parent = level > 0 ? parents[level - 1] : null;
+			if (parent && parent.listId === listId) listType = parent.listType;
+			parents.length = level;
+			parents[level] = { listId, listType };
 		}
+		if (result.bodyItems.length === 0) result.listType = listType;
+		result.bodyItems.push(paragraphText.trim());
+		result.bodyListTypes.push(listType);
+		result.bodyLevels.push(level);
 	}
-
-	return lines.join("\n");
 }
 
 /**
- * Extract clean text content from a slide, excluding generated elements
+ * Extract a slide's content, excluding generated elements, as a slide object
+ * of the structure parseMarkdownToStructure returns (createMarkdownSlide)
  * @param {GoogleAppsScript.Slides.Slide} slide - The slide to extract from
- * @returns {Object} Object with title and body text arrays
+ * @returns {Object} Slide object
  */
 function extractSlideContent(slide) {
-	const layout = slide.getLayout();
-	const layoutName = layout ? layout.getLayoutName() : "";
 	const pageElements = slide.getPageElements();
 
-	const result = {
-		layoutName: layoutName,
-		title: "",
-		body: [],
-		images: [],
-		speakerNotes: "",
-	};
+	const result = createMarkdownSlide(
+		lzLayoutType(slide) || "TITLE_AND_BODY",
+		"",
+	);
+	result.listType = "none";
+	result.parentTitle = "";
 
 	// Get speaker notes if available
 	const notesPage = slide.getNotesPage();
@@ -119,7 +142,7 @@ function extractSlideContent(slide) {
 			if (placeholderType === SlidesApp.PlaceholderType.BODY) {
 				const notesText = shape.getText().asString().trim();
 				if (notesText) {
-					result.speakerNotes = notesText;
+					result.speakerNotes = notesText.split("\n");
 				}
 			}
 		}
@@ -134,6 +157,15 @@ function extractSlideContent(slide) {
 			continue;
 		}
 
+		// Authored markers (a section marker may sit on the title itself)
+		const role = lzRoleOf(element);
+		if (
+			MARKDOWN_MARKERS.includes(role) &&
+			!result.markers.includes(role)
+		) {
+			result.markers.push(role);
+		}
+
 		if (element.getPageElementType() === SlidesApp.PageElementType.SHAPE) {
 			const shape = element.asShape();
 			const rawText = shape.getText().asString().trim();
@@ -152,15 +184,34 @@ function extractSlideContent(slide) {
 			) {
 				// Titles don't need bullet detection
 				result.title = rawText;
+			} else if (element.getTitle() === "PREVIOUS_TITLE") {
+				// Parent title md2slides draws above a ### slide's title
+				result.parentTitle = rawText;
+			} else if (role === LZ_ROLES.CODE) {
+				// Code block from a markdown fence; its tag is JSON, or TOML
+				// once the house style is exported (lz_export.js)
+				const data = lzInstr(element) || {};
+				result.codeBlocks.push({
+					language: data.language || "",
+					content: shape.getText().asString().replace(/\n$/, ""),
+				});
+			} else if (
+				role === LZ_ROLES.CITATION ||
+				placeholderType === SlidesApp.PlaceholderType.FOOTER
+			) {
+				// Footer items, joined with " • " on import
+				result.footerItems.push(
+					...rawText
+						.split(/\n| • /)
+						.map((item) => item.trim())
+						.filter(Boolean),
+				);
 			} else if (
 				placeholderType === SlidesApp.PlaceholderType.SUBTITLE ||
 				placeholderType === SlidesApp.PlaceholderType.BODY
 			) {
 				// Body content - extract with bullet detection
-				const formattedText = extractTextWithBullets(shape);
-				if (formattedText) {
-					result.body.push(formattedText);
-				}
+				extractBodyItems(shape, result);
 			} else {
 				// For non-placeholder shapes, check position to determine if it's likely content
 				// Skip very small shapes or shapes at edges (likely UI elements)
@@ -179,19 +230,15 @@ function extractSlideContent(slide) {
 				}
 
 				// Include other content shapes with bullet detection
-				const formattedText = extractTextWithBullets(shape);
-				if (formattedText) {
-					result.body.push(formattedText);
-				}
+				extractBodyItems(shape, result);
 			}
 		} else if (
 			element.getPageElementType() === SlidesApp.PageElementType.TABLE
 		) {
 			// Extract table content
-			const table = element.asTable();
-			const tableText = extractTableContent(table);
-			if (tableText) {
-				result.body.push(tableText);
+			const rows = extractTableRows(element.asTable());
+			if (rows.length > 0) {
+				result.tables.push({ rows: rows });
 			}
 		} else if (
 			element.getPageElementType() === SlidesApp.PageElementType.IMAGE
@@ -210,38 +257,34 @@ function extractSlideContent(slide) {
 		}
 	}
 
+	// The title line is the heading; further lines are lost otherwise
+	result.title = result.title.replace(/\s*\n\s*/g, " ");
+	if (!result.parentTitle) delete result.parentTitle;
 	return result;
 }
 
 /**
- * Extract content from a table as markdown
+ * Extract the cell texts of a table, row by row
  * @param {GoogleAppsScript.Slides.Table} table - The table to extract from
- * @returns {string} Markdown formatted table content
+ * @returns {Array<Array<string>>} Rows of cell texts (the first row is the header)
  */
-function extractTableContent(table) {
+function extractTableRows(table) {
 	const numRows = table.getNumRows();
 	const numCols = table.getNumColumns();
 
-	if (numRows === 0 || numCols === 0) return "";
+	if (numRows === 0 || numCols === 0) return [];
 
 	const rows = [];
 
 	for (let r = 0; r < numRows; r++) {
 		const row = [];
 		for (let c = 0; c < numCols; c++) {
-			const cell = table.getCell(r, c);
-			const cellText = cell.getText().asString().trim().replace(/\|/g, "\\|");
-			row.push(cellText);
-		}
-		rows.push(`| ${row.join(" | ")} |`);
-
-		// Add header separator after first row
-		if (r === 0) {
-			rows.push(`|${" --- |".repeat(numCols)}`);
+			row.push(table.getCell(r, c).getText().asString().trim());
 		}
+		rows.push(row);
 	}
 
-	return rows.join("\n");
+	return rows;
 }
 
 /**
@@ -346,13 +389,13 @@ format: html
 }
 
 /**
- * Convert slides to Marp-like markdown format
+ * Convert slides to lizard-markdown (Marp-compatible front matter)
  * @param {boolean} saveImagesToDrive - Whether to save images to Drive
  * @returns {Object} Object with markdown content and presentationFolder
  */
 function exportSlidesToMarkdown(saveImagesToDrive) {
 	const presentation = SlidesApp.getActivePresentation();
-	const slides = presentation.getSlides();
+	const slides = countedSlides(presentation.getSlides());
 	const presentationTitle = presentation.getName();
 	const presentationId = presentation.getId();
 
@@ -376,98 +419,43 @@ function exportSlidesToMarkdown(saveImagesToDrive) {
 		clearFolder(assetsFolder);
 	}
 
-	const markdownParts = [];
-
-	// Add YAML front matter (Marp style)
-	markdownParts.push("---");
-	markdownParts.push("marp: true");
-	markdownParts.push(`title: ${presentationTitle}`);
-	markdownParts.push("---");
-	markdownParts.push("");
+	const slideStructure = [];
+	// Imported slides keep their sync id as an `<!-- id: … -->` directive (sync.js)
+	const syncKeys = readMarkdownSyncKeys();
 
 	for (let index = 0; index < slides.length; index++) {
-		const slide = slides[index];
-		const content = extractSlideContent(slide);
-
-		// Add slide separator (except for first slide, and not needed if slide has title)
-		if (index > 0) {
-			markdownParts.push("");
-			// Only add --- separator if slide has no title (headings act as separators)
-			if (!content.title) {
-				markdownParts.push("---");
-				markdownParts.push("");
-			}
-		}
-
-		// Determine heading level based on layout
-		if (content.layoutName === "SECTION_HEADER") {
-			// Section header slides get H1
-			if (content.title) {
-				markdownParts.push(`# ${content.title}`);
-			}
-			// Add body content if any
-			for (const text of content.body) {
-				markdownParts.push("");
-				markdownParts.push(text);
-			}
-		} else if (content.layoutName === "TITLE") {
-			// Title slide (first slide typically)
-			if (content.title) {
-				markdownParts.push(`# ${content.title}`);
-			}
-			for (const text of content.body) {
-				markdownParts.push("");
-				markdownParts.push(text);
-			}
-		} else {
-			// Regular slides get H2
-			if (content.title) {
-				markdownParts.push(`## ${content.title}`);
-			}
-
-			// Add body content
-			for (const text of content.body) {
-				markdownParts.push("");
-				markdownParts.push(text);
-			}
-		}
-
-		// Add images at the end of slide content
-		if (content.images.length > 0) {
-			markdownParts.push("");
-			for (let imgIndex = 0; imgIndex < content.images.length; imgIndex++) {
-				const img = content.images[imgIndex];
-				let imageUrl = img.url;
-
-				// Save to Drive if enabled
-				if (saveImagesToDrive && assetsFolder) {
-					const slideNum = String(index + 1).padStart(2, "0");
-					const titleSlug = slugify(content.title);
-					const filename = titleSlug
-						? `slide_${slideNum}_${titleSlug}_img_${imgIndex + 1}.png`
-						: `slide_${slideNum}_img_${imgIndex + 1}.png`;
-					const saved = saveImageToDrive(img.url, assetsFolder, filename);
-					if (saved) {
-						// Use relative path for markdown
-						imageUrl = `./assets/${filename}`;
-					}
+		const content = extractSlideContent(slides[index]);
+		const saved = syncKeys[slides[index].getObjectId()];
+		const syncId = saved ? markdownSyncIdOfKey(saved.key) : "";
+		if (syncId) content.id = syncId;
+
+		// Save images to Drive if enabled
+		if (saveImagesToDrive && assetsFolder) {
+			content.images.forEach((img, imgIndex) => {
+				const slideNum = String(index + 1).padStart(2, "0");
+				const titleSlug = slugify(content.title);
+				const filename = titleSlug
+					? `slide_${slideNum}_${titleSlug}_img_${imgIndex + 1}.png`
+					: `slide_${slideNum}_img_${imgIndex + 1}.png`;
+				if (saveImageToDrive(img.url, assetsFolder, filename)) {
+					// Use relative path for markdown
+					img.url = `./assets/${filename}`;
 				}
-
-				markdownParts.push(`![${img.alt}](${imageUrl})`);
-			}
+			});
 		}
 
-		// Add speaker notes as HTML comment if present
-		if (content.speakerNotes) {
-			markdownParts.push("");
-			markdownParts.push("<!--");
-			markdownParts.push("Speaker notes:");
-			markdownParts.push(content.speakerNotes);
-			markdownParts.push("-->");
-		}
+		slideStructure.push(content);
 	}
 
-	const marpMarkdown = markdownParts.join("\n");
+	// lizard-markdown (LIZARD-MARKDOWN.md) with Marp-style front matter:
+	// md2slides imports it back to the same slides. It opens a deck without a
+	// title slide with one made from `title`, so only a titled one gets it.
+	const meta = { marp: true };
+	const opening = slideStructure[0];
+	if (opening && opening.layout === "TITLE" && opening.title) {
+		meta.title = presentationTitle;
+	}
+	const marpMarkdown = structureToMarkdown(slideStructure, meta);
 
 	// Save .md and .qmd files if saving to Drive
 	if (saveImagesToDrive && presentationFolder) {
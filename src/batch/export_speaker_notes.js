@@ -2,7 +2,9 @@
 /**
  * Exports all speaker notes from the presentation as a JSON dictionary.
  * Format: { "1": "note text", "2": "note text", ... }
- * where keys are slide numbers (1-indexed).
+ * where keys are slide numbers (1-indexed), numbered like the page numbers:
+ * skipped slides are left out unless the deck counts them (countedSlides in
+ * chrome_config.js).
  */
 
 /**
@@ -33,7 +35,7 @@ function extractSpeakerNotes(slide) {
  */
 function exportAllSpeakerNotes() {
 	const presentation = SlidesApp.getActivePresentation();
-	const slides = presentation.getSlides();
+	const slides = countedSlides(presentation.getSlides());
 	const speakerNotes = {};
 
 	for (let i = 0; i < slides.length; i++) {
@@ -52,12 +54,14 @@ function exportAllSpeakerNotes() {
  */
 function exportSpeakerNotesWithMetadata() {
 	const presentation = SlidesApp.getActivePresentation();
-	const slides = presentation.getSlides();
+	const deckSlides = presentation.getSlides();
+	const slides = countedSlides(deckSlides);
 
 	const result = {
 		presentationId: presentation.getId(),
 		presentationName: presentation.getName(),
 		totalSlides: slides.length,
+		skippedSlides: deckSlides.length - slides.length,
 		exportedAt: new Date().toISOString(),
 		notes: {},
 	};
@@ -0,0 +1,278 @@
+// 🎨 RECOLOR MODULE - Restyle a finished deck to a new palette
+/**
+ * Chrome follows the theme on the next rebuild, but minted cards, callouts,
+ * stage bars and default-styled shapes keep the RGB values they were drawn
+ * with. The recolour pass maps old theme colours to new ones everywhere:
+ * - Shape fills and outlines, line colours
+ * - Text runs in shapes and table cells
+ * - Table cell backgrounds
+ * - Slide backgrounds
+ * - Groups are walked recursively
+ * A colour counts as the old one when every channel is within the tolerance
+ * (0–255), so a value that went through a PPTX round trip still matches.
+ * Theme-colour references (master palette) are left alone — only RGB values.
+ *
+ * The old palette is recorded when the deck's colours change (config.js →
+ * saveConfigValues) and cleared once the pass has been applied.
+ */
+
+// Default per-channel distance (0–255) at which two colours count as the same.
+const RECOLOR_TOLERANCE = 8;
+
+// Palette keys, in sidebar order.
+const RECOLOR_KEYS = ['main', 'base', 'text', 'accent', 'sub1', 'sub2'];
+
+// Requests per batchUpdate call when applying.
+const RECOLOR_CHUNK = 400;
+
+/**
+ * Old → new colour pairs (unchanged colours are left out)
+ * @param {Object} from - palette {main, base, text, accent, sub1, sub2}
+ * @param {Object} to - palette with the same keys
+ * @return {Array<{key, from, to, rgb}>} rgb: `from` as 0–255 channels
+ */
+function recolorMapping(from, to) {
+	return RECOLOR_KEYS
+		.filter(key => from[key] && to[key] && from[key].toUpperCase() !== to[key].toUpperCase())
+		.map(key => {
+			const c = hexToRgb(from[key]);
+			return {
+				key, from: from[key], to: to[key],
+				rgb: [c.red * 255, c.green * 255, c.blue * 255]
+			};
+		});
+}
+
+/**
+ * New colour for an API rgbColor, or null when it matches no old colour.
+ * The API omits zero channels, so a missing channel is 0.
+ */
+function recolorMatch(rgbColor, mapping, tolerance) {
+	if (!rgbColor) return null;
+	const c = [rgbColor.red || 0, rgbColor.green || 0, rgbColor.blue || 0].map(v => v * 255);
+	let best = null;
+	let bestDistance = Infinity;
+	for (const pair of mapping) {
+		const distance = Math.max(...c.map((v, i) => Math.abs(v - pair.rgb[i])));
+		if (distance <= tolerance && distance < bestDistance) {
+			best = pair.to;
+			bestDistance = distance;
+		}
+	}
+	return best;
+}
+
+/**
+ * rgbColor inside a solidFill-style object, or undefined
+ */
+function recolorSolidRgb(fill) {
+	return fill && fill.solidFill && fill.solidFill.color && fill.solidFill.color.rgbColor;
+}
+
+/**
+ * updateTextStyle requests for the text runs of a shape or table cell
+ * @param {Object} text - API TextContent
+ * @param {Object} target - {objectId} plus cellLocation for table cells
+ */
+function recolorTextRequests(text, target, mapping, tolerance) {
+	const out = [];
+	for (const te of (text && text.textElements) || []) {
+		const style = te.textRun && te.textRun.style;
+		const rgb = style && style.foregroundColor && style.foregroundColor.opaqueColor &&
+			style.foregroundColor.opaqueColor.rgbColor;
+		const to = recolorMatch(rgb, mapping, tolerance);
+		if (!to) continue;
+		out.push({
+			updateTextStyle: Object.assign({}, target, {
+				textRange: { type: 'FIXED_RANGE', startIndex: te.startIndex || 0, endIndex: te.endIndex },
+				style: { foregroundColor: { opaqueColor: rgbColor_(to) } },
+				fields: 'foregroundColor'
+			})
+		});
+	}
+	return out;
+}
+
+/**
+ * Recolour requests for one page element (API JSON), groups included
+ * @return {Array<{objectId: string, requests: Array}>} one entry per changed element
+ */
+function recolorElementRequests(el, mapping, tolerance) {
+	if (el.elementGroup) {
+		return [].concat(...(el.elementGroup.children || []).map(child =>
+			recolorElementRequests(child, mapping, tolerance)));
+	}
+	const objectId = el.objectId;
+	const requests = [];
+
+	if (el.shape) {
+		const props = el.shape.shapeProperties || {};
+		const fillTo = recolorMatch(recolorSolidRgb(props.shapeBackgroundFill), mapping, tolerance);
+		const outlineTo = recolorMatch(recolorSolidRgb(props.outline && props.outline.outlineFill), mapping, tolerance);
+		if (fillTo || outlineTo) {
+			const shapeProperties = {};
+			const fields = [];
+			if (fillTo) {
+				// Keep the fill's alpha: masks and tints stay translucent
+				const alpha = props.shapeBackgroundFill.solidFill.alpha;
+				shapeProperties.shapeBackgroundFill = {
+					solidFill: { color: rgbColor_(fillTo), alpha: alpha === undefined ? 1 : alpha }
+				};
+				fields.push('shapeBackgroundFill.solidFill.color', 'shapeBackgroundFill.solidFill.alpha');
+			}
+			if (outlineTo) {
+				shapeProperties.outline = { outlineFill: { solidFill: { color: rgbColor_(outlineTo) } } };
+				fields.push('outline.outlineFill.solidFill.color');
+			}
+			requests.push({ updateShapeProperties: { objectId, shapeProperties, fields: fields.join(',') } });
+		}
+		requests.push(...recolorTextRequests(el.shape.text, { objectId }, mapping, tolerance));
+	}
+
+	if (el.line) {
+		const lineTo = recolorMatch(recolorSolidRgb(el.line.lineProperties && el.line.lineProperties.lineFill), mapping, tolerance);
+		if (lineTo) {
+			requests.push({
+				updateLineProperties: {
+					objectId,
+					lineProperties: { lineFill: { solidFill: { color: rgbColor_(lineTo) } } },
+					fields: 'lineFill.solidFill.color'
+				}
+			});
+		}
+	}
+
+	if (el.table) {
+		(el.table.tableRows || []).forEach((row, rowIndex) => {
+			(row.tableCells || []).forEach((cell, cellIndex) => {
+				const location = cell.location || { rowIndex, columnIndex: cellIndex };
+				const cellLocation = { rowIndex: location.rowIndex || 0, columnIndex: location.columnIndex || 0 };
+				const props = cell.tableCellProperties || {};
+				const bgTo = recolorMatch(recolorSolidRgb(props.tableCellBackgroundFill), mapping, tolerance);
+				if (bgTo) {
+					requests.push({
+						updateTableCellProperties: {
+							objectId,
+							tableRange: { location: cellLocation, rowSpan: 1, columnSpan: 1 },
+							tableCellProperties: { tableCellBackgroundFill: { solidFill: { color: rgbColor_(bgTo) } } },
+							fields: 'tableCellBackgroundFill.solidFill.color'
+						}
+					});
+				}
+				requests.push(...recolorTextRequests(cell.text, { objectId, cellLocation }, mapping, tolerance));
+			});
+		});
+	}
+
+	return requests.length ? [{ objectId, requests }] : [];
+}
+
+/**
+ * updatePageProperties request for a page whose solid background is an old
+ * colour, or none
+ * @param {Object} page - API Page
+ * @return {Array} zero or one request
+ */
+function recolorBackgroundRequests(page, mapping, tolerance) {
+	const props = page.pageProperties || {};
+	const to = recolorMatch(recolorSolidRgb(props.pageBackgroundFill), mapping, tolerance);
+	if (!to) return [];
+	return [{
+		updatePageProperties: {
+			objectId: page.objectId,
+			pageProperties: { pageBackgroundFill: { solidFill: { color: rgbColor_(to) } } },
+			fields: 'pageBackgroundFill.solidFill.color'
+		}
+	}];
+}
+
+/**
+ * Plan the pass over API page JSON (Slides.Presentations.get → slides)
+ * @param {Array} pages - API Page objects
+ * @param {Array} mapping - recolorMapping() result
+ * @param {number=} tolerance - per-channel distance, 0–255
+ * @return {{slides: Array<{index, slideId, elements, background, requests}>,
+ *   elements: number, backgrounds: number, requests: Array}}
+ */
+function planRecolor(pages, mapping, tolerance) {
+	const tol = tolerance === undefined ? RECOLOR_TOLERANCE : tolerance;
+	const plan = { slides: [], elements: 0, backgrounds: 0, requests: [] };
+	if (!mapping.length) return plan;
+	pages.forEach((page, index) => {
+		const changed = [].concat(...(page.pageElements || []).map(el => recolorElementRequests(el, mapping, tol)));
+		const background = recolorBackgroundRequests(page, mapping, tol);
+		if (!changed.length && !background.length) return;
+		const requests = background.concat(...changed.map(c => c.requests));
+		plan.slides.push({
+			index, slideId: page.objectId, elements: changed.length,
+			background: background.length > 0, requests: requests.length
+		});
+		plan.elements += changed.length;
+		plan.backgrounds += background.length;
+		plan.requests.push(...requests);
+	});
+	return plan;
+}
+
+/**
+ * The palette to recolour from (recorded before the last colour change) and
+ * the current one, for the dialog
+ */
+function getRecolorPalettes() {
+	const current = getThemeColors();
+	let previous = null;
+	try {
+		const saved = PropertiesService.getDocumentProperties().getProperty(CONFIG_KEYS.RECOLOR_FROM);
+		if (saved) previous = JSON.parse(saved);
+	} catch (e) {
+		console.log('Error reading previous palette: ' + e.message);
+	}
+	return { from: previous || current, to: current, hasPrevious: !!previous, tolerance: RECOLOR_TOLERANCE };
+}
+
+/**
+ * Plan against the live deck
+ * @param {{from: Object, to: Object, tolerance: number}} options
+ */
+function recolorPlanForDeck_(options) {
+	const presentationId = SlidesApp.getActivePresentation().getId();
+	const deck = Slides.Presentations.get(presentationId, { fields: 'slides(objectId,pageProperties,pageElements)' });
+	const tolerance = Math.max(0, Number(options.tolerance));
+	const plan = planRecolor(deck.slides || [], recolorMapping(options.from, options.to),
+		Number.isFinite(tolerance) ? tolerance : RECOLOR_TOLERANCE);
+	return { presentationId, plan };
+}
+
+/**
+ * Dry run: how many elements (and whether the background) change on each
+ * slide; nothing is written
+ * @return {{slides: Array<{index, slideId, elements, background, requests}>,
+ *   elements: number, backgrounds: number, requests: number}}
+ */
+function previewRecolor(options) {
+	const { plan } = recolorPlanForDeck_(options);
+	return { slides: plan.slides, elements: plan.elements, backgrounds: plan.backgrounds, requests: plan.requests.length };
+}
+
+/**
+ * Recolour the deck, then forget the recorded old palette
+ * @return {{slides: Array, elements: number, backgrounds: number, requests: number}}
+ */
+function applyRecolor(options) {
+	const { presentationId, plan } = recolorPlanForDeck_(options);
+	for (let i = 0; i < plan.requests.length; i += RECOLOR_CHUNK) {
+		Slides.Presentations.batchUpdate({ requests: plan.requests.slice(i, i + RECOLOR_CHUNK) }, presentationId);
+	}
+	PropertiesService.getDocumentProperties().deleteProperty(CONFIG_KEYS.RECOLOR_FROM);
+	return { slides: plan.slides, elements: plan.elements, backgrounds: plan.backgrounds, requests: plan.requests.length };
+}
+
+/**
+ * Menu: open the recolour dialog
+ */
+function showRecolorDialog() {
+	const html = HtmlService.createHtmlOutputFromFile('src/components/recolor-dialog.html')
+		.setWidth(520)
+		.setHeight(560);
+	SlidesApp.getUi().showModalDialog(html, '🎨 Restyle to New Palette');
+}
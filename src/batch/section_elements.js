@@ -4,47 +4,58 @@
  * - Before/after section boxes
  * - Section labels
  * - Outline generation
+ * Main-talk and appendix sections are listed apart: a main section slide shows
+ * the main sections (`Section: n`), an appendix one the appendix sections
+ * (`Appendix` / `Appendix n`); the outline lists the main talk only.
  */
 
 /**
  * Add section-specific elements (unified section box with styled lines)
+ * @param {Object} slideCache - createUltraSlideCache() result (uses .layout)
  */
-function addSectionElementsUltra(slides, sectionsCache, requests, cache) {
+function addSectionElementsUltra(slides, sectionsCache, requests, cache, slideCache) {
 	if (!sectionsCache.length) return;
+	const layout = slideCache.layout;
 
 	const BOX_CONFIG = {
-		x: 200,
-		width: 500,
-		height: 300,
+		// Position and size from the page size (chrome_layout.js), centred vertically
+		x: layout.sectionBox.x,
+		y: layout.sectionBox.y,
+		width: layout.sectionBox.width,
+		height: layout.sectionBox.height,
 		// Styles for different states
 		before: { fontSize: 30, color: cache.colors.inactive, bold: false },
 		current: { fontSize: 36, color: cache.colors.main, bold: true },
 		after: { fontSize: 30, color: { red: 0, green: 0, blue: 0 }, bold: false },
 	};
 
-	// Calculate y position to center vertically (slide height ~405pt)
-	const slideHeight = 405;
-	BOX_CONFIG.y = (slideHeight - BOX_CONFIG.height) / 2;
+	const mainSections = chromeMainSections(sectionsCache);
+	const appendixSections = sectionsCache.slice(mainSections.length);
 
 	sectionsCache.forEach((sec, idx) => {
 		const slideId = sec.slideId;
+		const inAppendix = idx >= mainSections.length;
+		const group = inAppendix ? appendixSections : mainSections;
+		const groupIdx = inAppendix ? idx - mainSections.length : idx;
 
-		// Create unified section box with all titles
+		// Create unified section box with the titles of its part of the deck
 		addUnifiedSectionBox(
 			slideId,
-			sectionsCache,
-			idx,
+			group,
+			groupIdx,
 			BOX_CONFIG,
 			requests,
 			cache,
 		);
 
 		// Section label
-		addSectionLabel(slideId, idx + 1, requests, cache);
+		let label = `Section: ${groupIdx + 1}`;
+		if (inAppendix) label = group.length > 1 ? `Appendix ${groupIdx + 1}` : "Appendix";
+		addSectionLabel(slideId, label, requests, cache, layout.sectionLabel);
 	});
 
 	// Add outline to second slide if applicable
-	addOutlineToSecondSlide(slides, sectionsCache, requests, cache);
+	addOutlineToSecondSlide(slides, mainSections, requests, cache, layout.outline);
 }
 
 /**
@@ -158,9 +169,9 @@ function addUnifiedSectionBox(
 }
 
 /**
- * Add section label
+ * Add section label (`text`: "Section: 2", "Appendix", …)
  */
-function addSectionLabel(slideId, sectionNumber, requests, cache) {
+function addSectionLabel(slideId, text, requests, cache, box) {
 	const labelId = `label_${slideId}_${getNextGuid()}`;
 
 	requests.push(
@@ -171,18 +182,18 @@ function addSectionLabel(slideId, sectionNumber, requests, cache) {
 				elementProperties: {
 					pageObjectId: slideId,
 					size: {
-						width: { magnitude: 80, unit: "PT" },
-						height: { magnitude: 25, unit: "PT" },
+						width: { magnitude: box.width, unit: "PT" },
+						height: { magnitude: box.height, unit: "PT" },
 					},
 					transform: {
 						...cache.transforms.identity,
-						translateX: 50,
-						translateY: 50,
+						translateX: box.x,
+						translateY: box.y,
 					},
 				},
 			},
 		},
-		{ insertText: { objectId: labelId, text: `Section: ${sectionNumber}` } },
+		{ insertText: { objectId: labelId, text } },
 		{
 			updateShapeProperties: {
 				objectId: labelId,
@@ -222,7 +233,7 @@ function addSectionLabel(slideId, sectionNumber, requests, cache) {
 /**
  * Add outline to second slide if it has title "Outline"
  */
-function addOutlineToSecondSlide(slides, sectionsCache, requests, cache) {
+function addOutlineToSecondSlide(slides, sectionsCache, requests, cache, box) {
 	const secondSlide = slides[1];
 	if (!secondSlide) return;
 
@@ -240,13 +251,13 @@ function addOutlineToSecondSlide(slides, sectionsCache, requests, cache) {
 						elementProperties: {
 							pageObjectId: secondSlide.getObjectId(),
 							size: {
-								width: { magnitude: 400, unit: "PT" },
-								height: { magnitude: 300, unit: "PT" },
+								width: { magnitude: box.width, unit: "PT" },
+								height: { magnitude: box.height, unit: "PT" },
 							},
 							transform: {
 								...cache.transforms.identity,
-								translateX: 280,
-								translateY: 51,
+								translateX: box.x,
+								translateY: box.y,
 							},
 						},
 					},
@@ -20,17 +20,24 @@ function getSectionHeadersUltra(slides) {
 		// marker is the reliable, language-independent path. lzLayoutType() is the
 		// fallback for marker-less decks — it resolves the layout across UI locale
 		// and import source (see lz_layouts.js / LZ-PROTOCOL.md).
+		// An APPENDIX marker is a section boundary too, one that starts the
+		// appendix (see findAppendixStart in chrome_config.js).
 		const byLayout = lzIsLayout(slide, "SECTION_HEADER");
 		let markerTitle = "";
+		let appendix = false;
+		// Every shape is checked: a slide with both markers starts the appendix
+		// whichever comes first; the title is the first marker's.
 		for (const shape of shapes) {
-			if (lzIsSectionMarker(shape)) {
-				// Prefer the marker's clean JSON title, else the shape's text.
-				markerTitle =
-					lzMarkerTitle(shape) ||
-					(shape.getText ? shape.getText().asString().trim() : "");
-				break;
-			}
+			const isAppendix = lzIsAppendixMarker(shape);
+			if (!isAppendix && !lzIsSectionMarker(shape)) continue;
+			appendix = appendix || isAppendix;
+			// Prefer the marker's clean JSON title, else the shape's text.
+			markerTitle =
+				markerTitle ||
+				lzMarkerTitle(shape) ||
+				(shape.getText ? shape.getText().asString().trim() : "");
 		}
+		if (appendix && !markerTitle) markerTitle = "Appendix";
 		if (!byLayout && !markerTitle) continue;
 
 		let title = markerTitle;
@@ -47,7 +54,9 @@ function getSectionHeadersUltra(slides) {
 			}
 		}
 		if (title) {
-			sections.push({ title: title, index: i, slideId: slide.getObjectId() });
+			const section = { title: title, index: i, slideId: slide.getObjectId() };
+			if (appendix) section.appendix = true;
+			sections.push(section);
 		}
 	}
 	return sections;
@@ -159,9 +168,9 @@ function getOutlineSlideTitle(slide) {
 }
 
 /**
- * Ultra-efficient batch delete of old elements
+ * True if a shape is generated chrome that a rebuild replaces
  */
-function batchDeleteAllElements(slides, requests) {
+function isChromeShape(shape) {
 	const deletePatterns = [
 		"tab_",
 		"progress_",
@@ -170,24 +179,31 @@ function batchDeleteAllElements(slides, requests) {
 		"outline_",
 		"obj_",
 		"page_num_",
+		"toc_",
+		"nav_",
 	];
 	const deleteTargets = ["PROGRESS", "PROGRESS_BG", "MAIN_TITLE"];
+	const id = shape.getObjectId();
+	// Enhanced deletion check - also check for malformed IDs (in case newGuid failed)
+	return (
+		deletePatterns.some((p) => id.startsWith(p)) ||
+		(id.includes("page_num") && id.includes("undefined")) || // Handle broken IDs from undefined newGuid
+		(shape.getTitle && deleteTargets.includes(shape.getTitle())) ||
+		lzIsManaged(shape) // LZ-Protocol: reclaim tag-carrying chrome whose
+		// objectId was regenerated by the PPTX→Slides import (see LZ-PROTOCOL.md)
+	);
+}
 
+/**
+ * Ultra-efficient batch delete of old elements
+ */
+function batchDeleteAllElements(slides, requests) {
 	for (let i = 1; i < slides.length; i++) {
 		// Skip first slide
 		const shapes = slides[i].getShapes();
 		for (const shape of shapes) {
-			const id = shape.getObjectId();
-			// Enhanced deletion check - also check for malformed IDs (in case newGuid failed)
-			const shouldDelete =
-				deletePatterns.some((p) => id.startsWith(p)) ||
-				(id.includes("page_num") && id.includes("undefined")) || // Handle broken IDs from undefined newGuid
-				(shape.getTitle && deleteTargets.includes(shape.getTitle())) ||
-				lzIsManaged(shape); // LZ-Protocol: reclaim tag-carrying chrome whose
-			// objectId was regenerated by the PPTX→Slides import (see LZ-PROTOCOL.md)
-
-			if (shouldDelete) {
-				requests.push({ deleteObject: { objectId: id } });
+			if (isChromeShape(shape)) {
+				requests.push({ deleteObject: { objectId: shape.getObjectId() } });
 			}
 		}
 	}
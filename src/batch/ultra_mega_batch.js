@@ -6,6 +6,11 @@
  * - Slide utilities (slide_utilities.js) 
  * - Element generators (element_generators.js)
  * - Section elements (section_elements.js)
+ * - Chrome config and per-slide opt-out (chrome_config.js)
+ * - Chrome designs per deck (chrome_presets.js)
+ * - Incremental diff (chrome_diff.js)
+ * - Table of contents (create_index.js)
+ * - Change fingerprint for the automatic refresh (auto_refresh.js)
  * - Expected: 1-2s → 0.5-1s for 20-slide presentation
  * 
  * DEPENDENCIES:
@@ -13,6 +18,11 @@
  * - slide_utilities.js
  * - element_generators.js
  * - section_elements.js
+ * - chrome_config.js
+ * - chrome_presets.js
+ * - chrome_diff.js
+ * - create_index.js
+ * - auto_refresh.js
  */
 
 // ⚡ Cache management is now handled by cache_manager.js
@@ -20,25 +30,58 @@
 
 /**
  * 🚀 ULTRA MEGA BATCH: Maximum performance with consolidated operations
+ * @param {{incremental: boolean}=} options - incremental: diff against the
+ *   existing chrome and send only the changes (see chrome_diff.js)
+ * @return {Object|null} diffChromeRequests() stats in incremental mode
  */
-function runAllFunctionsUltraMegaBatch() {
+function runAllFunctionsUltraMegaBatch(options) {
+	const incremental = !!(options && options.incremental);
 	const presentation = SlidesApp.getActivePresentation();
 	const presentationId = presentation.getId();
-	const slides = presentation.getSlides();
 	const requests = [];
 
+	// This deck's saved colours/fonts (onOpen's load does not carry over to a
+	// menu run)
+	loadSavedConfiguration();
+
+	// Add / remove TOC continuation slides first: page numbers follow the final order
+	const deckSlides = syncTocSlidesUltra(presentation, presentation.getSlides());
+	// Skipped slides get no chrome and are not counted (chrome_config.js); the
+	// delete and the diff still cover every slide so their old chrome goes
+	const slides = countedSlides(deckSlides);
+
 	// Initialize ultra cache
 	const cache = initializeUltraCache();
 	
 	// Create optimized slide cache
 	const slideCache = createUltraSlideCache(presentation, slides);
 	const sectionsCache = getSectionHeadersUltra(slides);
+	// Appendix mode: main-talk progress and totals, A1, A2, … after the divider
+	slideCache.appendixStart = findAppendixStart(sectionsCache);
+
+	// Which chrome each slide gets (toggles, skip rules, NO_CHROME opt-outs)
+	planChromeUltra(slides, sectionsCache).forEach((chrome, i) => {
+		slideCache.slideData[i].chrome = chrome;
+	});
+	// Home button target (agenda / outline / TOC slide), when buttons are drawn
+	if (slideCache.slideData.some(data => data.chrome.navigation)) {
+		slideCache.homeSlideId = findNavHomeSlideId(slides);
+	}
 
-	// Single batch delete
-	batchDeleteAllElements(slides, requests);
-
-	// Generate all elements with ultra optimization
-	generateAllElementsUltra(slides, requests, slideCache, sectionsCache, cache);
+	let stats = null;
+	if (incremental) {
+		// Generate the desired chrome, then emit only what differs from the deck
+		const desired = [];
+		generateAllElementsUltra(slides, desired, slideCache, sectionsCache, cache);
+		stats = diffChromeRequests(deckSlides, desired, requests);
+		Logger.log(`Incremental: kept ${stats.kept}, updated ${stats.updated}, created ${stats.created}, deleted ${stats.deleted}; saved ${stats.saved} of ${stats.fullRebuild} operations`);
+	} else {
+		// Single batch delete
+		batchDeleteAllElements(deckSlides, requests);
+
+		// Generate all elements with ultra optimization
+		generateAllElementsUltra(slides, requests, slideCache, sectionsCache, cache);
+	}
 
 	// Single mega batch update
 	if (requests.length) {
@@ -50,6 +93,10 @@ function runAllFunctionsUltraMegaBatch() {
 
 	// Update date separately
 	updateDateInFirstSlide();
+
+	// The automatic refresh rebuilds only when this changes (auto_refresh.js)
+	saveChromeFingerprint(presentation.getSlides());
+	return stats;
 }
 
 // ⚡ Slide cache creation is now handled by cache_manager.js
@@ -82,7 +129,10 @@ function generateAllElementsUltra(slides, requests, slideCache, sectionsCache, c
 	}
 
 	// Add section-specific elements (handled by section_elements.js)
-	addSectionElementsUltra(slides, sectionsCache, requests, cache);
+	addSectionElementsUltra(slides, sectionsCache, requests, cache, slideCache);
+
+	// Table of contents entries (handled by create_index.js)
+	addTocUltra(slides, sectionsCache, requests, cache, slideCache);
 }
 
 // ⚡ Slide element generation is now handled by element_generators.js
@@ -9,15 +9,37 @@ var main_font_family = "Source Sans Pro";
 var water_mark_text = "ⓒ Hsieh-Ting Lin";
 var label_font_size = 14;
 var progressBarHeight = 2.5;
+
+// The values above, restored when a saved value is cleared
+const CONFIG_DEFAULTS = {
+	main_color,
+	base_color,
+	text_color,
+	accent_color,
+	sub1_color,
+	sub2_color,
+	main_font_family,
+	water_mark_text,
+	label_font_size,
+	progressBarHeight,
+};
 const sourcePresentationId = "1qAZzq-uo5blLH1nqp9rbrGDlzz_Aj8eIp0XjDdmI220";
 
 // Properties service keys for storing configuration
 const CONFIG_KEYS = {
 	MAIN_COLOR: "main_color",
+	BASE_COLOR: "base_color",
+	TEXT_COLOR: "text_color",
+	ACCENT_COLOR: "accent_color",
+	SUB1_COLOR: "sub1_color",
+	SUB2_COLOR: "sub2_color",
 	FONT_FAMILY: "main_font_family",
 	WATERMARK_TEXT: "water_mark_text",
 	FONT_SIZE: "label_font_size",
 	PROGRESS_BAR_HEIGHT: "progress_bar_height",
+	CHROME: "chrome_config",
+	CHROME_PRESET: "chrome_preset", // document property: per deck
+	RECOLOR_FROM: "recolor_from_palette", // document property: palette before the last change
 };
 
 /**
@@ -69,14 +91,25 @@ function createCustomMenu() {
 		ui.createMenu("⚙ 設定與批次")
 			// One-click: run every batch processor at once
 			.addItem("🛠 同時執行所有功能", "confirmRunAll")
+			// Same chrome, but only the slides/elements that changed are touched
+			.addItem("⚡ 增量更新所有功能", "runAllFunctionsIncremental")
+			// Opt-in trigger: rebuild chrome on open / on a timer when the deck changed
+			.addItem("⏱ 自動更新 chrome 開/關", "toggleAutoRefresh")
+			.addItem("📋 自動更新紀錄", "showAutoRefreshLog")
 			// One-click: catch PPTX-imported (LZ-tagged) elements, apply canonical
 			// font + style online, then rebuild all chrome
 			.addItem("🦎 套用 PPTX 匯入樣式 (LZ)", "runLzApplyAll")
+			// Report protocol problems (bad instructions, duplicates, drift)
+			.addItem("🦎 LZ 稽核", "showLzAuditSidebar")
+			// Reverse: stamp the live style on every tagged element + Drive spec
+			.addItem("🦎 匯出版型樣式 (LZ → pptx)", "runLzExportHouseStyle")
+			// Map the old theme colours to the new ones on every slide
+			.addItem("🎨 整份簡報重新配色", "showRecolorDialog")
 			.addSeparator()
 			// Setup & configuration
 			.addItem("🎨 套用蜥蜴主題", "applyThemeToCurrentPresentation")
 			.addItem("⚙ 打開設定面板", "showConfigSidebar")
-			.addItem("🔑 設定 AI 金鑰 (Groq)", "showAiKeySetup")
+			.addItem("🔑 設定 AI 金鑰與模型", "showAiKeySetup")
 			.addItem("🔁 重新整理選單", "showMenuManually")
 			.addSeparator()
 			// Self-update: pull the latest script from GitHub into this clone
@@ -88,6 +121,7 @@ function createCustomMenu() {
 			.addItem("🔄 更新進度條", "runUpdateProgressBars")
 			.addItem("📑 更新標籤頁", "runProcessTabs")
 			.addItem("📚 更新 SECTION Header", "runProcessSectionBoxes")
+			.addItem("📑 插入/更新目錄頁", "generateIndexSlide")
 			.addItem("🦶 更新 Footer", "runUpdateTitleFootnotes")
 			.addItem("📅 更新日期 yyyy-mm-dd", "updateDateInFirstSlide")
 			.addItem("💧 浮水印開/關", "runToggleWaterMark")
@@ -101,6 +135,8 @@ function createCustomMenu() {
 				ui
 					.createMenu("🏭 鑄造器")
 					.addItem("⚡ 自動鑄造器⭐", "showAutoMinterDialog")
+					.addItem("🗂 整份簡報鑄造器", "showDeckMinterDialog")
+					.addItem("✏ 編輯選取的鑄造物件", "editSelectedMintedObject")
 					.addSeparator()
 					.addItem("🔲 表格鑄造器⭐", "showTableMinterDialog")
 					.addItem("🔳 網格鑄造器⭐", "showGridMinterDialog")
@@ -249,6 +285,29 @@ function runLzApplyAll() {
 	}
 }
 
+// LZ-Protocol, reverse direction: write each tagged element's live style into
+// its description and save the deck spec for the python-pptx generator.
+function runLzExportHouseStyle() {
+	var ui = SlidesApp.getUi();
+	var answer = ui.alert(
+		"🦎 匯出版型樣式",
+		"會以目前的樣式覆寫每個 LZ 元素的替代文字說明，並在簡報所在的 Drive 資料夾存入 .lz-spec.json / .lz-spec.toml。要繼續嗎？",
+		ui.ButtonSet.YES_NO,
+	);
+	if (answer !== ui.Button.YES) return;
+	try {
+		var res = lzExportHouseStyle();
+		ui.alert(
+			"🦎 匯出完成",
+			"已寫入指令的元素：" + res.stamped + " 個（" + res.roles + " 種角色）。\n\n" +
+				"JSON：" + res.jsonUrl + "\nTOML：" + res.tomlUrl,
+			ui.ButtonSet.OK,
+		);
+	} catch (e) {
+		ui.alert("LZ 匯出失敗", String(e), ui.ButtonSet.OK);
+	}
+}
+
 // Legacy versions (for fallback if needed)
 function runUpdateProgressBarsLegacy() {
 	runRequestProcessors(updateProgressBars);
@@ -282,6 +341,23 @@ function confirmRunAll() {
 	runAllFunctions();
 }
 
+// Incremental rebuild: keeps chrome object IDs (links, comments) and reports
+// how many operations the diff saved over delete-and-recreate.
+function runAllFunctionsIncremental() {
+	var ui = SlidesApp.getUi();
+	try {
+		var s = runAllFunctionsUltraMegaBatch({ incremental: true });
+		ui.alert(
+			"⚡ 增量更新完成",
+			"保留 " + s.kept + "、更新 " + s.updated + "、新增 " + s.created + "、刪除 " + s.deleted + " 個元素。\n" +
+				"送出 " + s.requests + " 個操作，全部重建需 " + s.fullRebuild + " 個（省下 " + s.saved + " 個）。",
+			ui.ButtonSet.OK,
+		);
+	} catch (e) {
+		ui.alert("增量更新失敗", String(e), ui.ButtonSet.OK);
+	}
+}
+
 function runToggleWaterMark() {
 	runRequestProcessors(toggleWaterMark);
 }
@@ -295,43 +371,99 @@ function showConfigSidebar() {
 	SlidesApp.getUi().showSidebar(sidebar);
 }
 
+// Theme colour fields of the sidebar / exported JSON.
+const CONFIG_COLOR_FIELDS = [
+	"mainColor",
+	"baseColor",
+	"textColor",
+	"accentColor",
+	"sub1Color",
+	"sub2Color",
+];
+
 /**
- * Gets the current configuration values for the sidebar.
- * @return {Object} The current configuration values.
+ * Property stores in precedence order: this deck's settings (document
+ * properties) first, then the user's defaults (user properties). A store that
+ * is unavailable in the current auth mode is skipped.
+ * @return {Array<GoogleAppsScript.Properties.Properties>}
  */
-function getConfigValues() {
-	// Try to load from Properties service first
-	const userProperties = PropertiesService.getUserProperties();
-	const savedMainColor = userProperties.getProperty(CONFIG_KEYS.MAIN_COLOR);
-	const savedFontFamily = userProperties.getProperty(CONFIG_KEYS.FONT_FAMILY);
-	const savedWatermarkText = userProperties.getProperty(
-		CONFIG_KEYS.WATERMARK_TEXT,
-	);
-	const savedFontSize = userProperties.getProperty(CONFIG_KEYS.FONT_SIZE);
+function getConfigStores() {
+	const stores = [];
+	for (const get of [
+		() => PropertiesService.getDocumentProperties(),
+		() => PropertiesService.getUserProperties(),
+	]) {
+		try {
+			const store = get();
+			if (store) stores.push(store);
+		} catch (e) {
+			console.log("Config store unavailable: " + e.message);
+		}
+	}
+	return stores;
+}
 
-	// Get available fonts
-	const availableFonts = getAvailableFonts();
+/**
+ * Reads a saved setting: the deck's value, else the user's default, else null.
+ * @param {string} key A CONFIG_KEYS value.
+ * @return {string|null}
+ */
+function readConfigProperty(key) {
+	for (const store of getConfigStores()) {
+		const value = store.getProperty(key);
+		if (value !== null && value !== undefined && value !== "") return value;
+	}
+	return null;
+}
 
-	// Get saved progress bar height
-	const savedProgressBarHeight = userProperties.getProperty(
-		CONFIG_KEYS.PROGRESS_BAR_HEIGHT,
-	);
+/**
+ * True if this deck carries its own settings (any CONFIG_KEYS value in the
+ * document properties).
+ */
+function deckHasConfig() {
+	try {
+		const deck = PropertiesService.getDocumentProperties();
+		return Object.keys(CONFIG_KEYS).some((k) => deck.getProperty(CONFIG_KEYS[k]));
+	} catch (e) {
+		return false;
+	}
+}
 
-	// Return current values (from Properties if available, otherwise from variables)
+/**
+ * The effective configuration (deck → user default → built-in), without the
+ * UI-only font list.
+ * @return {Object}
+ */
+function readConfigValues() {
 	return {
-		mainColor: savedMainColor || main_color,
-		baseColor: base_color,
-		textColor: text_color,
-		sub1Color: sub1_color,
-		accentColor: accent_color,
-		fontFamily: savedFontFamily || main_font_family,
-		watermarkText: savedWatermarkText || water_mark_text,
-		fontSize: savedFontSize || label_font_size,
-		progressBarHeight: savedProgressBarHeight || progressBarHeight,
-		availableFonts: availableFonts,
+		mainColor: readConfigProperty(CONFIG_KEYS.MAIN_COLOR) || main_color,
+		baseColor: readConfigProperty(CONFIG_KEYS.BASE_COLOR) || base_color,
+		textColor: readConfigProperty(CONFIG_KEYS.TEXT_COLOR) || text_color,
+		sub1Color: readConfigProperty(CONFIG_KEYS.SUB1_COLOR) || sub1_color,
+		sub2Color: readConfigProperty(CONFIG_KEYS.SUB2_COLOR) || sub2_color,
+		accentColor: readConfigProperty(CONFIG_KEYS.ACCENT_COLOR) || accent_color,
+		fontFamily: readConfigProperty(CONFIG_KEYS.FONT_FAMILY) || main_font_family,
+		watermarkText: readConfigProperty(CONFIG_KEYS.WATERMARK_TEXT) || water_mark_text,
+		fontSize: readConfigProperty(CONFIG_KEYS.FONT_SIZE) || label_font_size,
+		progressBarHeight: readConfigProperty(CONFIG_KEYS.PROGRESS_BAR_HEIGHT) || progressBarHeight,
+		chrome: getChromeConfig(),
+		chromePreset: getChromePreset(),
 	};
 }
 
+/**
+ * Gets the current configuration values for the sidebar.
+ * @return {Object} The current configuration values.
+ */
+function getConfigValues() {
+	return Object.assign(readConfigValues(), {
+		deckHasConfig: deckHasConfig(),
+		contrastPairs: THEME_CONTRAST_PAIRS,
+		chromePresets: listChromePresets(),
+		availableFonts: getAvailableFonts(),
+	});
+}
+
 /**
  * Gets the available fonts in Google Slides.
  * @return {Array} Array of font family names.
@@ -373,30 +505,151 @@ function getAvailableFonts() {
 }
 
 /**
- * Saves the configuration values from the sidebar.
- * @param {Object} config The configuration values to save.
+ * Saves the configuration values from the sidebar into this deck (document
+ * properties), so everyone who rebuilds it gets the same look.
+ * @param {Object} config The configuration values to save. With
+ *   `saveAsDefault`, they also become the user's default for decks without
+ *   their own settings. An empty ("" or null) field clears the saved value;
+ *   fields left undefined keep it.
  */
 function saveConfigValues(config) {
-	// Save to Properties service
-	const userProperties = PropertiesService.getUserProperties();
-	userProperties.setProperties({
+	const values = {
 		[CONFIG_KEYS.MAIN_COLOR]: config.mainColor,
+		[CONFIG_KEYS.BASE_COLOR]: config.baseColor,
+		[CONFIG_KEYS.TEXT_COLOR]: config.textColor,
+		[CONFIG_KEYS.ACCENT_COLOR]: config.accentColor,
+		[CONFIG_KEYS.SUB1_COLOR]: config.sub1Color,
+		[CONFIG_KEYS.SUB2_COLOR]: config.sub2Color,
 		[CONFIG_KEYS.FONT_FAMILY]: config.fontFamily,
 		[CONFIG_KEYS.WATERMARK_TEXT]: config.watermarkText,
 		[CONFIG_KEYS.FONT_SIZE]: config.fontSize,
 		[CONFIG_KEYS.PROGRESS_BAR_HEIGHT]: config.progressBarHeight,
+	};
+	// setProperties rejects undefined — keep only what the caller sent; an
+	// empty value is removed so the default applies again
+	const cleared = [];
+	Object.keys(values).forEach((k) => {
+		if (values[k] === null || values[k] === "") cleared.push(k);
+		if (values[k] === undefined || values[k] === null || values[k] === "") delete values[k];
+		else values[k] = String(values[k]);
+	});
+	recordPaletteChange(config);
+	const stores = [PropertiesService.getDocumentProperties()];
+	if (config.saveAsDefault) stores.push(PropertiesService.getUserProperties());
+	stores.forEach((store) => {
+		store.setProperties(values);
+		cleared.forEach((k) => store.deleteProperty(k));
 	});
+	if (config.chrome) saveChromeConfig(config.chrome, config.saveAsDefault);
+	if (config.chromePreset) saveChromePreset(config.chromePreset);
 
 	// Update the global variables
-	main_color = config.mainColor;
-	main_font_family = config.fontFamily;
-	water_mark_text = config.watermarkText;
-	label_font_size = Number.parseInt(config.fontSize, 10);
-	progressBarHeight = Number.parseInt(config.progressBarHeight, 10);
+	loadSavedConfiguration();
 
 	return true;
 }
 
+/**
+ * Before the deck's colours change, remember the palette its shapes were drawn
+ * with so the recolour pass (batch/recolor.js) can map old → new. An older
+ * record that was never applied is kept: the deck still carries those colours.
+ * @param {Object} config Values about to be saved.
+ */
+function recordPaletteChange(config) {
+	const deck = PropertiesService.getDocumentProperties();
+	if (deck.getProperty(CONFIG_KEYS.RECOLOR_FROM)) return;
+	const current = readConfigValues();
+	const changed = CONFIG_COLOR_FIELDS.some(
+		(field) =>
+			config[field] &&
+			String(config[field]).toUpperCase() !== String(current[field]).toUpperCase(),
+	);
+	if (!changed) return;
+	deck.setProperty(
+		CONFIG_KEYS.RECOLOR_FROM,
+		JSON.stringify({
+			main: current.mainColor,
+			base: current.baseColor,
+			text: current.textColor,
+			accent: current.accentColor,
+			sub1: current.sub1Color,
+			sub2: current.sub2Color,
+		}),
+	);
+}
+
+// Marks an exported config JSON (and is checked on import).
+const CONFIG_EXPORT_FORMAT = "lizard-config";
+
+/**
+ * This deck's effective configuration as shareable JSON (house style).
+ * @return {string}
+ */
+function exportDeckConfig() {
+	const c = readConfigValues();
+	return JSON.stringify(
+		{
+			format: CONFIG_EXPORT_FORMAT,
+			version: 1,
+			mainColor: c.mainColor,
+			baseColor: c.baseColor,
+			textColor: c.textColor,
+			accentColor: c.accentColor,
+			sub1Color: c.sub1Color,
+			sub2Color: c.sub2Color,
+			fontFamily: c.fontFamily,
+			watermarkText: c.watermarkText,
+			fontSize: Number(c.fontSize),
+			progressBarHeight: Number(c.progressBarHeight),
+			chrome: c.chrome,
+			chromePreset: c.chromePreset,
+		},
+		null,
+		2,
+	);
+}
+
+/**
+ * Applies an exported config JSON to this deck. Keys the JSON leaves out keep
+ * their current value; an empty font or watermark clears it.
+ * @param {string} json Output of exportDeckConfig().
+ * @return {Object} The configuration now in effect (as getConfigValues()).
+ */
+function importDeckConfig(json) {
+	let data;
+	try {
+		data = JSON.parse(json);
+	} catch (e) {
+		throw new Error("Invalid JSON: " + e.message);
+	}
+	if (!data || data.format !== CONFIG_EXPORT_FORMAT) {
+		throw new Error('Not a Lizard config (expected "format": "' + CONFIG_EXPORT_FORMAT + '")');
+	}
+	CONFIG_COLOR_FIELDS.forEach((field) => {
+		if (data[field] !== undefined && !/^#[0-9a-f]{6}$/i.test(data[field])) {
+			throw new Error(field + " must be a #RRGGBB colour");
+		}
+	});
+	if (data.chromePreset !== undefined && !CHROME_PRESETS[data.chromePreset]) {
+		throw new Error("Unknown chromePreset: " + data.chromePreset);
+	}
+	const current = readConfigValues();
+	const colors = {};
+	CONFIG_COLOR_FIELDS.forEach((field) => {
+		colors[field] = data[field] || current[field];
+	});
+	saveConfigValues({
+		...colors,
+		fontFamily: data.fontFamily !== undefined ? data.fontFamily : current.fontFamily,
+		watermarkText: data.watermarkText !== undefined ? data.watermarkText : current.watermarkText,
+		fontSize: data.fontSize || current.fontSize,
+		progressBarHeight: data.progressBarHeight || current.progressBarHeight,
+		chrome: Object.assign({}, current.chrome, data.chrome || {}),
+		chromePreset: data.chromePreset || current.chromePreset,
+	});
+	return getConfigValues();
+}
+
 /**
  * Saves the configuration values and applies them to the current presentation.
  * @param {Object} config The configuration values to save.
@@ -414,27 +667,38 @@ function saveAndApplyConfig(config) {
 
 /**
  * Loads configuration from Properties service when the script runs.
- * This ensures we're using the saved values from previous sessions.
+ * This ensures we're using the saved values from previous sessions: the
+ * deck's own settings first, then the user's defaults.
  */
 function loadSavedConfiguration() {
-	const userProperties = PropertiesService.getUserProperties();
-	const savedMainColor = userProperties.getProperty(CONFIG_KEYS.MAIN_COLOR);
-	const savedFontFamily = userProperties.getProperty(CONFIG_KEYS.FONT_FAMILY);
-	const savedWatermarkText = userProperties.getProperty(
-		CONFIG_KEYS.WATERMARK_TEXT,
-	);
-	const savedFontSize = userProperties.getProperty(CONFIG_KEYS.FONT_SIZE);
-	const savedProgressBarHeight = userProperties.getProperty(
+	const savedMainColor = readConfigProperty(CONFIG_KEYS.MAIN_COLOR);
+	const savedBaseColor = readConfigProperty(CONFIG_KEYS.BASE_COLOR);
+	const savedTextColor = readConfigProperty(CONFIG_KEYS.TEXT_COLOR);
+	const savedAccentColor = readConfigProperty(CONFIG_KEYS.ACCENT_COLOR);
+	const savedSub1Color = readConfigProperty(CONFIG_KEYS.SUB1_COLOR);
+	const savedSub2Color = readConfigProperty(CONFIG_KEYS.SUB2_COLOR);
+	const savedFontFamily = readConfigProperty(CONFIG_KEYS.FONT_FAMILY);
+	const savedWatermarkText = readConfigProperty(CONFIG_KEYS.WATERMARK_TEXT);
+	const savedFontSize = readConfigProperty(CONFIG_KEYS.FONT_SIZE);
+	const savedProgressBarHeight = readConfigProperty(
 		CONFIG_KEYS.PROGRESS_BAR_HEIGHT,
 	);
 
-	// Update the global variables if saved values exist
-	if (savedMainColor) main_color = savedMainColor;
-	if (savedFontFamily) main_font_family = savedFontFamily;
-	if (savedWatermarkText) water_mark_text = savedWatermarkText;
-	if (savedFontSize) label_font_size = Number.parseInt(savedFontSize, 10);
-	if (savedProgressBarHeight)
-		progressBarHeight = Number.parseInt(savedProgressBarHeight, 10);
+	// Update the global variables; a cleared value goes back to its default
+	main_color = savedMainColor || CONFIG_DEFAULTS.main_color;
+	base_color = savedBaseColor || CONFIG_DEFAULTS.base_color;
+	text_color = savedTextColor || CONFIG_DEFAULTS.text_color;
+	accent_color = savedAccentColor || CONFIG_DEFAULTS.accent_color;
+	sub1_color = savedSub1Color || CONFIG_DEFAULTS.sub1_color;
+	sub2_color = savedSub2Color || CONFIG_DEFAULTS.sub2_color;
+	main_font_family = savedFontFamily || CONFIG_DEFAULTS.main_font_family;
+	water_mark_text = savedWatermarkText || CONFIG_DEFAULTS.water_mark_text;
+	label_font_size = savedFontSize
+		? Number.parseInt(savedFontSize, 10)
+		: CONFIG_DEFAULTS.label_font_size;
+	progressBarHeight = savedProgressBarHeight
+		? Number.parseFloat(savedProgressBarHeight)
+		: CONFIG_DEFAULTS.progressBarHeight;
 }
 
 /**
@@ -580,6 +844,14 @@ function showAutoMinterDialog() {
 	showMinterDialog_(createAutoMinterDialog, "⚡ 自動鑄造器 Auto Minter");
 }
 
+/**
+ * Shows the 🗂 Deck Minter dialog: paste an outline or long document, edit the
+ * planned slides, build the whole deck in one run.
+ */
+function showDeckMinterDialog() {
+	showMinterDialog_(createDeckMinterDialog, "🗂 整份簡報鑄造器 Deck Minter");
+}
+
 /** Shows the KPI / Big Number Minter dialog. */
 function showKpiMinterDialog() {
 	showMinterDialog_(createKpiMinterDialog, "📊 KPI 大數字鑄造器 KPI Minter");
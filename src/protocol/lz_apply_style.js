@@ -23,19 +23,45 @@ function _lzAnchor(name) {
 	return map[name] || null;
 }
 
-/** Apply a parsed instruction's text + geometry + fill to a Shape. */
-function lzApplyToShape(shape, instr) {
-	// geometry (points) — reposition/resize the "roughly placed" pptx shape
+/** Move/resize an element from the instruction's x / y / w / h (points). */
+function _lzApplyGeometry(el, instr) {
 	try {
-		if (typeof instr.x === "number") shape.setLeft(instr.x);
-		if (typeof instr.y === "number") shape.setTop(instr.y);
-		if (typeof instr.w === "number") shape.setWidth(instr.w);
-		if (typeof instr.h === "number") shape.setHeight(instr.h);
+		if (typeof instr.x === "number") el.setLeft(instr.x);
+		if (typeof instr.y === "number") el.setTop(instr.y);
+		if (typeof instr.w === "number") el.setWidth(instr.w);
+		if (typeof instr.h === "number") el.setHeight(instr.h);
 	} catch (e) {
 		/* some element types reject resize — ignore */
 	}
+}
 
-	// fill
+/** Apply font / size / bold / italic / color keys (optionally `<prefix>_`-named) to a TextStyle. */
+function _lzApplyTextStyle(ts, instr, prefix) {
+	var k = prefix ? prefix + "_" : "";
+	try {
+		if (instr[k + "font"]) ts.setFontFamily(instr[k + "font"]);
+		if (typeof instr[k + "size"] === "number") ts.setFontSize(instr[k + "size"]);
+		if (typeof instr[k + "bold"] === "boolean") ts.setBold(instr[k + "bold"]);
+		if (typeof instr[k + "italic"] === "boolean") ts.setItalic(instr[k + "italic"]);
+		if (instr[k + "color"]) ts.setForegroundColor(instr[k + "color"]);
+	} catch (e) {
+		/* ignore */
+	}
+}
+
+/**
+ * Apply a parsed instruction's text + geometry + fill to a Shape. `role`
+ * (optional) selects minter-part semantics from LZ_MINTER_ROLES: "shape"
+ * parts keep their text untouched, and `parts` map `<part>_*` keys onto the
+ * text's paragraphs in order.
+ */
+function lzApplyToShape(shape, instr, role) {
+	var spec = (role && LZ_MINTER_ROLES[role]) || null;
+
+	// geometry (points) — reposition/resize the "roughly placed" pptx shape
+	_lzApplyGeometry(shape, instr);
+
+	// fill + outline
 	if (instr.fill) {
 		try {
 			shape.getFill().setSolidFill(instr.fill);
@@ -43,6 +69,14 @@ function lzApplyToShape(shape, instr) {
 			/* ignore */
 		}
 	}
+	if (instr.border || typeof instr.border_w === "number") {
+		try {
+			if (instr.border) shape.getBorder().getLineFill().setSolidFill(instr.border);
+			if (typeof instr.border_w === "number") shape.getBorder().setWeight(instr.border_w);
+		} catch (e) {
+			/* ignore */
+		}
+	}
 
 	// vertical anchor
 	var anchor = _lzAnchor(instr.anchor);
@@ -54,24 +88,94 @@ function lzApplyToShape(shape, instr) {
 		}
 	}
 
+	if (spec && spec.kind === "shape") return;
+
 	// text style
-	var ts = null;
+	var text = null;
+	try {
+		text = shape.getText ? shape.getText() : null;
+	} catch (e) {
+		text = null;
+	}
+	if (!text) return;
+	_lzApplyTextStyle(text.getTextStyle(), instr, "");
+
+	// per-paragraph parts (e.g. KPI_CARD value / label)
+	var parts = (spec && spec.parts) || [];
+	var paragraphs = [];
 	try {
-		ts = shape.getText && shape.getText().getTextStyle();
+		paragraphs = parts.length ? text.getParagraphs() : [];
 	} catch (e) {
-		ts = null;
+		paragraphs = [];
 	}
-	if (ts) {
+	for (var i = 0; i < paragraphs.length; i++) {
+		var part = parts[Math.min(i, parts.length - 1)];
 		try {
-			if (instr.font) ts.setFontFamily(instr.font);
-			if (typeof instr.size === "number") ts.setFontSize(instr.size);
-			if (typeof instr.bold === "boolean") ts.setBold(instr.bold);
-			if (typeof instr.italic === "boolean") ts.setItalic(instr.italic);
-			if (instr.color) ts.setForegroundColor(instr.color);
+			_lzApplyTextStyle(paragraphs[i].getRange().getTextStyle(), instr, part);
 		} catch (e) {
-			/* ignore */
+			/* ignore paragraph */
 		}
 	}
+
+	// per-run styling: `runs` (or [[lz.runs]]) style the text's runs in order
+	if (!Array.isArray(instr.runs) || !instr.runs.length) return;
+	var runs = [];
+	try {
+		runs = text.getRuns();
+	} catch (e) {
+		runs = [];
+	}
+	for (var r = 0; r < runs.length && r < instr.runs.length; r++) {
+		if (instr.runs[r]) _lzApplyTextStyle(runs[r].getTextStyle(), instr.runs[r], "");
+	}
+}
+
+/** Apply a line-part instruction: geometry + `color` / `weight`. */
+function lzApplyToLine(line, instr) {
+	_lzApplyGeometry(line, instr);
+	try {
+		if (instr.color) line.getLineFill().setSolidFill(instr.color);
+		if (typeof instr.weight === "number") line.setWeight(instr.weight);
+	} catch (e) {
+		/* ignore */
+	}
+}
+
+/** Every page element on a slide, group children included (depth-first). */
+function _lzWalkElements(elements, out) {
+	for (var i = 0; i < elements.length; i++) {
+		var el = elements[i];
+		out.push(el);
+		try {
+			if (el.getPageElementType() === SlidesApp.PageElementType.GROUP) {
+				_lzWalkElements(el.asGroup().getChildren(), out);
+			}
+		} catch (e) {
+			/* not a group */
+		}
+	}
+	return out;
+}
+
+/**
+ * The updateTableColumnProperties requests for a TABLE instruction's
+ * `col_widths` (points, left to right) — SlidesApp has no column-width setter.
+ */
+function _lzColumnWidthRequests(objectId, instr) {
+	var reqs = [];
+	var widths = Array.isArray(instr.col_widths) ? instr.col_widths : [];
+	for (var c = 0; c < widths.length; c++) {
+		if (typeof widths[c] !== "number") continue;
+		reqs.push({
+			updateTableColumnProperties: {
+				objectId: objectId,
+				columnIndices: [c],
+				tableColumnProperties: { columnWidth: { magnitude: widths[c], unit: "PT" } },
+				fields: "columnWidth",
+			},
+		});
+	}
+	return reqs;
 }
 
 /** Apply a TABLE instruction: geometry + per-row (header/cell) styling. */
@@ -109,64 +213,80 @@ function lzApplyToTable(table, instr) {
 	}
 }
 
+/**
+ * Apply one element's instruction by page-element type. What SlidesApp cannot
+ * set (horizontal alignment, table column widths) is queued on `restReqs`
+ * (flushed by _lzFlushRequests). Returns true if styled.
+ */
+function _lzApplyElement(el, role, instr, restReqs) {
+	var type = el.getPageElementType();
+	if (type === SlidesApp.PageElementType.SHAPE) {
+		lzApplyToShape(el.asShape(), instr, role);
+		if (instr.align) {
+			restReqs.push({
+				updateParagraphStyle: {
+					objectId: el.getObjectId(),
+					textRange: { type: "ALL" },
+					style: { alignment: instr.align },
+					fields: "alignment",
+				},
+			});
+		}
+	} else if (type === SlidesApp.PageElementType.TABLE) {
+		if (role !== LZ_ROLES.TABLE) return false;
+		lzApplyToTable(el.asTable(), instr);
+		Array.prototype.push.apply(restReqs, _lzColumnWidthRequests(el.getObjectId(), instr));
+	} else if (type === SlidesApp.PageElementType.LINE) {
+		lzApplyToLine(el.asLine(), instr);
+	} else if (type === SlidesApp.PageElementType.IMAGE) {
+		_lzApplyGeometry(el, instr);
+	} else {
+		return false;
+	}
+	return true;
+}
+
+/** Send queued requests in one Advanced-Slides batch (best-effort). */
+function _lzFlushRequests(presentation, restReqs) {
+	if (!restReqs.length) return;
+	try {
+		Slides.Presentations.batchUpdate(
+			{ requests: restReqs },
+			presentation.getId(),
+		);
+	} catch (e) {
+		/* alignment / column widths best-effort */
+	}
+}
+
 /**
  * Walk the deck, catch every LZ-tagged element, and apply its injected
- * instruction. Horizontal paragraph alignment is flushed in one Advanced-Slides
- * batch (SlidesApp has no direct setter). Returns the count of styled elements.
+ * instruction. Horizontal paragraph alignment and table column widths are
+ * flushed in one Advanced-Slides batch (SlidesApp has no direct setter).
+ * Returns the count of styled elements.
  */
 function lzApplyStyleAll() {
 	var presentation = SlidesApp.getActivePresentation();
 	var slides = presentation.getSlides();
 	var touched = 0;
-	var alignReqs = [];
+	var restReqs = [];
 
 	for (var s = 0; s < slides.length; s++) {
 		var slide = slides[s];
 
-		// shapes
-		var shapes = slide.getShapes();
-		for (var i = 0; i < shapes.length; i++) {
-			var shape = shapes[i];
-			var role = lzRoleOf(shape);
-			if (!role || lzIsManaged(shape)) continue; // chrome is rebuilt, not styled
-			var instr = lzInstr(shape);
+		// every element, minted groups' children included
+		var elements = _lzWalkElements(slide.getPageElements(), []);
+		for (var i = 0; i < elements.length; i++) {
+			var el = elements[i];
+			var role = lzRoleOf(el);
+			if (!role || lzIsManaged(el)) continue; // chrome is rebuilt, not styled
+			var instr = lzInstr(el);
 			if (!instr) continue;
-			lzApplyToShape(shape, instr);
-			if (instr.align) {
-				alignReqs.push({
-					updateParagraphStyle: {
-						objectId: shape.getObjectId(),
-						textRange: { type: "ALL" },
-						style: { alignment: instr.align },
-						fields: "alignment",
-					},
-				});
-			}
-			touched++;
-		}
-
-		// tables (not returned by getShapes)
-		var tables = slide.getTables();
-		for (var t = 0; t < tables.length; t++) {
-			var table = tables[t];
-			if (lzRoleOf(table) !== LZ_ROLES.TABLE) continue;
-			var tinstr = lzInstr(table);
-			if (!tinstr) continue;
-			lzApplyToTable(table, tinstr);
-			touched++;
+			if (_lzApplyElement(el, role, instr, restReqs)) touched++;
 		}
 	}
 
-	if (alignReqs.length) {
-		try {
-			Slides.Presentations.batchUpdate(
-				{ requests: alignReqs },
-				presentation.getId(),
-			);
-		} catch (e) {
-			/* alignment best-effort */
-		}
-	}
+	_lzFlushRequests(presentation, restReqs);
 	return touched;
 }
 
@@ -0,0 +1,495 @@
+// 🩺 LZ-PROTOCOL — deck audit: validate every tagged element against the protocol
+/**
+ * lzParseInstr is deliberately forgiving: a malformed line is skipped and an
+ * unknown role just falls through, so a broken instruction fails silently. The
+ * audit walks every slide (group children included) and reports what the
+ * forgiving path hides:
+ *   - unknown roles, and title / description roles that disagree
+ *   - malformed instruction lines, unknown keys, wrong value types
+ *   - a missing `v`, or a `v` other than LZ_PROTOCOL_VERSION
+ *   - managed chrome duplicated on one slide
+ *   - SECTION markers that yield no section title
+ *   - styled elements whose live geometry / font drifted from the instruction
+ *
+ * Menu ⚙ 設定與批次 → 🦎 LZ 稽核 opens the report sidebar
+ * (src/components/lz-audit-sidebar.html), which calls lzAuditDeck,
+ * lzAuditSelect and lzAuditFix through google.script.run.
+ *
+ * Issue shape:
+ *   { slideId, slideIndex, objectId, role, code, severity, message, fixable }
+ *   severity — "error" (ignored or misread by lizard) | "warning" (works, but
+ *   not as authored) | "info"
+ */
+
+// Managed roles drawn at most once per slide. The other managed roles (TAB,
+// SECTION_BOX, SECTION_LABEL) repeat, so only a repeat with the same text is
+// a duplicate.
+var LZ_SINGLETON_ROLES = {
+	PROGRESS: true,
+	PROGRESS_BG: true,
+	PAGE_NUM: true,
+	OUTLINE: true,
+	MAIN_TITLE: true,
+};
+
+// Geometry drift below this many points is rounding, not drift.
+var LZ_AUDIT_TOLERANCE_PT = 0.5;
+
+function _lzProblem(code, severity, message, fixable) {
+	return { code: code, severity: severity, message: message, fixable: !!fixable };
+}
+
+/** The value type a key takes for `role` under `schema`, or "" if unknown. */
+function _lzInstrKeyType(key, role, schema) {
+	if (schema.keys.hasOwnProperty(key)) return schema.keys[key];
+	var spec = (role && LZ_MINTER_ROLES[role]) || null;
+	var parts = (spec && spec.parts) || [];
+	for (var i = 0; i < parts.length; i++) {
+		var prefix = parts[i] + "_";
+		if (key.indexOf(prefix) !== 0) continue;
+		var sub = key.slice(prefix.length);
+		if (LZ_INSTR_STYLE_KEYS.hasOwnProperty(sub)) return LZ_INSTR_STYLE_KEYS[sub];
+	}
+	return "";
+}
+
+function _lzInstrTypeName(value) {
+	if (Array.isArray(value)) return "array";
+	return value && typeof value === "object" ? "table" : typeof value;
+}
+
+/** Why `value` is not of schema type `type`, or "" if it is. */
+function _lzInstrTypeError(value, type) {
+	var actual = _lzInstrTypeName(value);
+	if (type === "number[]" || type === "style[]") {
+		if (actual !== "array") return "應為陣列，實際為 " + actual;
+		for (var i = 0; i < value.length; i++) {
+			var item = value[i];
+			if (type === "number[]") {
+				if (typeof item !== "number") return "第 " + (i + 1) + " 項應為 number";
+				continue;
+			}
+			if (_lzInstrTypeName(item) !== "table") return "第 " + (i + 1) + " 項應為表格";
+			for (var k in item) {
+				if (!item.hasOwnProperty(k)) continue;
+				var want = LZ_INSTR_STYLE_KEYS[k];
+				if (!want) return "第 " + (i + 1) + " 項有未知的鍵 " + k;
+				if (typeof item[k] !== want) return "第 " + (i + 1) + " 項的 " + k + " 應為 " + want;
+			}
+		}
+		return "";
+	}
+	return actual === type ? "" : "應為 " + type + "，實際為 " + actual;
+}
+
+/**
+ * Strictly validate a TOML style instruction — what the forgiving parser
+ * (lz_toml.js) reads past: syntax errors, then every flattened key against the
+ * schema for the instruction's `v`. `role` is the element's resolved role (""
+ * if untagged); it decides which `<part>_*` keys are known and is compared
+ * with the instruction's own `role`.
+ * @param {string} text - the alt-text description
+ * @param {string} role
+ * @return {Array<{code: string, severity: string, message: string, fixable: boolean}>}
+ */
+function lzValidateInstr(text, role) {
+	var problems = [];
+	var report = function (code, severity, message, fixable) {
+		problems.push(_lzProblem(code, severity, message, fixable));
+	};
+	var parsed = _lzTomlParse(text);
+	for (var e = 0; e < parsed.errors.length; e++) {
+		var err = parsed.errors[e];
+		var severity = err.code === "malformed-line" ? "error" : "warning";
+		report(err.code, severity, "第 " + err.line + " 行：" + err.message);
+	}
+
+	var v = parsed.data.v;
+	if (v === undefined) {
+		report("no-version", "info", "指令缺少 v（視為 v = 1）", true);
+	} else if (typeof v === "number" && v !== LZ_PROTOCOL_VERSION) {
+		if (v < LZ_PROTOCOL_VERSION && lzInstrSchema(v)) {
+			report("version-mismatch", "warning", "舊版 v = " + v + "，套用時會升級到 v = " + LZ_PROTOCOL_VERSION);
+		} else {
+			report("version-mismatch", "error", "協定版本 v = " + v + "，lizard 只懂 v = " + LZ_PROTOCOL_VERSION);
+		}
+	}
+
+	var schema = lzInstrSchema(LZ_PROTOCOL_VERSION);
+	var instr = lzNormalizeInstr(parsed.data);
+	for (var key in instr) {
+		if (!instr.hasOwnProperty(key)) continue;
+		var value = instr[key];
+		var type = _lzInstrKeyType(key, role, schema);
+		if (!type) {
+			report("unknown-key", "warning", "未知的鍵 " + key + "（不會套用）");
+			continue;
+		}
+		var typeError = _lzInstrTypeError(value, type);
+		if (typeError) {
+			report("bad-type", "error", key + " " + typeError);
+			continue;
+		}
+		var enums = schema.enums[key];
+		if (enums && enums.indexOf(value) < 0) {
+			report("bad-value", "warning", key + " 應為 " + enums.join(" / "));
+		} else if (/(?:^|_)(?:color|fill|border)$/.test(key) && !/^#(?:[0-9a-fA-F]{3}){1,2}$/.test(value)) {
+			report("bad-value", "warning", key + " 應為 #RRGGBB 色碼");
+		} else if (key === "role" && !LZ_ROLES[value.toUpperCase()]) {
+			report("unknown-role", "error", "未知的角色 role = \"" + value + "\"");
+		} else if (key === "role" && role && value.toUpperCase() !== role) {
+			report("role-mismatch", "error", "標題角色 " + role + " 與 role = \"" + value + "\" 不一致");
+		}
+	}
+	return problems;
+}
+
+function _lzAuditGet(el, getter) {
+	try {
+		return (el[getter] && el[getter]()) || "";
+	} catch (e) {
+		return "";
+	}
+}
+
+/** True if a description is a TOML instruction rather than free alt text. */
+function _lzLooksLikeInstr(desc, titled) {
+	if (/^\s*\[\[?lz(?:\.[^\]]+)?\]\]?\s*$/m.test(desc)) return true;
+	return titled && /^\s*[a-z][a-z0-9_]*\s*=/m.test(desc);
+}
+
+/**
+ * The role a description declares (JSON `role`, or TOML `role = "…"`),
+ * uppercased, or "" if none.
+ */
+function _lzDeclaredRole(desc) {
+	if (desc.charAt(0) === "{") {
+		try {
+			var obj = JSON.parse(desc);
+			return obj && obj.lz && obj.role ? String(obj.role).toUpperCase() : "";
+		} catch (e) {
+			return "";
+		}
+	}
+	var instr = lzParseInstr(desc);
+	return instr && typeof instr.role === "string" ? instr.role.toUpperCase() : "";
+}
+
+/** Trimmed text of a shape element, or "" for anything else. */
+function _lzAuditText(el) {
+	try {
+		if (el.getPageElementType() !== SlidesApp.PageElementType.SHAPE) return "";
+		return el.asShape().getText().asString().trim();
+	} catch (e) {
+		return "";
+	}
+}
+
+/**
+ * First non-empty text on a slide that a SECTION marker could take as its
+ * title — skipping the marker itself and managed chrome.
+ */
+function _lzAuditFirstText(elements, skipId) {
+	for (var i = 0; i < elements.length; i++) {
+		var el = elements[i];
+		if (el.getObjectId() === skipId || lzIsManaged(el)) continue;
+		var t = _lzAuditText(el);
+		if (t) return t;
+	}
+	return "";
+}
+
+/**
+ * What drifted between an element's live geometry / font and its instruction,
+ * e.g. ["x 30 ≠ 24.48", "字型 Arial ≠ Source Sans Pro"].
+ */
+function _lzAuditDrift(el, role, instr) {
+	var out = [];
+	var type = el.getPageElementType();
+	var geometry = [
+		["x", "getLeft"],
+		["y", "getTop"],
+		["w", "getWidth"],
+		["h", "getHeight"],
+	];
+	for (var i = 0; i < geometry.length; i++) {
+		var k = geometry[i][0];
+		if (typeof instr[k] !== "number") continue;
+		if (k === "h" && type === SlidesApp.PageElementType.TABLE) continue; // rows decide
+		var live = null;
+		try {
+			live = el[geometry[i][1]]();
+		} catch (e) {
+			live = null;
+		}
+		if (typeof live === "number" && Math.abs(live - instr[k]) > LZ_AUDIT_TOLERANCE_PT) {
+			out.push(k + " " + Math.round(live * 100) / 100 + " ≠ " + instr[k]);
+		}
+	}
+
+	// whole-text font of text shapes (mixed runs report null and are skipped)
+	var spec = LZ_MINTER_ROLES[role];
+	if (type !== SlidesApp.PageElementType.SHAPE || (spec && spec.kind !== "text")) return out;
+	if (!instr.font && typeof instr.size !== "number") return out;
+	try {
+		var text = el.asShape().getText();
+		if (!text.asString().trim()) return out;
+		var ts = text.getTextStyle();
+		var family = ts.getFontFamily();
+		var size = ts.getFontSize();
+		if (instr.font && family && family !== instr.font) {
+			out.push("字型 " + family + " ≠ " + instr.font);
+		}
+		var sizeDrift = typeof instr.size === "number" && size && Math.abs(size - instr.size);
+		if (sizeDrift > LZ_AUDIT_TOLERANCE_PT) {
+			out.push("字級 " + size + " ≠ " + instr.size);
+		}
+	} catch (e) {
+		/* no text */
+	}
+	return out;
+}
+
+/**
+ * Audit one slide's page elements (already flattened by _lzWalkElements).
+ * @param {Array<GoogleAppsScript.Slides.PageElement>} elements
+ * @param {string} slideId
+ * @param {number} slideIndex - 0-based
+ * @return {Array<Object>} issues
+ */
+function _lzAuditSlide(elements, slideId, slideIndex) {
+	var issues = [];
+	var chrome = {};
+	var markers = [];
+	var add = function (el, role, p) {
+		issues.push({
+			slideId: slideId,
+			slideIndex: slideIndex,
+			objectId: el.getObjectId(),
+			role: role,
+			code: p.code,
+			severity: p.severity,
+			message: p.message,
+			fixable: p.fixable,
+		});
+	};
+
+	for (var i = 0; i < elements.length; i++) {
+		var el = elements[i];
+		var title = String(_lzAuditGet(el, "getTitle"));
+		var desc = String(_lzAuditGet(el, "getDescription")).trim();
+		var titleRole = LZ_ROLES[title] ? title : "";
+		var data = null;
+		var instrText = "";
+
+		if (desc.charAt(0) === "{") {
+			try {
+				data = JSON.parse(desc);
+			} catch (e) {
+				if (titleRole) {
+					add(el, titleRole, _lzProblem("bad-json", "error", "說明欄的 JSON 無法解析"));
+				}
+			}
+			if (data && !data.lz) data = null;
+		} else if (desc && _lzLooksLikeInstr(desc, !!titleRole)) {
+			instrText = desc;
+		}
+		if (!titleRole && !data && !instrText) continue; // not an LZ element
+
+		var declared = _lzDeclaredRole(desc);
+		var role = titleRole || (LZ_ROLES[declared] ? declared : "");
+		var msg;
+		if (!role) {
+			msg = "未知的角色「" + (declared || title || "(空白)") + "」";
+			add(el, declared, _lzProblem("unknown-role", "error", msg));
+			continue;
+		}
+		if (!titleRole && instrText) {
+			// lzRoleOf reads roles from the title or a JSON payload only
+			msg = "標題「" + title + "」不是 LZ 角色，指令不會套用（說明宣告 " + role + "）";
+			add(el, role, _lzProblem("unknown-role", "error", msg, true));
+		}
+
+		if (data) {
+			if (titleRole && declared && declared !== titleRole) {
+				msg = "標題角色 " + titleRole + " 與 JSON role「" + data.role + "」不一致";
+				add(el, role, _lzProblem("role-mismatch", "error", msg));
+			}
+			if (data.v === undefined) {
+				add(el, role, _lzProblem("no-version", "warning", "JSON 缺少 v", true));
+			} else if (data.v !== LZ_PROTOCOL_VERSION) {
+				msg = "協定版本 v = " + data.v + "，lizard 只懂 v = " + LZ_PROTOCOL_VERSION;
+				add(el, role, _lzProblem("version-mismatch", "error", msg));
+			}
+		} else if (instrText) {
+			var problems = lzValidateInstr(instrText, titleRole);
+			for (var p = 0; p < problems.length; p++) add(el, role, problems[p]);
+		}
+
+		if (LZ_MANAGED_ROLES[role]) {
+			// chrome stamped by the incremental rebuild carries a per-slide key
+			// (segments, dots: several PROGRESS / PAGE_NUM on purpose)
+			var stamp = data && data.key ? "#" + data.key : "";
+			var key = stamp ? role + stamp : LZ_SINGLETON_ROLES[role] ? role : role + "\n" + _lzAuditText(el);
+			if (chrome[key]) {
+				msg = "同一頁重複的 " + role + "（重建時會再畫一次，多的可刪除）";
+				add(el, role, _lzProblem("duplicate", "warning", msg, true));
+			}
+			chrome[key] = true;
+			continue; // chrome is rebuilt, never styled
+		}
+
+		if (role === LZ_ROLES.SECTION && !lzMarkerTitle(el) && !_lzAuditText(el)) {
+			markers.push(el);
+		}
+
+		var instr = instrText ? lzParseInstr(instrText) : null;
+		var drift = instr ? _lzAuditDrift(el, role, instr) : [];
+		if (drift.length) {
+			msg = "與指令不符：" + drift.join("、");
+			add(el, role, _lzProblem("drift", "warning", msg, true));
+		}
+	}
+
+	for (var m = 0; m < markers.length; m++) {
+		var fallback = _lzAuditFirstText(elements, markers[m].getObjectId());
+		msg =
+			"SECTION 標記沒有 title 也沒有文字" +
+			(fallback ? "，可改用「" + fallback + "」" : "，章節不會出現在目錄");
+		add(markers[m], LZ_ROLES.SECTION, _lzProblem("marker-no-title", "warning", msg, !!fallback));
+	}
+	return issues;
+}
+
+/**
+ * Audit the whole deck. Called from the sidebar through google.script.run;
+ * the result is also what 匯出 JSON downloads.
+ * @return {{presentationId: string, name: string, version: number,
+ *   auditedAt: string, slides: number, elements: number,
+ *   counts: {error: number, warning: number, info: number},
+ *   issues: Array<Object>}}
+ */
+function lzAuditDeck() {
+	var presentation = SlidesApp.getActivePresentation();
+	var slides = presentation.getSlides();
+	var issues = [];
+	var elementCount = 0;
+	for (var s = 0; s < slides.length; s++) {
+		var elements = _lzWalkElements(slides[s].getPageElements(), []);
+		elementCount += elements.length;
+		issues = issues.concat(_lzAuditSlide(elements, slides[s].getObjectId(), s));
+	}
+	var counts = { error: 0, warning: 0, info: 0 };
+	for (var i = 0; i < issues.length; i++) counts[issues[i].severity]++;
+	return {
+		presentationId: presentation.getId(),
+		name: presentation.getName(),
+		version: LZ_PROTOCOL_VERSION,
+		auditedAt: new Date().toISOString(),
+		slides: slides.length,
+		elements: elementCount,
+		counts: counts,
+		issues: issues,
+	};
+}
+
+/**
+ * Jump to an issue: show its slide and select its element.
+ * @param {string} slideId
+ * @param {string} objectId
+ * @return {{success: boolean, error?: string}}
+ */
+function lzAuditSelect(slideId, objectId) {
+	var slide = SlidesApp.getActivePresentation().getSlideById(slideId);
+	if (!slide) return { success: false, error: "找不到投影片（可能已刪除），請重新稽核。" };
+	slide.selectAsCurrentPage();
+	var el = objectId ? slide.getPageElementById(objectId) : null;
+	if (!el) return { success: false, error: "找不到元素（可能已刪除），請重新稽核。" };
+	el.select();
+	return { success: true };
+}
+
+/**
+ * Set one root key in an LZ description: a JSON payload gets the field, a
+ * TOML instruction gets its root line replaced, or a new one added under
+ * `[lz]` (before any nested table).
+ */
+function _lzSetDescKey(desc, key, value) {
+	if (desc.charAt(0) === "{") {
+		var obj = JSON.parse(desc);
+		obj[key] = value;
+		return JSON.stringify(obj);
+	}
+	// a JSON string literal is a valid TOML basic string
+	var line = key + " = " + (typeof value === "string" ? JSON.stringify(value) : String(value));
+	var lines = desc ? desc.split("\n") : ["[lz]"];
+	var keyRe = new RegExp("^\\s*" + key + "\\s*=");
+	var inRoot = true;
+	var at = 0;
+	for (var i = 0; i < lines.length; i++) {
+		var t = lines[i].trim();
+		if (t.charAt(0) === "[") {
+			inRoot = t === "[lz]";
+			if (inRoot) at = i + 1;
+		} else if (inRoot && keyRe.test(lines[i])) {
+			lines[i] = line;
+			return lines.join("\n");
+		}
+	}
+	lines.splice(at, 0, line);
+	return lines.join("\n");
+}
+
+/**
+ * Fix one fixable issue from lzAuditDeck:
+ *   drift → re-apply the instruction · duplicate → remove the extra chrome ·
+ *   no-version → stamp `v` · unknown-role → title it with the declared role ·
+ *   marker-no-title → give the marker the slide's first text as `title`.
+ * @param {Object} issue
+ * @return {{success: boolean, error?: string}}
+ */
+function lzAuditFix(issue) {
+	var i = issue || {};
+	var presentation = SlidesApp.getActivePresentation();
+	var slide = presentation.getSlideById(i.slideId);
+	var el = slide ? slide.getPageElementById(i.objectId) : null;
+	if (!el) return { success: false, error: "找不到元素（可能已刪除），請重新稽核。" };
+	var desc = String(el.getDescription() || "").trim();
+	try {
+		if (i.code === "drift") {
+			var instr = lzParseInstr(desc);
+			var restReqs = [];
+			if (!instr || !_lzApplyElement(el, i.role, instr, restReqs)) {
+				return { success: false, error: "這個元素無法重新套用指令。" };
+			}
+			_lzFlushRequests(presentation, restReqs);
+		} else if (i.code === "duplicate") {
+			el.remove();
+		} else if (i.code === "no-version") {
+			el.setDescription(_lzSetDescKey(desc, "v", LZ_PROTOCOL_VERSION));
+		} else if (i.code === "unknown-role") {
+			var declared = _lzDeclaredRole(desc);
+			if (!LZ_ROLES[declared]) return { success: false, error: "說明沒有宣告已知的角色。" };
+			el.setTitle(declared);
+		} else if (i.code === "marker-no-title") {
+			var title = _lzAuditFirstText(_lzWalkElements(slide.getPageElements(), []), i.objectId);
+			if (!title) return { success: false, error: "這頁沒有可當章節標題的文字。" };
+			el.setDescription(_lzSetDescKey(desc, "title", title));
+		} else {
+			return { success: false, error: "這個問題需要手動修正。" };
+		}
+	} catch (e) {
+		return { success: false, error: e.message };
+	}
+	return { success: true };
+}
+
+/** Opens the LZ audit report sidebar (menu ⚙ 設定與批次 → 🦎 LZ 稽核). */
+function showLzAuditSidebar() {
+	var html = HtmlService.createHtmlOutputFromFile(
+		"src/components/lz-audit-sidebar",
+	)
+		.setTitle("🦎 LZ 稽核")
+		.setWidth(360);
+	SlidesApp.getUi().showSidebar(html);
+}
@@ -0,0 +1,315 @@
+// 📤 LZ-PROTOCOL — reverse export: stamp each element's live style as its instruction
+/**
+ * The lizard → pptx half of the round trip. lzExportHouseStyle() (menu
+ * ⚙ 設定與批次 → 🦎 匯出版型樣式 (LZ)):
+ *   1. reads every tagged element's LIVE state — geometry, font, size, bold,
+ *      italic, colour, fill, border, anchor, alignment, plus minter-part
+ *      paragraphs, table header / cell rows and column widths, line colour;
+ *   2. writes it as the full TOML instruction into the element's description
+ *      (one batchUpdate), keeping keys it cannot read live such as a SECTION
+ *      marker's `title`;
+ *   3. saves a deck-level spec next to the deck in Drive —
+ *      `<deck>.lz-spec.json` (page size, the house style per role, every
+ *      slide's tagged elements) and `<deck>.lz-spec.toml` (page + roles).
+ * A python-pptx generator reading either can rebuild a deck that matches a
+ * hand-tuned Google Slides original.
+ *
+ * Managed chrome (rebuilt from slide order) and MINTED groups (their
+ * description holds the minter payload) are left alone.
+ */
+
+// Instruction keys a live read never produces but the export keeps.
+var LZ_EXPORT_KEEP = {
+	title: true,
+	runs: true,
+};
+
+function _lzRound(n) {
+	return Math.round(n * 100) / 100;
+}
+
+/** "#RRGGBB" of a SlidesApp Color (theme colours via the deck's scheme), or "". */
+function _lzColorHex(color, scheme) {
+	if (!color) return "";
+	try {
+		var type = color.getColorType();
+		if (type === SlidesApp.ColorType.RGB) {
+			return color.asRgbColor().asHexString().toUpperCase();
+		}
+		if (type === SlidesApp.ColorType.THEME && scheme) {
+			var themed = scheme.getConcreteColor(color.asThemeColor().getThemeColorType());
+			return themed.asHexString().toUpperCase();
+		}
+	} catch (e) {
+		/* unreadable colour */
+	}
+	return "";
+}
+
+/** Colour of a solid Fill / LineFill, or "" when it is not solid. */
+function _lzSolidHex(fill, scheme) {
+	try {
+		var solid = fill.getSolidFill();
+		return solid ? _lzColorHex(solid.getColor(), scheme) : "";
+	} catch (e) {
+		return "";
+	}
+}
+
+/** Read font / size / bold / italic / colour into `<prefix>_`-named keys (mixed values are skipped). */
+function _lzReadTextStyle(ts, scheme, prefix, out) {
+	var k = prefix ? prefix + "_" : "";
+	try {
+		var font = ts.getFontFamily();
+		var size = ts.getFontSize();
+		var bold = ts.isBold();
+		var italic = ts.isItalic();
+		var color = _lzColorHex(ts.getForegroundColor(), scheme);
+		if (font) out[k + "font"] = font;
+		if (typeof size === "number") out[k + "size"] = _lzRound(size);
+		if (typeof bold === "boolean") out[k + "bold"] = bold;
+		if (typeof italic === "boolean") out[k + "italic"] = italic;
+		if (color) out[k + "color"] = color;
+	} catch (e) {
+		/* ignore */
+	}
+}
+
+function _lzReadShape(shape, role, scheme, out) {
+	var enums = lzInstrSchema().enums;
+	var fill = _lzSolidHex(shape.getFill(), scheme);
+	if (fill) out.fill = fill;
+	try {
+		var border = shape.getBorder();
+		if (border.isVisible()) {
+			var line = _lzSolidHex(border.getLineFill(), scheme);
+			if (line) out.border = line;
+			out.border_w = _lzRound(border.getWeight());
+		}
+		var anchor = String(shape.getContentAlignment());
+		if (enums.anchor.indexOf(anchor) >= 0) out.anchor = anchor;
+	} catch (e) {
+		/* ignore */
+	}
+
+	var spec = LZ_MINTER_ROLES[role];
+	if (spec && spec.kind !== "text") return;
+	var text = shape.getText();
+	if (!text.asString().trim()) return;
+	_lzReadTextStyle(text.getTextStyle(), scheme, "", out);
+	try {
+		var align = String(text.getParagraphStyle().getParagraphAlignment());
+		if (enums.align.indexOf(align) >= 0) out.align = align;
+	} catch (e) {
+		/* mixed alignment */
+	}
+	var parts = (spec && spec.parts) || [];
+	var paragraphs = parts.length ? text.getParagraphs() : [];
+	for (var i = 0; i < parts.length && i < paragraphs.length; i++) {
+		_lzReadTextStyle(paragraphs[i].getRange().getTextStyle(), scheme, parts[i], out);
+	}
+}
+
+function _lzReadTable(table, scheme, out) {
+	var widths = [];
+	for (var c = 0; c < table.getNumColumns(); c++) {
+		widths.push(_lzRound(table.getColumn(c).getWidth()));
+	}
+	out.col_widths = widths;
+	var head = {};
+	_lzReadTextStyle(table.getCell(0, 0).getText().getTextStyle(), scheme, "", head);
+	if (head.font) out.font = head.font;
+	if (head.size) out.header_size = head.size;
+	if (typeof head.bold === "boolean") out.header_bold = head.bold;
+	if (head.color) out.header_color = head.color;
+	if (table.getNumRows() < 2) return;
+	var cell = {};
+	_lzReadTextStyle(table.getCell(1, 0).getText().getTextStyle(), scheme, "", cell);
+	if (cell.size) out.cell_size = cell.size;
+	if (typeof cell.bold === "boolean") out.cell_bold = cell.bold;
+	if (cell.color) out.cell_color = cell.color;
+}
+
+/**
+ * An element's live state as a flat instruction (`role`, `v`, then what the
+ * element type exposes) — the inverse of lzApplyStyleAll.
+ * @param {GoogleAppsScript.Slides.PageElement} el
+ * @param {string} role - an LZ_ROLES value
+ * @param {GoogleAppsScript.Slides.ColorScheme=} scheme - resolves theme colours
+ * @return {Object}
+ */
+function lzReadLiveInstr(el, role, scheme) {
+	var out = { role: role.toLowerCase(), v: LZ_PROTOCOL_VERSION };
+	var type = el.getPageElementType();
+	try {
+		out.x = _lzRound(el.getLeft());
+		out.y = _lzRound(el.getTop());
+		out.w = _lzRound(el.getWidth());
+		if (type !== SlidesApp.PageElementType.TABLE) out.h = _lzRound(el.getHeight());
+	} catch (e) {
+		/* no geometry */
+	}
+	try {
+		if (type === SlidesApp.PageElementType.SHAPE) {
+			_lzReadShape(el.asShape(), role, scheme, out);
+		} else if (type === SlidesApp.PageElementType.LINE) {
+			var line = el.asLine();
+			var color = _lzSolidHex(line.getLineFill(), scheme);
+			if (color) out.color = color;
+			out.weight = _lzRound(line.getWeight());
+		} else if (type === SlidesApp.PageElementType.TABLE) {
+			_lzReadTable(el.asTable(), scheme, out);
+		}
+	} catch (e) {
+		/* partial read */
+	}
+	return out;
+}
+
+/**
+ * The instruction to stamp: the live read, plus the old instruction's keys a
+ * live read cannot produce (LZ_EXPORT_KEEP and keys outside the schema).
+ */
+function _lzExportInstr(live, old, role) {
+	var out = {};
+	for (var k in live) if (live.hasOwnProperty(k)) out[k] = live[k];
+	var schema = lzInstrSchema();
+	for (var key in old || {}) {
+		if (!old.hasOwnProperty(key) || out.hasOwnProperty(key)) continue;
+		if (LZ_EXPORT_KEEP[key] || !_lzInstrKeyType(key, role, schema)) out[key] = old[key];
+	}
+	return out;
+}
+
+/**
+ * The house style per role: for each key, the value most elements of that
+ * role share (`title` / `role` / `v` excluded), plus how many there are.
+ * @param {Array<{role: string, instr: Object}>} entries
+ * @return {Object<string, Object>} role → style
+ */
+function _lzSpecRoles(entries) {
+	var tallies = {};
+	for (var i = 0; i < entries.length; i++) {
+		var role = entries[i].role;
+		var t = tallies[role] || (tallies[role] = { count: 0, keys: {} });
+		t.count++;
+		var instr = entries[i].instr;
+		for (var k in instr) {
+			if (!instr.hasOwnProperty(k) || k === "title" || k === "role" || k === "v") continue;
+			var votes = t.keys[k] || (t.keys[k] = {});
+			var id = JSON.stringify(instr[k]);
+			votes[id] = (votes[id] || 0) + 1;
+		}
+	}
+	var roles = {};
+	for (var r in tallies) {
+		var style = { count: tallies[r].count };
+		for (var key in tallies[r].keys) {
+			var best = null;
+			var bestVotes = 0;
+			for (var value in tallies[r].keys[key]) {
+				if (tallies[r].keys[key][value] > bestVotes) {
+					best = value;
+					bestVotes = tallies[r].keys[key][value];
+				}
+			}
+			style[key] = JSON.parse(best);
+		}
+		roles[r] = style;
+	}
+	return roles;
+}
+
+/** The deck-level spec as TOML: `[lz]` metadata, `[lz.page]`, one `[lz.roles.<role>]` per role. */
+function _lzSpecToToml(spec) {
+	var parts = [
+		lzInstrToToml({ v: spec.v, name: spec.name, exportedAt: spec.exportedAt }),
+		lzInstrToToml(spec.page, "lz.page"),
+	];
+	for (var role in spec.roles) {
+		parts.push(lzInstrToToml(spec.roles[role], "lz.roles." + role.toLowerCase()));
+	}
+	return parts.join("\n\n") + "\n";
+}
+
+/** Replace `name` in `folder` (older copies are trashed); returns the new file. */
+function _lzWriteDriveFile(folder, name, content, mimeType) {
+	var old = folder.getFilesByName(name);
+	while (old.hasNext()) old.next().setTrashed(true);
+	return folder.createFile(name, content, mimeType);
+}
+
+/**
+ * Export the house style: stamp every tagged element's live style as its TOML
+ * instruction, then save the deck-level spec to Drive next to the deck.
+ * @return {{stamped: number, roles: number, jsonUrl: string, tomlUrl: string,
+ *   folderUrl: string}}
+ */
+function lzExportHouseStyle() {
+	var presentation = SlidesApp.getActivePresentation();
+	var slides = presentation.getSlides();
+	var scheme = null;
+	try {
+		scheme = presentation.getMasters()[0].getColorScheme();
+	} catch (e) {
+		scheme = null;
+	}
+
+	var requests = [];
+	var entries = [];
+	var slideSpecs = [];
+	for (var s = 0; s < slides.length; s++) {
+		var elements = _lzWalkElements(slides[s].getPageElements(), []);
+		var tagged = [];
+		for (var i = 0; i < elements.length; i++) {
+			var el = elements[i];
+			var role = lzRoleOf(el);
+			if (!role || lzIsManaged(el) || role === LZ_ROLES.MINTED) continue;
+			var instr = _lzExportInstr(lzReadLiveInstr(el, role, scheme), lzInstr(el), role);
+			requests.push({
+				updatePageElementAltText: {
+					objectId: el.getObjectId(),
+					title: role,
+					description: lzInstrToToml(instr),
+				},
+			});
+			entries.push({ role: role, instr: instr });
+			tagged.push({ role: role, objectId: el.getObjectId(), instr: instr });
+		}
+		slideSpecs.push({
+			index: s,
+			slideId: slides[s].getObjectId(),
+			layout: lzLayoutType(slides[s]),
+			elements: tagged,
+		});
+	}
+	if (requests.length) {
+		Slides.Presentations.batchUpdate({ requests: requests }, presentation.getId());
+	}
+
+	var spec = {
+		lz: 1,
+		v: LZ_PROTOCOL_VERSION,
+		name: presentation.getName(),
+		presentationId: presentation.getId(),
+		exportedAt: new Date().toISOString(),
+		page: {
+			width: _lzRound(presentation.getPageWidth()),
+			height: _lzRound(presentation.getPageHeight()),
+		},
+		roles: _lzSpecRoles(entries),
+		slides: slideSpecs,
+	};
+	var parents = DriveApp.getFileById(presentation.getId()).getParents();
+	var folder = parents.hasNext() ? parents.next() : DriveApp.getRootFolder();
+	var base = spec.name + ".lz-spec";
+	var json = _lzWriteDriveFile(folder, base + ".json", JSON.stringify(spec, null, 2), "application/json");
+	var toml = _lzWriteDriveFile(folder, base + ".toml", _lzSpecToToml(spec), "text/plain");
+	return {
+		stamped: requests.length,
+		roles: Object.keys(spec.roles).length,
+		jsonUrl: json.getUrl(),
+		tomlUrl: toml.getUrl(),
+		folderUrl: folder.getUrl(),
+	};
+}
@@ -37,6 +37,7 @@ var LZ_LAYOUT_ALIASES = {
 		"Title and Two Columns",
 		"Two Content", // PowerPoint
 		"Comparison", // PowerPoint
+		"TWO_COLUMNS", // markdown shorthand (<!-- layout: TWO_COLUMNS -->)
 		"標題和兩欄",
 		"标题和两栏",
 	],
@@ -89,11 +90,19 @@ function lzLayoutName(slideOrLayout) {
  * source. Returns "" if the name isn't recognized (extend LZ_LAYOUT_ALIASES).
  */
 function lzLayoutType(slideOrLayout) {
-	var name = lzLayoutName(slideOrLayout);
+	return lzLayoutTypeOfName(lzLayoutName(slideOrLayout));
+}
+
+/**
+ * Canonical layout type for a layout name — the enum, any alias, or a spelling
+ * that differs only in case / spacing / separators ("title-only"). Markdown
+ * `layout` directives resolve through this. Returns "" if unrecognized.
+ */
+function lzLayoutTypeOfName(name) {
 	if (!name) return "";
 	if (_LZ_LAYOUT_BY_NAME[name]) return _LZ_LAYOUT_BY_NAME[name];
 	// tolerate case / spacing / separator drift (SECTION_HEADER vs "Section Header")
-	var norm = name.toUpperCase().replace(/[\s_-]+/g, "_");
+	var norm = String(name).trim().toUpperCase().replace(/[\s_-]+/g, "_");
 	return _LZ_LAYOUT_BY_NAME[norm] || (LZ_LAYOUT_ALIASES[norm] ? norm : "");
 }
 
@@ -8,6 +8,10 @@
  * Google Apps Script has no ES modules — these are global functions/consts.
  */
 
+// Protocol version stamped as `v` on every JSON payload and expected in TOML
+// instructions. Bump on breaking vocabulary changes (see LZ-PROTOCOL.md).
+var LZ_PROTOCOL_VERSION = 1;
+
 // Role vocabulary (alt-text `title` values). Kept back-compatible with the
 // magic strings lizard already used (PROGRESS / PROGRESS_BG / MAIN_TITLE).
 var LZ_ROLES = {
@@ -20,8 +24,13 @@ var LZ_ROLES = {
 	SECTION_LABEL: "SECTION_LABEL",
 	OUTLINE: "OUTLINE",
 	MAIN_TITLE: "MAIN_TITLE",
+	TOC_ENTRY: "TOC_ENTRY", // one line of a generated table of contents
+	NAV: "NAV", // prev-section / home / next-section button
 	// marker (authored, detection only, never deleted)
 	SECTION: "SECTION",
+	NO_CHROME: "NO_CHROME", // the slide gets no progress bar / page number / tabs
+	TOC: "TOC", // the slide holds the table of contents (batch/create_index.js)
+	APPENDIX: "APPENDIX", // section boundary that starts the appendix (backup slides)
 	// content (catch & re-apply style; never deleted)
 	TITLE: "TITLE",
 	TITLE_MAIN: "TITLE_MAIN",
@@ -39,6 +48,80 @@ var LZ_ROLES = {
 	KEY_SUB: "KEY_SUB",
 	KEY_POINTS: "KEY_POINTS",
 	CITATION: "CITATION",
+	CODE: "CODE", // fenced code block from markdown (JSON `language`)
+	// minted (a minter's group; carries the payload it was built from)
+	MINTED: "MINTED",
+	// minter parts (styled; see LZ_MINTER_ROLES)
+	KPI_CARD: "KPI_CARD",
+	TIMELINE_LINE: "TIMELINE_LINE",
+	TIMELINE_DOT: "TIMELINE_DOT",
+	TIMELINE_DATE: "TIMELINE_DATE",
+	TIMELINE_LABEL: "TIMELINE_LABEL",
+	STEP_NUM: "STEP_NUM",
+	STEP_TEXT: "STEP_TEXT",
+	STEP_ARROW: "STEP_ARROW",
+	COMPARE_HEAD: "COMPARE_HEAD",
+	COMPARE_BODY: "COMPARE_BODY",
+	TAKEAWAY_HEAD: "TAKEAWAY_HEAD",
+	TAKEAWAY_CARD: "TAKEAWAY_CARD",
+	TAKEAWAY_NUM: "TAKEAWAY_NUM",
+	TAKEAWAY_CHECK: "TAKEAWAY_CHECK",
+	TAKEAWAY_ROW: "TAKEAWAY_ROW",
+	CALLOUT_BODY: "CALLOUT_BODY",
+	CALLOUT_HEAD: "CALLOUT_HEAD",
+	CALLOUT_BAR: "CALLOUT_BAR",
+	GALLERY_IMAGE: "GALLERY_IMAGE",
+	GALLERY_CAPTION: "GALLERY_CAPTION",
+	BAR_AXIS: "BAR_AXIS",
+	BAR: "BAR",
+	BAR_VALUE: "BAR_VALUE",
+	BAR_LABEL: "BAR_LABEL",
+	AGENDA_HEAD: "AGENDA_HEAD",
+	AGENDA_LIST: "AGENDA_LIST",
+	GRID_CARD: "GRID_CARD",
+	ICON_GLYPH: "ICON_GLYPH",
+	TABLE_TITLE: "TABLE_TITLE",
+};
+
+// Minter-part roles: what each minter draws, stamped on every piece so the
+// pieces survive PPTX export and lzApplyStyleAll can restyle them.
+//   kind  — what lzApplyToShape may touch: "text" (geometry, fill, border,
+//           text), "shape" (geometry, fill, border — text is left alone),
+//           "line" (geometry, color, weight), "image" (geometry only)
+//   parts — names of the text's paragraphs in order; the last name covers
+//           every further paragraph. Instruction keys `<part>_size`,
+//           `<part>_color`, `<part>_bold`, `<part>_italic`, `<part>_font`
+//           style that paragraph on top of the whole-text keys.
+var LZ_MINTER_ROLES = {
+	KPI_CARD: { minter: "kpi", kind: "text", parts: ["value", "label"] },
+	TIMELINE_LINE: { minter: "timeline", kind: "line" },
+	TIMELINE_DOT: { minter: "timeline", kind: "shape" },
+	TIMELINE_DATE: { minter: "timeline", kind: "text" },
+	TIMELINE_LABEL: { minter: "timeline", kind: "text" },
+	STEP_NUM: { minter: "steps", kind: "text" },
+	STEP_TEXT: { minter: "steps", kind: "text", parts: ["title", "desc"] },
+	STEP_ARROW: { minter: "steps", kind: "shape" },
+	COMPARE_HEAD: { minter: "compare", kind: "text" },
+	COMPARE_BODY: { minter: "compare", kind: "text" },
+	TAKEAWAY_HEAD: { minter: "takeaways", kind: "text" },
+	TAKEAWAY_CARD: { minter: "takeaways", kind: "text", parts: ["title", "desc"] },
+	TAKEAWAY_NUM: { minter: "takeaways", kind: "text" },
+	TAKEAWAY_CHECK: { minter: "takeaways", kind: "text" },
+	TAKEAWAY_ROW: { minter: "takeaways", kind: "text", parts: ["title", "desc"] },
+	CALLOUT_BODY: { minter: "callout", kind: "text" },
+	CALLOUT_HEAD: { minter: "callout", kind: "text" },
+	CALLOUT_BAR: { minter: "callout", kind: "shape" },
+	GALLERY_IMAGE: { minter: "gallery", kind: "image" },
+	GALLERY_CAPTION: { minter: "gallery", kind: "text" },
+	BAR_AXIS: { minter: "barchart", kind: "shape" },
+	BAR: { minter: "barchart", kind: "shape" },
+	BAR_VALUE: { minter: "barchart", kind: "text" },
+	BAR_LABEL: { minter: "barchart", kind: "text" },
+	AGENDA_HEAD: { minter: "agenda", kind: "text" },
+	AGENDA_LIST: { minter: "agenda", kind: "text" },
+	GRID_CARD: { minter: "grid", kind: "text", parts: ["title", "subtitle", "body"] },
+	ICON_GLYPH: { minter: "icon", kind: "text" },
+	TABLE_TITLE: { minter: "table", kind: "text" },
 };
 
 // Chrome lizard owns (delete-and-rebuild). Excludes SECTION (authored content).
@@ -51,6 +134,8 @@ var LZ_MANAGED_ROLES = {
 	SECTION_LABEL: true,
 	OUTLINE: true,
 	MAIN_TITLE: true,
+	TOC_ENTRY: true,
+	NAV: true,
 };
 
 /**
@@ -100,6 +185,11 @@ function lzIsSectionMarker(el) {
 	return lzRoleOf(el) === LZ_ROLES.SECTION;
 }
 
+/** True if the element marks its slide as the start of the appendix. */
+function lzIsAppendixMarker(el) {
+	return lzRoleOf(el) === LZ_ROLES.APPENDIX;
+}
+
 /**
  * Clean section title from a SECTION marker's instruction (`title = "…"`),
  * or "" if none. Lets the marker carry a tidy title independent of the shape's
@@ -111,35 +201,28 @@ function lzMarkerTitle(el) {
 }
 
 /**
- * Parse the TOML-ish style instruction python injects into alt-text.
- * Controlled format: `[lz]` header, then `key = value` lines where value is a
- * "quoted string", a number, or true/false. Returns a flat object, or null.
+ * Parse the style instruction python injects into alt-text — TOML (`[lz]`
+ * tables, see lz_toml.js) or the JSON payload lzTag writes, auto-detected —
+ * into a flat object migrated to the current schema. Returns null if empty.
  */
 function lzParseInstr(text) {
 	if (!text) return null;
-	var out = {};
-	var lines = String(text).split("\n");
-	var found = false;
-	for (var i = 0; i < lines.length; i++) {
-		var line = lines[i].trim();
-		if (!line || line.charAt(0) === "#" || line.charAt(0) === "[") continue;
-		var eq = line.indexOf("=");
-		if (eq < 0) continue;
-		var key = line.slice(0, eq).trim();
-		var raw = line.slice(eq + 1).trim();
-		var val;
-		if (raw.charAt(0) === '"') {
-			val = raw.replace(/^"|"$/g, "");
-		} else if (raw === "true" || raw === "false") {
-			val = raw === "true";
-		} else {
-			var n = parseFloat(raw);
-			val = isNaN(n) ? raw : n;
+	var src = String(text).trim();
+	var doc;
+	if (src.charAt(0) === "{") {
+		try {
+			doc = JSON.parse(src);
+		} catch (e) {
+			return null;
 		}
-		out[key] = val;
-		found = true;
+		if (!doc || !doc.lz) return null;
+		delete doc.lz;
+	} else {
+		doc = _lzTomlParse(src).data;
 	}
-	return found ? out : null;
+	var out = lzNormalizeInstr(doc);
+	for (var k in out) if (out.hasOwnProperty(k)) return out;
+	return null;
 }
 
 /** The parsed style instruction carried in an element's alt-text description. */
@@ -152,15 +235,54 @@ function lzInstr(el) {
 	}
 }
 
+/**
+ * The JSON description lzTag writes for a role + data. Exposed separately so
+ * REST callers can stamp via updatePageElementAltText inside a batchUpdate.
+ */
+function lzTagDescription(role, data) {
+	var payload = { lz: 1, role: String(role).toLowerCase(), v: LZ_PROTOCOL_VERSION };
+	for (var k in data) if (data.hasOwnProperty(k)) payload[k] = data[k];
+	return JSON.stringify(payload);
+}
+
+/**
+ * The JSON payload stamped on an element's description (`{lz:1, role, …}`),
+ * or null when the description is not an LZ payload.
+ */
+function lzTagData(el) {
+	if (!el || !el.getDescription) return null;
+	var d = "";
+	try {
+		d = el.getDescription() || "";
+	} catch (e) {
+		return null;
+	}
+	if (d.charAt(0) !== "{") return null;
+	try {
+		var obj = JSON.parse(d);
+		return obj && obj.lz ? obj : null;
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * The updatePageElementAltText request that stamps `objectId` with a role —
+ * lzTag for elements created inside a REST batchUpdate.
+ */
+function lzTagRequest(objectId, role, data) {
+	var req = { objectId: objectId, title: role };
+	if (data) req.description = lzTagDescription(role, data);
+	return { updatePageElementAltText: req };
+}
+
 /** Stamp an element with a role (lizard → pptx direction, and internal use). */
 function lzTag(el, role, data) {
 	if (!el || !el.setTitle) return el;
 	try {
 		el.setTitle(role);
 		if (data && el.setDescription) {
-			var payload = { lz: 1, role: String(role).toLowerCase(), v: 1 };
-			for (var k in data) if (data.hasOwnProperty(k)) payload[k] = data[k];
-			el.setDescription(JSON.stringify(payload));
+			el.setDescription(lzTagDescription(role, data));
 		}
 	} catch (e) {
 		/* best-effort */
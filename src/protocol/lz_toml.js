@@ -0,0 +1,475 @@
+// 📜 LZ-PROTOCOL — instruction parser (TOML subset + JSON) and versioned schema
+/**
+ * An element's alt-text description carries its style instruction either as
+ * TOML (what python's lz_protocol.to_toml() injects) or as the JSON payload
+ * lzTag writes. lzParseInstr() auto-detects which, then normalizes both into
+ * the same flat instruction the appliers read (`font`, `size`, `fill`,
+ * `value_size`, `header_color`, `runs`, `col_widths`, …).
+ *
+ * The TOML subset (see LZ-PROTOCOL.md):
+ *   - `[lz]` root table; nested tables `[lz.text]`, `[lz.fill]`, `[lz.value]`;
+ *     arrays of tables `[[lz.runs]]`; dotted keys `text.size = 12`
+ *   - "basic" strings with escapes, 'literal' strings, and their """multi-line"""
+ *     / '''multi-line''' forms
+ *   - integers / floats (with `_` separators and exponents), true / false
+ *   - arrays (multi-line, trailing comma) and { inline = "tables" }
+ *   - `#` comments
+ * Tables outside `[lz]`, dates and inf / nan are not part of the protocol.
+ * lzInstrToToml() writes a flat instruction back (used by lz_export.js).
+ *
+ * The parser is forgiving like the line reader it replaced: a malformed line
+ * is recorded in `errors` and skipped, and an unquoted value is still read
+ * (as a number if it starts with one, else as a string). lzValidateInstr
+ * (lz_audit.js) reports those errors; the appliers just use what parsed.
+ *
+ * Schema: LZ_INSTR_SCHEMAS is keyed on the protocol version `v`. Each entry
+ * lists its keys and how nested tables flatten, and `migrate` upgrades an
+ * instruction from the previous version — lzMigrateInstr runs them in order
+ * so an old deck keeps working after a breaking vocabulary change.
+ */
+
+// Keys of a text style: the whole-text keys, a `<part>_*` group, one run.
+var LZ_INSTR_STYLE_KEYS = {
+	font: "string",
+	size: "number",
+	bold: "boolean",
+	italic: "boolean",
+	color: "string",
+};
+
+// Instruction vocabulary per protocol version `v`.
+//   keys   — flat key → type: "string" | "number" | "boolean" | "number[]" |
+//            "style[]" (an array of LZ_INSTR_STYLE_KEYS tables)
+//   enums  — keys whose string value must be one of a fixed set
+//   tables — how a nested table under [lz] flattens: `prefix` replaces the
+//            default `<table>_`, `rename` maps a key to a root key
+//   migrate(doc) — upgrades a parsed doc from v - 1 (null for v1)
+var LZ_INSTR_SCHEMAS = {
+	1: {
+		keys: {
+			role: "string",
+			v: "number",
+			title: "string",
+			x: "number",
+			y: "number",
+			w: "number",
+			h: "number",
+			font: "string",
+			size: "number",
+			bold: "boolean",
+			italic: "boolean",
+			color: "string",
+			fill: "string",
+			border: "string",
+			border_w: "number",
+			weight: "number",
+			anchor: "string",
+			align: "string",
+			runs: "style[]",
+			header_color: "string",
+			cell_color: "string",
+			header_bold: "boolean",
+			cell_bold: "boolean",
+			header_size: "number",
+			cell_size: "number",
+			col_widths: "number[]",
+		},
+		enums: {
+			anchor: ["TOP", "MIDDLE", "BOTTOM"],
+			align: ["START", "CENTER", "END", "JUSTIFIED"],
+		},
+		tables: {
+			text: { prefix: "" },
+			table: { prefix: "" },
+			fill: { rename: { color: "fill" } },
+			border: { rename: { color: "border", weight: "border_w" } },
+		},
+		migrate: null,
+	},
+};
+
+/** The schema for protocol version `v` (default: the current one), or null. */
+function lzInstrSchema(v) {
+	return LZ_INSTR_SCHEMAS[v || LZ_PROTOCOL_VERSION] || null;
+}
+
+/**
+ * Upgrade a parsed instruction doc to LZ_PROTOCOL_VERSION by running each
+ * newer schema's `migrate` in turn. A doc without `v` is v1; a doc newer than
+ * lizard (or with no migration path) is returned unchanged.
+ */
+function lzMigrateInstr(doc) {
+	var v = typeof doc.v === "number" ? doc.v : 1;
+	while (v < LZ_PROTOCOL_VERSION) {
+		var next = LZ_INSTR_SCHEMAS[v + 1];
+		if (!next || !next.migrate) break;
+		doc = next.migrate(doc);
+		v++;
+		doc.v = v;
+	}
+	return doc;
+}
+
+function _lzIsTable(value) {
+	return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+/** Flatten nested tables into `<table>_<key>` keys, per the schema's `tables`. */
+function _lzFlattenInstr(obj, prefix, tables, out) {
+	for (var k in obj) {
+		if (!obj.hasOwnProperty(k)) continue;
+		var value = obj[k];
+		if (!_lzIsTable(value)) {
+			out[prefix + k] = value;
+			continue;
+		}
+		var spec = tables[k] || {};
+		var rest = {};
+		for (var kk in value) {
+			if (!value.hasOwnProperty(kk)) continue;
+			if (spec.rename && spec.rename[kk]) out[spec.rename[kk]] = value[kk];
+			else rest[kk] = value[kk];
+		}
+		var inner = typeof spec.prefix === "string" ? spec.prefix : prefix + k + "_";
+		_lzFlattenInstr(rest, inner, {}, out);
+	}
+	return out;
+}
+
+/**
+ * Migrate a parsed doc (TOML tables or a JSON payload) and flatten it into the
+ * instruction the appliers read. Returns null for a non-object.
+ */
+function lzNormalizeInstr(doc) {
+	if (!_lzIsTable(doc)) return null;
+	var migrated = lzMigrateInstr(doc);
+	var schema = lzInstrSchema(migrated.v) || lzInstrSchema(LZ_PROTOCOL_VERSION);
+	return _lzFlattenInstr(migrated, "", schema.tables, {});
+}
+
+// ── TOML subset reader ──
+
+function _lzTomlLineAt(src, pos) {
+	return src.slice(0, pos).split("\n").length;
+}
+
+/** Skip spaces, tabs and comments (and newlines when `newlines`). */
+function _lzTomlSkip(st, newlines) {
+	var src = st.src;
+	while (st.pos < src.length) {
+		var c = src.charAt(st.pos);
+		if (c === " " || c === "\t" || (newlines && c === "\n")) {
+			st.pos++;
+		} else if (c === "#") {
+			while (st.pos < src.length && src.charAt(st.pos) !== "\n") st.pos++;
+		} else {
+			break;
+		}
+	}
+}
+
+function _lzTomlEscape(st) {
+	var c = st.src.charAt(st.pos++);
+	var simple = { b: "\b", t: "\t", n: "\n", f: "\f", r: "\r", '"': '"', "\\": "\\" };
+	if (simple.hasOwnProperty(c)) return simple[c];
+	if (c === "u" || c === "U") {
+		var n = c === "u" ? 4 : 8;
+		var hex = st.src.substr(st.pos, n);
+		if (hex.length !== n || !/^[0-9a-fA-F]+$/.test(hex)) {
+			throw new Error("\\" + c + " 需要 " + n + " 位十六進位");
+		}
+		st.pos += n;
+		return String.fromCodePoint(parseInt(hex, 16));
+	}
+	throw new Error("不認得的跳脫字元 \\" + c);
+}
+
+/** A one-line "basic" (escapes) or 'literal' string. */
+function _lzTomlString(st) {
+	var quote = st.src.charAt(st.pos++);
+	var out = "";
+	while (st.pos < st.src.length) {
+		var c = st.src.charAt(st.pos++);
+		if (c === quote) return out;
+		if (c === "\n") {
+			st.pos--; // leave the newline so recovery resumes on the next line
+			break;
+		}
+		out += c === "\\" && quote === '"' ? _lzTomlEscape(st) : c;
+	}
+	throw new Error("字串缺少結尾 " + quote);
+}
+
+/** A """multi-line basic""" or '''multi-line literal''' string. */
+function _lzTomlMultiline(st) {
+	var src = st.src;
+	var quote = src.substr(st.pos, 3);
+	st.pos += 3;
+	if (src.charAt(st.pos) === "\n") st.pos++; // a newline right after the opener is trimmed
+	var out = "";
+	while (st.pos < src.length) {
+		if (src.substr(st.pos, 3) === quote) {
+			st.pos += 3;
+			return out;
+		}
+		var c = src.charAt(st.pos++);
+		if (c !== "\\" || quote !== '"""') {
+			out += c;
+		} else if (/^[ \t]*\n/.test(src.slice(st.pos))) {
+			// line-ending backslash: drop the newline and the next line's indent
+			while (/[ \t\n]/.test(src.charAt(st.pos))) st.pos++;
+		} else {
+			out += _lzTomlEscape(st);
+		}
+	}
+	throw new Error("多行字串缺少結尾 " + quote);
+}
+
+/** A bare or quoted key. */
+function _lzTomlKey(st) {
+	var c = st.src.charAt(st.pos);
+	if (c === '"' || c === "'") return _lzTomlString(st);
+	var m = /^[A-Za-z0-9_-]+/.exec(st.src.slice(st.pos));
+	if (!m) throw new Error("缺少鍵名");
+	st.pos += m[0].length;
+	return m[0];
+}
+
+/** A dotted key (`text.size`) as its path segments. */
+function _lzTomlKeyPath(st) {
+	var path = [];
+	for (;;) {
+		_lzTomlSkip(st, false);
+		path.push(_lzTomlKey(st));
+		_lzTomlSkip(st, false);
+		if (st.src.charAt(st.pos) !== ".") return path;
+		st.pos++;
+	}
+}
+
+/** The table at `obj[key]`, created if missing (an array of tables gives its last). */
+function _lzTomlDescend(obj, key) {
+	var value = obj[key];
+	if (value === undefined) value = obj[key] = {};
+	if (Array.isArray(value)) value = value[value.length - 1];
+	if (!_lzIsTable(value)) throw new Error(key + " 已經是值，不能再當表格");
+	return value;
+}
+
+/** Assign `value` at a dotted path inside `table`; true if the key was already set. */
+function _lzTomlAssign(table, path, value) {
+	var target = table;
+	for (var i = 0; i < path.length - 1; i++) target = _lzTomlDescend(target, path[i]);
+	var key = path[path.length - 1];
+	var had = target.hasOwnProperty(key);
+	target[key] = value;
+	return had;
+}
+
+function _lzTomlArray(st) {
+	st.pos++;
+	var out = [];
+	for (;;) {
+		_lzTomlSkip(st, true);
+		if (st.src.charAt(st.pos) === "]") {
+			st.pos++;
+			return out;
+		}
+		if (st.pos >= st.src.length) throw new Error("陣列缺少結尾 ]");
+		out.push(_lzTomlValue(st, null));
+		_lzTomlSkip(st, true);
+		var c = st.src.charAt(st.pos);
+		if (c === ",") {
+			st.pos++;
+		} else if (c !== "]") {
+			throw new Error("陣列元素之間需要逗號");
+		}
+	}
+}
+
+function _lzTomlInlineTable(st) {
+	st.pos++;
+	var out = {};
+	_lzTomlSkip(st, true);
+	if (st.src.charAt(st.pos) === "}") {
+		st.pos++;
+		return out;
+	}
+	for (;;) {
+		var path = _lzTomlKeyPath(st);
+		if (st.src.charAt(st.pos) !== "=") throw new Error("行內表格缺少「=」");
+		st.pos++;
+		_lzTomlSkip(st, false);
+		_lzTomlAssign(out, path, _lzTomlValue(st, null));
+		_lzTomlSkip(st, true);
+		var c = st.src.charAt(st.pos++);
+		if (c === "}") return out;
+		if (c !== ",") throw new Error("行內表格需要逗號或 }");
+		_lzTomlSkip(st, true);
+	}
+}
+
+/**
+ * One value. `loose` (the statement-level call) collects an unquoted value
+ * as an error and still reads it the way the old line reader did.
+ */
+function _lzTomlValue(st, loose) {
+	var src = st.src;
+	var c = src.charAt(st.pos);
+	var three = src.substr(st.pos, 3);
+	if (three === '"""' || three === "'''") return _lzTomlMultiline(st);
+	if (c === '"' || c === "'") return _lzTomlString(st);
+	if (c === "[") return _lzTomlArray(st);
+	if (c === "{") return _lzTomlInlineTable(st);
+	var rest = src.slice(st.pos);
+	var m = /^(?:true|false)(?![A-Za-z0-9_-])/.exec(rest);
+	if (m) {
+		st.pos += m[0].length;
+		return m[0] === "true";
+	}
+	m = /^[+-]?\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?(?![A-Za-z0-9_.:-])/.exec(rest);
+	if (m) {
+		st.pos += m[0].length;
+		return parseFloat(m[0].replace(/_/g, ""));
+	}
+	var raw = /^[^#\n,\]}]*/.exec(rest)[0];
+	if (!loose || !raw.trim()) throw new Error("無法解析的值");
+	st.pos += raw.length;
+	raw = raw.trim();
+	var n = parseFloat(raw);
+	loose.push("值要加引號或改成數字：" + raw);
+	return isNaN(n) ? raw : n;
+}
+
+/**
+ * A `[table]` / `[[array.of.tables]]` header. Returns the table later keys go
+ * into, or null for a table outside [lz] (its keys are parsed, then dropped).
+ */
+function _lzTomlHeader(st, root, errors, line) {
+	var isArray = st.src.substr(st.pos, 2) === "[[";
+	st.pos += isArray ? 2 : 1;
+	var path = _lzTomlKeyPath(st);
+	var close = isArray ? "]]" : "]";
+	if (st.src.substr(st.pos, close.length) !== close) throw new Error("表格標頭缺少結尾 " + close);
+	st.pos += close.length;
+	if (path[0] !== "lz") {
+		errors.push({
+			code: "unknown-table",
+			line: line,
+			message: "只讀 [lz] 底下的表格，[" + path.join(".") + "] 被略過",
+		});
+		return null;
+	}
+	if (path.length === 1) {
+		if (isArray) throw new Error("[[lz]] 不能是陣列");
+		return root;
+	}
+	var parent = root;
+	for (var i = 1; i < path.length - 1; i++) parent = _lzTomlDescend(parent, path[i]);
+	var key = path[path.length - 1];
+	if (!isArray) return _lzTomlDescend(parent, key);
+	if (parent[key] === undefined) parent[key] = [];
+	if (!Array.isArray(parent[key])) throw new Error(key + " 已經是值，不能再當表格陣列");
+	var table = {};
+	parent[key].push(table);
+	return table;
+}
+
+/** Only whitespace or a comment may follow a statement on its line. */
+function _lzTomlEndOfLine(st) {
+	_lzTomlSkip(st, false);
+	if (st.pos < st.src.length && st.src.charAt(st.pos) !== "\n") {
+		throw new Error("同一行多出內容");
+	}
+}
+
+/**
+ * Parse a TOML instruction into nested tables rooted at [lz]. Never throws:
+ * each bad line becomes an error and is skipped.
+ * @param {string} text
+ * @return {{data: Object, errors: Array<{code: string, line: number, message: string}>}}
+ *   code — "malformed-line" | "duplicate-key" | "unknown-table"
+ */
+function _lzTomlParse(text) {
+	var st = { src: String(text == null ? "" : text).replace(/\r\n?/g, "\n"), pos: 0 };
+	var root = {};
+	var table = root;
+	var errors = [];
+	for (;;) {
+		_lzTomlSkip(st, true);
+		if (st.pos >= st.src.length) break;
+		var start = st.pos;
+		var line = _lzTomlLineAt(st.src, start);
+		var loose = [];
+		try {
+			if (st.src.charAt(st.pos) === "[") {
+				table = _lzTomlHeader(st, root, errors, line);
+				_lzTomlEndOfLine(st);
+			} else {
+				var path = _lzTomlKeyPath(st);
+				if (st.src.charAt(st.pos) !== "=") throw new Error("缺少「=」，整行被略過");
+				st.pos++;
+				_lzTomlSkip(st, false);
+				var value = _lzTomlValue(st, loose);
+				_lzTomlEndOfLine(st);
+				if (table && _lzTomlAssign(table, path, value)) {
+					errors.push({
+						code: "duplicate-key",
+						line: line,
+						message: path.join(".") + " 重複，以最後一個為準",
+					});
+				}
+			}
+		} catch (e) {
+			errors.push({ code: "malformed-line", line: line, message: e.message });
+			st.pos = Math.max(st.pos, start);
+			while (st.pos < st.src.length && st.src.charAt(st.pos) !== "\n") st.pos++;
+		}
+		for (var i = 0; i < loose.length; i++) {
+			errors.push({ code: "malformed-line", line: line, message: loose[i] });
+		}
+	}
+	return { data: root, errors: errors };
+}
+
+// ── TOML writer ──
+
+function _lzTomlKeyText(key) {
+	return /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+function _lzTomlValueText(value) {
+	if (typeof value === "string") return JSON.stringify(value); // a valid TOML basic string
+	if (Array.isArray(value)) return "[" + value.map(_lzTomlValueText).join(", ") + "]";
+	if (_lzIsTable(value)) {
+		var pairs = [];
+		for (var k in value) {
+			if (value.hasOwnProperty(k)) pairs.push(_lzTomlKeyText(k) + " = " + _lzTomlValueText(value[k]));
+		}
+		return "{ " + pairs.join(", ") + " }";
+	}
+	return String(value);
+}
+
+/**
+ * Serialize a flat instruction as TOML under one table header (default
+ * `lz`): `role` and `v` first, then the other keys in order. lzParseInstr
+ * reads the result back into the same object.
+ * @param {Object} instr
+ * @param {string=} header - e.g. "lz.roles.body"
+ * @return {string}
+ */
+function lzInstrToToml(instr, header) {
+	var lines = ["[" + (header || "lz") + "]"];
+	var keys = ["role", "v"];
+	for (var k in instr) {
+		if (instr.hasOwnProperty(k) && k !== "role" && k !== "v") keys.push(k);
+	}
+	for (var i = 0; i < keys.length; i++) {
+		var value = instr[keys[i]];
+		if (value === undefined || value === null) continue;
+		if (typeof value === "number" && !isFinite(value)) continue;
+		lines.push(_lzTomlKeyText(keys[i]) + " = " + _lzTomlValueText(value));
+	}
+	return lines.join("\n");
+}
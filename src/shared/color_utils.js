@@ -63,3 +63,29 @@ function hexToRgbColor_(hex) {
 function rgbColor_(hex) {
 	return { rgbColor: hexToRgb(hex) };
 }
+
+/**
+ * WCAG relative luminance of a hex color (0 = black, 1 = white).
+ *
+ * @param {string} hex
+ * @returns {number}
+ */
+function relativeLuminance(hex) {
+	const c = hexToRgb(hex);
+	const lin = (v) => (v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4));
+	return 0.2126 * lin(c.red) + 0.7152 * lin(c.green) + 0.0722 * lin(c.blue);
+}
+
+/**
+ * WCAG contrast ratio between two hex colors, from 1 (same) to 21
+ * (black on white). Body text wants ≥ 4.5, large text and shapes ≥ 3.
+ *
+ * @param {string} hexA
+ * @param {string} hexB
+ * @returns {number}
+ */
+function contrastRatio(hexA, hexB) {
+	const a = relativeLuminance(hexA);
+	const b = relativeLuminance(hexB);
+	return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
@@ -6,8 +6,9 @@
  * fallback blocks that several minters (kpi/steps/compare/takeaways/…) each
  * re-declared independently.
  *
- * Resolution order per color: saved user config (PropertiesService, via
- * getConfigValues) → global config variable (config.js) → hard default. The
+ * Resolution order per color: saved config (this deck, then the user's
+ * defaults, via readConfigValues) → global config variable (config.js) → hard
+ * default. The
  * hard defaults mirror config.js so a minter still renders sensibly even if the
  * globals failed to load.
  */
@@ -44,7 +45,7 @@ function readGlobalColor_(name) {
 function getThemeColors() {
 	let config = {};
 	try {
-		if (typeof getConfigValues === "function") config = getConfigValues() || {};
+		if (typeof readConfigValues === "function") config = readConfigValues() || {};
 	} catch (e) {
 		config = {};
 	}
@@ -59,3 +60,31 @@ function getThemeColors() {
 		sub2: config.sub2Color || readGlobalColor_("sub2_color") || d.sub2,
 	};
 }
+
+/**
+ * Foreground / background pairs the templates actually draw (body text, the
+ * six STYLE_DEFINITIONS, chrome on the light fills) with the WCAG ratio each
+ * needs: 4.5 for body text, 3 for labels and shapes.
+ */
+var THEME_CONTRAST_PAIRS = [
+	{ fg: "text", bg: "base", min: 4.5, label: "Text on base" },
+	{ fg: "main", bg: "base", min: 3, label: "Main on base (styles 1, 6)" },
+	{ fg: "base", bg: "main", min: 3, label: "Base on main (style 2)" },
+	{ fg: "main", bg: "sub1", min: 3, label: "Main on sub 1 (style 3)" },
+	{ fg: "accent", bg: "base", min: 3, label: "Accent on base (style 4)" },
+	{ fg: "base", bg: "accent", min: 3, label: "Base on accent (style 5)" },
+	{ fg: "text", bg: "sub2", min: 4.5, label: "Text on sub 2" },
+];
+
+/**
+ * Pairs of a palette that fall below their contrast minimum.
+ * @param {{main:string, base:string, text:string, accent:string, sub1:string, sub2:string}} colors
+ * @returns {Array<{label:string, ratio:number, min:number}>}
+ */
+function themeContrastWarnings(colors) {
+	return THEME_CONTRAST_PAIRS.map((pair) => ({
+		label: pair.label,
+		min: pair.min,
+		ratio: Math.round(contrastRatio(colors[pair.fg], colors[pair.bg]) * 100) / 100,
+	})).filter((w) => w.ratio < w.min);
+}
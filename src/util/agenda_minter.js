@@ -1,6 +1,5 @@
-// TODO(shared-migration): replace the typeof *_color fallback block with
-//   getThemeColors() (shared/theme_colors.js); see kpi_minter.js for the pattern.
-//   If/when this minter moves to batch requests, use shared/shape_requests.js builders.
+// TODO(shared-migration): if/when this minter moves to batch requests, use
+//   shared/shape_requests.js builders.
 /**
  * Server-side core for the Agenda / TOC Minter (目錄鑄造器) dialog.
  *
@@ -10,10 +9,12 @@
  * each slide) — which the user can then edit before inserting.
  *
  * Mirrors the Callout / Grid Minter pattern:
- *  - Templates resolve their colors from the global palette (main_color, etc.)
- *    so they track the configured theme.
+ *  - Templates resolve their colors through getThemeColors() so they track
+ *    the deck's saved theme.
  *  - Insertion uses the SlidesApp service so the inserted text boxes can be
  *    grouped together afterwards.
+ *  - Items whose text matches a section title link to that section slide, so
+ *    the agenda doubles as a menu in non-linear (kiosk) decks.
  *
  * Exposes exactly three server functions to the dialog:
  *  - getAgendaItems()
@@ -137,8 +138,26 @@ function dedupeAgendaItems_(items) {
 }
 
 /**
- * Single source of truth for agenda templates. Colors resolve from the global
- * palette so they track the configured theme.
+ * Section slide each agenda item links to: the section (getSectionHeadersUltra)
+ * whose first title line matches the item, case-insensitively.
+ *
+ * @param {Array<string>} items
+ * @param {Array<{title: string, slideId: string}>} sections
+ * @return {Array<string|null>} slide objectId per item, null when unmatched
+ */
+function agendaLinkTargets_(items, sections) {
+	const norm = (text) => String(text || "").split("\n")[0].trim().toLowerCase();
+	const byTitle = {};
+	for (const sec of sections || []) {
+		const key = norm(sec.title);
+		if (key && !byTitle[key]) byTitle[key] = sec.slideId;
+	}
+	return items.map((item) => byTitle[norm(item)] || null);
+}
+
+/**
+ * Single source of truth for agenda templates. Colors resolve through
+ * getThemeColors() so they track the deck's saved theme.
  *
  * layout:
  *  - 'numbered'   = single-column numbered list
@@ -148,10 +167,10 @@ function dedupeAgendaItems_(items) {
  * @return {Array<{id,name,layout,heading,headingColor,itemColor,markerColor}>}
  */
 function buildAgendaTemplates_() {
-	const main = (typeof main_color !== "undefined" && main_color) || "#3D6869";
-	const accent =
-		(typeof accent_color !== "undefined" && accent_color) || "#f29424";
-	const text = (typeof text_color !== "undefined" && text_color) || "#000000";
+	const theme = getThemeColors();
+	const main = theme.main;
+	const accent = theme.accent;
+	const text = theme.text;
 	// Readable mid-gray for subdued item text. NOT sub1_color — that's a
 	// near-white background tint (#E7EAE7) and would be almost invisible.
 	const sub1 = "#666666";
@@ -259,6 +278,16 @@ function insertAgendaIntoSlide(payload) {
 
 		const pageW = presentation.getPageWidth();
 
+		// Section slide per item (null = plain text)
+		let targets = items.map(() => null);
+		try {
+			targets = agendaLinkTargets_(items, getSectionHeadersUltra(presentation.getSlides())).map(
+				(id) => (id ? presentation.getSlideById(id) : null),
+			);
+		} catch (e) {
+			console.log("Agenda links skipped: " + e.message);
+		}
+
 		// Layout constants.
 		const LEFT = 50;
 		const TOP = 110;
@@ -289,7 +318,7 @@ function insertAgendaIntoSlide(payload) {
 			.getText()
 			.getParagraphStyle()
 			.setParagraphAlignment(SlidesApp.ParagraphAlignment.START);
-		group.push(heading);
+		group.push(lzTag(heading, LZ_ROLES.AGENDA_HEAD));
 
 		const listTop = TOP + HEADING_H + GAP;
 		const useTwoCol = tpl.layout === "twoColumn" || items.length > 8;
@@ -312,6 +341,7 @@ function insertAgendaIntoSlide(payload) {
 				tpl,
 				font,
 				0,
+				targets.slice(0, half),
 			);
 			group.push(box1);
 
@@ -326,6 +356,7 @@ function insertAgendaIntoSlide(payload) {
 					tpl,
 					font,
 					col1.length,
+					targets.slice(half),
 				);
 				group.push(box2);
 			}
@@ -340,11 +371,12 @@ function insertAgendaIntoSlide(payload) {
 				tpl,
 				font,
 				0,
+				targets,
 			);
 			group.push(box);
 		}
 
-		if (group.length > 1) slide.group(group);
+		stampMintedElements_(slide, group, "agenda", p);
 
 		return { success: true };
 	} catch (e) {
@@ -367,9 +399,10 @@ function insertAgendaIntoSlide(payload) {
  * @param {Object} tpl - resolved template
  * @param {string} font
  * @param {number} startNumber - number of preceding items (for numbered offset)
+ * @param {Array<Slide|null>=} targets - slide each item links to
  * @return {Shape} the created text box
  */
-function buildAgendaListBox_(slide, x, y, w, h, items, tpl, font, startNumber) {
+function buildAgendaListBox_(slide, x, y, w, h, items, tpl, font, startNumber, targets) {
 	const box = slide.insertShape(
 		SlidesApp.ShapeType.TEXT_BOX,
 		x,
@@ -399,6 +432,27 @@ function buildAgendaListBox_(slide, x, y, w, h, items, tpl, font, startNumber) {
 		.getParagraphStyle()
 		.setParagraphAlignment(SlidesApp.ParagraphAlignment.START);
 
+	// Link each line to its section slide, keeping the template's colour (a link
+	// would otherwise turn blue and underlined)
+	if (targets) {
+		let lineStart = 0;
+		for (let i = 0; i < lines.length; i++) {
+			if (targets[i]) {
+				try {
+					text
+						.getRange(lineStart, lineStart + lines[i].length)
+						.getTextStyle()
+						.setLinkSlide(targets[i])
+						.setForegroundColor(tpl.itemColor)
+						.setUnderline(false);
+				} catch (e) {
+					// ignore range errors
+				}
+			}
+			lineStart += lines[i].length + 1; // +1 for the newline
+		}
+	}
+
 	// Bulleted layout: apply a bullet preset and color the markers via the item
 	// color (Slides has no separate marker color, so the whole line shares it).
 	if (!isNumbered) {
@@ -428,7 +482,7 @@ function buildAgendaListBox_(slide, x, y, w, h, items, tpl, font, startNumber) {
 		}
 	}
 
-	return box;
+	return lzTag(box, LZ_ROLES.AGENDA_LIST);
 }
 
 /**
@@ -459,17 +513,18 @@ function generateAgendaFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(AGENDA_AI_SYSTEM_PROMPT, text, {
+		feature: "agenda",
 		maxTokens: 300,
 		temperature: 0.3,
 	});
@@ -497,6 +552,46 @@ function autoBuildAgendaPayload_(generatedText, hints) {
 	return { items: items, templateId: templateId };
 }
 
+/**
+ * Minted-object edit adapter: renders a stamped payload back into the dialog's
+ * one-item-per-line text (inverse of parseAgendaItems_).
+ *
+ * @param {{items: Array<string>|string}} payload
+ * @return {string}
+ */
+function agendaPayloadToText_(payload) {
+	return parseAgendaItems_(payload && payload.items).join("\n");
+}
+
+/**
+ * A short list of 3-8 brief items with no numbers or dates; stronger with an
+ * "agenda/目錄" keyword line.
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string}|null}
+ */
+function autoRulesAgenda_(a) {
+	const kwLine = /^(?:agenda|outline|contents|議程|目錄|大綱)\s*[:：]?$/i;
+	let keyword = false;
+	const items = [];
+	for (let i = 0; i < a.lines.length; i++) {
+		const l = a.lines[i];
+		if (kwLine.test(l.plain)) {
+			keyword = true;
+			continue;
+		}
+		if (l.heading) continue;
+		if (l.plain.length > 40 || l.pair || l.date) return null;
+		items.push(l.plain);
+	}
+	if (items.length < 3 || items.length > 8) return null;
+	return {
+		score: keyword ? 0.75 : 0.5,
+		reason: keyword ? "偵測到議程關鍵字" : "短項目清單",
+		text: items.join("\n"),
+	};
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -525,4 +620,7 @@ AUTO_MINTERS.push({
 			choicesFrom: "getAgendaTemplates",
 		},
 	],
+	dialog: "createAgendaMinterDialog",
+	toText: "agendaPayloadToText_",
+	rules: "autoRulesAgenda_",
 });
@@ -9,49 +9,141 @@
  *   never passed as an argument across google.script.run. All provider calls
  *   happen here, server-side, via UrlFetchApp.
  *
- * We use Groq (https://console.groq.com/docs/overview): fast, free tier, and an
- * OpenAI-compatible Chat Completions API.
+ * PROVIDERS: every AI feature calls callGroq_() below, which talks to any
+ * OpenAI-compatible Chat Completions endpoint. Groq
+ * (https://console.groq.com/docs/overview) is the default — fast, free tier —
+ * but each user can switch provider, default model and (for "custom") base URL,
+ * e.g. a team gateway or a self-hosted stand-in server, and override the model
+ * per feature. Settings live in UserProperties next to the keys: one key per
+ * provider (a custom provider's per base URL), and only the active provider's
+ * key is ever sent, so a key never reaches another provider's host.
  */
 
+// Groq's key keeps its name from the Groq-only days so saved keys still work;
+// other providers' keys are AI_KEY_<provider> (aiKeyProperty_).
 const AI_KEY_PROPERTY = "GROQ_API_KEY";
+const AI_KEY_PROPERTY_PREFIX = "AI_KEY_";
 const GROQ_API_URL = "https://api.groq.com/openai/v1/chat/completions";
 const GROQ_DEFAULT_MODEL = "llama-3.3-70b-versatile";
 
+// Per-user provider settings (UserProperties).
+const AI_PROVIDER_PROPERTY = "AI_PROVIDER";
+const AI_BASE_URL_PROPERTY = "AI_BASE_URL";
+const AI_MODEL_PROPERTY = "AI_MODEL";
+const AI_FEATURE_MODELS_PROPERTY = "AI_FEATURE_MODELS";
+
+/**
+ * Known providers. All speak OpenAI-style Chat Completions; they differ only in
+ * base URL, default model and key format. "custom" takes the user's base URL
+ * and does not require a key (local / gateway servers often have none).
+ */
+const AI_PROVIDERS = {
+	groq: {
+		label: "Groq",
+		baseUrl: GROQ_API_URL,
+		defaultModel: GROQ_DEFAULT_MODEL,
+		keyPattern: /^gsk_[A-Za-z0-9]+$/,
+		keyHint: "gsk_...",
+		keyUrl: "https://console.groq.com/keys",
+		keyRequired: true,
+	},
+	openai: {
+		label: "OpenAI",
+		baseUrl: "https://api.openai.com/v1",
+		defaultModel: "gpt-4o-mini",
+		keyPattern: /^sk-[A-Za-z0-9_-]+$/,
+		keyHint: "sk-...",
+		keyUrl: "https://platform.openai.com/api-keys",
+		keyRequired: true,
+	},
+	custom: {
+		label: "OpenAI-compatible (custom URL)",
+		baseUrl: "",
+		defaultModel: "",
+		keyPattern: null,
+		keyHint: "(optional)",
+		keyUrl: "",
+		keyRequired: false,
+	},
+};
+const AI_DEFAULT_PROVIDER = "groq";
+
+/**
+ * The UserProperties name of a provider's key. A custom provider's key
+ * belongs to its base URL: changing the URL needs a new key.
+ *
+ * @param {string} providerId - a key of AI_PROVIDERS
+ * @param {string} [baseUrl] - the custom provider's base URL
+ * @return {string}
+ */
+function aiKeyProperty_(providerId, baseUrl) {
+	if (providerId === "groq") return AI_KEY_PROPERTY;
+	if (providerId === "custom") {
+		return AI_KEY_PROPERTY_PREFIX + "custom_" + String(baseUrl || "").trim();
+	}
+	return AI_KEY_PROPERTY_PREFIX + providerId;
+}
+
+/**
+ * The key property of the current user's active provider.
+ * @return {string}
+ */
+function activeAiKeyProperty_() {
+	return aiKeyProperty_(
+		getAiProviderId_(),
+		PropertiesService.getUserProperties().getProperty(AI_BASE_URL_PROPERTY),
+	);
+}
+
 /**
- * Saves the current user's Groq API key.
- * Called from the sidebar via google.script.run. Returns only a boolean —
- * never echoes the key back.
+ * Saves the current user's API key for a provider — their selected one unless
+ * the settings dialog names the provider (and base URL) it is switching to.
+ * Called via google.script.run. Returns only a boolean — never echoes the key
+ * back.
  *
- * @param {string} apiKey - The user's Groq API key (starts with "gsk_").
+ * @param {string} apiKey - The user's API key (Groq keys start with "gsk_").
+ * @param {string} [providerId] - a key of AI_PROVIDERS; default: selected one
+ * @param {string} [baseUrl] - the custom provider's base URL
  * @return {boolean} true on success.
  */
-function saveUserApiKey(apiKey) {
+function saveUserApiKey(apiKey, providerId, baseUrl) {
 	const key = (apiKey || "").trim();
-	if (!/^gsk_[A-Za-z0-9]+$/.test(key)) {
+	const id = AI_PROVIDERS[providerId] ? providerId : getAiProviderId_();
+	const provider = AI_PROVIDERS[id];
+	if (!key || (provider.keyPattern && !provider.keyPattern.test(key))) {
 		throw new Error(
-			"Invalid Groq key. Get one at https://console.groq.com/keys (starts with 'gsk_').",
+			`Invalid ${provider.label} key. Get one at ${provider.keyUrl} (looks like '${provider.keyHint}').`,
 		);
 	}
-	PropertiesService.getUserProperties().setProperty(AI_KEY_PROPERTY, key);
+	const props = PropertiesService.getUserProperties();
+	const property = providerId
+		? aiKeyProperty_(id, baseUrl)
+		: activeAiKeyProperty_();
+	props.setProperty(property, key);
 	return true;
 }
 
 /**
- * Reports whether the current user has a key saved — WITHOUT returning the key.
+ * Reports whether the current user can make AI calls — WITHOUT returning the
+ * key. True when a key is saved, or when the selected provider needs none
+ * (custom endpoint with a base URL set).
  * Use this to drive sidebar UI state (e.g. "key set ✓" vs. "enter key").
  *
  * @return {boolean}
  */
 function hasUserApiKey() {
-	return !!PropertiesService.getUserProperties().getProperty(AI_KEY_PROPERTY);
+	const props = PropertiesService.getUserProperties();
+	if (props.getProperty(activeAiKeyProperty_())) return true;
+	const provider = AI_PROVIDERS[getAiProviderId_()];
+	return !provider.keyRequired && !!props.getProperty(AI_BASE_URL_PROPERTY);
 }
 
 /**
- * Deletes the current user's stored key.
+ * Deletes the current user's stored key for their active provider.
  * @return {boolean} true on success.
  */
 function clearUserApiKey() {
-	PropertiesService.getUserProperties().deleteProperty(AI_KEY_PROPERTY);
+	PropertiesService.getUserProperties().deleteProperty(activeAiKeyProperty_());
 	return true;
 }
 
@@ -91,7 +183,7 @@ function showAiKeySetup() {
 }
 
 /**
- * Opens the reusable Groq key-entry modal dialog.
+ * Opens the reusable AI key + provider settings modal dialog.
  * Can also be wired to a menu item (e.g. "🔑 設定 AI 金鑰") for explicit setup.
  *
  * @param {string} [continueFnName] - Optional function to re-run after saving.
@@ -101,44 +193,251 @@ function showApiKeyDialog(continueFnName) {
 		"src/components/ai-key-dialog",
 	);
 	template.continueFnName = continueFnName || "";
-	const html = template.evaluate().setWidth(440).setHeight(380);
+	const html = template.evaluate().setWidth(460).setHeight(600);
 	SlidesApp.getUi().showModalDialog(html, "🔑 Set up AI");
 }
 
 /**
- * Internal: read the current user's key or throw a friendly error.
- * Not exposed to the client.
+ * Internal: read the current user's key for their active provider or throw a
+ * friendly error. Not exposed to the client. Returns "" for providers that
+ * need no key.
  *
  * @return {string}
  */
 function getUserApiKeyOrThrow_() {
-	const key =
-		PropertiesService.getUserProperties().getProperty(AI_KEY_PROPERTY);
-	if (!key) {
+	const key = PropertiesService.getUserProperties().getProperty(
+		activeAiKeyProperty_(),
+	);
+	const provider = AI_PROVIDERS[getAiProviderId_()];
+	if (!key && provider.keyRequired) {
+		throw new Error(
+			`No API key set. Open the 🔑 API Key panel and paste your ${provider.label} key ` +
+				`(get one at ${provider.keyUrl}).`,
+		);
+	}
+	return key || "";
+}
+
+/**
+ * The current user's provider id, falling back to the default for unknown or
+ * unset values.
+ * @return {string} a key of AI_PROVIDERS
+ */
+function getAiProviderId_() {
+	const id =
+		PropertiesService.getUserProperties().getProperty(AI_PROVIDER_PROPERTY);
+	return id && AI_PROVIDERS[id] ? id : AI_DEFAULT_PROVIDER;
+}
+
+/**
+ * Reads the per-feature model overrides ({feature: model}).
+ * @return {Object<string, string>}
+ */
+function getAiFeatureModels_() {
+	const raw = PropertiesService.getUserProperties().getProperty(
+		AI_FEATURE_MODELS_PROPERTY,
+	);
+	if (!raw) return {};
+	try {
+		const obj = JSON.parse(raw);
+		return obj && typeof obj === "object" ? obj : {};
+	} catch (e) {
+		return {};
+	}
+}
+
+/**
+ * Returns the current user's AI settings for the settings dialog — never a
+ * key itself, only whether one is saved (per provider; a custom provider's
+ * for the saved base URL).
+ *
+ * @return {{provider: string, baseUrl: string, model: string,
+ *   featureModels: Object<string, string>, hasKey: boolean,
+ *   providers: Array<Object>}}
+ */
+function getAiSettings() {
+	const props = PropertiesService.getUserProperties();
+	const baseUrl = props.getProperty(AI_BASE_URL_PROPERTY) || "";
+	return {
+		provider: getAiProviderId_(),
+		baseUrl: baseUrl,
+		model: props.getProperty(AI_MODEL_PROPERTY) || "",
+		featureModels: getAiFeatureModels_(),
+		hasKey: !!props.getProperty(activeAiKeyProperty_()),
+		providers: Object.keys(AI_PROVIDERS).map(function (id) {
+			const p = AI_PROVIDERS[id];
+			return {
+				id: id,
+				label: p.label,
+				baseUrl: p.baseUrl,
+				defaultModel: p.defaultModel,
+				keyHint: p.keyHint,
+				keyUrl: p.keyUrl,
+				keyRequired: p.keyRequired,
+				hasKey: !!props.getProperty(aiKeyProperty_(id, baseUrl)),
+			};
+		}),
+	};
+}
+
+/**
+ * Saves the current user's provider settings. Blank model = provider default;
+ * blank feature overrides are dropped. Called from the settings dialog, after
+ * it saved the new provider's key (saveUserApiKey): switching to a provider
+ * that needs a key and has none saved is refused.
+ *
+ * @param {{provider: string, baseUrl?: string, model?: string,
+ *   featureModels?: Object<string, string>}} settings
+ * @return {boolean} true on success.
+ */
+function saveAiSettings(settings) {
+	const s = settings || {};
+	const provider = AI_PROVIDERS[s.provider] ? s.provider : "";
+	if (!provider) throw new Error("Unknown AI provider: " + s.provider);
+
+	const baseUrl = String(s.baseUrl || "").trim();
+	if (provider === "custom" && !/^https?:\/\/\S+$/.test(baseUrl)) {
+		throw new Error(
+			"A custom provider needs a base URL, e.g. https://gateway.example.com/v1",
+		);
+	}
+
+	const props = PropertiesService.getUserProperties();
+	if (
+		AI_PROVIDERS[provider].keyRequired &&
+		!props.getProperty(aiKeyProperty_(provider, baseUrl))
+	) {
+		throw new Error(
+			`No ${AI_PROVIDERS[provider].label} key saved. Paste one before switching to it.`,
+		);
+	}
+
+	const model = String(s.model || "").trim();
+	if (!model && !AI_PROVIDERS[provider].defaultModel) {
 		throw new Error(
-			"No API key set. Open the 🔑 API Key panel and paste your Groq key " +
-				"(get a free one at https://console.groq.com/keys).",
+			`${AI_PROVIDERS[provider].label} has no default model. Enter the model to use.`,
 		);
 	}
-	return key;
+
+	const featureModels = {};
+	const fm = s.featureModels || {};
+	for (const k in fm) {
+		const feature = String(k).trim();
+		const model = String(fm[k] || "").trim();
+		if (feature && model) featureModels[feature] = model;
+	}
+
+	props.setProperty(AI_PROVIDER_PROPERTY, provider);
+	props.setProperty(AI_BASE_URL_PROPERTY, provider === "custom" ? baseUrl : "");
+	props.setProperty(AI_MODEL_PROPERTY, model);
+	props.setProperty(AI_FEATURE_MODELS_PROPERTY, JSON.stringify(featureModels));
+	return true;
+}
+
+/**
+ * Turns a base URL into its Chat Completions endpoint. Accepts either the API
+ * root (".../v1") or the full endpoint.
+ *
+ * @param {string} baseUrl
+ * @return {string}
+ */
+function aiChatCompletionsUrl_(baseUrl) {
+	const url = String(baseUrl || "").replace(/\/+$/, "");
+	return /\/chat\/completions$/.test(url) ? url : url + "/chat/completions";
+}
+
+/**
+ * Picks the model for one call: explicit opts.model → per-feature override →
+ * the user's default model → the provider's default.
+ *
+ * @param {Object} options - callGroq_ opts ({model?, feature?})
+ * @param {{model: string, featureModels: Object<string, string>}} settings
+ * @param {Object} provider - an AI_PROVIDERS entry
+ * @return {string}
+ */
+function resolveAiModel_(options, settings, provider) {
+	return (
+		options.model ||
+		(options.feature && settings.featureModels[options.feature]) ||
+		settings.model ||
+		provider.defaultModel
+	);
 }
 
 /**
- * Calls Groq's chat completions endpoint with the current user's stored key.
- * The key is read server-side here — the client never supplies it.
+ * Shared response normalization for every provider: maps an OpenAI-style Chat
+ * Completions response to the {success, generatedText, usage, model} shape
+ * every AI feature consumes.
+ *
+ * @param {number} code - HTTP status
+ * @param {string} body - raw response text
+ * @param {string} label - provider label for error messages
+ * @param {string} requestedModel - echoed when the response omits `model`
+ * @return {{success: boolean, generatedText?: string, model?: string, usage?: Object, error?: string}}
+ */
+function normalizeAiChatResponse_(code, body, label, requestedModel) {
+	let data = null;
+	try {
+		data = JSON.parse(body);
+	} catch (e) {
+		data = null;
+	}
+
+	if (code !== 200) {
+		const msg =
+			data && data.error
+				? data.error.message || String(data.error)
+				: "Unknown error";
+		return { success: false, error: `${label} API error (${code}): ${msg}` };
+	}
+
+	const choice = data && data.choices && data.choices[0];
+	const content = choice && choice.message ? choice.message.content : null;
+	if (content == null) {
+		return { success: false, error: `No response generated from ${label} API` };
+	}
+
+	return {
+		success: true,
+		generatedText: String(content).trim(),
+		usage: data.usage || {},
+		model: data.model || requestedModel,
+	};
+}
+
+/**
+ * Calls the current user's AI provider (Groq by default) with their stored key
+ * for that provider. The key is read server-side here — the client never
+ * supplies it. The name is historical: every AI feature calls this, whatever
+ * the provider.
  *
  * @param {string} systemMessage - System role content.
  * @param {string} userMessage - User role content.
- * @param {Object} [opts] - { model, maxTokens, temperature }.
+ * @param {Object} [opts] - { model, maxTokens, temperature, responseFormat,
+ *   feature } — `feature` (e.g. "kpi", "router") selects a per-feature model
+ *   override when no explicit model is given.
  * @return {{success: boolean, generatedText?: string, model?: string, usage?: Object, error?: string}}
  */
 function callGroq_(systemMessage, userMessage, opts) {
+	let label = "AI";
 	try {
 		const apiKey = getUserApiKeyOrThrow_();
 		const options = opts || {};
+		const settings = getAiSettings();
+		const provider = AI_PROVIDERS[settings.provider];
+		label = provider.label;
+
+		const model = resolveAiModel_(options, settings, provider);
+		if (!model) {
+			return {
+				success: false,
+				error: `No ${label} model set. Choose one in the AI settings.`,
+				generatedText: "",
+			};
+		}
 
 		const body = {
-			model: options.model || GROQ_DEFAULT_MODEL,
+			model: model,
 			messages: [
 				{ role: "system", content: systemMessage },
 				{ role: "user", content: userMessage },
@@ -152,36 +451,33 @@ function callGroq_(systemMessage, userMessage, opts) {
 			body.response_format = options.responseFormat;
 		}
 
-		const response = UrlFetchApp.fetch(GROQ_API_URL, {
-			method: "POST",
-			contentType: "application/json",
-			headers: { Authorization: `Bearer ${apiKey}` },
-			payload: JSON.stringify(body),
-			muteHttpExceptions: true, // read error bodies without dumping the key into a stack trace
-		});
+		const headers = {};
+		if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
 
-		const code = response.getResponseCode();
-		const data = JSON.parse(response.getContentText());
+		const response = UrlFetchApp.fetch(
+			aiChatCompletionsUrl_(settings.baseUrl || provider.baseUrl),
+			{
+				method: "POST",
+				contentType: "application/json",
+				headers: headers,
+				payload: JSON.stringify(body),
+				muteHttpExceptions: true, // read error bodies without dumping the key into a stack trace
+			},
+		);
 
+		const code = response.getResponseCode();
 		if (code !== 200) {
 			// Log status only — NEVER the request headers/payload (they contain the key).
-			console.error("Groq API error: " + code);
-			const msg = data && data.error ? data.error.message : "Unknown error";
-			return { success: false, error: `Groq API error (${code}): ${msg}` };
+			console.error(label + " API error: " + code);
 		}
-
-		if (!data.choices || data.choices.length === 0) {
-			return { success: false, error: "No response generated from Groq API" };
-		}
-
-		return {
-			success: true,
-			generatedText: data.choices[0].message.content.trim(),
-			usage: data.usage || {},
-			model: data.model || body.model,
-		};
+		return normalizeAiChatResponse_(
+			code,
+			response.getContentText(),
+			label,
+			body.model,
+		);
 	} catch (e) {
-		console.error("Error calling Groq API: " + e.message);
+		console.error("Error calling " + label + " API: " + e.message);
 		return { success: false, error: e.message, generatedText: "" };
 	}
 }
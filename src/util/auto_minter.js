@@ -9,6 +9,10 @@
  *     adapter, returning the exact payload its insert<X>IntoSlide accepts.
  *     The dialog previews straight from that payload (insert-what-you-see).
  *
+ * Without a key (or by preference) both rounds run offline instead: the rules
+ * router in auto_minter_rules.js scores the registry with text heuristics and
+ * rewrites the context straight into the adapter's syntax — no API call.
+ *
  * Registry: each minter file self-registers by pushing a descriptor into the
  * global AUTO_MINTERS array (guarded `var` declaration, safe under GAS's
  * unspecified file load order — see the registration block in any minter).
@@ -32,6 +36,13 @@
  *     previewKind: string,    // generic fallback renderer key
  *     precheck: string,       // fn name: (context) → bool eligibility, or ""
  *     options: Array<Object>, // declarative user-facing options (see below)
+ *     dialog?: string,        // fn name: (edit?) → HtmlOutput of the minter's
+ *                             //   own dialog; enables ✏ re-editing
+ *     toText?: string,        // fn name: (payload) → the dialog's textarea
+ *                             //   syntax (see minted_objects.js)
+ *     rules?: string,         // fn name: (analysis) → {score, reason, text,
+ *                             //   hints?}|null for the offline rules router
+ *                             //   (see auto_minter_rules.js)
  *   }
  *
  * Option spec (rendered generically by the dialog; values merge into hints):
@@ -209,44 +220,107 @@ function extractAutoJson_(text) {
 	}
 }
 
+// Per-user router mode (UserProperties):
+//   "fallback" — AI router; the offline rules router when no key is set or
+//                the AI call fails (default)
+//   "ai"       — AI router only (needs a key)
+//   "rules"    — offline rules router only, never calls the API
+const AUTO_ROUTER_MODE_PROPERTY = "AUTO_MINTER_ROUTER";
+const AUTO_ROUTER_MODES = ["fallback", "ai", "rules"];
+
+/**
+ * Resolves the router mode: a valid `mode` argument wins and is saved as the
+ * user's new preference; otherwise the saved preference (or "fallback").
+ * @param {string=} mode
+ * @return {string} one of AUTO_ROUTER_MODES
+ */
+function resolveAutoRouterMode_(mode) {
+	const props = PropertiesService.getUserProperties();
+	if (AUTO_ROUTER_MODES.indexOf(mode) >= 0) {
+		props.setProperty(AUTO_ROUTER_MODE_PROPERTY, mode);
+		return mode;
+	}
+	const saved = props.getProperty(AUTO_ROUTER_MODE_PROPERTY);
+	return AUTO_ROUTER_MODES.indexOf(saved) >= 0 ? saved : "fallback";
+}
+
+/**
+ * Registry entries whose precheck accepts the text (e.g. gallery only when
+ * image URLs are present). A throwing precheck counts as eligible.
+ * @param {string} text
+ * @return {Array<Object>}
+ */
+function getEligibleAutoMinters_(text) {
+	return getAutoMinterRegistry_().filter(function (d) {
+		const check = resolveAutoFn_(d.precheck);
+		if (!check) return true;
+		try {
+			return !!check(text);
+		} catch (e) {
+			return true;
+		}
+	});
+}
+
 /**
- * Round 1: routes the pasted context to 2-3 candidate minters via Groq.
+ * Round 1: routes the pasted context to 2-3 candidate minters — via the AI
+ * router or the offline rules router, per the user's router mode.
  * Called from the dialog through google.script.run.
  *
  * @param {string} context - Arbitrary text the user pasted.
- * @return {{success: boolean,
- *           candidates?: Array<{key, label, emoji, reason, hints}>,
- *           needKey?: boolean, error?: string}}
+ * @param {string=} mode - "fallback" | "ai" | "rules"; saved when given.
+ * @return {{success: boolean, source?: string,
+ *           candidates?: Array<{key, label, emoji, reason, hints, source}>,
+ *           note?: string, needKey?: boolean, error?: string}}
  */
-function autoMinterRoute(context) {
+function autoMinterRoute(context, mode) {
 	const text = (context || "").trim();
 	if (!text) {
 		return { success: false, error: "No context provided." };
 	}
+	const routerMode = resolveAutoRouterMode_(mode);
+	const eligible = getEligibleAutoMinters_(text);
+	if (!eligible.length) {
+		return { success: false, error: "No eligible minters registered." };
+	}
+
+	if (routerMode === "rules") return autoRulesRoute_(text, eligible);
 	if (!hasUserApiKey()) {
+		if (routerMode === "fallback") {
+			const rules = autoRulesRoute_(text, eligible);
+			if (rules.success) return rules;
+		}
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
-	// Eligibility pre-filter (e.g. gallery only when image URLs are present).
-	const eligible = getAutoMinterRegistry_().filter(function (d) {
-		const check = resolveAutoFn_(d.precheck);
-		if (!check) return true;
-		try {
-			return !!check(text);
-		} catch (e) {
-			return true;
-		}
-	});
-	if (!eligible.length) {
-		return { success: false, error: "No eligible minters registered." };
+	const res = autoAiRoute_(text, eligible);
+	if (!res.success && routerMode === "fallback") {
+		const rules = autoRulesRoute_(text, eligible);
+		if (!rules.success) return res;
+		rules.note = "AI 路由失敗，已改用規則路由。";
+		return rules;
 	}
+	return res;
+}
 
+/**
+ * The AI half of round 1: one LLM call picks 2-3 candidates from the
+ * eligible registry entries.
+ *
+ * @param {string} text - trimmed context
+ * @param {Array<Object>} eligible - registry entries that passed precheck
+ * @return {{success: boolean, source?: string,
+ *           candidates?: Array<{key, label, emoji, reason, hints, source}>,
+ *           error?: string}}
+ */
+function autoAiRoute_(text, eligible) {
 	const res = callGroq_(buildAutoRouterPrompt_(eligible), text, {
+		feature: "router",
 		maxTokens: 500,
 		temperature: 0.2,
 		responseFormat: { type: "json_object" },
@@ -281,6 +355,7 @@ function autoMinterRoute(context) {
 			emoji: d.emoji,
 			reason: String(c.reason || "").slice(0, 30),
 			hints: c.hints && typeof c.hints === "object" ? c.hints : {},
+			source: "ai",
 		});
 	}
 	if (!candidates.length) {
@@ -289,7 +364,7 @@ function autoMinterRoute(context) {
 			error: "AI 無法判斷合適的鑄造器，請補充內容或改用手動鑄造器。",
 		};
 	}
-	return { success: true, candidates: candidates };
+	return { success: true, source: "ai", candidates: candidates };
 }
 
 /**
@@ -297,13 +372,17 @@ function autoMinterRoute(context) {
  * reusing that minter's own generate fn + payload adapter.
  * Called from the dialog through google.script.run.
  *
+ * Candidates from the rules router (source "rules") skip the generate fn:
+ * the minter's rule rewrites the raw context into its adapter syntax.
+ *
  * @param {string} key - Registry key of the chosen minter.
  * @param {string} context - The same pasted text as round 1.
  * @param {Object} [hints] - Config hints from the router candidate.
+ * @param {string} [source] - The candidate's router source, "ai" | "rules".
  * @return {{success: boolean, key?: string, payload?: Object,
  *           previewKind?: string, needKey?: boolean, error?: string}}
  */
-function autoMinterGenerate(key, context, hints) {
+function autoMinterGenerate(key, context, hints, source) {
 	const d = findAutoMinter_(key);
 	if (!d) {
 		return { success: false, error: "Unknown minter: " + key };
@@ -318,7 +397,10 @@ function autoMinterGenerate(key, context, hints) {
 		};
 	}
 
-	const res = gen((context || "").trim(), hints || {});
+	const res =
+		source === "rules"
+			? autoRulesGenerate_(d, (context || "").trim())
+			: gen((context || "").trim(), hints || {});
 	if (!res || !res.success) {
 		// Pass needKey / error through untouched for the dialog to render.
 		return res || { success: false, error: "Generation failed." };
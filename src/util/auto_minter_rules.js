@@ -0,0 +1,201 @@
+/**
+ * Deterministic offline "rules" router for the ⚡ Auto Minter — no API call,
+ * no key.
+ *
+ * Round 1 — autoRulesRoute_(text, eligible): analyzes the pasted text once
+ *   (analyzeAutoRulesText_) and asks every eligible minter's `rules` fn to
+ *   score it; the 2-3 best become candidates in the same shape the AI router
+ *   returns, tagged `source: "rules"`.
+ * Round 2 — autoRulesGenerate_(descriptor, text): re-runs that minter's rule,
+ *   whose `text` is the raw context rewritten into the minter's own adapter
+ *   syntax, so its buildPayload parses it directly instead of an LLM output.
+ *
+ * The rule contract and the rules themselves are listed at autoRulesRoute_.
+ */
+
+/** Years, yyyy-mm(-dd), quarters, English month names, 中文 月/日. */
+const AUTO_RULES_DATE_RE_ =
+	/(?:\b(?:19|20)\d{2}(?:[/.-]\d{1,2}(?:[/.-]\d{1,2})?)?(?:\s*年)?|\bQ[1-4]\b|\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?(?:\s+\d{1,2}\b)?|\d{1,2}\s*月(?:\s*\d{1,2}\s*日)?)/i;
+
+/** A number as it appears in stats: sign, thousands commas, decimals, unit. */
+const AUTO_RULES_NUMBER_RE_ =
+	/^[-+]?[$€£¥]?\d[\d,]*(?:\.\d+)?\s*(?:%|％|x|倍|[kKmMbB]|萬|億)?$/;
+
+/**
+ * Parses one `label: number` (or `number | label`) line into a pair.
+ * @param {string} s - marker-stripped line
+ * @return {{label: string, value: string}|null}
+ */
+function parseAutoRulesPair_(s) {
+	const m = s.match(/^(.+?)\s*[:：|｜]\s*(.+)$/);
+	if (!m) return null;
+	const a = m[1].trim();
+	const b = m[2].trim();
+	if (AUTO_RULES_NUMBER_RE_.test(b) && !AUTO_RULES_NUMBER_RE_.test(a)) {
+		return { label: a, value: b };
+	}
+	if (AUTO_RULES_NUMBER_RE_.test(a) && !AUTO_RULES_NUMBER_RE_.test(b)) {
+		return { label: b, value: a };
+	}
+	return null;
+}
+
+/**
+ * Splits "title: desc" / "title — desc" / "title | desc" at the first
+ * separator. Lines without one are all title.
+ * @param {string} s
+ * @return {Array<string>} [title, desc]
+ */
+function splitAutoRulesPair_(s) {
+	const m = s.match(/^(.+?)\s*(?:[:：|｜]|\s[-–—]\s)\s*(.+)$/);
+	return m ? [m[1].trim(), m[2].trim()] : [s.trim(), ""];
+}
+
+/**
+ * Analyzes pasted text once for every minter's rule: one record per
+ * non-empty line plus a few whole-text flags.
+ *
+ * @param {string} text
+ * @return {{text: string, count: number, vs: boolean,
+ *   lines: Array<{text: string, plain: string, heading: number,
+ *     numbered: boolean, bullet: boolean, pipe: boolean, date: string,
+ *     pair: ({label: string, value: string}|null)}>}}
+ */
+function analyzeAutoRulesText_(text) {
+	const raw = String(text == null ? "" : text).replace(/\r\n/g, "\n");
+	const lines = [];
+	const parts = raw.split("\n");
+	for (let i = 0; i < parts.length; i++) {
+		const t = parts[i].trim();
+		if (!t || /^```/.test(t) || /^-{3,}$/.test(t)) continue;
+		const h = t.match(/^(#{1,6})\s+(.+)$/);
+		const numbered = /^\d{1,2}[.)、]\s*\S/.test(t);
+		const bullet = /^[-*•・]\s+\S/.test(t);
+		let plain = h ? h[2].trim() : t;
+		if (numbered) plain = plain.replace(/^\d{1,2}[.)、]\s*/, "");
+		if (bullet) plain = plain.replace(/^[-*•・]\s+/, "");
+		const dm = plain.match(AUTO_RULES_DATE_RE_);
+		lines.push({
+			text: t,
+			plain: plain,
+			heading: h ? h[1].length : 0,
+			numbered: numbered,
+			bullet: bullet,
+			pipe: (t.match(/\|/g) || []).length >= 2,
+			date: dm ? dm[0].trim() : "",
+			pair: h ? null : parseAutoRulesPair_(plain),
+		});
+	}
+	return {
+		text: raw.trim(),
+		count: lines.length,
+		vs: /\bvs\.?(?=\s|$)|\bversus\b|對比|相較於/i.test(raw),
+		lines: lines,
+	};
+}
+
+/**
+ * Groups the analyzed lines under the top-level headings present (the
+ * smallest `#` depth). Lines before the first heading are dropped.
+ *
+ * @param {Object} a - from analyzeAutoRulesText_
+ * @return {Array<{title: string, lines: Array<string>}>}
+ */
+function autoRulesSections_(a) {
+	let top = 0;
+	for (let i = 0; i < a.lines.length; i++) {
+		const h = a.lines[i].heading;
+		if (h && (!top || h < top)) top = h;
+	}
+	const sections = [];
+	if (!top) return sections;
+	for (let i = 0; i < a.lines.length; i++) {
+		const l = a.lines[i];
+		if (l.heading === top) {
+			sections.push({ title: l.plain, lines: [] });
+		} else if (sections.length) {
+			sections[sections.length - 1].lines.push(l.plain);
+		}
+	}
+	return sections;
+}
+
+/**
+ * Round 1, offline: scores every eligible minter that has a `rules` fn and
+ * returns the top 2-3 as router candidates (same shape as the AI router).
+ *
+ * A minter opts in with a `rules` descriptor field naming a fn
+ *   (analysis) → {score: 0..1, reason: string, text: string, hints?: Object}|null
+ * defined next to its Auto Minter adapter; `analysis` is the
+ * analyzeAutoRulesText_() result and `text` is rewritten into the minter's
+ * adapter syntax. The rules, roughly:
+ *   autoRulesTimeline_ — dated lines · autoRulesKpi_ / autoRulesBarChart_ —
+ *   `label: number` lines (bars from 5 rows up) · autoRulesSteps_ — numbered
+ *   lines · autoRulesTable_ — markdown pipes · autoRulesCompare_ — "vs" / two
+ *   or three headings · autoRulesGrid_ — 3-9 headings · autoRulesGallery_ —
+ *   image URLs · autoRulesAgenda_ / autoRulesTakeaways_ — short lists ·
+ *   autoRulesCallout_ — one short paragraph.
+ *
+ * @param {string} text - the pasted context
+ * @param {Array<Object>} eligible - registry entries that passed precheck
+ * @return {{success: boolean, source?: string,
+ *   candidates?: Array<{key, label, emoji, reason, hints, source}>,
+ *   error?: string}}
+ */
+function autoRulesRoute_(text, eligible) {
+	const a = analyzeAutoRulesText_(text);
+	const scored = [];
+	for (let i = 0; i < eligible.length; i++) {
+		const d = eligible[i];
+		const rule = resolveAutoFn_(d.rules);
+		if (!rule) continue;
+		let r = null;
+		try {
+			r = rule(a);
+		} catch (e) {
+			console.error("Auto Minter rule error (" + d.key + "): " + e.message);
+		}
+		if (r && r.score > 0 && r.text) scored.push({ d: d, r: r });
+	}
+	scored.sort(function (x, y) {
+		return y.r.score - x.r.score || (x.d.order || 99) - (y.d.order || 99);
+	});
+
+	const candidates = scored.slice(0, 3).map(function (s) {
+		return {
+			key: s.d.key,
+			label: s.d.label,
+			emoji: s.d.emoji,
+			reason: String(s.r.reason || "").slice(0, 30),
+			hints: s.r.hints || {},
+			source: "rules",
+		};
+	});
+	if (!candidates.length) {
+		return {
+			success: false,
+			error: "規則無法判斷合適的鑄造器，請改用 AI 或手動鑄造器。",
+		};
+	}
+	return { success: true, source: "rules", candidates: candidates };
+}
+
+/**
+ * Round 2, offline: rewrites the context into the minter's adapter syntax via
+ * its rule — the drop-in replacement for its generate fn.
+ *
+ * @param {Object} d - registry descriptor
+ * @param {string} context
+ * @return {{success: boolean, generatedText?: string, error?: string}}
+ */
+function autoRulesGenerate_(d, context) {
+	const rule = resolveAutoFn_(d.rules);
+	const r = rule ? rule(analyzeAutoRulesText_(context)) : null;
+	if (!r || !r.text) {
+		return {
+			success: false,
+			error: "規則無法把內容轉成「" + d.label + "」，請改用 AI 生成。",
+		};
+	}
+	return { success: true, generatedText: r.text };
+}
@@ -1,6 +1,5 @@
-// TODO(shared-migration): replace the typeof *_color fallback block with
-//   getThemeColors() (shared/theme_colors.js); see kpi_minter.js for the pattern.
-//   If/when this minter moves to batch requests, use shared/shape_requests.js builders.
+// TODO(shared-migration): if/when this minter moves to batch requests, use
+//   shared/shape_requests.js builders.
 /**
  * Server-side core for the Bar Chart Minter (簡易長條圖鑄造器) dialog.
  *
@@ -21,8 +20,8 @@
 
 /**
  * Single source of truth for bar-chart color templates. Colors resolve from the
- * global palette (main_color / accent_color / sub1_color …) so they track the
- * configured theme.
+ * deck's theme (getThemeColors: main / accent / sub1) so they track its saved
+ * palette.
  *
  * - main / accent: a single fill color applied to every bar.
  * - multi: cycles a small palette per bar.
@@ -30,10 +29,10 @@
  * @return {Array<{id,name,mode,fill?,palette?}>}
  */
 function buildBarChartTemplates_() {
-	const main = (typeof main_color !== "undefined" && main_color) || "#3D6869";
-	const accent =
-		(typeof accent_color !== "undefined" && accent_color) || "#f29424";
-	const sub1 = (typeof sub1_color !== "undefined" && sub1_color) || "#E7EAE7";
+	const theme = getThemeColors();
+	const main = theme.main;
+	const accent = theme.accent;
+	const sub1 = theme.sub1;
 	return [
 		{ id: "main", name: "主色 Main", mode: "single", fill: main },
 		{ id: "accent", name: "強調 Accent", mode: "single", fill: accent },
@@ -89,17 +88,18 @@ function generateBarChartFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(BARCHART_AI_SYSTEM_PROMPT, text, {
+		feature: "barchart",
 		maxTokens: 1500,
 		temperature: 0.3,
 	});
@@ -231,7 +231,7 @@ function insertBarChartIntoSlide(payload) {
 			);
 			baseline.getFill().setSolidFill(axisColor);
 			baseline.getBorder().getLineFill().setSolidFill(axisColor);
-			group.push(baseline);
+			group.push(lzTag(baseline, LZ_ROLES.BAR_AXIS));
 
 			for (let i = 0; i < n; i++) {
 				const v = Math.max(0, bars[i].value);
@@ -250,7 +250,7 @@ function insertBarChartIntoSlide(payload) {
 					);
 					bar.getFill().setSolidFill(colorFor(i));
 					bar.getBorder().getLineFill().setSolidFill(colorFor(i));
-					group.push(bar);
+					group.push(lzTag(bar, LZ_ROLES.BAR));
 				}
 
 				// Value label above the bar.
@@ -264,7 +264,7 @@ function insertBarChartIntoSlide(payload) {
 					);
 					valShape.getText().setText(formatBarValue_(bars[i].value));
 					styleBarLabel_(valShape, font, 9, "#333333", true);
-					group.push(valShape);
+					group.push(lzTag(valShape, LZ_ROLES.BAR_VALUE));
 				}
 
 				// Category label below the baseline.
@@ -277,7 +277,7 @@ function insertBarChartIntoSlide(payload) {
 				);
 				catShape.getText().setText(bars[i].label || "");
 				styleBarLabel_(catShape, font, 9, "#555555", false);
-				group.push(catShape);
+				group.push(lzTag(catShape, LZ_ROLES.BAR_LABEL));
 			}
 		} else {
 			// Horizontal bars: vertical axis on the left, bars grow rightward.
@@ -297,7 +297,7 @@ function insertBarChartIntoSlide(payload) {
 			);
 			axis.getFill().setSolidFill(axisColor);
 			axis.getBorder().getLineFill().setSolidFill(axisColor);
-			group.push(axis);
+			group.push(lzTag(axis, LZ_ROLES.BAR_AXIS));
 
 			for (let i = 0; i < n; i++) {
 				const v = Math.max(0, bars[i].value);
@@ -315,7 +315,7 @@ function insertBarChartIntoSlide(payload) {
 					);
 					bar.getFill().setSolidFill(colorFor(i));
 					bar.getBorder().getLineFill().setSolidFill(colorFor(i));
-					group.push(bar);
+					group.push(lzTag(bar, LZ_ROLES.BAR));
 				}
 
 				// Category label to the left of the axis.
@@ -335,7 +335,7 @@ function insertBarChartIntoSlide(payload) {
 						.getParagraphStyle()
 						.setParagraphAlignment(SlidesApp.ParagraphAlignment.END);
 				} catch (e) {}
-				group.push(catShape);
+				group.push(lzTag(catShape, LZ_ROLES.BAR_LABEL));
 
 				// Value label at the bar end.
 				if (showValues) {
@@ -355,12 +355,12 @@ function insertBarChartIntoSlide(payload) {
 							.getParagraphStyle()
 							.setParagraphAlignment(SlidesApp.ParagraphAlignment.START);
 					} catch (e) {}
-					group.push(valShape);
+					group.push(lzTag(valShape, LZ_ROLES.BAR_VALUE));
 				}
 			}
 		}
 
-		if (group.length > 1) slide.group(group);
+		stampMintedElements_(slide, group, "barchart", p);
 
 		return { success: true };
 	} catch (e) {
@@ -442,6 +442,45 @@ function autoBuildBarChartPayload_(generatedText, hints) {
 	};
 }
 
+/**
+ * Minted-object edit adapter: renders a stamped payload back into the dialog's
+ * `label | value` lines (inverse of parseBarChartData_).
+ *
+ * @param {{data: Array<{label:string,value:(number|string)}>|string}} payload
+ * @return {string}
+ */
+function barChartPayloadToText_(payload) {
+	return parseBarChartData_(payload && payload.data)
+		.map(function (b) {
+			return b.label + " | " + b.value;
+		})
+		.join("\n");
+}
+
+/**
+ * 3+ `label: number` lines become `label | value` bars; preferred over KPI from
+ * 5 rows up.
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string}|null}
+ */
+function autoRulesBarChart_(a) {
+	const pairs = a.lines.filter(function (l) {
+		return l.pair;
+	});
+	const n = pairs.length;
+	if (n < 3 || n / a.count < 0.6) return null;
+	return {
+		score: n >= 5 ? 0.85 : 0.65,
+		reason: "偵測到 " + n + " 筆數值資料",
+		text: pairs
+			.map(function (l) {
+				return l.pair.label + " | " + l.pair.value;
+			})
+			.join("\n"),
+	};
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -486,4 +525,7 @@ AUTO_MINTERS.push({
 			default: true,
 		},
 	],
+	dialog: "createBarChartMinterDialog",
+	toText: "barChartPayloadToText_",
+	rules: "autoRulesBarChart_",
 });
@@ -1,6 +1,5 @@
-// TODO(shared-migration): replace the typeof *_color fallback block with
-//   getThemeColors() (shared/theme_colors.js); see kpi_minter.js for the pattern.
-//   If/when this minter moves to batch requests, use shared/shape_requests.js builders.
+// TODO(shared-migration): if/when this minter moves to batch requests, use
+//   shared/shape_requests.js builders.
 /**
  * Server-side core for the Callout Minter dialog.
  *
@@ -17,16 +16,16 @@
  */
 
 /**
- * Single source of truth for callout templates. Colors resolve from the global
- * palette (main_color / accent_color) so they track the configured theme.
+ * Single source of truth for callout templates. Colors resolve through
+ * getThemeColors() (main / accent) so they track the deck's saved theme.
  * style: 'banner' = top header + left bar; 'quote' = left bar only, no header.
  *
  * @return {Array<{id,name,headerLabel,style,headerFill,headerText,barColor,bodyFill,bodyBorder,bodyText}>}
  */
 function buildCalloutTemplates_() {
-	const main = (typeof main_color !== "undefined" && main_color) || "#3D6869";
-	const accent =
-		(typeof accent_color !== "undefined" && accent_color) || "#f29424";
+	const theme = getThemeColors();
+	const main = theme.main;
+	const accent = theme.accent;
 	const green = "#2E7D32";
 	const red = "#C0392B";
 	return [
@@ -156,17 +155,18 @@ function generateCalloutFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(CALLOUT_AI_SYSTEM_PROMPT, text, {
+		feature: "callout",
 		maxTokens: 500,
 		temperature: 0.3,
 	});
@@ -284,7 +284,7 @@ function insertCalloutIntoSlide(payload) {
 				.getParagraphStyle()
 				.setParagraphAlignment(SlidesApp.ParagraphAlignment.START);
 			headerShape.setContentAlignment(SlidesApp.ContentAlignment.MIDDLE);
-			group.push(headerShape);
+			group.push(lzTag(headerShape, LZ_ROLES.CALLOUT_HEAD));
 		}
 
 		// Left accent bar (spans the header + body).
@@ -298,9 +298,9 @@ function insertCalloutIntoSlide(payload) {
 		);
 		barShape.getFill().setSolidFill(tpl.barColor);
 		barShape.getBorder().getLineFill().setSolidFill(tpl.barColor);
-		group.push(barShape);
+		group.push(lzTag(barShape, LZ_ROLES.CALLOUT_BAR));
 
-		group.push(mainElement);
+		group.push(lzTag(mainElement, LZ_ROLES.CALLOUT_BODY));
 		if (group.length > 1) slide.group(group);
 
 		return { success: true, mode: mode };
@@ -374,6 +374,32 @@ function autoBuildCalloutPayload_(generatedText, hints) {
 	};
 }
 
+/**
+ * One short paragraph (≤ 3 lines, no list markers) becomes a HEADER/BODY
+ * callout.
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string}|null}
+ */
+function autoRulesCallout_(a) {
+	if (!a.count || a.count > 3 || a.text.length > 300) return null;
+	for (let i = 0; i < a.lines.length; i++) {
+		const l = a.lines[i];
+		if (l.bullet || l.numbered || l.pipe || l.pair) return null;
+	}
+	const lines = a.lines.map(function (l) {
+		return l.plain;
+	});
+	return {
+		score: 0.55,
+		reason: "單一短段落",
+		text:
+			lines.length > 1
+				? "HEADER: " + lines[0] + "\nBODY: " + lines.slice(1).join(" ")
+				: "BODY: " + lines[0],
+	};
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -402,4 +428,5 @@ AUTO_MINTERS.push({
 			choicesFrom: "getCalloutTemplates",
 		},
 	],
+	rules: "autoRulesCallout_",
 });
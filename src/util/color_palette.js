@@ -368,3 +368,43 @@ function generateColorPalette(baseHex, scheme) {
 			throw new Error("不支援的配色方案類型");
 	}
 }
+
+/**
+ * 將生成的配色方案對應到簡報主題色
+ * - main：方案的主色（第一個顏色）
+ * - accent：與主色色相差最大的顏色（單色系則取亮度差最大者）
+ * - sub1 / sub2：主色色相的淺灰底與淺色底（對應預設的 #E7EAE7 / #E7F9F5）
+ * base（底色）與 text（文字色）不變
+ * @param {Array<string>} colors - generateColorPalette() 的結果
+ * @returns {{main:string, accent:string, sub1:string, sub2:string}}
+ */
+function paletteToTheme(colors) {
+	if (!colors || colors.length === 0) {
+		throw new Error("配色方案沒有顏色");
+	}
+	const main = normalizeHex(colors[0]);
+	const mainHsl = hexToHsl(main);
+	const hueGap = (hsl) => {
+		const d = Math.abs(hsl.h - mainHsl.h) % 360;
+		return Math.min(d, 360 - d);
+	};
+
+	let accent = main;
+	let best = -1;
+	colors.slice(1).forEach((color) => {
+		const hsl = hexToHsl(normalizeHex(color));
+		// 色相差優先，亮度差作為次要（單色系時只有亮度不同）
+		const score = hueGap(hsl) * 1000 + Math.abs(hsl.l - mainHsl.l);
+		if (score > best) {
+			best = score;
+			accent = normalizeHex(color);
+		}
+	});
+
+	return {
+		main: main,
+		accent: accent,
+		sub1: hslToHex(mainHsl.h, Math.min(mainHsl.s, 8), 91),
+		sub2: hslToHex(mainHsl.h, Math.min(mainHsl.s, 60), 94),
+	};
+}
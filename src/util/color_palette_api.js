@@ -26,6 +26,38 @@ function generateColorScheme(baseHex, scheme) {
 	}
 }
 
+/**
+ * 將配色方案套用為這份簡報的主題色（主色、強調色、sub1、sub2）
+ * 儲存在簡報設定中，下次「更新所有功能」與所有 minter 都會使用
+ * @param {Array<string>} colors - 配色方案的 HEX 陣列
+ * @returns {Object} 操作結果（含新主題與對比不足的警告）
+ */
+function applyPaletteToTheme(colors) {
+	try {
+		const theme = paletteToTheme(colors);
+		saveConfigValues({
+			mainColor: theme.main,
+			accentColor: theme.accent,
+			sub1Color: theme.sub1,
+			sub2Color: theme.sub2,
+		});
+		const warnings = themeContrastWarnings(getThemeColors());
+		return {
+			success: true,
+			theme: theme,
+			warnings: warnings,
+			message: warnings.length
+				? `已套用為主題色，但有 ${warnings.length} 組對比不足：${warnings.map((w) => w.label).join("、")}`
+				: "已套用為主題色，執行「更新所有功能」即可更新頁面",
+		};
+	} catch (error) {
+		return {
+			success: false,
+			message: `套用主題色時發生錯誤: ${error.message}`,
+		};
+	}
+}
+
 /**
  * 將顏色套用到選中的物件
  * @param {string} hexColor - HEX 顏色值
@@ -1,5 +1,4 @@
 // TODO(shared-migration): adopt the shared core like grid_minter.js/kpi_minter.js —
-//   • replace the typeof *_color fallback block with getThemeColors() (shared/theme_colors.js)
 //   • replace inline createShape/updateShapeProperties/updateTextStyle literals with
 //     shared/shape_requests.js builders + rgbColor_ (hexToRgbColor_ is now a shared alias)
 /**
@@ -13,8 +12,8 @@
  * Mirrors the Grid Minter pattern (src/util/grid_minter.js):
  *  - Columns are separated by a line containing only "---" (same parser shape).
  *  - Insertion batches every request into one batchUpdate.
- *  - Templates resolve from the global palette (main_color / accent_color) so
- *    they track the configured theme.
+ *  - Templates resolve through getThemeColors() so they track the deck's
+ *    saved theme.
  *
  * The column markdown format (also documented in the dialog):
  *   # 方案 A
@@ -68,17 +67,18 @@ function generateCompareFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(COMPARE_AI_SYSTEM_PROMPT, text, {
+		feature: "compare",
 		maxTokens: 2000,
 		temperature: 0.3,
 	});
@@ -87,14 +87,14 @@ function generateCompareFromContext(context) {
 /**
  * Single source of truth for comparison templates. Each template carries the
  * per-column header fill/text and body border/text so columns share one look.
- * Colors resolve from the global palette where applicable.
+ * Theme colors resolve through getThemeColors().
  *
  * @return {Array<{id,name,headerFill,headerText,bodyFill,bodyBorder,bodyText}>}
  */
 function buildCompareTemplates_() {
-	const main = (typeof main_color !== "undefined" && main_color) || "#3D6869";
-	const accent =
-		(typeof accent_color !== "undefined" && accent_color) || "#f29424";
+	const theme = getThemeColors();
+	const main = theme.main;
+	const accent = theme.accent;
 	const green = "#2E7D32";
 	const red = "#C0392B";
 	return [
@@ -269,6 +269,7 @@ function buildCompareColumnRequests_(requests, pageId, pos, column, style) {
 			},
 		},
 	});
+	requests.push(lzTagRequest(headerId, LZ_ROLES.COMPARE_HEAD));
 	requests.push({
 		updateShapeProperties: {
 			objectId: headerId,
@@ -343,6 +344,7 @@ function buildCompareColumnRequests_(requests, pageId, pos, column, style) {
 			},
 		},
 	});
+	requests.push(lzTagRequest(bodyId, LZ_ROLES.COMPARE_BODY));
 	requests.push({
 		updateShapeProperties: {
 			objectId: bodyId,
@@ -405,7 +407,8 @@ function buildCompareColumnRequests_(requests, pageId, pos, column, style) {
  * Inserts comparison columns as side-by-side cards onto the current slide.
  * Columns divide the usable page width evenly (auto-width by count), start at
  * Y ≈ 120, and each card is a colored title header bar over a bullet body box.
- * Everything is sent in a single batchUpdate.
+ * Everything is sent in a single batchUpdate, grouped and stamped as a minted
+ * object (minted_objects.js).
  *
  * @param {{columns: Array<{title:string, points:string[]}>, templateId: string}} payload
  * @return {{success: boolean, error?: string}}
@@ -456,12 +459,15 @@ function insertCompareIntoSlide(payload) {
 			);
 		}
 
+		const mintedId = stampMintedRequests_(requests, "compare", p);
+
 		if (requests.length) {
 			try {
 				Slides.Presentations.batchUpdate({ requests }, presentation.getId());
 			} catch (batchErr) {
 				return { success: false, error: batchErr.message };
 			}
+			finishMintedBatch_(presentation, pageId, mintedId, p);
 		}
 
 		return { success: true };
@@ -494,6 +500,76 @@ function autoBuildComparePayload_(generatedText, hints) {
 	return { columns: columns, templateId: templateId };
 }
 
+/**
+ * Minted-object edit adapter: renders a stamped payload back into the dialog's
+ * "# title" + points blocks separated by "---" (inverse of parseCompareColumns_).
+ *
+ * @param {{columns: Array<{title:string, points:string[]}>}} payload
+ * @return {string}
+ */
+function comparePayloadToText_(payload) {
+	const columns = (payload && payload.columns) || [];
+	return columns
+		.map(function (col) {
+			const lines = col.title ? ["# " + col.title] : [];
+			return lines.concat(col.points || []).join("\n");
+		})
+		.join("\n---\n");
+}
+
+/**
+ * Two or three top-level headings, or an "A vs B" line, become "# title" column
+ * blocks separated by "---".
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string}|null}
+ */
+function autoRulesCompare_(a) {
+	const sections = autoRulesSections_(a);
+	let columns = null;
+	let reason = "";
+	if (sections.length === 2 || sections.length === 3) {
+		columns = sections;
+		reason = "偵測到 " + sections.length + " 個並列標題";
+	} else if (a.vs) {
+		const splitRe = /\s+(?:vs\.?|versus)\s+|\s*(?:對比|相較於)\s*/i;
+		const vsLine = a.lines.filter(function (l) {
+			return splitRe.test(l.plain);
+		})[0];
+		const titles = vsLine
+			? vsLine.plain.split(splitRe).map(function (t) {
+					return t.trim();
+				})
+			: [];
+		if (titles.length >= 2 && titles.length <= 3 && titles.every(Boolean)) {
+			columns = titles.map(function (t) {
+				return { title: t, lines: [] };
+			});
+			// "A: point" lines go under the column they name.
+			a.lines.forEach(function (l) {
+				if (l === vsLine) return;
+				const p = splitAutoRulesPair_(l.plain);
+				columns.forEach(function (c) {
+					if (p[1] && p[0].toLowerCase() === c.title.toLowerCase()) {
+						c.lines.push(p[1]);
+					}
+				});
+			});
+			reason = "偵測到「vs」對照";
+		}
+	}
+	if (!columns) return null;
+	return {
+		score: columns.length === 2 ? 0.85 : 0.7,
+		reason: reason,
+		text: columns
+			.map(function (c) {
+				return ["# " + c.title].concat(c.lines).join("\n");
+			})
+			.join("\n---\n"),
+	};
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -522,4 +598,7 @@ AUTO_MINTERS.push({
 			choicesFrom: "getCompareTemplates",
 		},
 	],
+	dialog: "createCompareMinterDialog",
+	toText: "comparePayloadToText_",
+	rules: "autoRulesCompare_",
 });
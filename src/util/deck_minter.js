@@ -0,0 +1,364 @@
+/**
+ * 🗂 Deck Minter — a whole deck from one outline or long document.
+ *
+ * Three steps, each a separate google.script.run call from the dialog:
+ *   Plan  — deckMinterPlan(context, mode): one AI call (or the offline rules
+ *     planner) splits the text into a slide plan — section slides plus content
+ *     slides, each with a minter key from AUTO_MINTERS (or "" = bullet slide)
+ *     and the slice of source text it should show.
+ *   Fill  — deckMinterSlidePayload(slide): per content slide, reuses the Auto
+ *     Minter's round 2 (autoMinterGenerate) to turn that slice into the
+ *     minter's insert payload. The dialog runs these one by one with progress
+ *     and re-runs them when the user edits a slide.
+ *   Build — deckMinterBuild(plan) hands the plan to the HTML-to-Slides
+ *     builder (convertGslideJsonToSlides) as ready-made payload bags; the
+ *     dialog then calls runGslideMinterJobs and finally deckMinterFinish,
+ *     which rebuilds the chrome (runAllFunctionsUltraMegaBatch). Each is its
+ *     own execution so the REST-based steps see the flushed pages.
+ *
+ * Plan slide shape (what the dialog edits):
+ *   { kind: "section" | "slide", title: string, key: string, text: string,
+ *     hints: Object, source: "ai" | "rules", payload?: Object }
+ */
+
+/** Hard cap on planned slides — keeps the fill step inside one session. */
+const DECK_MINTER_MAX_SLIDES_ = 30;
+
+/**
+ * Builds the planner system prompt from the registry.
+ * @param {Array<Object>} entries - registry descriptors
+ * @return {string}
+ */
+function buildDeckPlannerPrompt_(entries) {
+	const lines = [
+		"You are a presentation planner. Turn the user's outline or document",
+		"into a slide deck plan.",
+		"Available slide layouts:",
+	];
+	for (let i = 0; i < entries.length; i++) {
+		const d = entries[i];
+		let line = "- " + d.key + ": " + d.whenToUse;
+		if (d.hintsSpec) line += " Hints: " + d.hintsSpec;
+		lines.push(line);
+	}
+	lines.push(
+		"Planning rules:",
+		"- A section slide opens each major part of the document.",
+		"- One idea per content slide; at most " +
+			DECK_MINTER_MAX_SLIDES_ +
+			" slides.",
+		'- Pick the best layout key per content slide, or "" for a plain bullet slide.',
+		"- content: ONLY that slide's source text, condensed, in the source language.",
+		"- Keep titles short and in the source language.",
+		"Reply with ONLY this JSON, no prose, no code fences:",
+		'{"slides":[{"type":"section","title":"..."},' +
+			'{"type":"slide","title":"...","minter":"...","content":"...","hints":{}}]}',
+	);
+	return lines.join("\n");
+}
+
+/**
+ * Validates a planner reply into plan slides: unknown minter keys fall back
+ * to a bullet slide, empty slides are dropped, the count is capped.
+ *
+ * @param {Object} parsed - planner JSON
+ * @param {Array<Object>} registry - known descriptors
+ * @param {string} source - "ai" | "rules", stamped on each slide
+ * @return {Array<Object>} plan slides
+ */
+function normalizeDeckPlan_(parsed, registry, source) {
+	const raw =
+		parsed && Object.prototype.toString.call(parsed.slides) === "[object Array]"
+			? parsed.slides
+			: [];
+	const known = {};
+	for (let i = 0; i < registry.length; i++) known[registry[i].key] = true;
+
+	const slides = [];
+	for (
+		let i = 0;
+		i < raw.length && slides.length < DECK_MINTER_MAX_SLIDES_;
+		i++
+	) {
+		const s = raw[i] || {};
+		const title = String(s.title || "").trim();
+		const text = String(s.content || s.text || "").trim();
+		if (s.type === "section" || s.kind === "section") {
+			if (title) {
+				slides.push({
+					kind: "section",
+					title: title,
+					key: "",
+					text: "",
+					hints: {},
+					source: source,
+				});
+			}
+			continue;
+		}
+		if (!title && !text) continue;
+		const key = String(s.minter || s.key || "");
+		slides.push({
+			kind: "slide",
+			title: title,
+			key: known[key] && text ? key : "",
+			text: text,
+			hints: s.hints && typeof s.hints === "object" ? s.hints : {},
+			source: source,
+		});
+	}
+	return slides;
+}
+
+/**
+ * Offline planner: headings drive the structure. With two or more heading
+ * depths the shallowest opens sections and the next one opens slides; with
+ * one depth every heading is a slide; with none, blank-line paragraphs are
+ * slides titled by their first line. Each slide's minter comes from the rules
+ * router (auto_minter_rules.js).
+ *
+ * @param {string} text
+ * @return {Array<Object>} plan slides
+ */
+function deckRulesPlan_(text) {
+	const lines = String(text == null ? "" : text)
+		.replace(/\r\n/g, "\n")
+		.split("\n");
+	const depths = [];
+	for (let i = 0; i < lines.length; i++) {
+		const h = lines[i].trim().match(/^(#{1,6})\s+\S/);
+		if (h && depths.indexOf(h[1].length) < 0) depths.push(h[1].length);
+	}
+	depths.sort();
+	const sectionDepth = depths.length >= 2 ? depths[0] : 0;
+	const slideDepth = depths.length >= 2 ? depths[1] : depths[0] || 0;
+
+	const raw = [];
+	let cur = null;
+	let lastSection = "";
+	for (let i = 0; i < lines.length; i++) {
+		const t = lines[i].trim();
+		const h = t.match(/^(#{1,6})\s+(.+)$/);
+		const depth = h ? h[1].length : 0;
+		if (h && depth === sectionDepth) {
+			lastSection = h[2].trim();
+			raw.push({ type: "section", title: lastSection });
+			cur = null;
+		} else if (h && depth === slideDepth) {
+			cur = { type: "slide", title: h[2].trim(), body: [] };
+			raw.push(cur);
+		} else if (!slideDepth && !t) {
+			cur = null;
+		} else if (!t) {
+			if (cur) cur.body.push("");
+		} else if (!cur) {
+			// text before the first slide heading (or a new paragraph)
+			cur = slideDepth
+				? { type: "slide", title: lastSection, body: [t] }
+				: {
+						type: "slide",
+						title: t.replace(/^[-*•]\s+|^\d{1,2}[.)、]\s*/, ""),
+						body: [],
+					};
+			raw.push(cur);
+		} else {
+			cur.body.push(t);
+		}
+	}
+
+	for (let i = 0; i < raw.length; i++) {
+		const s = raw[i];
+		if (s.type !== "slide") continue;
+		s.content = s.body.join("\n").trim();
+		if (!s.content) continue;
+		const routed = autoRulesRoute_(
+			s.content,
+			getEligibleAutoMinters_(s.content),
+		);
+		if (routed.success) {
+			s.minter = routed.candidates[0].key;
+			s.hints = routed.candidates[0].hints;
+		}
+	}
+	return normalizeDeckPlan_({ slides: raw }, getAutoMinterRegistry_(), "rules");
+}
+
+/**
+ * Plan step: splits the context into a slide plan via the AI planner or the
+ * offline rules planner, honoring the Auto Minter's router mode.
+ * Called from the dialog through google.script.run.
+ *
+ * @param {string} context - outline or long document
+ * @param {string=} mode - "fallback" | "ai" | "rules"; saved when given
+ * @return {{success: boolean, source?: string, slides?: Array<Object>,
+ *   note?: string, needKey?: boolean, error?: string}}
+ */
+function deckMinterPlan(context, mode) {
+	const text = (context || "").trim();
+	if (!text) {
+		return { success: false, error: "No context provided." };
+	}
+	const routerMode = resolveAutoRouterMode_(mode);
+	const rulesPlan = function (note) {
+		const slides = deckRulesPlan_(text);
+		if (!slides.length) {
+			return {
+				success: false,
+				error: "規則無法從內容切出投影片，請加上 # 標題後再試。",
+			};
+		}
+		const res = { success: true, source: "rules", slides: slides };
+		if (note) res.note = note;
+		return res;
+	};
+
+	if (routerMode === "rules") return rulesPlan();
+	if (!hasUserApiKey()) {
+		if (routerMode === "fallback") return rulesPlan();
+		return {
+			success: false,
+			needKey: true,
+			error:
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
+		};
+	}
+
+	const registry = getAutoMinterRegistry_();
+	const res = callGroq_(buildDeckPlannerPrompt_(registry), text, {
+		feature: "deck",
+		maxTokens: 4000,
+		temperature: 0.2,
+		responseFormat: { type: "json_object" },
+	});
+	const slides = res.success
+		? normalizeDeckPlan_(extractAutoJson_(res.generatedText), registry, "ai")
+		: [];
+	if (!slides.length) {
+		if (routerMode === "fallback")
+			return rulesPlan("AI 規劃失敗，已改用規則規劃。");
+		return res.success
+			? { success: false, error: "AI 回傳格式錯誤，請再試一次。" }
+			: res;
+	}
+	return { success: true, source: "ai", slides: slides };
+}
+
+/**
+ * Fill step: the insert payload for one content slide, via the Auto Minter's
+ * round 2 (the minter's own generate fn or its rule, then its adapter).
+ * Called from the dialog through google.script.run.
+ *
+ * @param {Object} slide - plan slide with key, text, hints, source
+ * @return {{success: boolean, payload?: Object, needKey?: boolean,
+ *   error?: string}}
+ */
+function deckMinterSlidePayload(slide) {
+	const s = slide || {};
+	if (!s.key) return { success: true, payload: null };
+	const res = autoMinterGenerate(s.key, s.text || "", s.hints || {}, s.source);
+	if (!res || !res.success)
+		return res || { success: false, error: "Generation failed." };
+	return { success: true, payload: res.payload };
+}
+
+/**
+ * Plain bullet paragraphs (html2slides paragraph shape) from slide text.
+ * @param {string} text
+ * @return {Array<Object>}
+ */
+function deckBulletParagraphs_(text) {
+	const out = [];
+	const lines = String(text || "").split("\n");
+	for (let i = 0; i < lines.length; i++) {
+		const t = lines[i].trim();
+		if (!t) continue;
+		const numbered = /^\d{1,2}[.)、]\s*/.test(t);
+		out.push({
+			runs: [{ text: t.replace(/^#{1,6}\s+|^[-*•]\s+|^\d{1,2}[.)、]\s*/, "") }],
+			listLevel: 0,
+			listType: numbered ? "number" : "bullet",
+		});
+	}
+	return out;
+}
+
+/**
+ * Converts a plan into the html2slides builder payload: SECTION_HEADER for
+ * sections, TITLE_ONLY + a ready-made minter bag for minter slides, and
+ * TITLE_AND_BODY bullets for the rest (including minter slides whose payload
+ * never got generated).
+ *
+ * @param {Array<Object>} slides - plan slides
+ * @return {{slides: Array<Object>, warnings: Array<string>}}
+ */
+function deckPlanToGslideJson_(slides) {
+	const out = [];
+	const warnings = [];
+	const plan = slides || [];
+	for (let i = 0; i < plan.length; i++) {
+		const s = plan[i] || {};
+		const title = String(s.title || "");
+		const slots = {};
+		if (title) slots.TITLE = [{ runs: [{ text: title }] }];
+		if (s.kind === "section") {
+			out.push({ layout: "SECTION_HEADER", slots: slots });
+			continue;
+		}
+		if (s.key && s.payload) {
+			out.push({
+				layout: "TITLE_ONLY",
+				slots: slots,
+				minter: { key: s.key, payload: s.payload },
+			});
+			continue;
+		}
+		if (s.key) {
+			warnings.push(
+				"Slide " +
+					(i + 1) +
+					' ("' +
+					title +
+					'"): no ' +
+					s.key +
+					" payload; built as a bullet slide.",
+			);
+		}
+		const body = deckBulletParagraphs_(s.text);
+		if (body.length) slots.BODY = body;
+		out.push({
+			layout: body.length ? "TITLE_AND_BODY" : "TITLE_ONLY",
+			slots: slots,
+		});
+	}
+	return { slides: out, warnings: warnings };
+}
+
+/**
+ * Build step: creates the planned slides after the current one. Returns the
+ * builder result, whose minterJobs the dialog passes to runGslideMinterJobs.
+ * Called from the dialog through google.script.run.
+ *
+ * @param {string|Array<Object>} plan - plan slides (JSON string or array)
+ * @return {{created: number, total: number, warnings: Array<string>,
+ *   minterJobs: Array<Object>}}
+ */
+function deckMinterBuild(plan) {
+	const slides = typeof plan === "string" ? JSON.parse(plan) : plan;
+	return convertGslideJsonToSlides(deckPlanToGslideJson_(slides));
+}
+
+/**
+ * Last step: rebuilds chrome (section boxes, tabs, progress bars, footers)
+ * over the finished deck.
+ * Called from the dialog through google.script.run.
+ * @return {{success: boolean, error?: string}}
+ */
+function deckMinterFinish() {
+	try {
+		runAllFunctionsUltraMegaBatch();
+		return { success: true };
+	} catch (e) {
+		console.error("Deck Minter chrome rebuild failed: " + e.message);
+		return { success: false, error: e.message };
+	}
+}
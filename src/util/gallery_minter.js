@@ -1,6 +1,5 @@
-// TODO(shared-migration): replace the typeof *_color fallback block with
-//   getThemeColors() (shared/theme_colors.js); see kpi_minter.js for the pattern.
-//   If/when this minter moves to batch requests, use shared/shape_requests.js builders.
+// TODO(shared-migration): if/when this minter moves to batch requests, use
+//   shared/shape_requests.js builders.
 /**
  * Server-side core for the Gallery Minter (圖片藝廊鑄造器) dialog.
  *
@@ -21,18 +20,17 @@
  */
 
 /**
- * Single source of truth for gallery templates. Colors resolve from the global
- * palette so they track the configured theme. `border` controls whether each
+ * Single source of truth for gallery templates. Colors resolve through
+ * getThemeColors() so they track the deck's saved theme. `border` controls whether each
  * image gets an outline; `borderColor` is the outline color when enabled.
  *
  * @return {Array<{id,name,border,borderColor,borderWidth,captionColor,swatch}>}
  */
 function buildGalleryTemplates_() {
-	const main = (typeof main_color !== "undefined" && main_color) || "#3D6869";
-	const accent =
-		(typeof accent_color !== "undefined" && accent_color) || "#f29424";
-	const text =
-		(typeof text_color !== "undefined" && text_color) || "#333333";
+	const theme = getThemeColors();
+	const main = theme.main;
+	const accent = theme.accent;
+	const text = theme.text;
 	return [
 		{
 			id: "plain",
@@ -206,7 +204,7 @@ function insertGalleryIntoSlide(payload) {
 
 			let image = null;
 			try {
-				image = slide.insertImage(url);
+				image = lzTag(slide.insertImage(url), LZ_ROLES.GALLERY_IMAGE);
 			} catch (imgErr) {
 				warnings.push("無法載入圖片: " + url);
 				return; // skip this one, keep going
@@ -286,6 +284,7 @@ function insertGalleryIntoSlide(payload) {
 						pos.w,
 						captionH,
 					);
+					lzTag(capBox, LZ_ROLES.GALLERY_CAPTION);
 					capBox.getText().setText(caption);
 					capBox
 						.getText()
@@ -422,6 +421,19 @@ function autoBuildGalleryPayload_(generatedText, hints) {
 	};
 }
 
+/**
+ * Image URLs, extracted by the gallery's own key-free generate fn.
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string}|null}
+ */
+function autoRulesGallery_(a) {
+	if (!galleryContextHasImages_(a.text)) return null;
+	const res = generateGalleryFromContext(a.text);
+	if (!res.success) return null;
+	return { score: 0.9, reason: "偵測到圖片網址", text: res.generatedText };
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -464,4 +476,5 @@ AUTO_MINTERS.push({
 			default: true,
 		},
 	],
+	rules: "autoRulesGallery_",
 });
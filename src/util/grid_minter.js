@@ -76,18 +76,19 @@ function generateGridMarkdownFromContext(context, hasSubtitle) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	const wantSubtitle = hasSubtitle !== false; // default to including subtitles
 	return callGroq_(buildGridSystemPrompt_(wantSubtitle), text, {
+		feature: "grid",
 		maxTokens: 2500,
 		temperature: 0.3,
 	});
@@ -354,6 +355,7 @@ function buildUnitCardRequests_(requests, pageId, pos, unit, style) {
 			h: pos.h,
 		}),
 	);
+	requests.push(lzTagRequest(shapeId, LZ_ROLES.GRID_CARD));
 
 	// 2) Card fill + outline from the chosen default style.
 	requests.push(
@@ -601,6 +603,27 @@ function autoBuildGridPayload_(generatedText, hints) {
 	return { units: units, rows: rows, cols: cols, styleNumber: styleNumber };
 }
 
+/**
+ * 3-9 top-level headings become "# title" + body units separated by "---".
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string}|null}
+ */
+function autoRulesGrid_(a) {
+	const sections = autoRulesSections_(a);
+	const n = sections.length;
+	if (n < 3 || n > 9) return null;
+	return {
+		score: n >= 4 ? 0.8 : 0.7,
+		reason: "偵測到 " + n + " 個並列標題",
+		text: sections
+			.map(function (s) {
+				return ["# " + s.title].concat(s.lines).join("\n");
+			})
+			.join("\n---\n"),
+	};
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -661,4 +684,5 @@ AUTO_MINTERS.push({
 			regenerate: true,
 		},
 	],
+	rules: "autoRulesGrid_",
 });
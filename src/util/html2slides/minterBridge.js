@@ -7,6 +7,9 @@
  * insert<X>IntoSlide payload, and invokes it against a specific slide via
  * payload.pageObjectId (resolveMinterTargetSlide_, src/util/minter_target.js).
  *
+ * A bag may instead carry a ready-made `payload` (the deck minter plans
+ * payloads up front, src/util/deck_minter.js); it is used as-is.
+ *
  * Insert function names are resolved from the AUTO_MINTERS registry (each
  * minter self-registers; see src/util/auto_minter.js descriptor schema), so
  * this file never hardcodes them.
@@ -150,14 +153,16 @@ function gslideRunMinterOnPage(pageObjectId, spec) {
 	var bag = spec.minter;
 	var key = bag.key;
 	var build = GSLIDE_MINTER_PAYLOADS[key];
-	if (!build) return ['unknown minter "' + key + '" (bridge has no adapter).'];
+	if (!build && !bag.payload) {
+		return ['unknown minter "' + key + '" (bridge has no adapter).'];
+	}
 
 	var titleText = "";
 	if (spec.slots && spec.slots.TITLE && spec.slots.TITLE.length) {
 		titleText = spec.slots.TITLE.map(gslideParagraphPlainText_).join(" ");
 	}
 
-	var payload = build(bag, titleText);
+	var payload = bag.payload ? gslideCopyPayload_(bag.payload) : build(bag, titleText);
 	if (typeof payload === "string") {
 		return ['minter "' + key + '" skipped: ' + payload + "."];
 	}
@@ -178,6 +183,15 @@ function gslideRunMinterOnPage(pageObjectId, spec) {
 	return [];
 }
 
+/** Shallow copy of a ready-made payload, so pageObjectId never leaks back into the spec. */
+function gslideCopyPayload_(payload) {
+	var out = {};
+	for (var k in payload) {
+		if (payload.hasOwnProperty(k)) out[k] = payload[k];
+	}
+	return out;
+}
+
 /** Insert fn for a minter key, via the AUTO_MINTERS registry (lazy, load-order safe). */
 function gslideResolveMinterInsert_(key) {
 	var reg = typeof AUTO_MINTERS === "undefined" ? [] : AUTO_MINTERS;
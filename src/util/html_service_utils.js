@@ -82,6 +82,20 @@ function createAutoMinterDialog() {
 			(typeof main_font_family !== "undefined" && main_font_family) ||
 			"Source Sans Pro",
 		minters: getAutoMinterPublicList_(),
+		routerMode: resolveAutoRouterMode_(),
+	});
+}
+
+/**
+ * @return {HtmlOutput} Deck Minter dialog. Preloads the registry list for the
+ * per-slide minter selects and the shared router mode.
+ */
+function createDeckMinterDialog() {
+	return createMinterDialog_("src/components/deck-minter/index", {
+		minters: getAutoMinterPublicList_().map(function (m) {
+			return { key: m.key, label: m.label, emoji: m.emoji };
+		}),
+		routerMode: resolveAutoRouterMode_(),
 	});
 }
 
@@ -104,31 +118,47 @@ function createCalloutMinterDialog() {
 	});
 }
 
-/** @return {HtmlOutput} KPI / Big Number minter dialog. */
-function createKpiMinterDialog() {
+/**
+ * @param {Object} [edit] - minted-object edit preload (minted_objects.js)
+ * @return {HtmlOutput} KPI / Big Number minter dialog.
+ */
+function createKpiMinterDialog(edit) {
 	return createMinterDialog_("src/components/kpi-minter/index", {
 		templates: getKpiTemplates(),
+		edit: edit || null,
 	});
 }
 
-/** @return {HtmlOutput} Timeline / Roadmap minter dialog. */
-function createTimelineMinterDialog() {
+/**
+ * @param {Object} [edit] - minted-object edit preload (minted_objects.js)
+ * @return {HtmlOutput} Timeline / Roadmap minter dialog.
+ */
+function createTimelineMinterDialog(edit) {
 	return createMinterDialog_("src/components/timeline-minter/index", {
 		templates: getTimelineTemplates(),
+		edit: edit || null,
 	});
 }
 
-/** @return {HtmlOutput} Comparison minter dialog. */
-function createCompareMinterDialog() {
+/**
+ * @param {Object} [edit] - minted-object edit preload (minted_objects.js)
+ * @return {HtmlOutput} Comparison minter dialog.
+ */
+function createCompareMinterDialog(edit) {
 	return createMinterDialog_("src/components/compare-minter/index", {
 		templates: getCompareTemplates(),
+		edit: edit || null,
 	});
 }
 
-/** @return {HtmlOutput} Steps minter dialog. */
-function createStepsMinterDialog() {
+/**
+ * @param {Object} [edit] - minted-object edit preload (minted_objects.js)
+ * @return {HtmlOutput} Steps minter dialog.
+ */
+function createStepsMinterDialog(edit) {
 	return createMinterDialog_("src/components/steps-minter/index", {
 		templates: getStepsTemplates(),
+		edit: edit || null,
 	});
 }
 
@@ -139,18 +169,26 @@ function createGalleryMinterDialog() {
 	});
 }
 
-/** @return {HtmlOutput} Agenda / TOC minter dialog. */
-function createAgendaMinterDialog() {
+/**
+ * @param {Object} [edit] - minted-object edit preload (minted_objects.js)
+ * @return {HtmlOutput} Agenda / TOC minter dialog.
+ */
+function createAgendaMinterDialog(edit) {
 	return createMinterDialog_("src/components/agenda-minter/index", {
 		items: getAgendaItems(),
 		templates: getAgendaTemplates(),
+		edit: edit || null,
 	});
 }
 
-/** @return {HtmlOutput} Takeaways minter dialog. */
-function createTakeawaysMinterDialog() {
+/**
+ * @param {Object} [edit] - minted-object edit preload (minted_objects.js)
+ * @return {HtmlOutput} Takeaways minter dialog.
+ */
+function createTakeawaysMinterDialog(edit) {
 	return createMinterDialog_("src/components/takeaways-minter/index", {
 		templates: getTakeawaysTemplates(),
+		edit: edit || null,
 	});
 }
 
@@ -159,10 +197,14 @@ function createIconMinterDialog() {
 	return createMinterDialog_("src/components/icon-minter/index", {});
 }
 
-/** @return {HtmlOutput} Bar Chart minter dialog. */
-function createBarChartMinterDialog() {
+/**
+ * @param {Object} [edit] - minted-object edit preload (minted_objects.js)
+ * @return {HtmlOutput} Bar Chart minter dialog.
+ */
+function createBarChartMinterDialog(edit) {
 	return createMinterDialog_("src/components/barchart-minter/index", {
 		templates: getBarChartTemplates(),
+		edit: edit || null,
 	});
 }
 
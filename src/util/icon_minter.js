@@ -1,6 +1,5 @@
-// TODO(shared-migration): replace the typeof *_color fallback block with
-//   getThemeColors() (shared/theme_colors.js); see kpi_minter.js for the pattern.
-//   If/when this minter moves to batch requests, use shared/shape_requests.js builders.
+// TODO(shared-migration): if/when this minter moves to batch requests, use
+//   shared/shape_requests.js builders.
 /**
  * Server-side core for the Icon Minter dialog.
  *
@@ -33,8 +32,7 @@ function insertIconIntoSlide(payload) {
 			(p.color && /^#?[0-9a-fA-F]{6}$/.test(String(p.color))
 				? (String(p.color).charAt(0) === "#" ? p.color : "#" + p.color)
 				: null) ||
-			(typeof main_color !== "undefined" && main_color) ||
-			"#3D6869";
+			getThemeColors().main;
 		const font =
 			(typeof main_font_family !== "undefined" && main_font_family) ||
 			"Source Sans Pro";
@@ -80,7 +78,7 @@ function insertIconIntoSlide(payload) {
 			Y = Math.max((presentation.getPageHeight() - H) / 2, 0);
 		}
 
-		const box = slide.insertTextBox(glyph, X, Y, W, H);
+		const box = lzTag(slide.insertTextBox(glyph, X, Y, W, H), LZ_ROLES.ICON_GLYPH);
 		const text = box.getText();
 		text
 			.getTextStyle()
@@ -122,17 +120,18 @@ function generateIconFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(ICON_AI_SYSTEM_PROMPT, text, {
+		feature: "icon",
 		maxTokens: 20,
 		temperature: 0.4,
 	});
@@ -152,17 +152,18 @@ function generateKpiFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(KPI_AI_SYSTEM_PROMPT, text, {
+		feature: "kpi",
 		maxTokens: 600,
 		temperature: 0.3,
 	});
@@ -278,8 +279,9 @@ function insertKpiIntoSlide(payload) {
 		const totalW = n * maxW + (n - 1) * gap;
 		let x = Math.max((pageW - totalW) / 2, margin);
 
+		const shapes = [];
 		for (let i = 0; i < n; i++) {
-			renderKpiCard_(
+			const box = renderKpiCard_(
 				slide,
 				x,
 				top,
@@ -292,9 +294,12 @@ function insertKpiIntoSlide(payload) {
 				labelSize,
 				lineSpacing,
 			);
+			shapes.push(box);
 			x += maxW + gap;
 		}
 
+		stampMintedElements_(slide, shapes, "kpi", p);
+
 		return { success: true, count: n };
 	} catch (e) {
 		console.error("Error inserting KPI: " + e.message);
@@ -339,6 +344,7 @@ function estimateKpiTextWidth_(s, fontSize) {
  * @param {number} valueSize
  * @param {number} labelSize
  * @param {number} lineSpacing - line height as a percentage (150 = 1.5x)
+ * @return {Shape} the card text box
  */
 function renderKpiCard_(
 	slide,
@@ -359,6 +365,7 @@ function renderKpiCard_(
 	const arrowColor = trendColor_(item.trend);
 
 	const box = slide.insertShape(SlidesApp.ShapeType.TEXT_BOX, x, y, w, h);
+	lzTag(box, LZ_ROLES.KPI_CARD);
 
 	// Subtle card background + border per template.
 	box.getFill().setSolidFill(tpl.cardFill);
@@ -417,6 +424,7 @@ function renderKpiCard_(
 				.setFontFamily(font);
 		}
 	}
+	return box;
 }
 
 /**
@@ -442,6 +450,51 @@ function autoBuildKpiPayload_(generatedText, hints) {
 	return { items: items, templateId: templateId };
 }
 
+/**
+ * Minted-object edit adapter: renders a stamped payload back into the dialog's
+ * `value | label | trend` lines (inverse of parseKpiLines_).
+ *
+ * @param {{items: Array<{value:string,label:string,trend:string}>}} payload
+ * @return {string}
+ */
+function kpiPayloadToText_(payload) {
+	const items = (payload && payload.items) || [];
+	return items
+		.map(function (it) {
+			const parts = [it.value || "", it.label || ""];
+			if (it.trend) parts.push(it.trend);
+			return parts.join(" | ");
+		})
+		.join("\n");
+}
+
+/**
+ * 2-6 `label: number` lines become `value | label | trend` cards; a leading +/-
+ * sets the trend.
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string}|null}
+ */
+function autoRulesKpi_(a) {
+	const pairs = a.lines.filter(function (l) {
+		return l.pair;
+	});
+	const n = pairs.length;
+	if (n < 2 || n > 6 || n / a.count < 0.6) return null;
+	return {
+		score: n <= 4 ? 0.8 : 0.6,
+		reason: "偵測到 " + n + " 組「標籤: 數字」",
+		text: pairs
+			.map(function (l) {
+				const v = l.pair.value;
+				const sign = v.charAt(0);
+				const trend = sign === "+" ? "up" : sign === "-" ? "down" : "";
+				return v + " | " + l.pair.label + (trend ? " | " + trend : "");
+			})
+			.join("\n"),
+	};
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -470,4 +523,7 @@ AUTO_MINTERS.push({
 			choicesFrom: "getKpiTemplates",
 		},
 	],
+	dialog: "createKpiMinterDialog",
+	toText: "kpiPayloadToText_",
+	rules: "autoRulesKpi_",
 });
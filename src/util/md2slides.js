@@ -1,10 +1,21 @@
 /**
  * Markdown to Slides Converter Utility
  *
- * This utility converts markdown text to Google Slides with the following rules:
+ * This utility converts markdown text to Google Slides with the following rules
+ * (the lizard-markdown dialect, see LIZARD-MARKDOWN.md — the markdown export
+ * writes the same dialect, so an exported deck imports back to the same slides):
  * - H1 headings become SECTION_HEADER slides
  * - H2 headings become TITLE_AND_BODY slides
- * - Text below H2 headings becomes bullet points in the body
+ * - Text below a heading becomes the body (bullet points for list items)
+ * - `---` starts a new slide; `<!-- layout: … -->`, `<!-- marker: … -->`,
+ *   `<!-- class: … -->`, `<!-- notes: … -->` and `<!-- id: … -->` set the
+ *   slide's layout, LZ markers, speaker notes and sync key
+ * - Front matter: `title` / `author` / `date` make the title slide; theme
+ *   colours, `font` and `chrome` are saved as this deck's settings
+ * - `> ` speaker notes, `@ ` footer items, images, pipe tables, code fences
+ * - A fence named after a minter (```kpi, ```timeline, …) is drawn by it
+ * - Sync (sync.js) updates the slides an earlier import made, matched by
+ *   `<!-- id: … -->` or title, instead of inserting them again
  *
  * The approach is modular:
  * 1. Parse markdown into a structured format
@@ -12,6 +23,9 @@
  * 3. Add content to each slide
  * 4. Apply formatting (like bullet points) to the content
  * 5. Apply markdown bold formatting (**text**) to the content
+ * 6. Return the tables and minter fences (```kpi, ```timeline, …) as
+ *    minter jobs, drawn by a second call (runGslideMinterJobs) once the new
+ *    slides are saved (minterBlocks.js)
  */
 
 /**
@@ -32,13 +46,16 @@ function showMarkdownDialog() {
 /**
  * Converts markdown text to slides using the modular approach
  * @param {string} markdownText - The markdown text to convert
- * @return {boolean} - Success status
+ * @return {{created: number, minterJobs: Array, warnings: Array<string>}|boolean}
+ *   - The slides created, the minter jobs to pass to runGslideMinterJobs and
+ *   the front matter values and minter fences that could not be used, or
+ *   false on failure
  */
 function convertMarkdownToSlides(markdownText) {
 	try {
-		// Step 1: Clean and parse the markdown into a structured format
-		const cleanedText = cleanMarkdownText(markdownText);
-		const slideStructure = parseMarkdownToStructure(cleanedText);
+		// Step 1: Clean and parse the markdown into a structured format, opened
+		// by the front matter's title slide (frontMatter.js)
+		const { slideStructure, meta } = readMarkdownSyncSource(markdownText);
 
 		if (slideStructure.length === 0) {
 			debugLog(
@@ -49,6 +66,11 @@ function convertMarkdownToSlides(markdownText) {
 			return false;
 		}
 
+		const warnings = applyMarkdownFrontMatter(meta);
+
+		// Minter fences become payloads; unreadable ones stay code blocks
+		warnings.push(...resolveMarkdownMinters(slideStructure));
+
 		// Step 2: Determine where to insert the slides
 		const presentation = SlidesApp.getActivePresentation();
 		const insertIndex = getInsertIndex(presentation);
@@ -69,6 +91,9 @@ function convertMarkdownToSlides(markdownText) {
 			return false;
 		}
 
+		// Their keys let a later sync update them in place (sync.js)
+		recordMarkdownSyncKeys(createdSlides, markdownSyncSourceOf(meta));
+
 		// Step 4: Add content to all slides
 		const contentSuccess = addContentToSlides(createdSlides);
 		if (!contentSuccess) {
@@ -79,7 +104,7 @@ function convertMarkdownToSlides(markdownText) {
 			);
 		}
 
-		// Step 5: Apply list formatting to all TITLE_AND_BODY slides
+		// Step 5: Apply list formatting (nested levels, one preset per list run)
 		const listFormattingSuccess = applyListFormattingToSlides(createdSlides);
 		if (!listFormattingSuccess) {
 			debugLog(
@@ -92,12 +117,15 @@ function convertMarkdownToSlides(markdownText) {
 		// Step 6: Apply markdown text formatting to all slides (bold, italic, strikethrough)
 		applyMarkdownFormattingToSlides(createdSlides.map((obj) => obj.slide));
 
+		// Step 7: Tables and minter blocks are drawn in a second execution
+		const minterJobs = collectMinterJobs(createdSlides);
+
 		debugLog(
 			"md2slides",
 			"convertMarkdownToSlides",
-			`Successfully created ${createdSlides.length} slides`,
+			`Successfully created ${createdSlides.length} slides, ${minterJobs.length} minter jobs deferred`,
 		);
-		return true;
+		return { created: createdSlides.length, minterJobs, warnings };
 	} catch (error) {
 		const errorObj = createMd2SlidesError(
 			"md2slides",
@@ -16,21 +16,19 @@ function addContentToSlides(createdSlides) {
 			const slide = slideObj.slide;
 			const info = slideObj.info;
 
-			// Add title to all slides
-			addTitleToSlide(slide, info.title, info.layout);
+			// Add title to all slides that have one
+			if (info.title) {
+				addTitleToSlide(slide, info.title, info.layout);
+			}
 
 			// Add parent title (H2) if this is an H3 slide
 			if (info.parentTitle && info.parentTitle.length > 0) {
 				addParentTitleToSlide(slide, info.parentTitle);
 			}
 
-			// Add body content if it exists for TITLE_AND_BODY slides
-			if (
-				info.layout === "TITLE_AND_BODY" &&
-				info.bodyItems &&
-				info.bodyItems.length > 0
-			) {
-				addBodyContentToSlide(slide, info.bodyItems);
+			// Add body content if it exists (a title slide's goes to its subtitle)
+			if (info.bodyItems && info.bodyItems.length > 0) {
+				addBodyContentToSlide(slide, indentBodyItems(info));
 			}
 
 			// Add code blocks if they exist
@@ -52,6 +50,11 @@ function addContentToSlides(createdSlides) {
 			if (info.images && info.images.length > 0) {
 				addImagesToSlide(slide, info.images);
 			}
+
+			// Stamp LZ markers (section, appendix, TOC, no chrome)
+			if (info.markers && info.markers.length > 0) {
+				addMarkersToSlide(slide, info.markers, info.title);
+			}
 		}
 		return true;
 	} catch (error) {
@@ -133,6 +136,18 @@ function addTitleToSlide(slide, title, layout) {
 	return titleAdded;
 }
 
+/**
+ * Body items with one leading tab per list nesting level. Applying a list
+ * preset (listFormatter.js) reads the tabs as the level and removes them
+ * @param {Object} info - Slide object (bodyItems, bodyLevels)
+ * @return {Array<string>} Paragraph texts
+ */
+function indentBodyItems(info) {
+	return info.bodyItems.map(
+		(text, i) => "\t".repeat((info.bodyLevels && info.bodyLevels[i]) || 0) + text,
+	);
+}
+
 /**
  * Adds body content to a slide using multiple fallback approaches
  * @param {Slide} slide - The slide to add body content to
@@ -165,7 +180,8 @@ function addBodyContentToSlide(slide, bodyItems) {
 }
 
 /**
- * Tries to add content to BODY placeholder by iterating through shapes
+ * Tries to add content to the BODY (or a title slide's SUBTITLE) placeholder
+ * by iterating through shapes
  * @param {Array} shapes - Array of slide shapes
  * @param {Array} bodyItems - Body content items
  * @return {boolean} Success status
@@ -174,7 +190,11 @@ function tryAddContentToBodyPlaceholder(shapes, bodyItems) {
 	for (let j = 0; j < shapes.length; j++) {
 		const shape = shapes[j];
 		try {
-			if (shape.getPlaceholderType() === SlidesApp.PlaceholderType.BODY) {
+			const placeholderType = shape.getPlaceholderType();
+			if (
+				placeholderType === SlidesApp.PlaceholderType.BODY ||
+				placeholderType === SlidesApp.PlaceholderType.SUBTITLE
+			) {
 				addTextWithFontSizing(shape.getText(), bodyItems);
 				return true;
 			}
@@ -366,6 +386,9 @@ function addCodeBlocksToSlide(slide, codeBlocks) {
 
 			console.log("Shape created successfully");
 
+			// Tagged so the markdown export writes it back as a fence
+			lzTag(codeShape, LZ_ROLES.CODE, { language: codeBlock.language });
+
 			// Set the code content first
 			const textRange = codeShape.getText();
 			textRange.setText(codeBlock.content);
@@ -498,12 +521,8 @@ function addFooterItemsToSlide(slide, footerItems) {
 		// Method 1: Look for FOOTER placeholder
 		footerAdded = tryAddFooterToPlaceholder(slide, footerItems);
 
-		// Method 2: If no footer placeholder, try to find the bottom-most text box
-		if (!footerAdded) {
-			footerAdded = tryAddFooterToBottomTextBox(slide, footerItems);
-		}
-
-		// Method 3: If still no success, create a new text box at the bottom
+		// Method 2: If no footer placeholder, create a new text box at the bottom
+		// (its own box, so the markdown export can tell footer from body)
 		if (!footerAdded) {
 			footerAdded = createFooterTextBox(slide, footerItems);
 		}
@@ -549,63 +568,6 @@ function tryAddFooterToPlaceholder(slide, footerItems) {
 	return false;
 }
 
-/**
- * Tries to add footer items to the bottom-most text box
- * @param {Slide} slide - The slide
- * @param {Array} footerItems - Footer items to add
- * @return {boolean} Success status
- */
-function tryAddFooterToBottomTextBox(slide, footerItems) {
-	try {
-		const shapes = slide.getShapes();
-		let bottomMostShape = null;
-		let bottomMostY = 0;
-
-		// Find the bottom-most text box (excluding title)
-		const titleText = getTitleFromSlide(slide);
-
-		for (let i = 0; i < shapes.length; i++) {
-			const shape = shapes[i];
-			try {
-				if (shape.getShapeType() === SlidesApp.ShapeType.TEXT_BOX) {
-					const shapeText = shape.getText().asString().trim();
-					// Skip if this is the title or already contains footer content
-					if (shapeText === titleText || shapeText.includes("•")) {
-						continue;
-					}
-
-					const top = shape.getTop();
-					if (top > bottomMostY) {
-						bottomMostY = top;
-						bottomMostShape = shape;
-					}
-				}
-			} catch (e) {
-				// Skip this shape if we can't get its properties
-			}
-		}
-
-		if (bottomMostShape) {
-			const textRange = bottomMostShape.getText();
-			const existingText = textRange.asString().trim();
-			const footerText = footerItems.join(" • ");
-
-			// Append footer items to existing content
-			if (existingText) {
-				textRange.setText(`${existingText}\n\n${footerText}`);
-			} else {
-				textRange.setText(footerText);
-			}
-
-			console.log("Footer added to bottom text box");
-			return true;
-		}
-	} catch (e) {
-		console.log(`Error adding footer to bottom text box: ${e.message}`);
-	}
-	return false;
-}
-
 /**
  * Creates a new text box at the bottom for footer items
  * @param {Slide} slide - The slide
@@ -633,6 +595,7 @@ function createFooterTextBox(slide, footerItems) {
 		// Style the footer text
 		textRange.getTextStyle().setFontSize(10);
 		textRange.getTextStyle().setForegroundColor("#666666");
+		lzTag(footerBox, LZ_ROLES.CITATION);
 
 		// Set paragraph alignment to center
 		try {
@@ -706,3 +669,46 @@ function addImagesToSlide(slide, images) {
 		return false;
 	}
 }
+
+/**
+ * Stamps LZ markers on a slide, one untagged element each: the title first,
+ * then the others in order. Markers left without an element use the
+ * speaker-notes form where one exists (`lz: toc`, `lz: no-chrome`)
+ * @param {Slide} slide - The slide to mark
+ * @param {Array<string>} markers - LZ marker roles (SECTION, APPENDIX, TOC, NO_CHROME)
+ * @param {string} title - Slide title, carried by section markers
+ * @return {boolean} Success status
+ */
+function addMarkersToSlide(slide, markers, title) {
+	try {
+		const titleShape =
+			slide.getPlaceholder(SlidesApp.PlaceholderType.TITLE) ||
+			slide.getPlaceholder(SlidesApp.PlaceholderType.CENTERED_TITLE);
+		const others = slide
+			.getPageElements()
+			.filter(
+				(el) =>
+					!el.getTitle() &&
+					(!titleShape || el.getObjectId() !== titleShape.getObjectId()),
+			);
+		const targets = (titleShape ? [titleShape] : []).concat(others);
+		markers.forEach((marker, i) => {
+			const sectionMarker = marker === "SECTION" || marker === "APPENDIX";
+			if (targets[i]) {
+				lzTag(targets[i], marker, sectionMarker && title ? { title } : null);
+			} else if (!sectionMarker) {
+				const notes = slide.getNotesPage().getSpeakerNotesShape().getText();
+				const line = marker === "TOC" ? "lz: toc" : "lz: no-chrome";
+				if (notes.asString().trim()) {
+					notes.appendParagraph(line);
+				} else {
+					notes.setText(line);
+				}
+			}
+		});
+		return true;
+	} catch (e) {
+		Logger.log(`Error adding markers to slide: ${e.message}`);
+		return false;
+	}
+}
@@ -0,0 +1,115 @@
+/**
+ * Front Matter Module
+ *
+ * Applies a markdown file's front matter (splitMarkdownFrontMatter) to the
+ * deck: `title`, `author` and `date` make the opening title slide; theme
+ * colours, `font` and `chrome` are saved as this deck's settings through the
+ * config layer (saveConfigValues), as the config sidebar saves them
+ */
+
+// Front-matter keys of the theme colours → readConfigValues() fields.
+const MARKDOWN_FRONT_MATTER_COLORS = {
+	main_color: "mainColor",
+	base_color: "baseColor",
+	text_color: "textColor",
+	accent_color: "accentColor",
+	sub1_color: "sub1Color",
+	sub2_color: "sub2Color",
+};
+
+// The chrome components `chrome: on` / `chrome: off` switch.
+const MARKDOWN_CHROME_TOGGLES = [
+	"progress",
+	"pageNumber",
+	"footnote",
+	"tabs",
+	"navigation",
+];
+
+/**
+ * Deck settings from front matter, in the shape saveConfigValues takes. Keys
+ * may use `-` or `_` (`main-color`). `chrome` is on / off (true / false) or a
+ * chrome preset name, which also turns it on.
+ * @param {Object} meta - Front matter values
+ * @return {{config: Object, warnings: Array<string>}} Only the settings the
+ *   front matter names; values that cannot be used are reported instead
+ */
+function markdownFrontMatterConfig(meta) {
+	const config = {};
+	const warnings = [];
+	Object.keys(meta || {}).forEach((rawKey) => {
+		const key = rawKey.toLowerCase().replace(/-/g, "_");
+		const value = String(meta[rawKey]).trim();
+		if (MARKDOWN_FRONT_MATTER_COLORS[key]) {
+			if (/^#[0-9a-f]{6}$/i.test(value)) {
+				config[MARKDOWN_FRONT_MATTER_COLORS[key]] = value;
+			} else {
+				warnings.push(`${rawKey}: "${value}" is not a #RRGGBB colour`);
+			}
+		} else if (key === "font" || key === "main_font_family") {
+			if (value) config.fontFamily = value;
+		} else if (key === "chrome") {
+			const choice = value.toLowerCase();
+			if (/^(false|off|no|none)$/.test(choice)) {
+				config.chrome = {};
+				MARKDOWN_CHROME_TOGGLES.forEach((toggle) => {
+					config.chrome[toggle] = false;
+				});
+			} else if (/^(true|on|yes)$/.test(choice) || CHROME_PRESETS[choice]) {
+				config.chrome = {};
+				MARKDOWN_CHROME_TOGGLES.forEach((toggle) => {
+					config.chrome[toggle] = CHROME_DEFAULTS[toggle];
+				});
+				if (CHROME_PRESETS[choice]) config.chromePreset = choice;
+			} else {
+				warnings.push(`chrome: "${value}" is not on, off or a chrome preset`);
+			}
+		}
+	});
+	return { config, warnings };
+}
+
+/**
+ * Open the slides with a title slide carrying the front matter's `title`,
+ * with `author` and `date` as its subtitle lines. A markdown that already
+ * opens with a TITLE slide keeps it; only its missing title or subtitle is
+ * filled in.
+ * @param {Array} slideStructure - Slide objects (changed in place)
+ * @param {Object} meta - Front matter values
+ */
+function addMarkdownTitleSlide(slideStructure, meta) {
+	const title = String(meta.title || "").trim();
+	const subtitle = [meta.author, meta.date]
+		.map((value) => String(value || "").trim())
+		.filter(Boolean);
+	if (!title && subtitle.length === 0) return;
+	let slide = slideStructure[0];
+	if (!slide || slide.layout !== "TITLE") {
+		slide = createMarkdownSlide("TITLE", "");
+		slideStructure.unshift(slide);
+	}
+	if (!slide.title) slide.title = title;
+	if (slide.bodyItems.length === 0) {
+		subtitle.forEach((line) => addMarkdownBodyItem(slide, line, "none"));
+	}
+}
+
+/**
+ * Save the front matter's deck settings (markdownFrontMatterConfig) to this
+ * deck. Chrome switches are merged over its current chrome settings.
+ * @param {Object} meta - Front matter values
+ * @return {Array<string>} Warnings
+ */
+function applyMarkdownFrontMatter(meta) {
+	const { config, warnings } = markdownFrontMatterConfig(meta);
+	if (Object.keys(config).length === 0) return warnings;
+	if (config.chrome) {
+		config.chrome = Object.assign(getChromeConfig(), config.chrome);
+	}
+	try {
+		saveConfigValues(config);
+	} catch (e) {
+		warnings.push(`Deck settings not saved: ${e.message}`);
+	}
+	return warnings;
+}
@@ -5,7 +5,7 @@
  */
 
 /**
- * Applies list formatting to all TITLE_AND_BODY slides
+ * Applies list formatting to all slides whose body has list items
  * @param {Array} createdSlides - Array of created slide objects
  * @return {boolean} Success status
  */
@@ -14,11 +14,7 @@ function applyListFormattingToSlides(createdSlides) {
 		for (let i = 0; i < createdSlides.length; i++) {
 			const slideObj = createdSlides[i];
 
-			if (
-				slideObj.info.layout === "TITLE_AND_BODY" &&
-				slideObj.info.bodyItems &&
-				slideObj.info.bodyItems.length > 0
-			) {
+			if (getListRuns(slideObj.info).length > 0) {
 				applyListFormattingToSlide(slideObj);
 			}
 		}
@@ -39,20 +35,17 @@ function applyListFormattingToSlide(slideObj) {
 		const shapes = slideObj.slide.getShapes();
 		let bodyFormattingApplied = false;
 
-		// Determine the appropriate list preset based on list type
-		const listPreset = getListPresetFromType(slideObj.info.listType);
-
 		// Method 1: Look for BODY placeholder by iterating through shapes
 		bodyFormattingApplied = tryApplyListFormattingToBodyPlaceholder(
 			shapes,
-			listPreset,
+			slideObj.info,
 		);
 
 		// Method 2: Try getPlaceholder approach
 		if (!bodyFormattingApplied) {
 			bodyFormattingApplied = tryApplyListFormattingUsingGetPlaceholder(
 				slideObj.slide,
-				listPreset,
+				slideObj.info,
 			);
 		}
 
@@ -60,8 +53,7 @@ function applyListFormattingToSlide(slideObj) {
 		if (!bodyFormattingApplied) {
 			bodyFormattingApplied = tryApplyListFormattingToTextBoxes(
 				shapes,
-				slideObj.info.title,
-				listPreset,
+				slideObj.info,
 			);
 		}
 
@@ -69,8 +61,7 @@ function applyListFormattingToSlide(slideObj) {
 		if (!bodyFormattingApplied) {
 			bodyFormattingApplied = tryApplyManualListFormatting(
 				shapes,
-				slideObj.info.title,
-				slideObj.info.listType,
+				slideObj.info,
 			);
 		}
 
@@ -81,6 +72,80 @@ function applyListFormattingToSlide(slideObj) {
 	}
 }
 
+/**
+ * Runs of list items that form one list, each drawn with its own preset. A
+ * top-level run ends at a plain paragraph or where a top-level item changes
+ * list type, and spans the items nested under it. Nested items of their
+ * parent's type stay in its list and take its preset's glyph for their level;
+ * a nested run of another type, or of another type than the run before it at
+ * that level, is a list of its own inside its parent's run.
+ * @param {Object} info - Slide object (bodyItems, bodyListTypes, bodyLevels)
+ * @return {Array<{start: number, end: number, listType: string, level: number}>}
+ *   Body item index ranges, end exclusive; a run precedes the runs inside it
+ */
+function getListRuns(info) {
+	const runs = [];
+	const types = info.bodyListTypes || [];
+	const levels = info.bodyLevels || [];
+	// The run each level's items join, by level
+	let owners = [];
+	(info.bodyItems || []).forEach((item, i) => {
+		const listType = types[i] || info.listType || "none";
+		if (listType === "none") {
+			owners = [];
+			return;
+		}
+		const level = levels[i] || 0;
+		let run = owners[level];
+		if (!run || run.listType !== listType) {
+			run = { start: i, end: i, listType, level };
+			runs.push(run);
+			owners[level] = run;
+		}
+		owners.length = level + 1;
+		owners.forEach((owner) => {
+			if (owner) owner.end = i + 1;
+		});
+		// Items nested under this one join its run unless they start their own
+		owners[level + 1] = run;
+	});
+	return runs;
+}
+
+/**
+ * Applies one list preset per list run of the body text, a run before the
+ * runs inside it. A preset reads each paragraph's leading tabs as its nesting
+ * level and removes them, so a nested run gets its tabs back first.
+ * @param {TextRange} textRange - The body text, one paragraph per body item
+ * @param {Object} info - Slide object
+ */
+function applyListRunsToText(textRange, info) {
+	const runs = getListRuns(info);
+	if (textRange.getParagraphs().length !== info.bodyItems.length) {
+		// Not the body as md2slides wrote it: one list for the whole text
+		textRange
+			.getListStyle()
+			.applyListPreset(getListPresetFromType(runs[0].listType));
+		return;
+	}
+	runs.forEach((run) => {
+		for (let i = run.start; i < run.end; i++) {
+			const range = textRange.getParagraphs()[i].getRange();
+			const tabs = range.asString().match(/^\t*/)[0].length;
+			const level = (info.bodyLevels && info.bodyLevels[i]) || 0;
+			if (level > tabs) range.insertText(0, "\t".repeat(level - tabs));
+		}
+		const paragraphs = textRange.getParagraphs();
+		textRange
+			.getRange(
+				paragraphs[run.start].getRange().getStartIndex(),
+				paragraphs[run.end - 1].getRange().getEndIndex(),
+			)
+			.getListStyle()
+			.applyListPreset(getListPresetFromType(run.listType));
+	});
+}
+
 /**
  * Gets the appropriate Google Slides list preset for a given list type
  * @param {string} listType - "numbered", "numbered_parens", "lettered", or "bullet"
@@ -102,15 +167,15 @@ function getListPresetFromType(listType) {
 /**
  * Tries to apply list formatting to BODY placeholder by iterating through shapes
  * @param {Array} shapes - Array of slide shapes
- * @param {SlidesApp.ListPreset} listPreset - List preset to apply
+ * @param {Object} info - Slide object
  * @return {boolean} Success status
  */
-function tryApplyListFormattingToBodyPlaceholder(shapes, listPreset) {
+function tryApplyListFormattingToBodyPlaceholder(shapes, info) {
 	for (let j = 0; j < shapes.length; j++) {
 		const shape = shapes[j];
 		try {
 			if (shape.getPlaceholderType() === SlidesApp.PlaceholderType.BODY) {
-				shape.getText().getListStyle().applyListPreset(listPreset);
+				applyListRunsToText(shape.getText(), info);
 				return true;
 			}
 		} catch (e) {
@@ -125,14 +190,14 @@ function tryApplyListFormattingToBodyPlaceholder(shapes, listPreset) {
 /**
  * Tries to apply list formatting using getPlaceholder method
  * @param {Slide} slide - The slide
- * @param {SlidesApp.ListPreset} listPreset - List preset to apply
+ * @param {Object} info - Slide object
  * @return {boolean} Success status
  */
-function tryApplyListFormattingUsingGetPlaceholder(slide, listPreset) {
+function tryApplyListFormattingUsingGetPlaceholder(slide, info) {
 	try {
 		const bodyShape = slide.getPlaceholder(SlidesApp.PlaceholderType.BODY);
 		if (bodyShape) {
-			bodyShape.getText().getListStyle().applyListPreset(listPreset);
+			applyListRunsToText(bodyShape.getText(), info);
 			return true;
 		}
 	} catch (e) {
@@ -146,19 +211,18 @@ function tryApplyListFormattingUsingGetPlaceholder(slide, listPreset) {
 /**
  * Tries to apply list formatting to text boxes that aren't the title
  * @param {Array} shapes - Array of slide shapes
- * @param {string} title - Slide title (to exclude from formatting)
- * @param {SlidesApp.ListPreset} listPreset - List preset to apply
+ * @param {Object} info - Slide object (its title is excluded from formatting)
  * @return {boolean} Success status
  */
-function tryApplyListFormattingToTextBoxes(shapes, title, listPreset) {
+function tryApplyListFormattingToTextBoxes(shapes, info) {
 	for (let j = 0; j < shapes.length; j++) {
 		const shape = shapes[j];
 		try {
 			if (shape.getShapeType() === SlidesApp.ShapeType.TEXT_BOX) {
 				const text = shape.getText().asString().trim();
 				// Skip if this is the title text box
-				if (text !== "" && text !== title) {
-					shape.getText().getListStyle().applyListPreset(listPreset);
+				if (text !== "" && text !== info.title) {
+					applyListRunsToText(shape.getText(), info);
 					return true;
 				}
 			}
@@ -170,13 +234,13 @@ function tryApplyListFormattingToTextBoxes(shapes, title, listPreset) {
 }
 
 /**
- * Tries to apply manual list formatting by adding list markers
+ * Tries to apply manual list formatting by adding list markers, indented two
+ * spaces per nesting level; numbers count within a run and level
  * @param {Array} shapes - Array of slide shapes
- * @param {string} title - Slide title (to exclude from formatting)
- * @param {string} listType - Type of list ("numbered", "numbered_parens", "lettered", "bullet")
+ * @param {Object} info - Slide object (its title is excluded from formatting)
  * @return {boolean} Success status
  */
-function tryApplyManualListFormatting(shapes, title, listType) {
+function tryApplyManualListFormatting(shapes, info) {
 	for (let j = 0; j < shapes.length; j++) {
 		const shape = shapes[j];
 		try {
@@ -185,23 +249,31 @@ function tryApplyManualListFormatting(shapes, title, listType) {
 				const text = textRange.asString().trim();
 
 				// Skip if this is the title text box
-				if (text !== "" && text !== title) {
+				if (text !== "" && text !== info.title) {
 					// Clear the text box
 					textRange.clear();
 
-					// Add each line with appropriate list marker
-					const lines = text.split("\n");
-					for (let k = 0; k < lines.length; k++) {
-						const line = lines[k].trim();
-						if (line !== "") {
-							const marker = getListMarkerForIndex(k, listType);
-							if (k === 0) {
-								textRange.setText(`${marker} ${line}`);
-							} else {
-								textRange.appendParagraph(`${marker} ${line}`);
-							}
+					// Add each item with appropriate list marker
+					const counters = [];
+					const types = [];
+					info.bodyItems.forEach((item, k) => {
+						const listType = info.bodyListTypes[k] || "none";
+						const level = (info.bodyLevels && info.bodyLevels[k]) || 0;
+						let line = item;
+						if (listType !== "none") {
+							counters.length = types.length = level + 1;
+							counters[level] =
+								types[level] === listType ? counters[level] + 1 : 0;
+							types[level] = listType;
+							const marker = getListMarkerForIndex(counters[level], listType);
+							line = `${"  ".repeat(level)}${marker} ${item}`;
+						}
+						if (k === 0) {
+							textRange.setText(line);
+						} else {
+							textRange.appendParagraph(line);
 						}
-					}
+					});
 
 					return true;
 				}
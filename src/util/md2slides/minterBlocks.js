@@ -0,0 +1,119 @@
+/**
+ * Minter Blocks Module
+ *
+ * Routes the parts of a slide a minter draws: GFM tables go to the table
+ * minter, and a code fence named after a minter (```kpi, ```timeline,
+ * ```compare, …) goes through that minter's Auto Minter adapter
+ * (autoMinterRebuild → autoBuild<X>Payload_). The minters draw through the
+ * Slides REST service, which cannot see slides created in this execution, so
+ * they run as jobs in a second call (runGslideMinterJobs, as html2slides does)
+ */
+
+// Font size of markdown tables; the table minter's row height follows it.
+const MARKDOWN_TABLE_FONT_SIZE = 14;
+
+/**
+ * The minter a code fence names: its first word is a registered minter key;
+ * a JSON object after it is passed as hints (```kpi {"templateId": "…"})
+ * @param {string} language - The fence's info string
+ * @return {{key: string, hints: Object}|null} Null for an ordinary code block
+ */
+function parseMarkdownMinterFence(language) {
+	const match = (language || "").trim().match(/^([a-z]+)(?:\s+(\{.*\}))?$/i);
+	if (!match || !findAutoMinter_(match[1].toLowerCase())) return null;
+	let hints = {};
+	if (match[2]) {
+		try {
+			hints = JSON.parse(match[2]);
+		} catch (e) {
+			hints = null; // reported by resolveMarkdownMinters
+		}
+	}
+	return { key: match[1].toLowerCase(), hints };
+}
+
+/**
+ * Turn each slide's minter fences into ready-made minter payloads
+ * (slide.minters), taking them out of its code blocks. A fence the minter
+ * cannot read stays a code block, with a warning. A slide left with a heading
+ * and nothing but minters loses its empty body placeholder (TITLE_ONLY, or
+ * BLANK when untitled), like the deck minter's slides
+ * @param {Array} slideStructure - Slide objects from parseMarkdownToStructure
+ * @return {Array<string>} Warnings
+ */
+function resolveMarkdownMinters(slideStructure) {
+	const warnings = [];
+	slideStructure.forEach((slide, i) => {
+		slide.minters = [];
+		slide.codeBlocks = slide.codeBlocks.filter((code) => {
+			const fence = parseMarkdownMinterFence(code.language);
+			if (!fence) return true;
+			const label = `Slide ${i + 1}: \`\`\`${fence.key}`;
+			if (!fence.hints) {
+				warnings.push(`${label} options are not valid JSON; kept as a code block`);
+				return true;
+			}
+			const built = autoMinterRebuild(fence.key, code.content, fence.hints);
+			if (!built.success) {
+				warnings.push(`${label} could not be read; kept as a code block`);
+				return true;
+			}
+			slide.minters.push({ key: fence.key, payload: built.payload });
+			return false;
+		});
+		if (
+			slide.minters.length > 0 &&
+			slide.layout === "TITLE_AND_BODY" &&
+			slide.bodyItems.length === 0 &&
+			slide.codeBlocks.length === 0
+		) {
+			slide.layout = slide.title ? "TITLE_ONLY" : "BLANK";
+		}
+	});
+	return warnings;
+}
+
+/**
+ * Minter jobs for the created slides: their tables, stacked down from the
+ * top, then their minter blocks at each minter's own placement
+ * @param {Array} createdSlides - Array of created slide objects
+ * @return {Array<{spec, pageObjectId, slideIndex, label}>} Minter jobs
+ */
+function collectMinterJobs(createdSlides) {
+	const jobs = [];
+	createdSlides.forEach((slideObj) => {
+		const job = (key, payload, what) => {
+			jobs.push({
+				spec: { minter: { key, payload } },
+				pageObjectId: slideObj.slide.getObjectId(),
+				slideIndex: slideObj.slideIndex,
+				label: `Slide ${slideObj.slideIndex + 1} (${what})`,
+			});
+		};
+		let top = 100;
+		(slideObj.info.tables || []).forEach((table, t) => {
+			if (table.rows.length === 0) return;
+			// Short rows are padded: the minter sizes the table by its header
+			const columns = Math.max(...table.rows.map((row) => row.length));
+			const rows = table.rows.map((row) =>
+				row.concat(new Array(columns - row.length).fill("")),
+			);
+			job(
+				"table",
+				{
+					header: rows[0],
+					body: rows.slice(1),
+					fontSize: MARKDOWN_TABLE_FONT_SIZE,
+					top,
+				},
+				`table ${t + 1}`,
+			);
+			// Row height as the minter draws it, plus a gap
+			top += rows.length * (MARKDOWN_TABLE_FONT_SIZE + 14) + 12;
+		});
+		(slideObj.info.minters || []).forEach((minter) => {
+			job(minter.key, minter.payload, minter.key);
+		});
+	});
+	return jobs;
+}
@@ -4,20 +4,114 @@
  * Handles parsing markdown text into structured slide data
  */
 
+// Per-slide directive: `<!-- key: value -->` on a line of its own.
+const MARKDOWN_DIRECTIVE = /^<!--\s*([a-z][\w-]*)\s*:\s*(.*?)\s*-->$/i;
+
+// LZ markers a `marker` directive may stamp on the slide (see LZ-PROTOCOL.md).
+const MARKDOWN_MARKERS = ["SECTION", "APPENDIX", "TOC", "NO_CHROME"];
+
+// Marp-style `class` names that stamp an LZ marker; other classes are ignored.
+const MARKDOWN_CLASS_MARKERS = {
+	section: "SECTION",
+	appendix: "APPENDIX",
+	toc: "TOC",
+	"no-chrome": "NO_CHROME",
+};
+
+// Deepest list nesting level read from indentation (0-based: three levels).
+const MARKDOWN_MAX_LIST_LEVEL = 2;
+
+/**
+ * Split YAML-style front matter (`key: value` lines between two `---` lines at
+ * the very top) from the markdown body. A leading `---` followed by anything
+ * else is a slide break, not front matter.
+ * @param {string} markdownText - The markdown text
+ * @return {{meta: Object, body: string}} front matter values and the rest
+ */
+function splitMarkdownFrontMatter(markdownText) {
+	const lines = markdownText.split("\n");
+	const meta = {};
+	if (lines[0].trim() !== "---") return { meta, body: markdownText };
+	for (let i = 1; i < lines.length; i++) {
+		const line = lines[i].trim();
+		if (line === "---") {
+			return { meta, body: lines.slice(i + 1).join("\n") };
+		}
+		if (line === "") continue;
+		const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+		if (!match) break;
+		meta[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+	}
+	return { meta: {}, body: markdownText };
+}
+
 /**
- * Parse markdown text into a structured slide format
+ * Empty slide object of the structure parseMarkdownToStructure returns
+ * @param {string} layout - Slide layout (a LZ_LAYOUT_ALIASES type)
+ * @param {string} title - Slide title ("" for an untitled slide)
+ * @return {Object} Slide object
+ */
+function createMarkdownSlide(layout, title) {
+	return {
+		layout: layout,
+		title: title,
+		bodyItems: [],
+		bodyListTypes: [], // detectListType() per body item
+		bodyLevels: [], // list nesting level per body item (0 to MARKDOWN_MAX_LIST_LEVEL)
+		listType: "bullet", // the first body item's list type
+		speakerNotes: [],
+		codeBlocks: [],
+		footerItems: [], // For @ prefixed lines
+		images: [], // For ![alt](url) image syntax
+		tables: [], // {rows: [[cell, …], …]}, the first row is the header
+		markers: [], // LZ marker roles from `marker` directives
+	};
+}
+
+/**
+ * Cells of a GFM pipe-table row (`\|` is a literal pipe)
+ * @param {string} line - The trimmed table line
+ * @return {Array<string>} Cell texts
+ */
+function parseMarkdownTableRow(line) {
+	const inner = line.replace(/^\|/, "").replace(/(^|[^\\])\|$/, "$1");
+	return inner
+		.split(/(?<!\\)\|/)
+		.map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+/**
+ * Parse markdown text into a structured slide format (the lizard-markdown
+ * dialect, see LIZARD-MARKDOWN.md)
  * @param {string} markdownText - The markdown text to parse
- * @return {Array} Array of slide objects with layout, title, bodyItems, speakerNotes, and listType
+ * @return {Array} Array of slide objects (see createMarkdownSlide)
  */
 function parseMarkdownToStructure(markdownText) {
 	try {
-		const lines = markdownText.split("\n");
+		const lines = splitMarkdownFrontMatter(markdownText).body.split("\n");
 		const slideStructure = [];
 		let currentSlide = null;
+		let pendingDirectives = []; // read after a --- break, before the slide starts
 		let inCodeBlock = false;
 		let codeBlockContent = [];
 		let codeBlockLanguage = "";
+		let currentTable = null; // the pipe table being read
+		let comment = null; // lines of a multi-line HTML comment
 		let currentH2Title = ""; // Track the current H2 title for H3 slides
+		let listIndents = []; // indentation of each open list level
+
+		// Start a slide; directives read since the last break apply to it
+		const startSlide = (layout, title) => {
+			currentSlide = createMarkdownSlide(layout, title);
+			listIndents = [];
+			pendingDirectives.forEach((d) => applyMarkdownDirective(currentSlide, d));
+			pendingDirectives = [];
+			slideStructure.push(currentSlide);
+			return currentSlide;
+		};
+		// Content before any heading since the last break: an untitled slide
+		const contentSlide = () =>
+			currentSlide || startSlide("TITLE_AND_BODY", "");
 
 		for (let i = 0; i < lines.length; i++) {
 			const line = lines[i];
@@ -25,6 +119,7 @@ function parseMarkdownToStructure(markdownText) {
 
 			// Check for code block markers
 			if (trimmedLine.startsWith("```")) {
+				currentTable = null;
 				if (!inCodeBlock) {
 					// Starting a code block
 					inCodeBlock = true;
@@ -35,12 +130,8 @@ function parseMarkdownToStructure(markdownText) {
 					// Ending a code block
 					inCodeBlock = false;
 
-					// Add the code block to the current slide if it exists
-					if (currentSlide && codeBlockContent.length > 0) {
-						if (!currentSlide.codeBlocks) {
-							currentSlide.codeBlocks = [];
-						}
-						currentSlide.codeBlocks.push({
+					if (codeBlockContent.length > 0) {
+						contentSlide().codeBlocks.push({
 							language: codeBlockLanguage,
 							content: codeBlockContent.join("\n"),
 						});
@@ -60,149 +151,131 @@ function parseMarkdownToStructure(markdownText) {
 				continue;
 			}
 
+			// Multi-line HTML comment: skipped, except the speaker notes older
+			// exports wrote as <!-- Speaker notes: … -->
+			if (comment) {
+				if (trimmedLine.endsWith("-->")) {
+					const last = trimmedLine.slice(0, -3).trim();
+					if (last) comment.push(last);
+					if (comment[0] === "Speaker notes:" && currentSlide) {
+						currentSlide.speakerNotes.push(...comment.slice(1));
+					}
+					comment = null;
+				} else {
+					comment.push(trimmedLine);
+				}
+				continue;
+			}
+
+			// Anything but a table row ends the table
+			if (!trimmedLine.startsWith("|")) currentTable = null;
+
 			// Skip empty lines outside of code blocks
 			if (trimmedLine === "") continue;
 
-			// Check for horizontal rule (---) as slide separator
+			// Horizontal rule (---) ends the slide; the next line starts another
 			if (trimmedLine === "---") {
-				// Skip the separator line - don't add it to any slide content
+				// Directives alone still make a slide (e.g. an empty BLANK slide)
+				if (!currentSlide && pendingDirectives.length) contentSlide();
+				currentSlide = null;
 				continue;
 			}
-			// Check for speaker notes (> content)
-			if (trimmedLine.startsWith("> ")) {
+
+			const directive = trimmedLine.match(MARKDOWN_DIRECTIVE);
+			if (directive) {
+				const entry = { key: directive[1].toLowerCase(), value: directive[2] };
 				if (currentSlide) {
-					const speakerNote = trimmedLine.substring(2).trim();
-					if (!currentSlide.speakerNotes) {
-						currentSlide.speakerNotes = [];
-					}
-					currentSlide.speakerNotes.push(speakerNote);
+					applyMarkdownDirective(currentSlide, entry);
+				} else {
+					pendingDirectives.push(entry);
 				}
+				continue;
+			}
+			if (trimmedLine.startsWith("<!--")) {
+				if (!trimmedLine.endsWith("-->")) {
+					comment = [trimmedLine.substring(4).trim()].filter(Boolean);
+				}
+				continue;
+			}
+
+			// A leading backslash makes the rest of the line body text
+			if (trimmedLine.startsWith("\\")) {
+				addMarkdownBodyItem(contentSlide(), trimmedLine.substring(1), "none");
+				listIndents = [];
+			}
+			// Check for speaker notes (> content); a lone > is an empty line
+			else if (trimmedLine === ">" || trimmedLine.startsWith("> ")) {
+				contentSlide().speakerNotes.push(trimmedLine.substring(2).trim());
 			}
 			// Check for footer items (@ content)
 			else if (trimmedLine.startsWith("@ ")) {
-				if (currentSlide) {
-					const footerItem = trimmedLine.substring(2).trim();
-					if (!currentSlide.footerItems) {
-						currentSlide.footerItems = [];
-					}
-					currentSlide.footerItems.push(footerItem);
-				}
+				contentSlide().footerItems.push(trimmedLine.substring(2).trim());
 			}
 			// Check for image syntax ![alt](url)
 			else if (/^!\[.*?\]\(.*?\)$/.test(trimmedLine)) {
-				if (currentSlide) {
-					const imageMatch = trimmedLine.match(/^!\[(.*?)\]\((.*?)\)$/);
-					if (imageMatch) {
-						const alt = imageMatch[1] || "";
-						const url = imageMatch[2];
-						if (!currentSlide.images) {
-							currentSlide.images = [];
-						}
-						currentSlide.images.push({ alt: alt, url: url });
-					}
+				const imageMatch = trimmedLine.match(/^!\[(.*?)\]\((.*?)\)$/);
+				if (imageMatch) {
+					const alt = imageMatch[1] || "";
+					const url = imageMatch[2];
+					contentSlide().images.push({ alt: alt, url: url });
+				}
+			}
+			// GFM pipe table: the header row, a --- separator row, then the body
+			else if (trimmedLine.startsWith("|")) {
+				if (!currentTable) {
+					currentTable = { rows: [] };
+					contentSlide().tables.push(currentTable);
+				}
+				const cells = parseMarkdownTableRow(trimmedLine);
+				const separator = cells.every((cell) => /^:?-{3,}:?$/.test(cell));
+				if (!(separator && currentTable.rows.length === 1)) {
+					currentTable.rows.push(cells);
 				}
 			}
 			// Check for H1 heading (# Heading)
 			else if (trimmedLine.startsWith("# ")) {
-				// Extract title and remove page numbering pattern if present
-				let title = trimmedLine.substring(2).trim();
-				// Remove patterns like "Page 1:" or "Page 10:" from the title
-				title = title.replace(/^Page\s+\d+:\s*/i, "");
-
 				// Create a new SECTION_HEADER slide
-				currentSlide = {
-					layout: "SECTION_HEADER",
-					title: title,
-					bodyItems: [],
-					speakerNotes: [],
-					codeBlocks: [],
-					footerItems: [], // For @ prefixed lines
-					images: [], // For ![alt](url) image syntax
-				};
-				slideStructure.push(currentSlide);
+				startSlide("SECTION_HEADER", cleanMarkdownHeading(trimmedLine));
 			}
 			// Check for H2 heading (## Heading)
 			else if (trimmedLine.startsWith("## ")) {
-				// Extract title and remove page numbering pattern if present
-				let title = trimmedLine.substring(3).trim();
-				// Remove patterns like "Page 1:" or "Page 10:" from the title
-				title = title.replace(/^Page\s+\d+:\s*/i, "");
+				const title = cleanMarkdownHeading(trimmedLine);
 
 				// Track this H2 title for future H3 slides
 				currentH2Title = title;
 
 				// Create a new TITLE_AND_BODY slide
-				currentSlide = {
-					layout: "TITLE_AND_BODY",
-					title: title,
-					bodyItems: [],
-					speakerNotes: [],
-					listType: "bullet", // Default to bullet list
-					codeBlocks: [],
-					footerItems: [], // For @ prefixed lines
-					images: [], // For ![alt](url) image syntax
-				};
-				slideStructure.push(currentSlide);
+				startSlide("TITLE_AND_BODY", title);
 			}
 			// Check for H3 heading (### Heading)
 			else if (trimmedLine.startsWith("### ")) {
-				// Extract title and remove page numbering pattern if present
-				let title = trimmedLine.substring(4).trim();
-				// Remove patterns like "Page 1:" or "Page 10:" from the title
-				title = title.replace(/^Page\s+\d+:\s*/i, "");
-
 				// Create a new TITLE_AND_BODY slide with parent H2 title
-				currentSlide = {
-					layout: "TITLE_AND_BODY",
-					title: title,
-					bodyItems: [],
-					speakerNotes: [],
-					listType: "bullet", // Default to bullet list
-					codeBlocks: [],
-					footerItems: [], // For @ prefixed lines
-					images: [], // For ![alt](url) image syntax
-					parentTitle: currentH2Title, // Store the parent H2 title
-				};
-				slideStructure.push(currentSlide);
+				startSlide(
+					"TITLE_AND_BODY",
+					cleanMarkdownHeading(trimmedLine),
+				).parentTitle = currentH2Title;
 			}
-			// Add content to current slide if it's a TITLE_AND_BODY
-			else if (currentSlide && currentSlide.layout === "TITLE_AND_BODY") {
-				// Process list items and regular text
-				let content = trimmedLine;
-
-				// Detect and set list type based on the first list item encountered
-				if (currentSlide.bodyItems.length === 0) {
-					if (/^\(\d+\)\s/.test(trimmedLine)) {
-						currentSlide.listType = "numbered_parens";
-					} else if (/^\d+\.\s/.test(trimmedLine)) {
-						currentSlide.listType = "numbered";
-					} else if (/^[A-Z]\.\s/.test(trimmedLine)) {
-						currentSlide.listType = "lettered";
-					} else if (
-						trimmedLine.startsWith("- ") ||
-						trimmedLine.startsWith("* ")
-					) {
-						currentSlide.listType = "bullet";
-					}
-				}
-
-				// Remove list markers if present
-				if (trimmedLine.startsWith("- ")) {
-					content = trimmedLine.substring(2).trim();
-				} else if (trimmedLine.startsWith("* ")) {
-					content = trimmedLine.substring(2).trim();
-				} else if (/^\(\d+\)\s/.test(trimmedLine)) {
-					content = trimmedLine.substring(trimmedLine.indexOf(")") + 1).trim();
-				} else if (/^\d+\.\s/.test(trimmedLine)) {
-					content = trimmedLine.substring(trimmedLine.indexOf(".") + 1).trim();
-				} else if (/^[A-Z]\.\s/.test(trimmedLine)) {
-					content = trimmedLine.substring(2).trim();
+			// Everything else is body text: list items and paragraphs
+			else {
+				const slide = contentSlide();
+				const listType = detectListType(trimmedLine);
+				let level = 0;
+				if (listType === "none") {
+					listIndents = [];
+				} else {
+					const indent = line.match(/^\s*/)[0].replace(/\t/g, "    ").length;
+					level = markdownListLevel(listIndents, indent);
 				}
-
-				currentSlide.bodyItems.push(content);
+				addMarkdownBodyItem(
+					slide,
+					removeListMarkers(trimmedLine),
+					listType,
+					level,
+				);
 			}
 		}
 
+		if (!currentSlide && pendingDirectives.length) contentSlide();
 		return slideStructure;
 	} catch (error) {
 		console.error(`Error parsing markdown: ${error.message}`);
@@ -210,6 +283,94 @@ function parseMarkdownToStructure(markdownText) {
 	}
 }
 
+/**
+ * Heading text without its # marks and a "Page N:" prefix
+ * @param {string} line - The trimmed heading line
+ * @return {string} The title
+ */
+function cleanMarkdownHeading(line) {
+	return line
+		.replace(/^#+\s+/, "")
+		.trim()
+		.replace(/^Page\s+\d+:\s*/i, "");
+}
+
+/**
+ * Nesting level of a list item from its indentation. An item indented past
+ * the open level opens the next one (up to MARKDOWN_MAX_LIST_LEVEL); a
+ * shallower one closes levels until it fits.
+ * @param {Array<number>} indents - Indentation of each open level (updated)
+ * @param {number} indent - The item's indentation in spaces (a tab is four)
+ * @return {number} The level, 0 for a top-level item
+ */
+function markdownListLevel(indents, indent) {
+	while (indents.length > 1 && indent < indents[indents.length - 1]) {
+		indents.pop();
+	}
+	if (indents.length === 0 || (indents.length === 1 && indent < indents[0])) {
+		indents[0] = indent;
+	} else if (
+		indent > indents[indents.length - 1] &&
+		indents.length <= MARKDOWN_MAX_LIST_LEVEL
+	) {
+		indents.push(indent);
+	}
+	return indents.length - 1;
+}
+
+/**
+ * Append a body item; the first one decides the slide's list type
+ * @param {Object} slide - Slide object
+ * @param {string} text - Item text without its list marker
+ * @param {string} listType - detectListType() of the item's line
+ * @param {number=} level - List nesting level (0 by default)
+ */
+function addMarkdownBodyItem(slide, text, listType, level) {
+	if (slide.bodyItems.length === 0) slide.listType = listType;
+	slide.bodyItems.push(text);
+	slide.bodyListTypes.push(listType);
+	slide.bodyLevels.push(level || 0);
+}
+
+/**
+ * Apply a `<!-- key: value -->` directive to a slide: `layout` (any name
+ * lzLayoutTypeOfName knows), `marker` (an LZ marker role), `class` (Marp-style
+ * names, see MARKDOWN_CLASS_MARKERS), `notes` (a speaker-notes line) or `id`
+ * (the slide's sync key, see sync.js). Unknown keys and values are ignored.
+ * @param {Object} slide - Slide object
+ * @param {{key: string, value: string}} directive
+ */
+function applyMarkdownDirective(slide, directive) {
+	const value = directive.value.trim();
+	const addMarker = (marker) => {
+		if (MARKDOWN_MARKERS.includes(marker) && !slide.markers.includes(marker)) {
+			slide.markers.push(marker);
+		}
+	};
+	switch (directive.key) {
+		case "layout": {
+			const layout = lzLayoutTypeOfName(value);
+			if (layout) slide.layout = layout;
+			break;
+		}
+		case "marker":
+			addMarker(value.toUpperCase().replace(/[\s-]+/g, "_"));
+			break;
+		case "class":
+			value.split(/[\s,]+/).forEach((name) => {
+				const marker = MARKDOWN_CLASS_MARKERS[name.toLowerCase()];
+				if (marker) addMarker(marker);
+			});
+			break;
+		case "notes":
+			slide.speakerNotes.push(value);
+			break;
+		case "id":
+			if (value) slide.id = value;
+			break;
+	}
+}
+
 /**
  * Detects the list type from a markdown line
  * @param {string} line - The line to analyze
@@ -0,0 +1,134 @@
+/**
+ * Markdown Serializer Module
+ *
+ * Writes the slide structure parseMarkdownToStructure returns back out as
+ * lizard-markdown (LIZARD-MARKDOWN.md), so an exported deck imports to the
+ * same slides
+ */
+
+// Body text that would otherwise be read as markdown syntax or a list marker;
+// it is written with a leading backslash.
+const MARKDOWN_ESCAPED_LINE =
+	/^(#|>|@ |!\[|\||<!--|---|```|\\|[-*] |\(\d+\)\s|\d+\.\s|[A-Z]\.\s)/;
+
+/**
+ * Convert a slide structure to lizard-markdown
+ * @param {Array} slideStructure - Slide objects (see createMarkdownSlide)
+ * @param {Object=} meta - Front matter values, written in key order
+ * @return {string} The markdown text
+ */
+function structureToMarkdown(slideStructure, meta) {
+	const parts = [];
+	const keys = Object.keys(meta || {});
+	if (keys.length > 0) {
+		parts.push(["---", ...keys.map((key) => `${key}: ${meta[key]}`), "---"]);
+	}
+	slideStructure.forEach((slide, index) => {
+		if (index > 0) parts.push(["---"]);
+		parts.push(...slideToMarkdownBlocks(slide));
+	});
+	return `${parts.map((block) => block.join("\n")).join("\n\n")}\n`;
+}
+
+/**
+ * The blank-line separated blocks of one slide: directives and heading, body,
+ * tables, code blocks, images, footer items, speaker notes
+ * @param {Object} slide - Slide object
+ * @return {Array<Array<string>>} Blocks of lines
+ */
+function slideToMarkdownBlocks(slide) {
+	const blocks = [];
+	const head = [];
+	let level = "";
+	if (slide.title) {
+		if (slide.parentTitle) {
+			level = "###";
+		} else if (slide.layout === "SECTION_HEADER" || slide.layout === "TITLE") {
+			level = "#";
+		} else {
+			level = "##";
+		}
+	}
+	// The layout a heading (or its absence) would give the slide on import
+	const impliedLayout = level === "#" ? "SECTION_HEADER" : "TITLE_AND_BODY";
+	if (slide.layout && slide.layout !== impliedLayout) {
+		head.push(`<!-- layout: ${slide.layout} -->`);
+	}
+	if (slide.id) head.push(`<!-- id: ${slide.id} -->`);
+	(slide.markers || []).forEach((marker) => {
+		head.push(`<!-- marker: ${marker} -->`);
+	});
+	if (level) head.push(`${level} ${slide.title.replace(/\s*\n\s*/g, " ")}`);
+
+	const body = bodyItemsToMarkdown(slide);
+	if (body.length > 0) blocks.push(body);
+	(slide.tables || []).forEach((table) => {
+		if (table.rows.length > 0) blocks.push(tableToMarkdown(table));
+	});
+	(slide.codeBlocks || []).forEach((code) => {
+		blocks.push([`\`\`\`${code.language || ""}`, code.content, "```"]);
+	});
+	const images = (slide.images || []).map((img) => `![${img.alt}](${img.url})`);
+	if (images.length > 0) blocks.push(images);
+	const footers = (slide.footerItems || []).map((item) => `@ ${item}`);
+	if (footers.length > 0) blocks.push(footers);
+	const notes = (slide.speakerNotes || []).map((line) =>
+		line ? `> ${line}` : ">",
+	);
+	if (notes.length > 0) blocks.push(notes);
+
+	// An empty untitled slide still needs a line to exist on import
+	if (head.length === 0 && blocks.length === 0) {
+		head.push(`<!-- layout: ${slide.layout || "TITLE_AND_BODY"} -->`);
+	}
+	if (head.length > 0) blocks.unshift(head);
+	return blocks;
+}
+
+/**
+ * Body items with their list markers; numbers count up within a run of items
+ * of the same type and nesting level
+ * @param {Object} slide - Slide object (bodyItems, bodyListTypes, bodyLevels,
+ *   listType); each level indents two spaces
+ * @return {Array<string>} Lines
+ */
+function bodyItemsToMarkdown(slide) {
+	const counters = [];
+	const types = [];
+	return (slide.bodyItems || []).map((text, i) => {
+		const listType =
+			(slide.bodyListTypes && slide.bodyListTypes[i]) || slide.listType;
+		const level = (slide.bodyLevels && slide.bodyLevels[i]) || 0;
+		const indent = "  ".repeat(level);
+		counters.length = types.length = level + 1;
+		counters[level] = types[level] === listType ? counters[level] + 1 : 1;
+		types[level] = listType;
+		const n = counters[level];
+		switch (listType) {
+			case "numbered":
+				return `${indent}${n}. ${text}`;
+			case "numbered_parens":
+				return `${indent}(${n}) ${text}`;
+			case "lettered":
+				return `${indent}${String.fromCharCode(65 + ((n - 1) % 26))}. ${text}`;
+			case "bullet":
+				return `${indent}- ${text}`;
+			default:
+				return MARKDOWN_ESCAPED_LINE.test(text) ? `\\${text}` : text;
+		}
+	});
+}
+
+/**
+ * GFM pipe table; the first row is the header
+ * @param {{rows: Array<Array<string>>}} table
+ * @return {Array<string>} Lines
+ */
+function tableToMarkdown(table) {
+	const rows = table.rows.map(
+		(row) =>
+			`| ${row.map((cell) => String(cell).replace(/\n/g, " ").replace(/\|/g, "\\|")).join(" | ")} |`,
+	);
+	rows.splice(1, 0, `|${" --- |".repeat(table.rows[0].length)}`);
+	return rows;
+}
@@ -18,22 +18,16 @@ function createSlidesFromStructure(slideStructure, presentation, insertIndex) {
 	for (let i = 0; i < slideStructure.length; i++) {
 		const slideInfo = slideStructure[i];
 
-		let slide;
-		if (slideInfo.layout === "SECTION_HEADER") {
-			slide = presentation.insertSlide(
-				currentIndex,
-				SlidesApp.PredefinedLayout.SECTION_HEADER,
-			);
-		} else if (slideInfo.layout === "TITLE_AND_BODY") {
-			slide = presentation.insertSlide(
-				currentIndex,
+		const slide = presentation.insertSlide(
+			currentIndex,
+			SlidesApp.PredefinedLayout[slideInfo.layout] ||
 				SlidesApp.PredefinedLayout.TITLE_AND_BODY,
-			);
-		}
+		);
 
 		createdSlides.push({
 			slide: slide,
 			info: slideInfo,
+			slideIndex: currentIndex,
 		});
 
 		currentIndex++;
@@ -77,21 +71,12 @@ function getInsertIndex(presentation) {
  * Creates a slide with a specific layout
  * @param {Presentation} presentation - The presentation to add to
  * @param {number} index - The index to insert at
- * @param {string} layout - The layout type ("SECTION_HEADER" or "TITLE_AND_BODY")
+ * @param {string} layout - The layout type (a LZ_LAYOUT_ALIASES type)
  * @return {Slide} The created slide
  */
 function createSlideWithLayout(presentation, index, layout) {
-	if (layout === "SECTION_HEADER") {
-		return presentation.insertSlide(
-			index,
-			SlidesApp.PredefinedLayout.SECTION_HEADER,
-		);
-	}
-	if (layout === "TITLE_AND_BODY") {
-		return presentation.insertSlide(
-			index,
-			SlidesApp.PredefinedLayout.TITLE_AND_BODY,
-		);
+	if (LZ_LAYOUT_ALIASES.hasOwnProperty(layout)) {
+		return presentation.insertSlide(index, SlidesApp.PredefinedLayout[layout]);
 	}
 	throw new Error(`Unknown layout type: ${layout}`);
 }
@@ -0,0 +1,512 @@
+/**
+ * Markdown Sync Module
+ *
+ * Updates a deck in place from its source markdown instead of inserting a
+ * second copy. Each markdown slide is matched to a deck slide by a key: its
+ * `<!-- id: … -->` directive, else its title. Every slide md2slides makes gets
+ * an id — its directive's, else a new one — that the deck remembers (a
+ * document property) and the export writes back, so an imported slide keeps
+ * matching after it is edited by hand or retitled in exported markdown. A
+ * markdown slide without an id falls back to the deck slides' titles. Each
+ * saved key names the markdown source it came from, so a deck can be synced
+ * from several files. A preview lists what the sync would do; applying it
+ * then:
+ * - rewrites only the title, body and speaker notes that changed, leaving
+ *   untouched slides (and everything else on changed ones) as they are
+ * - inserts new slides after the slide of the markdown slide before them
+ * - deletes slides imported from the same source that the markdown no longer
+ *   has, when asked to; a slide made by hand is updated but never adopted
+ */
+
+// Document property: {pageObjectId: {key, source}} of the slides md2slides
+// made. Records saved before sources were kept hold the key alone.
+const MARKDOWN_SYNC_KEYS = { SLIDES: "md_sync_slide_keys" };
+
+/**
+ * The slides of a markdown text, with its front matter's title slide, as
+ * convertMarkdownToSlides reads them
+ * @param {string} markdownText - The markdown text
+ * @return {{slideStructure: Array, meta: Object}} Slide objects and front
+ *   matter values
+ */
+function readMarkdownSyncSource(markdownText) {
+	const cleanedText = cleanMarkdownText(markdownText);
+	const slideStructure = parseMarkdownToStructure(cleanedText);
+	const { meta } = splitMarkdownFrontMatter(cleanedText);
+	addMarkdownTitleSlide(slideStructure, meta);
+	return { slideStructure, meta };
+}
+
+/**
+ * The source a markdown's slides are recorded under: its front matter's
+ * `id`, else its `title`, else ""
+ * @param {Object} meta - Front matter values
+ * @return {string} Source
+ */
+function markdownSyncSourceOf(meta) {
+	return String((meta && (meta.id || meta.title)) || "").trim();
+}
+
+/**
+ * Text as it reads on the slide once **bold**, _italic_ and ~strike~ are applied
+ * @param {string} text - Markdown text
+ * @return {string} Plain text
+ */
+function markdownSyncText(text) {
+	return processMarkdownText(text || "").cleanText;
+}
+
+/**
+ * A slide's sync key: `id:` and its id directive, else `title:` and its
+ * title (whitespace collapsed, lower case), else `untitled`
+ * @param {Object} slide - Slide object
+ * @return {string} Key
+ */
+function markdownSlideKey(slide) {
+	if (slide.id) return `id:${slide.id}`;
+	const title = markdownSyncText(slide.title)
+		.replace(/\s+/g, " ")
+		.trim()
+		.toLowerCase();
+	return title ? `title:${title}` : "untitled";
+}
+
+/**
+ * Keys made unique in order: a repeated key gets `#2`, `#3`, …
+ * @param {Array<string>} keys - Keys
+ * @return {Array<string>} Unique keys
+ */
+function uniqueMarkdownSlideKeys(keys) {
+	const used = {};
+	return keys.map((base) => {
+		let key = base;
+		for (let n = 2; used[key]; n++) key = `${base}#${n}`;
+		used[key] = true;
+		return key;
+	});
+}
+
+/**
+ * The `id:` key a slide is recorded with: its id directive, else a new id
+ * @param {Object} slide - Slide object
+ * @return {string} Key
+ */
+function newMarkdownSyncKey(slide) {
+	return `id:${slide.id || generateUniqueId()}`;
+}
+
+/**
+ * The id an `id:` key carries, for the export's `<!-- id: … -->` directive
+ * @param {string} key - Sync key
+ * @return {string} The id, or "" for other keys
+ */
+function markdownSyncIdOfKey(key) {
+	return /^id:/.test(key || "") ? key.slice(3) : "";
+}
+
+/**
+ * The keys of the slides md2slides made in this deck, with their sources
+ * @return {Object} {pageObjectId: {key, source}}
+ */
+function readMarkdownSyncKeys() {
+	try {
+		const saved = PropertiesService.getDocumentProperties().getProperty(
+			MARKDOWN_SYNC_KEYS.SLIDES,
+		);
+		const record = saved ? JSON.parse(saved) : {};
+		Object.keys(record).forEach((id) => {
+			if (typeof record[id] === "string") {
+				record[id] = { key: record[id], source: "" };
+			}
+		});
+		return record;
+	} catch (e) {
+		console.log(`Error reading markdown sync keys: ${e.message}`);
+		return {};
+	}
+}
+
+/**
+ * The saved record with this run's keys merged in: entries of slides no
+ * longer in the deck are dropped, the rest kept unless replaced
+ * @param {Object} saved - readMarkdownSyncKeys()
+ * @param {Array<string>} slideIds - Object ids of the deck's slides
+ * @param {Object} entries - {pageObjectId: {key, source}} of this run
+ * @return {Object} {pageObjectId: {key, source}}
+ */
+function mergeMarkdownSyncKeys(saved, slideIds, entries) {
+	const record = {};
+	slideIds.forEach((id) => {
+		if (entries[id] || saved[id]) record[id] = entries[id] || saved[id];
+	});
+	return record;
+}
+
+/**
+ * Save the keys of the slides md2slides made in this deck
+ * @param {Object} keys - {pageObjectId: {key, source}}
+ */
+function saveMarkdownSyncKeys(keys) {
+	PropertiesService.getDocumentProperties().setProperty(
+		MARKDOWN_SYNC_KEYS.SLIDES,
+		JSON.stringify(keys),
+	);
+}
+
+/**
+ * Remember the `id:` keys of newly imported slides under their source; keys
+ * of slides no longer in the deck are dropped
+ * @param {Array} createdSlides - Array of created slide objects
+ * @param {string} source - markdownSyncSourceOf() the markdown
+ */
+function recordMarkdownSyncKeys(createdSlides, source) {
+	try {
+		const keys = uniqueMarkdownSlideKeys(
+			createdSlides.map((obj) => newMarkdownSyncKey(obj.info)),
+		);
+		const entries = {};
+		createdSlides.forEach((obj, i) => {
+			entries[obj.slide.getObjectId()] = { key: keys[i], source: source || "" };
+		});
+		const slideIds = SlidesApp.getActivePresentation()
+			.getSlides()
+			.map((slide) => slide.getObjectId());
+		saveMarkdownSyncKeys(
+			mergeMarkdownSyncKeys(readMarkdownSyncKeys(), slideIds, entries),
+		);
+	} catch (e) {
+		console.log(`Error saving markdown sync keys: ${e.message}`);
+	}
+}
+
+/**
+ * What the sync compares on each deck slide. An imported slide keeps the key
+ * and source it was made with; another slide is keyed by its title, and an
+ * untitled one is never matched
+ * @param {Array} slides - The deck's slides
+ * @param {Object} savedKeys - readMarkdownSyncKeys()
+ * @return {Array<{id, key, source, title, body, notes, imported}>} Deck
+ *   slides with a key, in deck order; body as markdown lines
+ */
+function markdownSyncDeckSlides(slides, savedKeys) {
+	const deckSlides = [];
+	slides.forEach((slide) => {
+		const id = slide.getObjectId();
+		const content = extractSlideContent(slide);
+		const saved = savedKeys[id];
+		const key = saved ? saved.key : content.title ? markdownSlideKey(content) : "";
+		if (!key) return;
+		deckSlides.push({
+			id,
+			key,
+			source: saved ? saved.source : "",
+			title: content.title,
+			body: bodyItemsToMarkdown(content),
+			notes: content.speakerNotes,
+			imported: !!saved,
+		});
+	});
+	const keys = uniqueMarkdownSlideKeys(deckSlides.map((deck) => deck.key));
+	deckSlides.forEach((deck, i) => {
+		deck.key = keys[i];
+	});
+	return deckSlides;
+}
+
+/**
+ * The sync plan: one row per markdown slide, in order (`insert`, `update`
+ * with the fields that changed, or `unchanged`), then a `remove` row for
+ * each slide imported from this source that the markdown no longer has. A
+ * markdown slide is matched by its key, else — without an id — by the title
+ * of a deck slide no other markdown slide has; a match keeps the deck
+ * slide's `id:` key. A row matched to a slide made by hand is `handMade`.
+ * @param {Array} slideStructure - Slide objects from readMarkdownSyncSource
+ * @param {Array} deckSlides - markdownSyncDeckSlides()
+ * @param {string=} source - markdownSyncSourceOf() the markdown
+ * @return {Array<{action, key, title, changes, index, slideId, handMade}>}
+ *   Rows; index is the markdown slide's, slideId the matched deck slide's
+ */
+function planMarkdownSync(slideStructure, deckSlides, source) {
+	const keys = uniqueMarkdownSlideKeys(slideStructure.map(markdownSlideKey));
+	const titleKeys = uniqueMarkdownSlideKeys(
+		deckSlides.map((deck) => markdownSlideKey({ title: deck.title })),
+	);
+	const deckByKey = {};
+	const deckByTitle = {};
+	deckSlides.forEach((deck, i) => {
+		deckByKey[deck.key] = deck;
+		deckByTitle[titleKeys[i]] = deck;
+	});
+	const matched = {};
+	const matches = keys.map((key) => {
+		const deck = deckByKey[key];
+		if (deck) matched[deck.id] = true;
+		return deck;
+	});
+	slideStructure.forEach((slide, index) => {
+		const deck = deckByTitle[keys[index]];
+		if (matches[index] || slide.id || !deck || matched[deck.id]) return;
+		matches[index] = deck;
+		matched[deck.id] = true;
+	});
+	const rows = slideStructure.map((slide, index) => {
+		const title = markdownSyncText(slide.title);
+		const deck = matches[index];
+		if (!deck) {
+			return { action: "insert", key: keys[index], title, changes: [], index };
+		}
+		const key = markdownSyncIdOfKey(deck.key) ? deck.key : keys[index];
+		const body = bodyItemsToMarkdown(
+			Object.assign({}, slide, { bodyItems: slide.bodyItems.map(markdownSyncText) }),
+		);
+		const changes = [];
+		if (title !== deck.title) changes.push("title");
+		if (body.join("\n") !== deck.body.join("\n")) changes.push("body");
+		if (slide.speakerNotes.join("\n").trim() !== deck.notes.join("\n").trim()) {
+			changes.push("notes");
+		}
+		const row = {
+			action: changes.length > 0 ? "update" : "unchanged",
+			key,
+			title,
+			changes,
+			index,
+			slideId: deck.id,
+		};
+		if (!deck.imported) row.handMade = true;
+		return row;
+	});
+	deckSlides.forEach((deck) => {
+		if (deck.imported && deck.source === (source || "") && !matched[deck.id]) {
+			rows.push({
+				action: "remove",
+				key: deck.key,
+				title: deck.title,
+				changes: [],
+				slideId: deck.id,
+			});
+		}
+	});
+	return rows;
+}
+
+/**
+ * Number of rows of each action
+ * @param {Array} rows - planMarkdownSync() rows
+ * @return {{insert: number, update: number, unchanged: number, remove: number}}
+ */
+function countMarkdownSyncRows(rows) {
+	const counts = { insert: 0, update: 0, unchanged: 0, remove: 0 };
+	rows.forEach((row) => {
+		counts[row.action]++;
+	});
+	return counts;
+}
+
+/**
+ * Preview a sync of this deck with the markdown; nothing is changed
+ * @param {string} markdownText - The markdown text
+ * @return {{rows: Array, counts: Object}} planMarkdownSync() rows and
+ *   countMarkdownSyncRows() counts
+ */
+function previewMarkdownSync(markdownText) {
+	const { slideStructure, meta } = readMarkdownSyncSource(markdownText);
+	const rows = planMarkdownSync(
+		slideStructure,
+		markdownSyncDeckSlides(
+			SlidesApp.getActivePresentation().getSlides(),
+			readMarkdownSyncKeys(),
+		),
+		markdownSyncSourceOf(meta),
+	);
+	return { rows, counts: countMarkdownSyncRows(rows) };
+}
+
+/**
+ * Sync this deck with the markdown (see previewMarkdownSync). The plan is
+ * made again here, so it matches the deck as it is now
+ * @param {string} markdownText - The markdown text
+ * @param {{deleteRemoved: boolean}=} options - deleteRemoved: delete the
+ *   slides imported from this source that the markdown no longer has
+ * @return {{created: number, updated: number, deleted: number,
+ *   minterJobs: Array, warnings: Array<string>}|boolean} As
+ *   convertMarkdownToSlides returns, or false on failure
+ */
+function applyMarkdownSync(markdownText, options) {
+	try {
+		const { slideStructure, meta } = readMarkdownSyncSource(markdownText);
+		if (slideStructure.length === 0) {
+			debugLog("sync", "applyMarkdownSync", "No slides in the markdown");
+			return false;
+		}
+		const deleteRemoved = !!(options && options.deleteRemoved);
+
+		const warnings = applyMarkdownFrontMatter(meta);
+		warnings.push(...resolveMarkdownMinters(slideStructure));
+
+		const presentation = SlidesApp.getActivePresentation();
+		const deckSlides = presentation.getSlides();
+		const slideById = {};
+		deckSlides.forEach((slide) => {
+			slideById[slide.getObjectId()] = slide;
+		});
+		const source = markdownSyncSourceOf(meta);
+		const savedKeys = readMarkdownSyncKeys();
+		const rows = planMarkdownSync(
+			slideStructure,
+			markdownSyncDeckSlides(deckSlides, savedKeys),
+			source,
+		);
+
+		// New slides follow the slide of the markdown slide before them; those
+		// before any match go before the first matched slide
+		const firstMatch = rows.find((row) => row.slideId && row.action !== "remove");
+		const indexOfSlide = (slide) =>
+			presentation
+				.getSlides()
+				.findIndex((s) => s.getObjectId() === slide.getObjectId());
+		const keys = {};
+		const inserted = [];
+		let updated = 0;
+		let deleted = 0;
+		let previous = null;
+		rows.forEach((row) => {
+			if (row.action === "remove") {
+				if (deleteRemoved) {
+					slideById[row.slideId].remove();
+					deleted++;
+				}
+				return;
+			}
+			const info = slideStructure[row.index];
+			if (row.action === "insert") {
+				let insertIndex;
+				if (previous) {
+					insertIndex = indexOfSlide(previous) + 1;
+				} else if (firstMatch) {
+					insertIndex = indexOfSlide(slideById[firstMatch.slideId]);
+				} else {
+					insertIndex = getInsertIndex(presentation);
+				}
+				const created = createSlidesFromStructure([info], presentation, insertIndex);
+				addContentToSlides(created);
+				applyListFormattingToSlides(created);
+				applyMarkdownFormattingToSlides([created[0].slide]);
+				inserted.push(created[0]);
+				previous = created[0].slide;
+			} else {
+				previous = slideById[row.slideId];
+				if (row.action === "update") {
+					updateMarkdownSyncedSlide(previous, info, row.changes, warnings);
+					updated++;
+				}
+			}
+			// Synced slides keep or get an id, so a retitle still matches; a
+			// slide made by hand is not adopted, so no sync ever removes it
+			if (row.handMade) return;
+			keys[previous.getObjectId()] = {
+				key: markdownSyncIdOfKey(row.key) ? row.key : newMarkdownSyncKey(info),
+				source,
+			};
+		});
+		saveMarkdownSyncKeys(
+			mergeMarkdownSyncKeys(
+				savedKeys,
+				presentation.getSlides().map((slide) => slide.getObjectId()),
+				keys,
+			),
+		);
+
+		// Tables and minter blocks of the new slides, at their final positions
+		const order = presentation.getSlides().map((slide) => slide.getObjectId());
+		inserted.forEach((obj) => {
+			obj.slideIndex = order.indexOf(obj.slide.getObjectId());
+		});
+		const minterJobs = collectMinterJobs(inserted);
+
+		debugLog(
+			"sync",
+			"applyMarkdownSync",
+			`Inserted ${inserted.length}, updated ${updated}, deleted ${deleted} slides, ${minterJobs.length} minter jobs deferred`,
+		);
+		return {
+			created: inserted.length,
+			updated,
+			deleted,
+			minterJobs,
+			warnings,
+		};
+	} catch (error) {
+		const errorObj = createMd2SlidesError(
+			"sync",
+			"applyMarkdownSync",
+			"Failed to sync markdown to slides",
+			error,
+		);
+		console.error(`Error syncing markdown to slides: ${JSON.stringify(errorObj)}`);
+		return false;
+	}
+}
+
+/**
+ * Rewrite the changed title, body and speaker notes of a matched slide.
+ * Only its title and body placeholders are written: a slide whose body is in
+ * other shapes keeps it, with a warning
+ * @param {Slide} slide - The deck slide
+ * @param {Object} info - Its markdown slide object
+ * @param {Array<string>} changes - "title", "body" and / or "notes"
+ * @param {Array<string>} warnings - Warnings (appended to)
+ */
+function updateMarkdownSyncedSlide(slide, info, changes, warnings) {
+	const label = `"${markdownSyncText(info.title) || "untitled"}"`;
+	if (changes.includes("title")) {
+		const shape = findMarkdownSyncPlaceholder(slide, [
+			SlidesApp.PlaceholderType.TITLE,
+			SlidesApp.PlaceholderType.CENTERED_TITLE,
+		]);
+		if (shape) {
+			shape.getText().setText(info.title);
+			applyMarkdownFormattingToTextRange(shape.getText());
+		} else {
+			warnings.push(`${label}: no title placeholder; title not synced`);
+		}
+	}
+	if (changes.includes("body")) {
+		const shape = findMarkdownSyncPlaceholder(slide, [
+			SlidesApp.PlaceholderType.BODY,
+			SlidesApp.PlaceholderType.SUBTITLE,
+		]);
+		if (!shape) {
+			warnings.push(`${label}: no body placeholder; body not synced`);
+		} else if (info.bodyItems.length === 0) {
+			shape.getText().clear();
+		} else {
+			const textRange = shape.getText();
+			addTextWithFontSizing(textRange, indentBodyItems(info));
+			textRange.getListStyle().removeFromList();
+			if (getListRuns(info).length > 0) applyListRunsToText(textRange, info);
+			applyMarkdownFormattingToTextRange(textRange);
+		}
+	}
+	if (changes.includes("notes")) {
+		addSpeakerNotesToSlide(slide, info.speakerNotes);
+	}
+}
+
+/**
+ * The slide's first placeholder of one of the given types
+ * @param {Slide} slide - The slide
+ * @param {Array<SlidesApp.PlaceholderType>} types - Placeholder types
+ * @return {Shape|null} The placeholder, or null
+ */
+function findMarkdownSyncPlaceholder(slide, types) {
+	const shapes = slide.getShapes();
+	for (let j = 0; j < shapes.length; j++) {
+		try {
+			if (types.includes(shapes[j].getPlaceholderType())) return shapes[j];
+		} catch (e) {
+			Logger.log(`Error checking placeholder type: ${e.message}`);
+		}
+	}
+	return null;
+}
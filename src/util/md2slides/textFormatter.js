@@ -38,6 +38,9 @@ function applyMarkdownFormattingToSlide(slide) {
 			const shape = shapes[j];
 
 			try {
+				// Code blocks keep their text as written
+				if (lzRoleOf(shape) === LZ_ROLES.CODE) continue;
+
 				// Only process text boxes and placeholders
 				if (
 					shape.getShapeType() === SlidesApp.ShapeType.TEXT_BOX ||
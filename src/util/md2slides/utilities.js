@@ -113,14 +113,13 @@ function validateSlideStructure(slideInfo) {
 		return false;
 	}
 
-	// Check required properties
-	if (!slideInfo.layout || !slideInfo.title) {
+	// Check required properties (untitled slides are allowed)
+	if (!slideInfo.layout) {
 		return false;
 	}
 
 	// Check valid layout
-	const validLayouts = ["SECTION_HEADER", "TITLE_AND_BODY"];
-	if (!validLayouts.includes(slideInfo.layout)) {
+	if (!LZ_LAYOUT_ALIASES.hasOwnProperty(slideInfo.layout)) {
 		return false;
 	}
 
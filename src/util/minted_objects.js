@@ -0,0 +1,227 @@
+/**
+ * Minted objects — makes minter output re-editable.
+ *
+ * Every insert<X>IntoSlide groups what it draws and stamps the group with the
+ * LZ-Protocol role MINTED; the description carries `{minter, payload}` — the
+ * registry key plus the exact payload the group was built from. The
+ * "✏ 編輯選取的鑄造物件" command reads that stamp back, reopens the minter's own
+ * dialog pre-filled (descriptor `dialog` + `toText`, see auto_minter.js), and
+ * the dialog re-inserts with `replaceObjectId` so the new group takes the old
+ * one's position and size.
+ */
+
+/** Payload keys describing WHERE to insert rather than WHAT — never stamped. */
+const MINTED_TRANSIENT_KEYS_ = ["pageObjectId", "replaceObjectId"];
+
+/**
+ * Copy of an insert payload without the placement-only keys.
+ * @param {Object} payload
+ * @return {Object}
+ */
+function mintedStampPayload_(payload) {
+	const out = {};
+	const p = payload || {};
+	for (const k in p) {
+		if (!p.hasOwnProperty(k)) continue;
+		if (MINTED_TRANSIENT_KEYS_.indexOf(k) >= 0) continue;
+		out[k] = p[k];
+	}
+	return out;
+}
+
+/**
+ * Finishes a SlidesApp-built minter: groups the pieces (when more than one),
+ * stamps the group as MINTED, and swaps it in for payload.replaceObjectId.
+ *
+ * @param {Slide} slide
+ * @param {Array<PageElement>} elements - everything the minter inserted
+ * @param {string} key - registry key, e.g. "kpi"
+ * @param {Object} payload - the insert payload
+ * @return {PageElement|null} the stamped group (or lone element)
+ */
+function stampMintedElements_(slide, elements, key, payload) {
+	if (!elements || !elements.length) return null;
+	const el = elements.length > 1 ? slide.group(elements) : elements[0];
+	lzTag(el, LZ_ROLES.MINTED, {
+		minter: key,
+		payload: mintedStampPayload_(payload),
+	});
+	swapMintedObject_(slide, el, payload && payload.replaceObjectId);
+	return el;
+}
+
+/**
+ * REST counterpart of stampMintedElements_: appends a groupObjects request over
+ * every element the batch creates, plus the MINTED alt-text stamp. Call after
+ * all create requests are pushed and before the batchUpdate.
+ *
+ * @param {Array<Object>} requests - shared batch request array
+ * @param {string} key - registry key
+ * @param {Object} payload - the insert payload
+ * @return {string} objectId of the stamped group (or lone element), or ""
+ */
+function stampMintedRequests_(requests, key, payload) {
+	const ids = [];
+	for (let i = 0; i < requests.length; i++) {
+		const r = requests[i];
+		const c = r.createShape || r.createLine || r.createTable || r.createImage;
+		if (c && c.objectId) ids.push(c.objectId);
+	}
+	if (!ids.length) return "";
+
+	let targetId = ids[0];
+	if (ids.length > 1) {
+		targetId = "minted" + Utilities.getUuid().replace(/-/g, "");
+		requests.push({
+			groupObjects: { groupObjectId: targetId, childrenObjectIds: ids },
+		});
+	}
+	requests.push(
+		lzTagRequest(targetId, LZ_ROLES.MINTED, {
+			minter: key,
+			payload: mintedStampPayload_(payload),
+		}),
+	);
+	return targetId;
+}
+
+/**
+ * After a REST minter's batchUpdate: swaps the new group in for
+ * payload.replaceObjectId. Uses a freshly opened handle — the active one does
+ * not see elements created through the Advanced Slides service.
+ *
+ * @param {Presentation} presentation
+ * @param {string} pageId
+ * @param {string} objectId - the id stampMintedRequests_ returned
+ * @param {Object} payload
+ */
+function finishMintedBatch_(presentation, pageId, objectId, payload) {
+	const oldId = payload && payload.replaceObjectId;
+	if (!oldId || !objectId) return;
+	const fresh = SlidesApp.openById(presentation.getId());
+	const slide = fresh.getSlideById(pageId);
+	if (!slide) return;
+	swapMintedObject_(slide, slide.getPageElementById(objectId), oldId);
+}
+
+/**
+ * Moves/resizes `el` onto the old object's box, then removes the old object.
+ * No-op when there is nothing to replace (a plain insert).
+ *
+ * @param {Slide} slide
+ * @param {PageElement} el - the new minted group
+ * @param {string=} oldId - objectId of the group being replaced
+ */
+function swapMintedObject_(slide, el, oldId) {
+	if (!oldId || !el) return;
+	const old = slide.getPageElementById(oldId);
+	if (!old) return;
+	el.setLeft(old.getLeft())
+		.setTop(old.getTop())
+		.setWidth(old.getWidth())
+		.setHeight(old.getHeight());
+	old.remove();
+}
+
+/**
+ * Reads the MINTED stamp off an element or the nearest group above it (the
+ * user may have clicked into the group and selected one piece).
+ *
+ * @param {PageElement} el
+ * @return {{minter: string, payload: Object, objectId: string,
+ *   pageObjectId: string}|null}
+ */
+function readMintedStamp_(el) {
+	let cur = el;
+	while (cur) {
+		if (lzRoleOf(cur) === LZ_ROLES.MINTED) {
+			const data = lzTagData(cur);
+			if (data && data.minter) {
+				return {
+					minter: String(data.minter),
+					payload: data.payload || {},
+					objectId: cur.getObjectId(),
+					pageObjectId: cur.getParentPage().getObjectId(),
+				};
+			}
+		}
+		let parent = null;
+		try {
+			parent = cur.getParentGroup();
+		} catch (e) {
+			parent = null;
+		}
+		cur = parent;
+	}
+	return null;
+}
+
+/**
+ * Finds the first minted object in the user's current selection.
+ * @return {Object|null} see readMintedStamp_
+ */
+function findSelectedMintedObject_() {
+	let elements = [];
+	try {
+		const range = SlidesApp.getActivePresentation()
+			.getSelection()
+			.getPageElementRange();
+		elements = range ? range.getPageElements() : [];
+	} catch (e) {
+		elements = [];
+	}
+	for (let i = 0; i < elements.length; i++) {
+		const stamp = readMintedStamp_(elements[i]);
+		if (stamp) return stamp;
+	}
+	return null;
+}
+
+/**
+ * Builds the `edit` preload a minter dialog reads to pre-fill itself: the
+ * payload, its textarea syntax (via the descriptor's `toText`), and the ids
+ * the dialog passes back to insert<X>IntoSlide to replace in place.
+ *
+ * @param {Object} stamp - from readMintedStamp_
+ * @param {Object} descriptor - registry entry for stamp.minter
+ * @return {{payload: Object, text: string, pageObjectId: string,
+ *   replaceObjectId: string}}
+ */
+function buildMintedEdit_(stamp, descriptor) {
+	const toText = descriptor.toText ? resolveAutoFn_(descriptor.toText) : null;
+	return {
+		payload: stamp.payload,
+		text: toText ? toText(stamp.payload) : "",
+		pageObjectId: stamp.pageObjectId,
+		replaceObjectId: stamp.objectId,
+	};
+}
+
+/**
+ * Menu handler: reopens the selected minted object's minter dialog pre-filled
+ * with the payload it was built from. Inserting from that dialog replaces the
+ * object at the same position and size.
+ */
+function editSelectedMintedObject() {
+	const ui = SlidesApp.getUi();
+	const stamp = findSelectedMintedObject_();
+	if (!stamp) {
+		ui.alert("請先選取一個由鑄造器產生的物件（或其中任一部分）。");
+		return;
+	}
+	const d = findAutoMinter_(stamp.minter);
+	const factory = d && d.dialog ? resolveAutoFn_(d.dialog) : null;
+	if (!factory) {
+		ui.alert("這個物件的鑄造器（" + stamp.minter + "）不支援重新編輯。");
+		return;
+	}
+	try {
+		ui.showModalDialog(
+			factory(buildMintedEdit_(stamp, d)),
+			"✏ " + d.emoji + " 編輯" + d.label,
+		);
+	} catch (e) {
+		console.error("Error editing minted object: " + e.message);
+		ui.alert("Error: Could not open the minter dialog: " + e.message);
+	}
+}
@@ -1,6 +1,5 @@
-// TODO(shared-migration): replace the typeof *_color fallback block with
-//   getThemeColors() (shared/theme_colors.js); see kpi_minter.js for the pattern.
-//   If/when this minter moves to batch requests, use shared/shape_requests.js builders.
+// TODO(shared-migration): if/when this minter moves to batch requests, use
+//   shared/shape_requests.js builders.
 /**
  * Server-side core for the Steps Minter (步驟鑄造器) dialog.
  *
@@ -19,16 +18,16 @@
  */
 
 /**
- * Single source of truth for steps templates. Colors resolve from the global
- * palette (main_color / accent_color) so they track the configured theme.
+ * Single source of truth for steps templates. Colors resolve through
+ * getThemeColors() (main / accent / text) so they track the deck's saved theme.
  *
  * @return {Array<{id,name,fill,numberText,titleColor,descColor,connector}>}
  */
 function buildStepsTemplates_() {
-	const main = (typeof main_color !== "undefined" && main_color) || "#3D6869";
-	const accent =
-		(typeof accent_color !== "undefined" && accent_color) || "#f29424";
-	const text = (typeof text_color !== "undefined" && text_color) || "#000000";
+	const theme = getThemeColors();
+	const main = theme.main;
+	const accent = theme.accent;
+	const text = theme.text;
 	// Description text must be a readable mid-gray (matches the dialog preview's
 	// #666). Do NOT use sub1_color — that's a near-white background tint
 	// (#E7EAE7) and renders almost invisible on a white slide.
@@ -103,17 +102,18 @@ function generateStepsFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(STEPS_AI_SYSTEM_PROMPT, text, {
+		feature: "steps",
 		maxTokens: 1200,
 		temperature: 0.3,
 	});
@@ -288,7 +288,7 @@ function insertStepsIntoSlide(payload) {
 			}
 		}
 
-		if (group.length > 1) slide.group(group);
+		stampMintedElements_(slide, group, "steps", p);
 
 		return { success: true };
 	} catch (e) {
@@ -317,7 +317,7 @@ function _buildStepNumberCircle_(slide, group, tpl, font, index, x, y, size) {
 		.getParagraphStyle()
 		.setParagraphAlignment(SlidesApp.ParagraphAlignment.CENTER);
 	c.setContentAlignment(SlidesApp.ContentAlignment.MIDDLE);
-	group.push(c);
+	group.push(lzTag(c, LZ_ROLES.STEP_NUM));
 }
 
 /**
@@ -356,7 +356,7 @@ function _buildStepTextBox_(slide, group, tpl, font, step, x, y, w, h, align) {
 	}
 	t.getParagraphStyle().setParagraphAlignment(align);
 	box.setContentAlignment(SlidesApp.ContentAlignment.TOP);
-	group.push(box);
+	group.push(lzTag(box, LZ_ROLES.STEP_TEXT));
 }
 
 /**
@@ -371,7 +371,7 @@ function _buildStepConnector_(slide, group, tpl, x, y, w, h, down) {
 	const arrow = slide.insertShape(type, x, y, w, h);
 	arrow.getFill().setSolidFill(tpl.connector);
 	arrow.getBorder().getLineFill().setSolidFill(tpl.connector);
-	group.push(arrow);
+	group.push(lzTag(arrow, LZ_ROLES.STEP_ARROW));
 }
 
 /**
@@ -402,6 +402,46 @@ function autoBuildStepsPayload_(generatedText, hints) {
 	};
 }
 
+/**
+ * Minted-object edit adapter: renders a stamped payload back into the dialog's
+ * `title | desc` lines (inverse of parseStepsInput_).
+ *
+ * @param {{steps: Array<{title:string,desc:string}>}} payload
+ * @return {string}
+ */
+function stepsPayloadToText_(payload) {
+	const steps = (payload && payload.steps) || [];
+	return steps
+		.map(function (s) {
+			return s.desc ? (s.title || "") + " | " + s.desc : s.title || "";
+		})
+		.join("\n");
+}
+
+/**
+ * 3-8 numbered lines ("1. …") become `title | desc` steps.
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string}|null}
+ */
+function autoRulesSteps_(a) {
+	const steps = a.lines.filter(function (l) {
+		return l.numbered;
+	});
+	const n = steps.length;
+	if (n < 3 || n > 8 || n / a.count < 0.6) return null;
+	return {
+		score: 0.8,
+		reason: "偵測到 " + n + " 個編號步驟",
+		text: steps
+			.map(function (l) {
+				const p = splitAutoRulesPair_(l.plain);
+				return p[1] ? p[0] + " | " + p[1] : p[0];
+			})
+			.join("\n"),
+	};
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -439,4 +479,7 @@ AUTO_MINTERS.push({
 			],
 		},
 	],
+	dialog: "createStepsMinterDialog",
+	toText: "stepsPayloadToText_",
+	rules: "autoRulesSteps_",
 });
@@ -38,17 +38,18 @@ function generateTableMarkdownFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(TABLE_MINTER_SYSTEM_PROMPT, text, {
+		feature: "table",
 		maxTokens: 2000,
 		temperature: 0.2,
 	});
@@ -141,6 +142,7 @@ function insertTableIntoSlide(payload) {
 				widthPt,
 				titleHeight,
 			);
+			lzTag(box, LZ_ROLES.TABLE_TITLE);
 			try {
 				box.setContentAlignment(SlidesApp.ContentAlignment.MIDDLE);
 				const tt = box.getText();
@@ -206,6 +208,7 @@ function insertTableIntoSlide(payload) {
 					fields: "contentAlignment",
 				},
 			},
+			lzTagRequest(tableId, LZ_ROLES.TABLE),
 		];
 
 		// Cell text + per-cell styling.
@@ -425,6 +428,21 @@ function autoBuildTablePayload_(generatedText, hints) {
 	};
 }
 
+/**
+ * Two or more markdown pipe rows — the adapter already extracts the table from
+ * surrounding prose.
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string}|null}
+ */
+function autoRulesTable_(a) {
+	const rows = a.lines.filter(function (l) {
+		return l.pipe;
+	}).length;
+	if (rows < 2) return null;
+	return { score: 0.95, reason: "偵測到 Markdown 表格", text: a.text };
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -461,4 +479,5 @@ AUTO_MINTERS.push({
 			default: 14,
 		},
 	],
+	rules: "autoRulesTable_",
 });
@@ -1,5 +1,4 @@
 // TODO(shared-migration): adopt the shared core like grid_minter.js/kpi_minter.js —
-//   • replace the typeof *_color fallback block with getThemeColors() (shared/theme_colors.js)
 //   • replace inline createShape/updateShapeProperties/updateTextStyle literals with
 //     shared/shape_requests.js builders + rgbColor_ (hexToRgbColor_ is now a shared alias)
 /**
@@ -14,8 +13,8 @@
  * Mirrors the Grid Minter pattern (src/util/grid_minter.js):
  *  - Card layout reuses grid-style positioning (computeGridPositions_-style math).
  *  - Insertion batches every request into a single Slides.Presentations.batchUpdate.
- *  - Colors resolve from the global palette (main_color / accent_color) so they
- *    track the configured theme.
+ *  - Colors resolve through getThemeColors() so they track the deck's saved
+ *    theme.
  *
  * The point line format (also documented in the dialog):
  *   First takeaway | a short supporting description
@@ -28,7 +27,7 @@
  * Single source of truth for takeaways templates. Each template chooses a render
  * style (numbered cards vs. checkmark list) and a color theme (main / accent /
  * green) that drives the accent color, card fill/border, and the number/check
- * badge styling. Colors resolve from the global palette so they track the theme.
+ * badge styling. Colors resolve through getThemeColors().
  *
  * style: 'numbered' = grid of cards with a number badge; 'checklist' = vertical
  * list with a ✓ marker per row.
@@ -36,9 +35,9 @@
  * @return {Array<{id,name,style,accent,cardFill,cardBorder,badgeFill,badgeText,titleText,descText}>}
  */
 function buildTakeawaysTemplates_() {
-	const main = (typeof main_color !== "undefined" && main_color) || "#3D6869";
-	const accent =
-		(typeof accent_color !== "undefined" && accent_color) || "#f29424";
+	const palette = getThemeColors();
+	const main = palette.main;
+	const accent = palette.accent;
 	const green = "#2E7D32";
 
 	function theme(idBase, nameBase, style, color, cardFill, cardBorder) {
@@ -185,17 +184,18 @@ function generateTakeawaysFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(TAKEAWAYS_AI_SYSTEM_PROMPT, text, {
+		feature: "takeaways",
 		maxTokens: 1500,
 		temperature: 0.3,
 	});
@@ -284,6 +284,7 @@ function buildHeadingRequests_(requests, pageId, heading, tpl, box) {
 			},
 		},
 	});
+	requests.push(lzTagRequest(shapeId, LZ_ROLES.TAKEAWAY_HEAD));
 	requests.push({
 		insertText: { objectId: shapeId, insertionIndex: 0, text: heading },
 	});
@@ -354,6 +355,7 @@ function buildNumberedCardRequests_(requests, pageId, pos, number, point, tpl) {
 			},
 		},
 	});
+	requests.push(lzTagRequest(cardId, LZ_ROLES.TAKEAWAY_CARD));
 	requests.push({
 		updateShapeProperties: {
 			objectId: cardId,
@@ -457,6 +459,7 @@ function buildNumberedCardRequests_(requests, pageId, pos, number, point, tpl) {
 			},
 		},
 	});
+	requests.push(lzTagRequest(badgeId, LZ_ROLES.TAKEAWAY_NUM));
 	requests.push({
 		updateShapeProperties: {
 			objectId: badgeId,
@@ -548,6 +551,7 @@ function buildChecklistRowRequests_(requests, pageId, pos, point, tpl) {
 			},
 		},
 	});
+	requests.push(lzTagRequest(checkId, LZ_ROLES.TAKEAWAY_CHECK));
 	requests.push({
 		insertText: { objectId: checkId, insertionIndex: 0, text: "✓" },
 	});
@@ -598,6 +602,7 @@ function buildChecklistRowRequests_(requests, pageId, pos, point, tpl) {
 			},
 		},
 	});
+	requests.push(lzTagRequest(textId, LZ_ROLES.TAKEAWAY_ROW));
 
 	const title = point.title || "";
 	const desc = point.desc || "";
@@ -662,8 +667,8 @@ function buildChecklistRowRequests_(requests, pageId, pos, point, tpl) {
 
 /**
  * Inserts a "key takeaways" block (heading + points) onto the current slide.
- * Everything is sent in a single batchUpdate. The pieces are grouped per row /
- * card and the whole block (heading + points) is grouped together at the end.
+ * Everything is sent in a single batchUpdate; the whole block (heading +
+ * points) is grouped and stamped as a minted object (minted_objects.js).
  *
  * @param {{heading: string, points: Array<{title:string,desc:string}>,
  *   templateId: string}} payload
@@ -762,12 +767,15 @@ function insertTakeawaysIntoSlide(payload) {
 			});
 		}
 
+		const mintedId = stampMintedRequests_(requests, "takeaways", p);
+
 		if (requests.length) {
 			try {
 				Slides.Presentations.batchUpdate({ requests }, presentation.getId());
 			} catch (batchErr) {
 				return { success: false, error: batchErr.message };
 			}
+			finishMintedBatch_(presentation, pageId, mintedId, p);
 		}
 
 		return { success: true };
@@ -804,6 +812,63 @@ function autoBuildTakeawaysPayload_(generatedText, hints) {
 	return { heading: heading, points: points, templateId: templateId };
 }
 
+/**
+ * Minted-object edit adapter: renders a stamped payload's points back into the
+ * dialog's `title | desc` lines (inverse of parseTakeawayPoints_). The heading
+ * has its own input and is restored from the payload directly.
+ *
+ * @param {{points: Array<{title:string,desc:string}>}} payload
+ * @return {string}
+ */
+function takeawaysPayloadToText_(payload) {
+	const points = (payload && payload.points) || [];
+	return points
+		.map(function (pt) {
+			return pt.desc ? (pt.title || "") + " | " + pt.desc : pt.title || "";
+		})
+		.join("\n");
+}
+
+/**
+ * 2-6 points under a "takeaways/結論/重點" keyword, or a plain 3-5 item bullet
+ * list.
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string, hints: Object}|null}
+ */
+function autoRulesTakeaways_(a) {
+	const kw = /takeaways?|conclusions?|summary|key points?|結論|重點|總結|摘要/i;
+	let heading = "";
+	const items = [];
+	for (let i = 0; i < a.lines.length; i++) {
+		const l = a.lines[i];
+		const isTitle = l.heading || /[:：]$/.test(l.plain);
+		if (isTitle && !heading && kw.test(l.plain)) {
+			heading = l.plain.replace(/[:：]$/, "").trim();
+			continue;
+		}
+		if (!l.heading) items.push(l);
+	}
+	const n = items.length;
+	if (n < 2 || n > 6) return null;
+	const listed = items.every(function (l) {
+		return l.bullet || l.numbered;
+	});
+	const keyword = !!heading || kw.test(a.text);
+	if (!keyword && !(listed && n >= 3 && n <= 5)) return null;
+	return {
+		score: keyword ? 0.75 : 0.45,
+		reason: keyword ? "偵測到結論/重點關鍵字" : "條列重點",
+		text: items
+			.map(function (l) {
+				const p = splitAutoRulesPair_(l.plain);
+				return p[1] ? p[0] + " | " + p[1] : p[0];
+			})
+			.join("\n"),
+		hints: heading ? { heading: heading } : {},
+	};
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -838,4 +903,7 @@ AUTO_MINTERS.push({
 			placeholder: "Key Takeaways",
 		},
 	],
+	dialog: "createTakeawaysMinterDialog",
+	toText: "takeawaysPayloadToText_",
+	rules: "autoRulesTakeaways_",
 });
@@ -126,7 +126,7 @@ mean(x)
 
 	try {
 		const result = convertMarkdownToSlides(testMarkdown);
-		console.log(`Conversion result: ${result}`);
+		console.log(`Conversion result: ${JSON.stringify(result)}`);
 		return result;
 	} catch (error) {
 		console.error(`Error in full conversion: ${error.message}`);
@@ -1,6 +1,5 @@
-// TODO(shared-migration): replace the typeof *_color fallback block with
-//   getThemeColors() (shared/theme_colors.js); see kpi_minter.js for the pattern.
-//   If/when this minter moves to batch requests, use shared/shape_requests.js builders.
+// TODO(shared-migration): if/when this minter moves to batch requests, use
+//   shared/shape_requests.js builders.
 /**
  * Server-side core for the Timeline / Roadmap Minter dialog (時間軸鑄造器).
  *
@@ -17,21 +16,21 @@
  * Mirrors the Callout Minter pattern (src/util/callout_minter.js):
  *  - getTimelineTemplates() feeds the dialog's client-side preview.
  *  - insertTimelineIntoSlide(payload) does the actual drawing.
- *  - Colors resolve from the global palette (main_color / accent_color / …).
+ *  - Colors resolve through getThemeColors() (the deck's saved theme).
  */
 
 /**
- * Single source of truth for timeline templates. Colors resolve from the global
- * palette so they track the configured theme. `node` is the node-circle style:
+ * Single source of truth for timeline templates. Colors resolve through
+ * getThemeColors() so they track the deck's saved theme. `node` is the node-circle style:
  * 'filled' = solid theme fill; 'outlined' = white fill with a theme border.
  *
  * @return {Array<{id,name,lineColor,nodeFill,nodeBorder,nodeStyle,dateColor,labelColor}>}
  */
 function buildTimelineTemplates_() {
-	const main = (typeof main_color !== "undefined" && main_color) || "#3D6869";
-	const accent =
-		(typeof accent_color !== "undefined" && accent_color) || "#f29424";
-	const text = (typeof text_color !== "undefined" && text_color) || "#333333";
+	const theme = getThemeColors();
+	const main = theme.main;
+	const accent = theme.accent;
+	const text = theme.text;
 	return [
 		{
 			id: "main-filled",
@@ -120,17 +119,18 @@ function generateTimelineFromContext(context) {
 	}
 
 	// Don't throw on a missing key — let the dialog show a friendly prompt to
-	// run the explicit "🔑 設定 AI 金鑰 (Groq)" menu item.
+	// run the explicit "🔑 設定 AI 金鑰與模型" menu item.
 	if (!hasUserApiKey()) {
 		return {
 			success: false,
 			needKey: true,
 			error:
-				"No AI key set. Run 🖖 跨頁功能 → 🔑 設定 AI 金鑰 (Groq) first, then try again.",
+				"No AI key set. Run ⚙ 設定與批次 → 🔑 設定 AI 金鑰與模型 first, then try again.",
 		};
 	}
 
 	return callGroq_(TIMELINE_AI_SYSTEM_PROMPT, text, {
+		feature: "timeline",
 		maxTokens: 1200,
 		temperature: 0.3,
 	});
@@ -220,7 +220,7 @@ function insertTimelineIntoSlide(payload) {
 			);
 			line.getLineFill().setSolidFill(tpl.lineColor);
 			line.setWeight(lineWeight);
-			group.push(line);
+			group.push(lzTag(line, LZ_ROLES.TIMELINE_LINE));
 
 			// Node X positions: single node centered, otherwise evenly spaced.
 			for (let i = 0; i < n; i++) {
@@ -238,7 +238,7 @@ function insertTimelineIntoSlide(payload) {
 				node.getFill().setSolidFill(tpl.nodeFill);
 				node.getBorder().getLineFill().setSolidFill(tpl.nodeBorder);
 				node.getBorder().setWeight(2);
-				group.push(node);
+				group.push(lzTag(node, LZ_ROLES.TIMELINE_DOT));
 
 				// Alternate the stack above / below the line to reduce overlap.
 				// In both cases the date sits outermost (matching the dialog
@@ -269,6 +269,7 @@ function insertTimelineIntoSlide(payload) {
 							12,
 							font,
 							SlidesApp.ParagraphAlignment.CENTER,
+							LZ_ROLES.TIMELINE_DATE,
 						),
 					);
 				}
@@ -286,6 +287,7 @@ function insertTimelineIntoSlide(payload) {
 							10,
 							font,
 							SlidesApp.ParagraphAlignment.CENTER,
+							LZ_ROLES.TIMELINE_LABEL,
 						),
 					);
 				}
@@ -307,7 +309,7 @@ function insertTimelineIntoSlide(payload) {
 			);
 			line.getLineFill().setSolidFill(tpl.lineColor);
 			line.setWeight(lineWeight);
-			group.push(line);
+			group.push(lzTag(line, LZ_ROLES.TIMELINE_LINE));
 
 			for (let i = 0; i < n; i++) {
 				const cy = n === 1 ? (y0 + y1) / 2 : y0 + (usableH * i) / (n - 1);
@@ -323,7 +325,7 @@ function insertTimelineIntoSlide(payload) {
 				node.getFill().setSolidFill(tpl.nodeFill);
 				node.getBorder().getLineFill().setSolidFill(tpl.nodeBorder);
 				node.getBorder().setWeight(2);
-				group.push(node);
+				group.push(lzTag(node, LZ_ROLES.TIMELINE_DOT));
 
 				// Date to the left of the line, label to the right.
 				const dateW = lineX - 16;
@@ -342,6 +344,7 @@ function insertTimelineIntoSlide(payload) {
 							12,
 							font,
 							SlidesApp.ParagraphAlignment.END,
+							LZ_ROLES.TIMELINE_DATE,
 						),
 					);
 				}
@@ -360,13 +363,14 @@ function insertTimelineIntoSlide(payload) {
 							12,
 							font,
 							SlidesApp.ParagraphAlignment.START,
+							LZ_ROLES.TIMELINE_LABEL,
 						),
 					);
 				}
 			}
 		}
 
-		if (group.length > 1) slide.group(group);
+		stampMintedElements_(slide, group, "timeline", p);
 
 		return { success: true, count: n };
 	} catch (e) {
@@ -390,6 +394,7 @@ function insertTimelineIntoSlide(payload) {
  * @param {number} fontSize
  * @param {string} font
  * @param {ParagraphAlignment} alignment
+ * @param {string} role - LZ_ROLES.TIMELINE_DATE or TIMELINE_LABEL
  * @return {Shape}
  */
 function addTimelineText_(
@@ -404,6 +409,7 @@ function addTimelineText_(
 	fontSize,
 	font,
 	alignment,
+	role,
 ) {
 	const box = slide.insertShape(
 		SlidesApp.ShapeType.TEXT_BOX,
@@ -422,7 +428,7 @@ function addTimelineText_(
 		.setFontFamily(font);
 	box.getText().getParagraphStyle().setParagraphAlignment(alignment);
 	box.setContentAlignment(SlidesApp.ContentAlignment.MIDDLE);
-	return box;
+	return lzTag(box, role);
 }
 
 /**
@@ -484,6 +490,47 @@ function autoBuildTimelinePayload_(generatedText, hints) {
 	return { items: items, templateId: templateId, orientation: orientation };
 }
 
+/**
+ * Minted-object edit adapter: renders a stamped payload back into the dialog's
+ * `date | label` lines (inverse of parseTimelineLines_).
+ *
+ * @param {{items: Array<{date:string,label:string}>}} payload
+ * @return {string}
+ */
+function timelinePayloadToText_(payload) {
+	return normalizeTimelineItems_(payload && payload.items)
+		.map(function (it) {
+			return it.date ? it.date + " | " + it.label : it.label;
+		})
+		.join("\n");
+}
+
+/**
+ * Mostly dated lines become "date | label" milestones; long runs go vertical.
+ *
+ * @param {Object} a - analyzeAutoRulesText_() result
+ * @return {{score: number, reason: string, text: string, hints: Object}|null}
+ */
+function autoRulesTimeline_(a) {
+	const dated = a.lines.filter(function (l) {
+		return l.date && !l.heading;
+	});
+	if (dated.length < 2 || dated.length / a.count < 0.6) return null;
+	return {
+		score: 0.6 + (0.3 * dated.length) / a.count,
+		reason: "偵測到 " + dated.length + " 個日期",
+		text: dated
+			.map(function (l) {
+				const label = l.plain
+					.replace(l.date, "")
+					.replace(/^[\s:：|｜,，.\-–—]+|[\s:：|｜,，\-–—]+$/g, "");
+				return l.date + " | " + label;
+			})
+			.join("\n"),
+		hints: { orientation: dated.length > 5 ? "vertical" : "horizontal" },
+	};
+}
+
 // ── Auto Minter registration ─────────────────────────────────────────────
 // Self-contained guarded push: GAS file load order is unspecified, so this
 // block must not call functions defined in other files at the top level.
@@ -522,4 +569,7 @@ AUTO_MINTERS.push({
 			],
 		},
 	],
+	dialog: "createTimelineMinterDialog",
+	toText: "timelinePayloadToText_",
+	rules: "autoRulesTimeline_",
 });
@@ -0,0 +1,369 @@
+/**
+ * Unit tests for the LZ-Protocol instruction parser (src/protocol/lz_toml.js):
+ * the TOML subset, JSON auto-detection, flattening into the instruction the
+ * appliers read, and the versioned schema / migrations — plus the reverse
+ * export (src/protocol/lz_export.js) that writes instructions back.
+ *
+ * Plain node, no framework — run via `node test/lz_protocol.test.js`. Like
+ * minters.smoke.test.js, the protocol files are evaluated in one VM sandbox
+ * (Apps Script shares one global scope) with the GAS services stubbed.
+ */
+
+const vm = require("vm");
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+let passed = 0;
+let failed = 0;
+
+function ok(name, cond) {
+	if (cond) {
+		passed++;
+	} else {
+		failed++;
+		console.error("  ✗ " + name);
+	}
+}
+
+/** Loads the protocol files into one fresh sandbox. */
+function loadProtocol() {
+	const sandbox = {
+		SlidesApp: {
+			ContentAlignment: {},
+			ColorType: { RGB: "RGB", THEME: "THEME" },
+			PageElementType: { SHAPE: "SHAPE", TABLE: "TABLE", LINE: "LINE" },
+		},
+		Slides: {},
+		console,
+	};
+	vm.createContext(sandbox);
+	for (const rel of [
+		"src/protocol/lz_tag.js",
+		"src/protocol/lz_toml.js",
+		"src/protocol/lz_apply_style.js",
+		"src/protocol/lz_audit.js",
+		"src/protocol/lz_export.js",
+	]) {
+		vm.runInContext(fs.readFileSync(path.join(ROOT, rel), "utf8"), sandbox, { filename: rel });
+	}
+	return sandbox;
+}
+
+const lz = loadProtocol();
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// ── Flat [lz] instructions read exactly as before ──
+ok(
+	"flat [lz] instruction",
+	same(
+		lz.lzParseInstr('[lz]\nrole = "body"\nfont = "Source Sans Pro"\nx = 24.48\nsize = 15\nbold = false'),
+		{ role: "body", font: "Source Sans Pro", x: 24.48, size: 15, bold: false },
+	),
+);
+ok("empty / comment-only text is null", lz.lzParseInstr("") === null && lz.lzParseInstr("[lz]\n# nothing") === null);
+
+// ── Nested tables flatten per the schema ──
+const nested = lz.lzParseInstr(
+	[
+		"[lz]",
+		'role = "kpi_card"',
+		"[lz.text]",
+		'font = "Lato"',
+		"size = 12",
+		"[lz.fill]",
+		'color = "#F5F8F8"',
+		"[lz.border]",
+		'color = "#3D6869"',
+		"weight = 2",
+		"[lz.value]",
+		"size = 40",
+		"[lz.header]",
+		"bold = true",
+	].join("\n"),
+);
+ok(
+	"[lz.text] / [lz.fill] / [lz.border] / [lz.<part>] flatten",
+	same(nested, {
+		role: "kpi_card",
+		font: "Lato",
+		size: 12,
+		fill: "#F5F8F8",
+		border: "#3D6869",
+		border_w: 2,
+		value_size: 40,
+		header_bold: true,
+	}),
+);
+ok(
+	"dotted keys build the same tables",
+	same(lz.lzParseInstr("[lz]\ntext.size = 12\nlabel . color = '#666666'"), {
+		size: 12,
+		label_color: "#666666",
+	}),
+);
+
+// ── Arrays, inline tables, arrays of tables ──
+const arrays = lz.lzParseInstr(
+	[
+		"[lz]",
+		"col_widths = [",
+		"  120,  # first",
+		"  240,",
+		"  240,",
+		"]",
+		'runs = [{ size = 40, color = "#3D6869" }, { italic = true }]',
+	].join("\n"),
+);
+ok(
+	"multi-line arrays with comments / trailing comma, and inline tables",
+	same(arrays.col_widths, [120, 240, 240]) &&
+		same(arrays.runs, [{ size: 40, color: "#3D6869" }, { italic: true }]),
+);
+ok(
+	"[[lz.runs]] arrays of tables",
+	same(lz.lzParseInstr("[[lz.runs]]\nsize = 40\n[[lz.runs]]\nsize = 14\nbold = true").runs, [
+		{ size: 40 },
+		{ size: 14, bold: true },
+	]),
+);
+
+// ── Strings and numbers ──
+const strings = lz.lzParseInstr(
+	[
+		"[lz]",
+		'a = "say \\"hi\\" \\\\ \\u00e9\\tend"',
+		"b = 'C:\\path\\no-escape'",
+		'c = """',
+		"line one",
+		'line two"""',
+		'd = """joined \\',
+		'    here"""',
+		"e = '''raw \\n",
+		"kept'''",
+		"n1 = 1_000",
+		"n2 = -2.5e1",
+		"n3 = +3 # comment",
+	].join("\n"),
+);
+ok(
+	"basic / literal / multi-line strings",
+	strings.a === 'say "hi" \\ é\tend' &&
+		strings.b === "C:\\path\\no-escape" &&
+		strings.c === "line one\nline two" &&
+		strings.d === "joined here" &&
+		strings.e === "raw \\n\nkept",
+);
+ok("numbers with _ / exponent / sign", strings.n1 === 1000 && strings.n2 === -25 && strings.n3 === 3);
+
+// ── Forgiving: bad lines are recorded and skipped, the rest still parses ──
+const messy = lz._lzTomlParse(
+	[
+		"[lz]",
+		"size = 15pt",
+		"font = Arial",
+		"no equals here",
+		'color = "#111',
+		"size = 16",
+		"bold = true junk",
+		"[other]",
+		"x = 1",
+		"[lz.text]",
+		"italic = true",
+	].join("\n"),
+);
+const codes = messy.errors.map((e) => e.code + "@" + e.line).join();
+ok(
+	"errors carry a code and line number",
+	codes ===
+		"malformed-line@2,malformed-line@3,malformed-line@4,malformed-line@5," +
+			"duplicate-key@6,malformed-line@7,unknown-table@8",
+);
+ok(
+	"…while unquoted values read loosely and later lines still parse",
+	messy.data.font === "Arial" && messy.data.size === 16 && messy.data.x === undefined &&
+		messy.data.text.italic === true && messy.data.color === undefined,
+);
+
+// ── JSON auto-detection ──
+ok(
+	"JSON payloads parse and flatten like TOML",
+	same(lz.lzParseInstr('{"lz":1,"role":"body","v":1,"text":{"size":12},"fill":{"color":"#fff"}}'), {
+		role: "body",
+		v: 1,
+		size: 12,
+		fill: "#fff",
+	}),
+);
+ok(
+	"JSON without `lz`, or broken JSON, is no instruction",
+	lz.lzParseInstr('{"role":"body"}') === null && lz.lzParseInstr('{"lz":1,') === null,
+);
+ok(
+	"lzMarkerTitle reads a JSON marker's title",
+	lz.lzMarkerTitle({ getDescription: () => '{"lz":1,"role":"section","title":" Intro "}' }) === "Intro",
+);
+
+// ── Versioned schema and migrations ──
+ok("the current schema knows its keys", lz.lzInstrSchema().keys.col_widths === "number[]");
+const migrated = loadProtocol();
+migrated.LZ_INSTR_SCHEMAS[2] = Object.assign({}, migrated.LZ_INSTR_SCHEMAS[1], {
+	migrate: (doc) => {
+		if (doc.colour !== undefined) {
+			doc.color = doc.colour;
+			delete doc.colour;
+		}
+		return doc;
+	},
+});
+migrated.LZ_PROTOCOL_VERSION = 2;
+ok(
+	"an older instruction is migrated up to the current version",
+	same(migrated.lzParseInstr('[lz]\nv = 1\ncolour = "#123456"'), { v: 2, color: "#123456" }) &&
+		same(migrated.lzParseInstr('colour = "#123456"'), { color: "#123456", v: 2 }),
+);
+ok(
+	"a newer instruction is left as-is",
+	same(migrated.lzParseInstr("[lz]\nv = 3\ncolour = 1"), { v: 3, colour: 1 }),
+);
+ok(
+	"the validator calls a migratable version a warning, an unknown one an error",
+	migrated.lzValidateInstr("[lz]\nv = 1")[0].severity === "warning" &&
+		migrated.lzValidateInstr("[lz]\nv = 3")[0].severity === "error",
+);
+
+// ── Validator on nested / array values ──
+const problems = lz
+	.lzValidateInstr(
+		'[lz]\nv = 1\ncol_widths = [120, "wide"]\nruns = [{ size = "big" }]\n[lz.value]\nsize = 40\n[lz.fill]\ncolor = "teal"',
+		"KPI_CARD",
+	)
+	.map((p) => p.code + ":" + p.message.split(" ")[0]);
+ok(
+	"array items and flattened tables are type-checked",
+	problems.join() === "bad-type:col_widths,bad-type:runs,bad-value:fill",
+);
+ok(
+	"parse errors surface in the validator with their line",
+	/^第 2 行/.test(lz.lzValidateInstr("[lz]\nsize = [1, 2\nv = 1")[0].message),
+);
+
+// ── Appliers: runs and column widths ──
+const runLogs = [[], []];
+const styleLog = (log) => {
+	const ts = {};
+	for (const m of ["setFontFamily", "setFontSize", "setBold", "setItalic", "setForegroundColor"]) {
+		ts[m] = (v) => {
+			log.push(m + "=" + v);
+			return ts;
+		};
+	}
+	return ts;
+};
+lz.lzApplyToShape(
+	{
+		getText: () => ({
+			getTextStyle: () => styleLog([]),
+			getRuns: () => runLogs.map((log) => ({ getTextStyle: () => styleLog(log) })),
+		}),
+	},
+	lz.lzParseInstr("[[lz.runs]]\nsize = 40\n[[lz.runs]]\nitalic = true"),
+	"BODY",
+);
+ok(
+	"lzApplyToShape styles runs in order",
+	runLogs[0].join() === "setFontSize=40" && runLogs[1].join() === "setItalic=true",
+);
+const colReqs = lz._lzColumnWidthRequests("t1", lz.lzParseInstr("[lz.table]\ncol_widths = [100, 200]"));
+ok(
+	"col_widths become updateTableColumnProperties requests",
+	colReqs.length === 2 &&
+		colReqs[1].updateTableColumnProperties.columnIndices[0] === 1 &&
+		colReqs[1].updateTableColumnProperties.tableColumnProperties.columnWidth.magnitude === 200,
+);
+
+// ── Reverse export: live state → instruction → TOML → same instruction ──
+const rgb = (hex) => ({ getColorType: () => "RGB", asRgbColor: () => ({ asHexString: () => hex }) });
+const textStyle = (font, size, bold, color) => ({
+	getFontFamily: () => font,
+	getFontSize: () => size,
+	isBold: () => bold,
+	isItalic: () => null, // mixed across the range
+	getForegroundColor: () => color,
+});
+const card = {
+	getPageElementType: () => "SHAPE",
+	getLeft: () => 24.481,
+	getTop: () => 80,
+	getWidth: () => 200,
+	getHeight: () => 120,
+	asShape: () => ({
+		getFill: () => ({ getSolidFill: () => ({ getColor: () => rgb("#f5f8f8") }) }),
+		getBorder: () => ({
+			isVisible: () => true,
+			getLineFill: () => ({ getSolidFill: () => ({ getColor: () => rgb("#3d6869") }) }),
+			getWeight: () => 2,
+		}),
+		getContentAlignment: () => "MIDDLE",
+		getText: () => ({
+			asString: () => "42%\nGrowth\n",
+			getTextStyle: () => textStyle("Lato", null, true, rgb("#333333")),
+			getParagraphStyle: () => ({ getParagraphAlignment: () => "CENTER" }),
+			getParagraphs: () => [
+				{ getRange: () => ({ getTextStyle: () => textStyle("Lato", 40, true, rgb("#3d6869")) }) },
+				{ getRange: () => ({ getTextStyle: () => textStyle("Lato", 12, false, null) }) },
+			],
+		}),
+	}),
+};
+const live = lz.lzReadLiveInstr(card, "KPI_CARD");
+ok(
+	"lzReadLiveInstr reads geometry, fill, border, anchor, alignment and parts",
+	same(live, {
+		role: "kpi_card",
+		v: 1,
+		x: 24.48,
+		y: 80,
+		w: 200,
+		h: 120,
+		fill: "#F5F8F8",
+		border: "#3D6869",
+		border_w: 2,
+		anchor: "MIDDLE",
+		font: "Lato",
+		bold: true,
+		color: "#333333",
+		align: "CENTER",
+		value_font: "Lato",
+		value_size: 40,
+		value_bold: true,
+		value_color: "#3D6869",
+		label_font: "Lato",
+		label_size: 12,
+		label_bold: false,
+	}),
+);
+const stamped = lz._lzExportInstr(live, { role: "kpi_card", title: "Q3", x: 1, note: "keep", runs: [{ size: 9 }] }, "KPI_CARD");
+ok(
+	"the export keeps title / runs / unknown keys and overwrites the rest",
+	stamped.x === 24.48 && stamped.title === "Q3" && stamped.note === "keep" && same(stamped.runs, [{ size: 9 }]),
+);
+ok("lzInstrToToml round-trips through lzParseInstr", same(lz.lzParseInstr(lz.lzInstrToToml(stamped)), stamped));
+ok(
+	"lzInstrToToml puts role and v first and quotes odd keys",
+	lz.lzInstrToToml({ size: 12, v: 1, role: "body", "a b": 'say "x"' }) ===
+		'[lz]\nrole = "body"\nv = 1\nsize = 12\n"a b" = "say \\"x\\""',
+);
+const roles = lz._lzSpecRoles([
+	{ role: "BODY", instr: { role: "body", v: 1, size: 15, font: "Lato" } },
+	{ role: "BODY", instr: { role: "body", v: 1, size: 15, font: "Arial", title: "x" } },
+	{ role: "BODY", instr: { role: "body", v: 1, size: 14, font: "Lato" } },
+	{ role: "CITATION", instr: { role: "citation", size: 9 } },
+]);
+ok(
+	"the spec's house style is the most common value per role and key",
+	same(roles, { BODY: { count: 3, size: 15, font: "Lato" }, CITATION: { count: 1, size: 9 } }),
+);
+
+console.log(`\n${passed} passed, ${failed} failed`);
+process.exit(failed ? 1 : 0);
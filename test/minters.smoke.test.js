@@ -182,6 +182,12 @@ function loadAll(files) {
 		}),
 		hasUserApiKey: () => false,
 		callGroq_: () => ({ success: false, error: "stub" }),
+		PropertiesService: {
+			getUserProperties: () => ({
+				getProperty: () => null,
+				setProperty: () => {},
+			}),
+		},
 		SlidesApp: {},
 		Slides: {},
 		Utilities: { getUuid: () => "uuid-stub" },
@@ -258,7 +264,7 @@ ok("extractAutoJson_ returns null on empty", auto.extractAutoJson_("") === null)
 // ── Orchestrator edges (no API key stubbed → needKey; unknown key → error) ──
 ok(
 	"autoMinterRoute without key → needKey",
-	auto.autoMinterRoute("some content").needKey === true,
+	auto.autoMinterRoute("some content", "ai").needKey === true,
 );
 ok(
 	"autoMinterGenerate unknown key → error",
@@ -323,6 +329,48 @@ ok("timeline adapter → 2 items, horizontal default", tlPayload.items.length ==
 
 const agPayload = auto.autoBuildAgendaPayload_("one\ntwo\nthree", {});
 ok("agenda adapter → 3 items", agPayload.items.length === 3);
+ok(
+	"agenda items link to the section slide with the same title",
+	auto
+		.agendaLinkTargets_(["Methods", " results ", "Other"], [
+			{ title: "Methods", slideId: "s1" },
+			{ title: "Results\nwhat we found", slideId: "s2" },
+		])
+		.join() === "s1,s2,",
+);
+const agendaCtx = loadAll(["src/protocol/lz_tag.js", "src/protocol/lz_toml.js", "src/util/agenda_minter.js"]);
+Object.assign(agendaCtx.SlidesApp, {
+	ShapeType: { TEXT_BOX: "TEXT_BOX" },
+	ParagraphAlignment: { START: "START" },
+	ListPreset: {},
+});
+const agendaLinks = [];
+/** Fake text range style: chains every setter, records links. */
+const agendaStyle = (range) => {
+	const style = {
+		setForegroundColor: () => style,
+		setFontSize: () => style,
+		setFontFamily: () => style,
+		setBold: () => style,
+		setUnderline: () => style,
+		setLinkSlide: (target) => (agendaLinks.push(range + ">" + target), style),
+	};
+	return style;
+};
+const agendaText = {
+	setText: () => {},
+	getTextStyle: () => agendaStyle("all"),
+	getParagraphStyle: () => ({ setParagraphAlignment: () => {} }),
+	getRange: (start, end) => ({ getTextStyle: () => agendaStyle(start + "-" + end) }),
+	getListStyle: () => ({ applyListPreset: () => {} }),
+};
+const agendaBox = { getText: () => agendaText, setTitle: () => {} };
+agendaCtx.buildAgendaListBox_({ insertShape: () => agendaBox }, 0, 0, 300, 80, ["Methods", "Other", "Results"],
+	agendaCtx.resolveAgendaTemplate_(), "Lato", 0, ["s1", null, "s2"]);
+ok(
+	"agenda lines link to their section slides; unmatched lines stay plain",
+	agendaLinks.join() === "0-10>s1,20-30>s2",
+);
 
 const glPayload = auto.autoBuildGalleryPayload_(
 	"https://x.com/a.png | 圖說\nhttps://x.com/b.jpg",
@@ -445,6 +493,1458 @@ ok(
 		.fontSize === 20,
 );
 
+// ── Minted objects: dialog/toText descriptors resolve; toText inverts the adapter ──
+const EDIT_SAMPLES = {
+	kpi: "87% | 轉換率 | up\n3.2x | 成長",
+	timeline: "2020 | Start\nLaunch",
+	steps: "開場 | 打招呼\n重點",
+	agenda: "Intro\nMethods\nResults",
+	barchart: "A | 1\nB | 2.5",
+	compare: "# Opt A\np1\np2\n---\n# Opt B\nq1",
+	takeaways: "Fast | ships quickly\nSolid",
+};
+const dialogs = load("src/util/html_service_utils.js");
+for (const key of Object.keys(EDIT_SAMPLES)) {
+	const d = auto.findAutoMinter_(key);
+	ok(
+		"registry[" + key + "] dialog + toText resolve",
+		typeof dialogs[d.dialog] === "function" && typeof auto[d.toText] === "function",
+	);
+	const payload = auto[d.buildPayload](EDIT_SAMPLES[key], {});
+	const text = auto[d.toText](payload);
+	ok(
+		key + " toText round-trips through its adapter",
+		JSON.stringify(auto[d.buildPayload](text, {})) === JSON.stringify(payload),
+	);
+}
+
+const minted = loadAll([
+	"src/protocol/lz_tag.js",
+	"src/protocol/lz_toml.js",
+	"src/util/minted_objects.js",
+	"src/util/compare_minter.js",
+]);
+const mintReqs = [
+	{ createShape: { objectId: "a" } },
+	{ insertText: { objectId: "a", text: "x" } },
+	{ createShape: { objectId: "b" } },
+];
+const mintedId = minted.stampMintedRequests_(mintReqs, "compare", {
+	columns: [{ title: "A", points: [] }],
+	pageObjectId: "p1",
+	replaceObjectId: "old",
+});
+const groupReq = mintReqs[3] && mintReqs[3].groupObjects;
+const altReq = mintReqs[4] && mintReqs[4].updatePageElementAltText;
+ok(
+	"stampMintedRequests_ groups every created shape",
+	!!groupReq &&
+		groupReq.groupObjectId === mintedId &&
+		groupReq.childrenObjectIds.join() === "a,b",
+);
+const stamped = altReq ? JSON.parse(altReq.description) : {};
+ok(
+	"stampMintedRequests_ stamps MINTED with key + payload, minus placement ids",
+	!!altReq &&
+		altReq.title === "MINTED" &&
+		stamped.minter === "compare" &&
+		stamped.payload.columns.length === 1 &&
+		!("pageObjectId" in stamped.payload) &&
+		!("replaceObjectId" in stamped.payload),
+);
+
+// ── Minter-part roles: every stamped role is in the vocabulary; apply understands parts ──
+const lzVocab = loadAll([
+	"src/protocol/lz_tag.js",
+	"src/protocol/lz_toml.js",
+	"src/protocol/lz_apply_style.js",
+]);
+const stampedRoles = new Set();
+for (const rel of MINTER_FILES) {
+	const src = fs.readFileSync(path.join(ROOT, rel), "utf8");
+	for (const m of src.matchAll(/LZ_ROLES\.([A-Z_]+)/g)) stampedRoles.add(m[1]);
+}
+ok(
+	"every LZ_ROLES.* a minter stamps is defined",
+	stampedRoles.size > 20 && [...stampedRoles].every((r) => lzVocab.LZ_ROLES[r] === r),
+);
+ok(
+	"every LZ_MINTER_ROLES entry is a role with a known kind",
+	Object.keys(lzVocab.LZ_MINTER_ROLES).every(
+		(r) =>
+			lzVocab.LZ_ROLES[r] === r &&
+			["text", "shape", "line", "image"].indexOf(lzVocab.LZ_MINTER_ROLES[r].kind) !== -1,
+	),
+);
+const partReqs = [];
+minted.buildCompareColumnRequests_(
+	partReqs,
+	"p1",
+	{ x: 0, y: 0, w: 100, headerH: 20, bodyH: 60 },
+	{ title: "A", points: ["x"] },
+	minted.compareColumnStyle_(minted.getCompareTemplates()[0], 0),
+);
+const tagTitles = partReqs
+	.filter((r) => r.updatePageElementAltText)
+	.map((r) => r.updatePageElementAltText.title);
+ok(
+	"REST minters stamp each created part in the same batch",
+	tagTitles.join() === "COMPARE_HEAD,COMPARE_BODY" &&
+		partReqs.findIndex((r) => r.updatePageElementAltText) >
+			partReqs.findIndex((r) => r.createShape),
+);
+
+/** Records TextStyle setter calls as "name=value". */
+function fakeTextStyle(log) {
+	const ts = {};
+	for (const m of ["setFontFamily", "setFontSize", "setBold", "setItalic", "setForegroundColor"]) {
+		ts[m] = (v) => {
+			log.push(m + "=" + v);
+			return ts;
+		};
+	}
+	return ts;
+}
+const partLogs = [[], [], []];
+const wholeLog = [];
+const fakeCard = {
+	setLeft() {},
+	setTop() {},
+	setWidth() {},
+	setHeight() {},
+	getText: () => ({
+		getTextStyle: () => fakeTextStyle(wholeLog),
+		getParagraphs: () =>
+			partLogs.map((log) => ({ getRange: () => ({ getTextStyle: () => fakeTextStyle(log) }) })),
+	}),
+};
+lzVocab.SlidesApp = { ContentAlignment: {} };
+lzVocab.lzApplyToShape(
+	fakeCard,
+	lzVocab.lzParseInstr('[lz]\nsize = 12\nvalue_size = 40\nlabel_color = "#666666"'),
+	"KPI_CARD",
+);
+ok(
+	"lzApplyToShape maps <part>_* keys onto paragraphs (last part repeats)",
+	wholeLog.join() === "setFontSize=12" &&
+		partLogs[0].join() === "setFontSize=40" &&
+		partLogs[1].join() === "setForegroundColor=#666666" &&
+		partLogs[2].join() === "setForegroundColor=#666666",
+);
+const arrowLog = [];
+lzVocab.lzApplyToShape(
+	{ getText: () => ({ getTextStyle: () => fakeTextStyle(arrowLog) }) },
+	{ size: 30 },
+	"STEP_ARROW",
+);
+ok("lzApplyToShape leaves a shape-kind part's text alone", arrowLog.length === 0);
+
+// ── LZ audit: strict instruction check, duplicates, markers, drift ──
+const audit = loadAll([
+	"src/protocol/lz_tag.js",
+	"src/protocol/lz_toml.js",
+	"src/protocol/lz_apply_style.js",
+	"src/protocol/lz_audit.js",
+]);
+audit.SlidesApp = { PageElementType: { SHAPE: "SHAPE", TABLE: "TABLE", LINE: "LINE" } };
+const codesOf = (list) => list.map((p) => p.code).sort().join();
+ok(
+	"lzValidateInstr accepts a clean instruction with parts",
+	audit.lzValidateInstr('[lz]\nrole = "kpi_card"\nv = 1\nvalue_size = 40 # pt\nfill = "#F5F8F8"', "KPI_CARD")
+		.length === 0,
+);
+ok(
+	"lzValidateInstr flags what lzParseInstr skips",
+	codesOf(
+		audit.lzValidateInstr(
+			'[lz]\nrole = "bogus"\nv = 2\nsize = "15"\nwobble = 1\nanchor = "LEFT"\ncolor = "red"\nfont Arial',
+			"BODY",
+		),
+	) === "bad-type,bad-value,bad-value,malformed-line,unknown-key,unknown-role,version-mismatch",
+);
+ok(
+	"lzValidateInstr reports a role mismatch and a missing v",
+	codesOf(audit.lzValidateInstr('[lz]\nrole = "title"', "BODY")) === "no-version,role-mismatch",
+);
+
+/** A fake page element for the audit. */
+function fakeEl(id, title, desc, opts) {
+	const o = opts || {};
+	const text = o.text || "";
+	return {
+		getObjectId: () => id,
+		getTitle: () => title,
+		getDescription: () => desc,
+		getPageElementType: () => o.type || "SHAPE",
+		getLeft: () => (o.left == null ? 0 : o.left),
+		getTop: () => 0,
+		getWidth: () => 100,
+		getHeight: () => 20,
+		asShape: () => ({
+			getText: () => ({
+				asString: () => text,
+				getTextStyle: () => ({ getFontFamily: () => o.font || null, getFontSize: () => o.size || null }),
+			}),
+		}),
+	};
+}
+const auditIssues = audit._lzAuditSlide(
+	[
+		fakeEl("p1", "PAGE_NUM", "", { text: "3 / 9" }),
+		fakeEl("p2", "PAGE_NUM", "", { text: "3 / 9" }),
+		fakeEl("t1", "TAB", "", { text: "A" }),
+		fakeEl("t2", "TAB", "", { text: "B" }),
+		fakeEl("m1", "SECTION", '{"lz":1,"role":"section"}'),
+		fakeEl("h1", "", "", { text: "Results" }),
+		fakeEl("b1", "BODY", '[lz]\nv = 1\nx = 24\nfont = "Source Sans Pro"\nsize = 15', {
+			left: 30,
+			text: "x",
+			font: "Arial",
+			size: 15,
+		}),
+		fakeEl("b2", "BODY", '[lz]\nv = 1\nx = 24.2', { left: 24 }),
+		fakeEl("u1", "Picture 3", '[lz]\nrole = "body"\nv = 1'),
+		fakeEl("u2", "PARENT", "free alt text"),
+	],
+	"s1",
+	4,
+);
+const byId = (id) => auditIssues.filter((i) => i.objectId === id).map((i) => i.code).join();
+const drift = auditIssues.find((i) => i.objectId === "b1");
+ok(
+	"_lzAuditSlide finds duplicates, untitled markers, drift and TOML-only roles",
+	byId("p1") === "" && byId("p2") === "duplicate" && byId("t2") === "" &&
+		byId("m1") === "no-version,marker-no-title" &&
+		drift && drift.code === "drift" && /x 30/.test(drift.message) && /Arial/.test(drift.message) &&
+		!/字級/.test(drift.message) && byId("b2") === "" &&
+		byId("u1") === "unknown-role" && byId("u2") === "" &&
+		auditIssues.every((i) => i.slideId === "s1" && i.slideIndex === 4),
+);
+ok(
+	"_lzAuditSlide offers the slide's first text as the marker title",
+	auditIssues.some((i) => i.code === "marker-no-title" && i.fixable && /Results/.test(i.message)),
+);
+ok(
+	"_lzSetDescKey stamps JSON fields and adds TOML lines under [lz]",
+	JSON.parse(audit._lzSetDescKey('{"lz":1,"role":"section"}', "v", 1)).v === 1 &&
+		audit._lzSetDescKey('[lz]\nrole = "body"', "title", 'A "B"') ===
+			'[lz]\ntitle = "A \\"B\\""\nrole = "body"' &&
+		audit._lzSetDescKey("[lz]\nv = 0", "v", 1) === "[lz]\nv = 1" &&
+		audit.lzMarkerTitle(fakeEl("m", "SECTION", '{"lz":1,"role":"section","title":"Intro"}')) ===
+			"Intro",
+);
+
+// ── AI provider layer: endpoint, model resolution, response normalization ──
+const ai = load("src/util/aiKey.js");
+ok(
+	"aiChatCompletionsUrl_ appends the endpoint to an API root",
+	ai.aiChatCompletionsUrl_("https://gw.example.com/v1/") ===
+		"https://gw.example.com/v1/chat/completions",
+);
+ok(
+	"aiChatCompletionsUrl_ keeps a full endpoint as-is",
+	ai.aiChatCompletionsUrl_("https://api.groq.com/openai/v1/chat/completions") ===
+		"https://api.groq.com/openai/v1/chat/completions",
+);
+const aiProps = {};
+ai.PropertiesService = {
+	getUserProperties: () => ({
+		getProperty: (k) => (k in aiProps ? aiProps[k] : null),
+		setProperty: (k, v) => {
+			aiProps[k] = v;
+		},
+		deleteProperty: (k) => {
+			delete aiProps[k];
+		},
+	}),
+};
+ai.saveUserApiKey("gsk_abc");
+let aiRefused = false;
+try {
+	ai.saveAiSettings({ provider: "openai" });
+} catch (e) {
+	aiRefused = /No OpenAI key/.test(e.message);
+}
+let aiNoModel = false;
+try {
+	ai.saveAiSettings({ provider: "custom", baseUrl: "https://gw.example.com/v1" });
+} catch (e) {
+	aiNoModel = /no default model/.test(e.message);
+}
+ai.saveAiSettings({ provider: "custom", baseUrl: "https://gw.example.com/v1", model: "gw-m" });
+ok(
+	"AI keys are kept per provider (custom per base URL); a switch needs that provider's key",
+	ai.aiKeyProperty_("groq") === "GROQ_API_KEY" &&
+		ai.aiKeyProperty_("openai") !== ai.aiKeyProperty_("groq") &&
+		ai.aiKeyProperty_("custom", "https://a.example.com") !==
+			ai.aiKeyProperty_("custom", "https://b.example.com") &&
+		aiRefused && aiNoModel && aiProps.AI_PROVIDER === "custom" &&
+		ai.getUserApiKeyOrThrow_() === "" && ai.getAiSettings().providers[0].hasKey === true,
+);
+let aiFetched = false;
+ai.UrlFetchApp = { fetch: () => (aiFetched = true) };
+aiProps.AI_MODEL = "";
+const aiBlank = ai.callGroq_("sys", "user");
+ok(
+	"callGroq_ fails before the fetch when no model resolves",
+	aiBlank.success === false && /^No OpenAI-compatible .* model set/.test(aiBlank.error) && !aiFetched,
+);
+const aiSettings = { model: "base-m", featureModels: { router: "small-m" } };
+const aiProvider = { defaultModel: "prov-m" };
+ok(
+	"resolveAiModel_: explicit > feature > user default > provider default",
+	ai.resolveAiModel_({ model: "x", feature: "router" }, aiSettings, aiProvider) === "x" &&
+		ai.resolveAiModel_({ feature: "router" }, aiSettings, aiProvider) === "small-m" &&
+		ai.resolveAiModel_({ feature: "kpi" }, aiSettings, aiProvider) === "base-m" &&
+		ai.resolveAiModel_({}, { model: "", featureModels: {} }, aiProvider) === "prov-m",
+);
+const aiOk = ai.normalizeAiChatResponse_(
+	200,
+	JSON.stringify({ choices: [{ message: { content: " hi \n" } }], usage: { total_tokens: 3 } }),
+	"Groq",
+	"m1",
+);
+ok(
+	"normalizeAiChatResponse_ maps a completion to {success, generatedText, model}",
+	aiOk.success && aiOk.generatedText === "hi" && aiOk.model === "m1" && aiOk.usage.total_tokens === 3,
+);
+const aiErr = ai.normalizeAiChatResponse_(401, '{"error":{"message":"bad key"}}', "OpenAI", "m1");
+ok(
+	"normalizeAiChatResponse_ surfaces provider errors",
+	!aiErr.success && aiErr.error === "OpenAI API error (401): bad key",
+);
+ok(
+	"normalizeAiChatResponse_ tolerates a non-JSON body",
+	!ai.normalizeAiChatResponse_(502, "<html>", "Gateway", "m1").success,
+);
+
+// ── Offline rules router: heuristics pick the right minter; adapters parse its text ──
+const rulesCtx = loadAll(
+	MINTER_FILES.concat(["src/util/auto_minter.js", "src/util/auto_minter_rules.js"]),
+);
+const rulesEligible = rulesCtx.getAutoMinterRegistry_();
+const RULES_CASES = [
+	["timeline", "2019 公司成立\n2021 A 輪募資\n2023 上市"],
+	["kpi", "營收: 120萬\n成長率: +35%\n客戶數: 1,200"],
+	["barchart", "台北: 120\n台中: 80\n高雄: 95\n台南: 60\n新竹: 70"],
+	["steps", "1. 註冊帳號\n2. 填寫資料: 姓名與信箱\n3. 送出審核"],
+	["table", "| A | B |\n|---|---|\n| 1 | 2 |"],
+	["compare", "# 方案 A\n- 便宜\n- 慢\n# 方案 B\n- 快速"],
+	["compare", "iPhone vs Android\niPhone: 封閉生態\nAndroid: 開放"],
+	["grid", "# 速度\n出貨快\n# 品質\n錯誤少\n# 成本\n更便宜"],
+	["takeaways", "重點：\n- 先求有\n- 再求好\n- 持續改進"],
+	["callout", "注意：本藥物不可與酒精併用。"],
+	["gallery", "封面\nhttps://x.com/a.png\n內頁\nhttps://x.com/b.jpg"],
+];
+for (const [key, text] of RULES_CASES) {
+	const routed = rulesCtx.autoRulesRoute_(text, rulesEligible);
+	const top = routed.success ? routed.candidates[0] : null;
+	ok(
+		"rules router picks " + key + " for " + JSON.stringify(text.slice(0, 20)),
+		!!top && top.key === key && top.source === "rules" && routed.candidates.length <= 3,
+	);
+	const d = rulesCtx.findAutoMinter_(key);
+	const gen = rulesCtx.autoRulesGenerate_(d, text);
+	const payload = gen.success ? rulesCtx[d.buildPayload](gen.generatedText, top ? top.hints : {}) : null;
+	ok("rules text for " + key + " parses through its adapter", !!payload);
+}
+const vsPayload = rulesCtx.autoBuildComparePayload_(
+	rulesCtx.autoRulesGenerate_(rulesCtx.findAutoMinter_("compare"), "iPhone vs Android\niPhone: 封閉生態\nAndroid: 開放").generatedText,
+	{},
+);
+ok(
+	"rules compare assigns `A: point` lines to column A",
+	vsPayload.columns.length === 2 && vsPayload.columns[0].points[0] === "封閉生態",
+);
+const kpiRules = rulesCtx.autoBuildKpiPayload_(
+	rulesCtx.autoRulesGenerate_(rulesCtx.findAutoMinter_("kpi"), "營收: 120萬\n成長率: +35%").generatedText,
+	{},
+);
+ok(
+	"rules kpi maps `label: value` and a leading + to trend up",
+	kpiRules.items[0].value === "120萬" && kpiRules.items[1].trend === "up",
+);
+ok(
+	"rules router declines long prose",
+	!rulesCtx.autoRulesRoute_(
+		"This is a long narrative paragraph. ".repeat(12) + "\nAnother line of prose that goes on.\nAnd more prose here, still no structure at all.\nFinally the end of it.",
+		rulesEligible,
+	).success,
+);
+const rulesProps = {};
+rulesCtx.PropertiesService = {
+	getUserProperties: () => ({
+		getProperty: (k) => rulesProps[k] || null,
+		setProperty: (k, v) => {
+			rulesProps[k] = v;
+		},
+	}),
+};
+const fallbackRoute = rulesCtx.autoMinterRoute("1. 註冊\n2. 填寫\n3. 送出");
+ok(
+	"autoMinterRoute falls back to rules without a key (default mode)",
+	fallbackRoute.success && fallbackRoute.source === "rules" && fallbackRoute.candidates[0].key === "steps",
+);
+ok(
+	"autoMinterRoute in ai mode still asks for a key",
+	rulesCtx.autoMinterRoute("1. a\n2. b\n3. c", "ai").needKey === true &&
+		rulesProps.AUTO_MINTER_ROUTER === "ai",
+);
+const rulesGen = rulesCtx.autoMinterGenerate("steps", "1. 註冊\n2. 填寫\n3. 送出", {}, "rules");
+ok(
+	"autoMinterGenerate with source rules skips the LLM",
+	rulesGen.success && rulesGen.payload.steps.length === 3,
+);
+
+// ── Deck minter: offline planner, plan → html2slides payload, ready-made bags ──
+const deck = loadAll(
+	MINTER_FILES.concat([
+		"src/util/auto_minter.js",
+		"src/util/auto_minter_rules.js",
+		"src/util/deck_minter.js",
+		"src/util/html2slides/minterBridge.js",
+	]),
+);
+const deckPlan = deck.deckRulesPlan_(
+	"# 市場\n## 規模\n營收: 120萬\n成長率: +35%\n## 歷程\n2019 成立\n2021 募資\n2023 上市\n" +
+		"# 執行\n## 導入流程\n1. 註冊\n2. 設定\n3. 上線\n## 備註\n這是一段說明文字。",
+);
+ok(
+	"deck rules plan: # opens sections, ## opens slides",
+	deckPlan.map((s) => s.kind).join() === "section,slide,slide,section,slide,slide" &&
+		deckPlan[0].title === "市場" && deckPlan[1].title === "規模",
+);
+ok(
+	"deck rules plan routes each slide through the rules router",
+	deckPlan[1].key === "kpi" && deckPlan[2].key === "timeline" && deckPlan[4].key === "steps" &&
+		deckPlan.every((s) => s.source === "rules"),
+);
+const flatPlan = deck.deckRulesPlan_("第一段標題\n- 重點一\n- 重點二\n\n第二段\n說明");
+ok(
+	"deck rules plan without headings splits on blank lines",
+	flatPlan.length === 2 && flatPlan[0].title === "第一段標題" && flatPlan[1].text === "說明",
+);
+const normalized = deck.normalizeDeckPlan_(
+	{
+		slides: [
+			{ type: "section", title: "A" },
+			{ type: "section", title: "" },
+			{ type: "slide", title: "B", minter: "nope", content: "x" },
+			{ type: "slide", title: "", content: "" },
+			{ type: "slide", title: "C", minter: "kpi", content: "營收: 1", hints: { templateId: "t" } },
+		],
+	},
+	deck.getAutoMinterRegistry_(),
+	"ai",
+);
+ok(
+	"normalizeDeckPlan_ drops empties and unknown minter keys",
+	normalized.length === 3 && normalized[1].key === "" && normalized[2].key === "kpi" &&
+		normalized[2].hints.templateId === "t" && normalized[2].source === "ai",
+);
+const deckKpi = deck.deckMinterSlidePayload(deckPlan[1]);
+const built = deck.deckPlanToGslideJson_([
+	{ kind: "section", title: "市場" },
+	Object.assign({}, deckPlan[1], { payload: deckKpi.payload }),
+	{ kind: "slide", title: "無內容", key: "steps", text: "1. a\n2. b" },
+]);
+ok(
+	"deckPlanToGslideJson_ maps sections, minter bags and bullet fallbacks",
+	deckKpi.success && deckKpi.payload.items.length === 2 &&
+		built.slides[0].layout === "SECTION_HEADER" &&
+		built.slides[1].layout === "TITLE_ONLY" && built.slides[1].minter.payload === deckKpi.payload &&
+		built.slides[2].layout === "TITLE_AND_BODY" && built.slides[2].slots.BODY[1].listType === "number" &&
+		built.warnings.length === 1,
+);
+let bridged = null;
+deck.insertKpiIntoSlide = (p) => {
+	bridged = p;
+	return { success: true };
+};
+const bridgeWarnings = deck.gslideRunMinterOnPage("page1", built.slides[1]);
+ok(
+	"minter bridge uses a ready-made payload as-is",
+	bridgeWarnings.length === 0 && bridged.pageObjectId === "page1" &&
+		bridged.items.length === 2 && built.slides[1].minter.payload.pageObjectId === undefined,
+);
+
+// ── Incremental chrome: diff desired chrome against stamped shapes ──
+const chrome = loadAll([
+	"src/config.js",
+	"src/shared/color_utils.js",
+	"src/shared/theme_colors.js",
+	"src/util/color_palette.js",
+	"src/batch/recolor.js",
+	"src/batch/create_index.js",
+	"src/protocol/lz_tag.js",
+	"src/protocol/lz_toml.js",
+	"src/batch/chrome_config.js",
+	"src/batch/chrome_layout.js",
+	"src/batch/chrome_presets.js",
+	"src/batch/cache_manager.js",
+	"src/batch/slide_utilities.js",
+	"src/batch/element_generators.js",
+	"src/batch/chrome_diff.js",
+	"src/protocol/lz_layouts.js",
+	"src/batch/auto_refresh.js",
+]);
+let uuid = 0;
+chrome.Utilities = { getUuid: () => "u" + String(uuid++).padStart(7, "0") };
+chrome.progressBarHeight = 2.5;
+chrome.CONFIG_KEYS = { CHROME: "chrome_config", CHROME_PRESET: "chrome_preset" };
+const deckProps = {};
+const userProps = {};
+/** Property store stub over a plain object. */
+const propStore = (o) => ({
+	getProperty: (k) => (k in o ? o[k] : null),
+	setProperty: (k, v) => (o[k] = v),
+	setProperties: (m) => Object.assign(o, m),
+	deleteProperty: (k) => delete o[k],
+});
+chrome.PropertiesService = {
+	getUserProperties: () => propStore(userProps),
+	getDocumentProperties: () => propStore(deckProps),
+};
+const chromeCache = chrome.initializeUltraCache();
+const desiredChrome = (total) => {
+	const reqs = [];
+	const slideCache = chrome.createUltraSlideCache({ getPageWidth: () => 720, getPageHeight: () => 405 }, []);
+	slideCache.totalSlides = total;
+	chrome.addProgressBarUltra("s1", 1, slideCache, reqs, chromeCache);
+	chrome.addPageNumberUltra("s1", 1, slideCache, reqs, chromeCache);
+	return reqs;
+};
+/** Fake deck shapes from the requests a previous run sent. */
+const shapesFrom = (reqs) => {
+	const shapes = {};
+	for (const r of reqs) {
+		if (r.createShape) {
+			const size = r.createShape.elementProperties.size;
+			shapes[r.createShape.objectId] = { id: r.createShape.objectId, w: size.width.magnitude, h: size.height.magnitude };
+		}
+		if (r.updatePageElementAltText) {
+			Object.assign(shapes[r.updatePageElementAltText.objectId], {
+				title: r.updatePageElementAltText.title,
+				desc: r.updatePageElementAltText.description,
+			});
+		}
+	}
+	return Object.values(shapes).map((o) => ({
+		getObjectId: () => o.id,
+		getTitle: () => o.title || "",
+		getDescription: () => o.desc || "",
+		getInherentWidth: () => o.w,
+		getInherentHeight: () => o.h,
+		getText: () => ({ asString: () => "2 / 9\n" }),
+	}));
+};
+const fakeSlides = (shapes) => [
+	{ getObjectId: () => "s0", getShapes: () => [] },
+	{ getObjectId: () => "s1", getShapes: () => shapes },
+];
+const firstRun = [];
+const firstStats = chrome.diffChromeRequests(fakeSlides([]), desiredChrome(9), firstRun);
+ok(
+	"first incremental run creates and stamps every chrome element",
+	firstStats.created === 3 && firstStats.kept === 0 &&
+		firstRun.filter((r) => r.updatePageElementAltText).length === 3 &&
+		JSON.parse(firstRun.find((r) => r.updatePageElementAltText).updatePageElementAltText.description).key ===
+			"progress_bg#0",
+);
+const legacy = { getObjectId: () => "tab_s1_old", getTitle: () => "", getDescription: () => "" };
+const secondRun = [];
+const secondStats = chrome.diffChromeRequests(fakeSlides(shapesFrom(firstRun).concat([legacy])), desiredChrome(9), secondRun);
+ok(
+	"an unchanged deck keeps every element and only drops unstamped chrome",
+	secondStats.kept === 3 && secondStats.deleted === 1 && secondRun.length === 1 &&
+		secondRun[0].deleteObject.objectId === "tab_s1_old" && secondStats.saved > 0,
+);
+const thirdRun = [];
+const thirdStats = chrome.diffChromeRequests(fakeSlides(shapesFrom(firstRun)), desiredChrome(5), thirdRun);
+const pageId = firstRun.find((r) => r.insertText).insertText.objectId;
+const moved = thirdRun.find((r) => r.updatePageElementTransform && r.updatePageElementTransform.objectId.startsWith("progress_s1"));
+ok(
+	"changed chrome is updated in place under its old objectId",
+	thirdStats.updated === 2 && thirdStats.kept === 1 && thirdStats.created === 0 && thirdStats.deleted === 0 &&
+		thirdRun.some((r) => r.insertText && r.insertText.objectId === pageId && r.insertText.text === "2 / 5") &&
+		thirdRun.some((r) => r.deleteText && r.deleteText.objectId === pageId) &&
+		moved && Math.abs(moved.updatePageElementTransform.transform.scaleX - 2) < 1e-9,
+);
+
+// ── Chrome config: toggles, skip rules and per-slide opt-outs ──
+const chromeCfg = loadAll([
+	"src/protocol/lz_tag.js",
+	"src/protocol/lz_toml.js",
+	"src/batch/chrome_config.js",
+]);
+const planSlide = (opts) => ({
+	getPageElements: () => (opts.marker ? [{ getTitle: () => "NO_CHROME" }] : []),
+	getNotesPage: () => ({
+		getSpeakerNotesShape: () => ({ getText: () => ({ asString: () => opts.notes || "" }) }),
+	}),
+});
+const plan = chromeCfg.planChromeUltra(
+	[planSlide({}), planSlide({}), planSlide({ marker: true }), planSlide({ notes: "Say hi\nLZ: no-chrome\n" }), planSlide({}), planSlide({}), planSlide({})],
+	[{ title: "Results", index: 1 }, { title: "附錄", index: 5 }],
+	{ progress: true, pageNumber: true, footnote: false, tabs: false, skipAfter: 6, skipAppendix: true },
+);
+const on = plan.map((p) => (p.progress ? "1" : "0")).join("");
+ok(
+	"planChromeUltra skips the title slide, opt-outs, the appendix and slides after N",
+	on === "0100100" && plan[1].pageNumber && !plan[1].tabs && !plan[1].footnote,
+);
+const skippable = (id, skipped) => ({ id, isSkipped: () => skipped });
+const skipDeck = [skippable("a", false), skippable("b", true), { id: "c", isSkipped: () => { throw new Error("no"); } }];
+ok(
+	"skipped slides are left out of the count unless the deck includes them",
+	chromeCfg.countedSlides(skipDeck, { includeSkipped: false }).map((sl) => sl.id).join() === "a,c" &&
+		chromeCfg.countedSlides(skipDeck, { includeSkipped: true }).length === 3,
+);
+
+// ── Chrome layout: anchors follow the page size ──
+const layout169 = chrome.computeChromeLayout(720, 405);
+const layout43 = chrome.computeChromeLayout(720, 540, { pageNumberAnchor: "bottom-center", progressAnchor: "top-strip" });
+const layoutNarrow = chrome.computeChromeLayout(540, 720, { tabsAnchor: "bottom-strip" });
+ok(
+	"16:9 defaults reproduce the original positions",
+	layout169.pageNum.x === 650 && layout169.pageNum.y === 370 && layout169.sectionBox.x === 200 &&
+		layout169.sectionBox.y === 52.5 && layout169.outline.x === 280 && layout169.tabs.y === 0 &&
+		layout169.progress.y === 402.5,
+);
+ok(
+	"4:3 and portrait decks keep chrome on the page and strips stacked",
+	layout43.pageNum.x === 325 && layout43.pageNum.y === 505 && layout43.progress.y === 0 &&
+		layout43.tabs.y === 2.5 && layout43.sectionBox.y === 120 &&
+		layoutNarrow.tabs.y === 720 - 14 - 2.5 && layoutNarrow.pageNum.y + 30 <= layoutNarrow.tabs.y &&
+		layoutNarrow.sectionBox.x >= 0 && layoutNarrow.sectionBox.x + layoutNarrow.sectionBox.width <= 540 &&
+		layoutNarrow.outline.x + layoutNarrow.outline.width <= 540,
+);
+
+// ── Chrome presets: registered designs, saved per deck ──
+ok(
+	"presets are listed, saved per deck and validated",
+	chrome.listChromePresets().length === 6 && chrome.getChromePreset() === "classic" &&
+		chrome.saveChromePreset("dots") === "dots" && chrome.getChromePreset() === "dots" &&
+		(() => {
+			try {
+				chrome.saveChromePreset("bogus");
+				return false;
+			} catch (e) {
+				return true;
+			}
+		})(),
+);
+deckProps.chrome_preset = "classic";
+const presetCache = chrome.createUltraSlideCache({ getPageWidth: () => 720, getPageHeight: () => 405 }, []);
+presetCache.totalSlides = 9;
+presetCache.slideData = [{ id: "s0", slide: null }];
+const sections = [
+	{ title: "Intro", index: 1, slideId: "s1" },
+	{ title: "Results", index: 4, slideId: "s4" },
+];
+const presetReqs = (name, slideIndex, sectionIdx) => {
+	const reqs = [];
+	const cacheWithTitle = Object.assign({}, chromeCache, { mainTitle: "Deck" });
+	chrome.addPresetChromeUltra(
+		chrome.listChromePresets().find((p) => p.id === name),
+		{ progress: true, pageNumber: true, tabs: true },
+		"s5", { layoutName: "BODY" }, slideIndex, presetCache, sections, sectionIdx, reqs, cacheWithTitle,
+	);
+	return reqs;
+};
+const created = (reqs, prefix) => reqs.filter((r) => r.createShape && r.createShape.objectId.startsWith(prefix));
+const seg = presetReqs("segmented", 5, 1);
+const segFills = created(seg, "progress_seg_s5").map((r) => r.createShape.elementProperties.size.width.magnitude);
+ok(
+	"segmented progress: one track per section, finished sections full, current partial",
+	created(seg, "progress_seg_bg_").length === 2 && segFills.length === 2 &&
+		Math.abs(segFills[0] - (718 * 3) / 8) < 1e-9 && Math.abs(segFills[1] - ((718 * 5) / 8) * (2 / 5)) < 1e-9,
+);
+const dots = presetReqs("dots", 5, 1);
+const dotFills = dots
+	.filter((r) => r.updateShapeProperties && r.updateShapeProperties.objectId.startsWith("page_num_dot_"))
+	.map((r) => r.updateShapeProperties.shapeProperties.shapeBackgroundFill.solidFill.color.rgbColor);
+ok(
+	"dot pagination: one dot per slide, the current one highlighted",
+	created(dots, "page_num_dot_").length === 9 && dotFills.filter((c) => c === chromeCache.colors.main).length === 1 &&
+		dotFills[5] === chromeCache.colors.main,
+);
+const counter = presetReqs("sectionCounter", 5, 1).find((r) => r.insertText);
+ok("section counter reads Section x of y", counter.insertText.text === "Section 2 of 2 · 2 / 5");
+const crumb = presetReqs("breadcrumb", 5, 1);
+ok(
+	"breadcrumb: one tab-strip line linking the section, no tabs",
+	created(crumb, "tab_crumb_").length === 1 && created(crumb, "tab_s5").length === 0 &&
+		crumb.some((r) => r.insertText && r.insertText.text === "Deck › Results") &&
+		crumb.some((r) => r.updateTextStyle && r.updateTextStyle.style.link && r.updateTextStyle.style.link.pageObjectId === "s4"),
+);
+ok(
+	"minimal has no tabs; classic keeps the original generators",
+	created(presetReqs("minimal", 5, 1), "tab").length === 0 &&
+		created(presetReqs("classic", 5, 1), "tab_").length === 3 &&
+		created(presetReqs("classic", 5, 1), "page_num_").length === 1,
+);
+
+// ── Appendix mode: main-talk progress and totals, A1, A2, … after the divider ──
+const backupSections = sections.concat([{ title: "Backup", index: 7, slideId: "s7", appendix: true }]);
+const appendixReqs = (name, slideIndex, sectionIdx) => {
+	const reqs = [];
+	chrome.addPresetChromeUltra(
+		chrome.listChromePresets().find((p) => p.id === name),
+		{ progress: true, pageNumber: true, tabs: true },
+		"s5", { layoutName: "BODY" }, slideIndex, presetCache, backupSections, sectionIdx, reqs, chromeCache,
+	);
+	return reqs;
+};
+presetCache.appendixStart = chrome.findAppendixStart(backupSections);
+const pageText = (reqs) => reqs.find((r) => r.insertText && r.insertText.objectId.startsWith("page_num_")).insertText.text;
+const lastMain = appendixReqs("classic", 6, 1);
+const backupTabs = appendixReqs("classic", 8, 2);
+ok(
+	"appendix: the main talk fills the bar and counts i / main, backup slides read A1",
+	presetCache.appendixStart === 7 && pageText(lastMain) === "7 / 7" && pageText(backupTabs) === "A1" &&
+		created(lastMain, "progress_s5")[0].createShape.elementProperties.size.width.magnitude === 720 &&
+		pageText(appendixReqs("dots", 8, 2)) === "A1" && pageText(appendixReqs("sectionCounter", 8, 2)) === "A1",
+);
+ok(
+	"appendix: tabs list the main sections only, none active on a backup slide",
+	created(backupTabs, "tab_s5").length === 2 &&
+		backupTabs.filter((r) => r.updateTextStyle && r.updateTextStyle.objectId.startsWith("tab_s5") && r.updateTextStyle.style.bold)
+			.length === 0 &&
+		created(appendixReqs("dots", 5, 1), "page_num_dot_").length === 7,
+);
+const appendixPlan = chromeCfg.planChromeUltra(
+	[planSlide({}), planSlide({}), planSlide({}), planSlide({}), planSlide({})],
+	[{ title: "Results", index: 1 }, { title: "Extra data", index: 3, appendix: true }],
+	{ progress: true, pageNumber: true, footnote: false, tabs: true, skipAfter: 0, skipAppendix: false },
+);
+ok(
+	"planChromeUltra: appendix slides keep page numbers and tabs, lose the progress bar; the divider is unnumbered",
+	appendixPlan.map((p) => (p.progress ? "1" : "0")).join("") === "01100" &&
+		appendixPlan.map((p) => (p.pageNumber ? "1" : "0")).join("") === "01101" && appendixPlan[4].tabs,
+);
+presetCache.appendixStart = -1;
+
+// ── Per-deck configuration: deck over user defaults, JSON export/import ──
+Object.keys(deckProps).forEach((k) => delete deckProps[k]);
+userProps.main_color = "#112233";
+userProps.chrome_config = JSON.stringify({ tabs: false, skipAfter: 7 });
+ok("a deck without settings uses the user's defaults", chrome.readConfigValues().mainColor === "#112233" &&
+	chrome.getChromeConfig().tabs === false && !chrome.deckHasConfig());
+chrome.saveConfigValues({ mainColor: "#445566", fontSize: 12, chrome: { tabs: true, skipAfter: 3 } });
+ok(
+	"saving writes the deck, not the user's defaults",
+	deckProps.main_color === "#445566" && userProps.main_color === "#112233" && chrome.deckHasConfig() &&
+		chrome.readConfigValues().mainColor === "#445566" && chrome.getChromeConfig().skipAfter === 3 &&
+		chrome.main_color === "#445566",
+);
+chrome.saveConfigValues({ mainColor: "#778899", saveAsDefault: true });
+ok("save as default also writes the user's store", userProps.main_color === "#778899");
+const exported = JSON.parse(chrome.exportDeckConfig());
+deckProps.main_color = "#000000";
+chrome.getAvailableFonts = () => [];
+const imported = chrome.importDeckConfig(JSON.stringify(Object.assign(exported, { chromePreset: "dots" })));
+ok(
+	"export → import round-trips the house style",
+	exported.format === "lizard-config" && imported.mainColor === "#778899" && imported.chromePreset === "dots" &&
+		imported.chrome.skipAfter === 3 && deckProps.chrome_preset === "dots",
+);
+chrome.saveConfigValues({ watermarkText: "DRAFT", fontFamily: "Lato" });
+const hadOverrides = deckProps.water_mark_text === "DRAFT" && deckProps.main_font_family === "Lato";
+chrome.saveConfigValues({ watermarkText: "", fontFamily: null, mainColor: undefined });
+const clearedOverrides =
+	!("water_mark_text" in deckProps) && !("main_font_family" in deckProps) && deckProps.main_color === "#778899";
+chrome.saveConfigValues({ watermarkText: "DRAFT" });
+chrome.importDeckConfig(JSON.stringify({ format: "lizard-config", watermarkText: "" }));
+ok(
+	"an empty watermark or font clears the deck's value, on save and on import; undefined fields are kept",
+	hadOverrides && clearedOverrides && !("water_mark_text" in deckProps),
+);
+deckProps.progress_bar_height = "4.5";
+chrome.loadSavedConfiguration();
+const heightWhileSet = chrome.progressBarHeight;
+delete deckProps.progress_bar_height;
+chrome.loadSavedConfiguration();
+ok(
+	"a cleared setting goes back to its default in the same run",
+	chrome.water_mark_text === "ⓒ Hsieh-Ting Lin" && heightWhileSet === 4.5 && chrome.progressBarHeight === 2.5,
+);
+const importError = (json) => {
+	try {
+		chrome.importDeckConfig(json);
+		return "";
+	} catch (e) {
+		return e.message;
+	}
+};
+ok(
+	"import rejects bad JSON, foreign files and bad colours",
+	/Invalid JSON/.test(importError("{")) && /Not a Lizard config/.test(importError("{}")) &&
+		/mainColor/.test(importError(JSON.stringify({ format: "lizard-config", mainColor: "red" }))),
+);
+
+// ── Full palette: six colours per deck, contrast check, generator → theme ──
+chrome.saveConfigValues({ accentColor: "#AA0000", sub2Color: "#F0F0F0", textColor: "#222222" });
+ok(
+	"all theme colours persist per deck and reach the globals",
+	deckProps.accent_color === "#AA0000" && deckProps.sub2_color === "#F0F0F0" &&
+		chrome.readConfigValues().textColor === "#222222" && chrome.accent_color === "#AA0000" &&
+		chrome.getThemeColors().sub2 === "#F0F0F0" && JSON.parse(chrome.exportDeckConfig()).accentColor === "#AA0000",
+);
+const themedMinters = loadAll(MINTER_FILES);
+themedMinters.getThemeColors = () => ({
+	main: "#101010", base: "#FFFFFF", text: "#303030", accent: "#202020", sub1: "#404040", sub2: "#505050",
+});
+themedMinters.main_color = "#999999";
+ok(
+	"minter templates read the deck's theme (getThemeColors), not the config globals",
+	themedMinters.buildStepsTemplates_()[1].fill === "#202020" &&
+		themedMinters.buildStepsTemplates_()[0].titleColor === "#303030" &&
+		themedMinters.buildCalloutTemplates_()[0].headerText === "#101010" &&
+		themedMinters.buildBarChartTemplates_()[2].palette[6] === "#404040",
+);
+ok(
+	"contrast ratio: black on white is 21, a colour on itself is 1",
+	Math.round(chrome.contrastRatio("#000000", "#FFFFFF")) === 21 && chrome.contrastRatio("#3D6869", "#3D6869") === 1,
+);
+const lowContrast = chrome.themeContrastWarnings({
+	main: "#3D6869", base: "#FFFFFF", text: "#CCCCCC", accent: "#f29424", sub1: "#E7EAE7", sub2: "#E7F9F5",
+});
+ok(
+	"contrast warnings flag light text, accept the default main",
+	lowContrast.some((w) => /^Text on base/.test(w.label)) && !lowContrast.some((w) => /^Main on base/.test(w.label)),
+);
+const theme = chrome.paletteToTheme(chrome.generateColorPalette("#3D6869", "complementary"));
+const hueOf = (hex) => chrome.hexToHsl(hex).h;
+ok(
+	"palette → theme: main kept, accent is the far hue, light fills tinted from main",
+	theme.main === "#3D6869" && Math.abs(hueOf(theme.accent) - hueOf(theme.main)) > 150 &&
+		chrome.hexToHsl(theme.sub1).l >= 90 && chrome.hexToHsl(theme.sub2).l >= 90,
+);
+
+// ── Recolour pass: old theme colours → new, with tolerance ──
+ok(
+	"changing a colour records the palette the deck was drawn with (once)",
+	JSON.parse(deckProps.recolor_from_palette).main === "#112233" &&
+		(chrome.saveConfigValues({ mainColor: "#123456" }), JSON.parse(deckProps.recolor_from_palette).main === "#112233"),
+);
+const rgb255 = (r, g, b) => ({ red: r / 255, green: g / 255, blue: b / 255 });
+const oldPalette = { main: "#3D6869", base: "#FFFFFF", text: "#333333", accent: "#F29424", sub1: "#E7EAE7", sub2: "#E7F9F5" };
+const newPalette = Object.assign({}, oldPalette, { main: "#1A4F8B", accent: "#D9480F" });
+const mapping = chrome.recolorMapping(oldPalette, newPalette);
+const solid = (c) => ({ solidFill: { color: { rgbColor: c }, alpha: 0.5 } });
+const recolorPages = [
+	{ objectId: "p0", pageElements: [{ objectId: "plain", shape: { shapeProperties: { shapeBackgroundFill: solid(rgb255(255, 255, 255)) } } }] },
+	{
+		objectId: "p1",
+		pageElements: [
+			// 0x3D6869 = 61,104,105 — off by 2 on one channel after a PPTX round trip
+			{ objectId: "card", shape: { shapeProperties: { shapeBackgroundFill: solid(rgb255(63, 104, 105)), outline: { outlineFill: solid(rgb255(242, 148, 36)) } },
+				text: { textElements: [{ endIndex: 4, textRun: { content: "KPI\n", style: { foregroundColor: { opaqueColor: { rgbColor: rgb255(242, 148, 36) } } } } }] } } },
+			{ objectId: "grp", elementGroup: { children: [{ objectId: "bar", line: { lineProperties: { lineFill: solid(rgb255(61, 104, 105)) } } }] } },
+			{ objectId: "tbl", table: { tableRows: [{ tableCells: [{ location: { columnIndex: 1 }, tableCellProperties: { tableCellBackgroundFill: solid(rgb255(61, 104, 105)) } }] }] } },
+			{ objectId: "far", shape: { shapeProperties: { shapeBackgroundFill: solid(rgb255(80, 104, 105)) } } },
+		],
+	},
+];
+const recolorPlan = chrome.planRecolor(recolorPages, mapping);
+const reqFor = (id, kind) => recolorPlan.requests.find((r) => r[kind] && r[kind].objectId === id);
+ok(
+	"recolour maps only changed colours and skips untouched slides",
+	mapping.map((m) => m.key).join() === "main,accent" && recolorPlan.slides.length === 1 &&
+		recolorPlan.slides[0].index === 1 && recolorPlan.slides[0].elements === 3,
+);
+ok(
+	"recolour: fill within tolerance keeps alpha, outline, text run, grouped line, table cell",
+	reqFor("card", "updateShapeProperties").updateShapeProperties.shapeProperties.shapeBackgroundFill.solidFill.alpha === 0.5 &&
+		reqFor("card", "updateShapeProperties").updateShapeProperties.fields.includes("outline.outlineFill.solidFill.color") &&
+		reqFor("card", "updateTextStyle").updateTextStyle.textRange.endIndex === 4 &&
+		reqFor("bar", "updateLineProperties") &&
+		reqFor("tbl", "updateTableCellProperties").updateTableCellProperties.tableRange.location.columnIndex === 1 &&
+		!reqFor("far", "updateShapeProperties"),
+);
+const backgroundPlan = chrome.planRecolor(
+	[{ objectId: "bg", pageProperties: { pageBackgroundFill: solid(rgb255(61, 104, 105)) }, pageElements: [] }],
+	mapping,
+);
+const bgReq = backgroundPlan.requests[0] && backgroundPlan.requests[0].updatePageProperties;
+ok(
+	"recolour: an old-colour slide background is recoloured and counted on its slide",
+	backgroundPlan.slides.length === 1 && backgroundPlan.slides[0].background === true &&
+		backgroundPlan.slides[0].elements === 0 && backgroundPlan.backgrounds === 1 &&
+		bgReq.objectId === "bg" && bgReq.fields === "pageBackgroundFill.solidFill.color" &&
+		recolorPlan.slides[0].background === false,
+);
+const exact = chrome.planRecolor(recolorPages, mapping, 0).requests.find((r) => r.updateShapeProperties);
+ok("recolour tolerance 0 needs an exact match", exact.updateShapeProperties.fields === "outline.outlineFill.solidFill.color");
+
+// ── Table of contents: sections + nested slides, columns, continuation ──
+chrome.SlidesApp = { PlaceholderType: { TITLE: "TITLE", CENTERED_TITLE: "CENTERED_TITLE" } };
+chrome.Logger = { log: () => {} };
+/** Fake slide: id, title placeholder text, speaker notes. */
+const tocSlide = (id, title, notes) => ({
+	getObjectId: () => id,
+	getPageElements: () => [],
+	getShapes: () => [],
+	getPlaceholder: (type) => (type === "TITLE" && title ? { asShape: () => ({ getText: () => ({ asString: () => title }) }) } : null),
+	getNotesPage: () => ({ getSpeakerNotesShape: () => ({ getText: () => ({ asString: () => notes || "" }) }) }),
+});
+const tocDeck = [
+	tocSlide("t0", "Deck"),
+	tocSlide("toc", "Contents", "lz: toc"),
+	tocSlide("intro", "Why now"),
+	tocSlide("s1", "Methods"),
+	tocSlide("m1", "Data\nsecond line"),
+	tocSlide("s2", "Results"),
+	tocSlide("r1", ""),
+];
+const tocSections = [
+	{ title: "Methods", index: 3, slideId: "s1" },
+	{ title: "Results", index: 5, slideId: "s2" },
+];
+const tocItems = chrome.collectTocItems(tocDeck, tocSections, tocDeck.map(chrome.isTocSlide));
+ok(
+	"TOC lists sections with nested slides, skipping the title and TOC slides",
+	tocItems.map((it) => it.level + ":" + it.title + ":" + it.page).join("|") ===
+		"1:Why now:3|0:Methods:4|1:Data:5|0:Results:6|1:[No title]:7",
+);
+const tocLines = (n) => Array.from({ length: n }, (_, i) => ({ level: i % 5 === 0 ? 0 : 1, title: "L" + i, slideId: "x" + i, page: i + 2 }));
+const tocGrid = chrome.tocArea(720, 405);
+const tocPages = chrome.layoutTocPages(tocLines(40), tocGrid);
+ok(
+	"TOC fills two columns per slide and overflows onto continuation pages",
+	tocGrid.rows === 15 && tocPages.length === 2 && tocPages[0].length === 30 &&
+		tocPages[0][15].x > tocPages[0][0].x && tocPages[1][0].y === 90,
+);
+const orphanLines = tocLines(20).map((line, i) => Object.assign(line, { level: i === 14 ? 0 : 1 }));
+const orphanPage = chrome.layoutTocPages(orphanLines, tocGrid)[0];
+ok(
+	"a section heading never ends a column",
+	orphanPage[14].item.title === "L14" && orphanPage[14].y === 90 && orphanPage[14].x > orphanPage[13].x,
+);
+const tocReqs = [];
+chrome.addTocUltra(tocDeck, tocSections, tocReqs, chromeCache, { width: 720, height: 405 });
+const tocNumbers = tocReqs.filter((r) => r.insertText && r.insertText.objectId.startsWith("toc_num_toc_"));
+ok(
+	"TOC entries: linked title + page number on the TOC slide, grouped as TOC_ENTRY chrome",
+	tocNumbers.map((r) => r.insertText.text).join() === "3,4,5,6,7" &&
+		tocReqs.filter((r) => r.updateTextStyle && r.updateTextStyle.style.link.pageObjectId === "s2").length === 2 &&
+		chrome.groupChromeRequests(tocReqs).every((el) => el.role === "TOC_ENTRY"),
+);
+const backupToc = chrome.collectTocItems(tocDeck, [tocSections[0], Object.assign({ appendix: true }, tocSections[1])],
+	tocDeck.map(chrome.isTocSlide));
+ok("TOC page labels follow the appendix numbering", backupToc.map((it) => it.page).join() === "3,4,5,,A1");
+
+/** Fake slide of the old flat index: layout, elements, writable notes. */
+const legacySlide = (id, title, layoutName, elementIds) => {
+	const slide = tocSlide(id, title);
+	let notes = "";
+	const elements = [];
+	elementIds.forEach((elId) => {
+		const el = { getObjectId: () => elId, remove: () => elements.splice(elements.indexOf(el), 1) };
+		elements.push(el);
+	});
+	slide.getLayout = () => ({ getLayoutName: () => layoutName });
+	slide.getPageElements = () => elements;
+	slide.getNotesPage = () => ({
+		getSpeakerNotesShape: () => ({ getText: () => ({ asString: () => notes, setText: (t) => (notes = t) }) }),
+	});
+	return slide;
+};
+const legacyDeck = [
+	legacySlide("old", "Index", "TITLE_ONLY", ["index_0_a", "index_1_b", "title_x"]),
+	legacySlide("idx", "Index", "TITLE_AND_BODY", []),
+];
+const legacyConverted = chrome.convertLegacyIndexSlides(legacyDeck);
+ok(
+	"an old Index slide becomes the TOC slide in place, its index_ entries removed",
+	legacyConverted === 1 && chrome.isTocSlide(legacyDeck[0]) && !chrome.isTocSlide(legacyDeck[1]) &&
+		legacyDeck[0].getPageElements().map((el) => el.getObjectId()).join() === "title_x" &&
+		chrome.convertLegacyIndexSlides(legacyDeck) === 0,
+);
+
+/** Fake LZ marker shape: role in the alt-text title, optional visible text. */
+const markerShape = (role, text) => ({ getTitle: () => role, getDescription: () => "", getText: () => ({ asString: () => text || "" }) });
+const markedSlide = (id, shapes) => ({ getObjectId: () => id, getShapes: () => shapes, getLayout: () => null });
+const markedSections = chrome.getSectionHeadersUltra([
+	markedSlide("a", [markerShape("APPENDIX"), markerShape("SECTION", "Backup")]),
+	markedSlide("b", [markerShape("SECTION", "Extra"), markerShape("APPENDIX")]),
+	markedSlide("c", [markerShape("SECTION", "Results")]),
+]);
+ok(
+	"a slide with both SECTION and APPENDIX markers starts the appendix in either order",
+	markedSections.map((s) => `${s.title}:${!!s.appendix}`).join() === "Backup:true,Extra:true,Results:false",
+);
+
+// ── Navigation buttons: previous section, home, next section ──
+const navCache = Object.assign({}, presetCache, { homeSlideId: chrome.findNavHomeSlideId(tocDeck) });
+const navReqs = (slideId, sectionIdx) => {
+	const reqs = [];
+	chrome.addNavigationUltra(slideId, navCache, tocSections, sectionIdx, reqs, chromeCache);
+	return reqs.filter((r) => r.updateTextStyle).map((r) => r.updateTextStyle.style.link.pageObjectId).join();
+};
+ok(
+	"navigation: home goes to the TOC slide, arrows to the neighbouring sections",
+	navCache.homeSlideId === "toc" && navReqs("intro", -1) === "toc,s1" && navReqs("m1", 0) === "toc,s2" &&
+		navReqs("r1", 1) === "s1,toc" && navReqs("toc", -1) === "s1",
+);
+const threeSections = [
+	{ title: "Intro", index: 1, slideId: "a" },
+	{ title: "Methods", index: 4, slideId: "b" },
+	{ title: "Results", index: 9, slideId: "c" },
+];
+/** Glyph → link target of each navigation button on a slide. */
+const navButtons = (slideId, sectionIdx) => {
+	const reqs = [];
+	chrome.addNavigationUltra(slideId, navCache, threeSections, sectionIdx, reqs, chromeCache);
+	const glyphs = reqs.filter((r) => r.insertText).map((r) => r.insertText.text);
+	return reqs.filter((r) => r.updateTextStyle).map((r, i) => glyphs[i] + r.updateTextStyle.style.link.pageObjectId).join();
+};
+ok(
+	"navigation arrows jump to the previous and next section slides, not the neighbouring slides",
+	navButtons("b6", 1) === "◀a,⌂toc,▶c" && navButtons("b", 1) === "◀a,⌂toc,▶c",
+);
+ok(
+	"the first section has no previous arrow and the last no next arrow",
+	navButtons("a2", 0) === "⌂toc,▶b" && navButtons("c3", 2) === "◀b,⌂toc",
+);
+ok(
+	"navigation row sits opposite the page number",
+	presetCache.layout.nav.x === 5 &&
+		chrome.computeChromeLayout(720, 405, { pageNumberAnchor: "bottom-left" }).nav.x === 720 - 60 - 5,
+);
+
+// ── Automatic refresh: rebuild only when the fingerprint changes ──
+const printOf = (deck) => chrome.chromeFingerprint(deck);
+const reordered = [tocDeck[0], tocDeck[1], tocDeck[3], tocDeck[2]].concat(tocDeck.slice(4));
+const retitled = tocDeck.slice(0, 6).concat([tocSlide("r1", "Findings")]);
+ok(
+	"chrome fingerprint is stable, and changes with slide order and titles",
+	printOf(tocDeck) === printOf(tocDeck.slice()) && printOf(reordered) !== printOf(tocDeck) &&
+		printOf(retitled) !== printOf(tocDeck),
+);
+const rebuiltDeck = tocDeck.map((slide) => tocSlide(slide.getObjectId(), chrome.tocSlideTitle(slide),
+	chrome.isTocSlide(slide) ? "lz: toc" : "Talk slowly here"));
+const renamedSection = tocDeck.slice(0, 5).concat([tocSlide("s2", "Findings"), tocDeck[6]]);
+ok(
+	"fingerprint ignores ordinary notes and fresh slide objects, but not a renamed section",
+	printOf(rebuiltDeck) === printOf(tocDeck) && printOf(renamedSection) !== printOf(tocDeck),
+);
+const rebuilds = [];
+let refreshDeck = tocDeck;
+chrome.LockService = { getDocumentLock: () => ({ tryLock: () => true, releaseLock: () => {} }) };
+chrome.SlidesApp.getActivePresentation = () => ({ getSlides: () => refreshDeck });
+chrome.runAllFunctionsUltraMegaBatch = (opts) => {
+	rebuilds.push(opts);
+	return { kept: 4, updated: 1, created: 0, deleted: 0 };
+};
+chrome.saveChromeFingerprint(tocDeck);
+const unchangedRun = chrome.autoRefreshChrome("timer");
+refreshDeck = reordered;
+const changedRun = chrome.autoRefreshChrome("open");
+ok(
+	"the refresh handler skips the rebuild while the fingerprint matches, and rebuilds incrementally once it does not",
+	unchangedRun.result === "unchanged" && changedRun.result === "rebuilt" && rebuilds.length === 1 &&
+		rebuilds[0].incremental === true && JSON.parse(deckProps.auto_refresh_log).source === "open",
+);
+
+// ── Markdown round-trip: the export and md2slides speak lizard-markdown ──
+const md = loadAll([
+	"src/protocol/lz_tag.js",
+	"src/protocol/lz_toml.js",
+	"src/protocol/lz_layouts.js",
+	"src/util/md2slides/parser.js",
+	"src/util/md2slides/serializer.js",
+	"src/util/md2slides/listFormatter.js",
+	"src/util/md2slides/contentManager.js",
+	"src/util/md2slides/minterBlocks.js",
+	"src/util/md2slides/frontMatter.js",
+	"src/util/md2slides/textFormatter.js",
+	"src/util/md2slides/sync.js",
+	"src/batch/chrome_config.js",
+	"src/batch/chrome_presets.js",
+	"src/batch/export_markdown.js",
+	"src/protocol/lz_apply_style.js",
+	"src/protocol/lz_audit.js",
+	"src/protocol/lz_export.js",
+	"src/batch/create_index.js",
+	"src/batch/element_generators.js",
+	"src/util/auto_minter.js",
+].concat(MINTER_FILES));
+const deckMd = fs.readFileSync(path.join(ROOT, "test/fixtures/lizard-deck.md"), "utf8");
+const mdSlides = md.parseMarkdownToStructure(deckMd);
+const mdMeta = md.splitMarkdownFrontMatter(deckMd).meta;
+ok(
+	"lizard-markdown fixture parses and writes back byte for byte",
+	mdSlides.length === 11 && mdMeta.title === "Round-trip fixture" &&
+		md.structureToMarkdown(mdSlides, mdMeta) === deckMd,
+);
+ok(
+	"layouts follow headings and layout directives; markers are read",
+	mdSlides.map((s) => s.layout).join() ===
+		"TITLE,SECTION_HEADER,TITLE_ONLY,TITLE_AND_BODY,TITLE_AND_BODY,TITLE_AND_BODY,TITLE_AND_BODY," +
+			"TITLE_AND_BODY,BLANK,SECTION_HEADER,MAIN_POINT" &&
+		mdSlides[2].markers.join() === "TOC" && mdSlides[9].markers.join() === "APPENDIX" &&
+		mdSlides[10].markers.join() === "NO_CHROME" && mdSlides[4].parentTitle === "Study design",
+);
+ok(
+	"notes, footers, tables, images, code blocks and escaped body lines",
+	mdSlides[0].speakerNotes.join("|") === "Welcome everyone.||Keep the intro short." &&
+		mdSlides[0].bodyItems.join() === "Lizard team" &&
+		mdSlides[3].footerItems.join("|") === "Source: trial registry|Protocol v2" &&
+		mdSlides[3].listType === "bullet" && mdSlides[4].listType === "numbered" &&
+		JSON.stringify(mdSlides[5].tables[0].rows[1]) === JSON.stringify(["A", "62%", "a | b"]) &&
+		mdSlides[5].tables[0].rows.length === 3 && mdSlides[5].listType === "none" &&
+		mdSlides[5].images[0].url === "https://example.com/forest.png" &&
+		mdSlides[6].codeBlocks[0].language === "r" && mdSlides[6].codeBlocks[0].content.split("\n").length === 2 &&
+		mdSlides[7].title === "" && mdSlides[7].bodyItems.join("|") === "Untitled slide body.|- not a bullet|# not a heading",
+);
+ok(
+	"nested lists keep their levels and mixed list styles their own types",
+	mdSlides[3].bodyLevels.join() === "0,1,1,2,0" &&
+		mdSlides[3].bodyListTypes.join() === "bullet,numbered,numbered,bullet,bullet" &&
+		mdSlides[4].bodyListTypes.join() === "numbered,numbered,bullet",
+);
+// Export side: the fixture as Slides stubs, read back by extractSlideContent
+md.SlidesApp = {
+	PlaceholderType: { TITLE: "TITLE", CENTERED_TITLE: "CENTERED_TITLE", SUBTITLE: "SUBTITLE", BODY: "BODY", FOOTER: "FOOTER", NONE: "NONE" },
+	PageElementType: { SHAPE: "SHAPE", TABLE: "TABLE", IMAGE: "IMAGE" },
+	ListPreset: {
+		DIGIT_ALPHA_ROMAN: "numbered",
+		DIGIT_ALPHA_ROMAN_PARENS: "numbered_parens",
+		UPPERALPHA_ALPHA_ROMAN: "lettered",
+		DISC_CIRCLE_SQUARE: "bullet",
+	},
+};
+// Glyph per nesting level of each list type's preset
+const GLYPHS = {
+	bullet: ["●", "○", "■"],
+	numbered: ["1.", "a.", "i."],
+	numbered_parens: ["(1)", "(a)", "(i)"],
+	lettered: ["A.", "a.", "i."],
+};
+/** Fake page element: a shape (placeholder, alt-text title / description, paragraphs) or a table / image. */
+const pageEl = (id, o) => ({
+	getObjectId: () => id,
+	getTitle: () => o.role || "",
+	getDescription: () => o.description || "",
+	setDescription: (d) => (o.description = d),
+	getPageElementType: () => (o.rows ? "TABLE" : o.url ? "IMAGE" : "SHAPE"),
+	getTransform: () => ({ getTranslateX: () => 40, getTranslateY: () => 120 }),
+	asShape: () => ({
+		getPlaceholderType: () => o.placeholder || "NONE",
+		getText: () => ({
+			asString: () => (o.paragraphs || []).map((p) => p.text).join("\n"),
+			getParagraphs: () => (o.paragraphs || []).map((p) => ({
+				getRange: () => ({
+					asString: () => p.text + "\n",
+					getListStyle: () => ({
+						isInList: () => p.listType !== "none",
+						getGlyph: () => (GLYPHS[p.listType] || [])[p.level] || "",
+						getNestingLevel: () => p.level,
+						getList: () => ({ getListId: () => p.listId }),
+					}),
+				}),
+			})),
+		}),
+	}),
+	asTable: () => ({
+		getNumRows: () => o.rows.length,
+		getNumColumns: () => o.rows[0].length,
+		getCell: (r, c) => ({ getText: () => ({ asString: () => o.rows[r][c] }) }),
+	}),
+	asImage: () => ({ getContentUrl: () => o.url, getDescription: () => o.alt, getTitle: () => "" }),
+});
+const textEl = (id, placeholder, lines, role) => pageEl(id, {
+	placeholder, role, paragraphs: lines.map((text) => ({ text, listType: "none", level: 0 })),
+});
+/** The slide md2slides makes of a parsed slide, as the Slides API shows it. */
+const stubSlideOf = (info, n) => {
+	const els = [];
+	if (info.title) els.push(textEl(`s${n}_title`, info.layout === "TITLE" ? "CENTERED_TITLE" : "TITLE", [info.title]));
+	if (info.parentTitle) els.push(textEl(`s${n}_parent`, "NONE", [info.parentTitle], "PREVIOUS_TITLE"));
+	if (info.bodyItems.length) {
+		// Each item is in the innermost list run holding it, drawn with that run's preset
+		const runs = md.getListRuns(info);
+		const runOf = (i) => runs.filter((r) => r.start <= i && i < r.end).pop();
+		els.push(pageEl(`s${n}_body`, {
+			placeholder: info.layout === "TITLE" ? "SUBTITLE" : "BODY",
+			paragraphs: info.bodyItems.map((text, i) => {
+				const run = runOf(i);
+				return { text, listType: run ? run.listType : "none", level: info.bodyLevels[i], listId: run && runs.indexOf(run) };
+			}),
+		}));
+	}
+	info.codeBlocks.forEach((block, i) => els.push(pageEl(`s${n}_code${i}`, {
+		role: "CODE",
+		description: md.lzTagDescription("CODE", { language: block.language }),
+		paragraphs: block.content.split("\n").map((text) => ({ text, listType: "none", level: 0 })),
+	})));
+	if (info.footerItems.length) els.push(textEl(`s${n}_cite`, "NONE", [info.footerItems.join(" • ")], "CITATION"));
+	info.tables.forEach((table, i) => els.push(pageEl(`s${n}_table${i}`, { rows: table.rows })));
+	info.images.forEach((img, i) => els.push(pageEl(`s${n}_img${i}`, { url: img.url, alt: img.alt })));
+	info.markers.forEach((role) => els.push(textEl(`s${n}_${role}`, "NONE", [], role)));
+	return {
+		getObjectId: () => `s${n}`,
+		getLayout: () => ({ getLayoutName: () => info.layout }),
+		getPageElements: () => els,
+		getNotesPage: () => ({ getShapes: () => [textEl(`s${n}_notes`, "BODY", info.speakerNotes).asShape()] }),
+	};
+};
+const exportedMd = md.structureToMarkdown(mdSlides.map(stubSlideOf).map(md.extractSlideContent), mdMeta);
+ok("the fixture's slides export back to the fixture: placeholders, list glyphs, CODE / CITATION tags, notes", exportedMd === deckMd);
+// A house-style export rewrites tags as TOML; the readers still find their data
+const codeSlide = stubSlideOf(mdSlides[6], 6);
+const agendaSlide = {
+	getObjectId: () => "agenda",
+	getPageElements: () => [pageEl("agenda_group", { role: "MINTED", description: md.lzTagDescription("MINTED", { minter: "agenda" }) })],
+	getNotesPage: () => ({ getSpeakerNotesShape: () => ({ getText: () => ({ asString: () => "" }) }) }),
+};
+const styleDeck = [stubSlideOf(mdSlides[1], 1), agendaSlide, codeSlide];
+const driveFolder = {
+	getFilesByName: () => ({ hasNext: () => false }),
+	createFile: () => ({ getUrl: () => "file" }),
+	getUrl: () => "folder",
+};
+md.SlidesApp.getActivePresentation = () => ({
+	getSlides: () => styleDeck,
+	getMasters: () => [],
+	getId: () => "deck",
+	getName: () => "Deck",
+	getPageWidth: () => 720,
+	getPageHeight: () => 405,
+});
+md.DriveApp = { getFileById: () => ({ getParents: () => ({ hasNext: () => false }) }), getRootFolder: () => driveFolder };
+md.Slides = {
+	Presentations: {
+		batchUpdate: (body) => body.requests.forEach((req) => {
+			const alt = req.updatePageElementAltText;
+			styleDeck.forEach((slide) => slide.getPageElements().forEach((el) => {
+				if (el.getObjectId() === alt.objectId) el.setDescription(alt.description);
+			}));
+		}),
+	},
+};
+const styleExport = md.lzExportHouseStyle();
+const codeTag = codeSlide.getPageElements().find((el) => el.getTitle() === "CODE").getDescription();
+ok(
+	"after a house-style export, code blocks keep their language and the home button its agenda",
+	styleExport.stamped > 0 && /^\[lz\]/.test(codeTag) &&
+		md.extractSlideContent(codeSlide).codeBlocks[0].language === "r" &&
+		md.findNavHomeSlideId(styleDeck) === "agenda",
+);
+const nestedMd = md.parseMarkdownToStructure(
+	"## Levels\n\n- a\n\t- b\n\t\t- c\n\t\t\t- d\n  - e\nplain\n  - f",
+);
+ok(
+	"indentation nests three levels deep; tabs count and a paragraph ends the list",
+	nestedMd[0].bodyLevels.join() === "0,1,2,2,1,0,0",
+);
+const runsOf = (info) => md.getListRuns(info).map((r) => `${r.start}-${r.end}:${r.listType}@${r.level}`).join();
+ok(
+	"one list preset per run of a level and type: nested items of another style are a list inside their parent's",
+	runsOf(mdSlides[3]) === "0-5:bullet@0,1-4:numbered@1,3-4:bullet@2" &&
+		runsOf(mdSlides[4]) === "0-2:numbered@0,2-3:bullet@0" &&
+		runsOf(nestedMd[0]) === "0-5:bullet@0,6-7:bullet@0" &&
+		runsOf(md.parseMarkdownToStructure("## M\n\n1. a\n  - b\n  1. c\n2. d")[0]) ===
+			"0-4:numbered@0,1-2:bullet@1,2-3:numbered@1",
+);
+/** Fake body text: presets read and strip leading tabs; each records its list and level per paragraph. */
+const fakeBody = (lines) => {
+	const paras = lines.slice();
+	const lists = [];
+	const starts = () => paras.map((p, k) => paras.slice(0, k).reduce((n, q) => n + q.length + 1, 0));
+	const text = {
+		getParagraphs: () => paras.map((p, k) => ({
+			getRange: () => ({
+				asString: () => paras[k] + "\n",
+				getStartIndex: () => starts()[k],
+				getEndIndex: () => starts()[k] + paras[k].length + 1,
+				insertText: (at, t) => (paras[k] = paras[k].slice(0, at) + t + paras[k].slice(at)),
+			}),
+		})),
+		getRange: (from, to) => ({
+			getListStyle: () => ({
+				applyListPreset: (preset) => {
+					const st = starts();
+					paras.forEach((p, k) => {
+						if (st[k] < from || st[k] >= to) return;
+						lists[k] = `${preset}#${st.indexOf(from)}@${p.match(/^\t*/)[0].length}`;
+						paras[k] = p.replace(/^\t+/, "");
+					});
+				},
+			}),
+		}),
+	};
+	return { text, lists, paras };
+};
+const body = fakeBody(md.indentBodyItems(mdSlides[3]));
+md.applyListRunsToText(body.text, mdSlides[3]);
+ok(
+	"list runs keep their levels: a nested run gets its tabs back before its own preset",
+	body.lists.join() === "bullet#0@0,numbered#1@1,numbered#1@1,bullet#3@2,bullet#0@0" &&
+		body.paras.join("|") === mdSlides[3].bodyItems.join("|"),
+);
+const tableJobs = md.collectMinterJobs(
+	mdSlides.map((info, i) => ({ info, slideIndex: 3 + i, slide: { getObjectId: () => `p${i}` } })),
+);
+ok(
+	"tables become deferred table minter jobs on their slide",
+	tableJobs.length === 1 && tableJobs[0].pageObjectId === "p5" && tableJobs[0].slideIndex === 8 &&
+		tableJobs[0].spec.minter.key === "table" &&
+		tableJobs[0].spec.minter.payload.header.join() === "Arm,ORR,Note" &&
+		tableJobs[0].spec.minter.payload.body[1].join("|") === "B|48%|",
+);
+const minterMd = md.parseMarkdownToStructure(
+	"## Milestones\n\n```timeline {\"orientation\": \"vertical\"}\n2024-01 | Kick-off\n2025-01 | Launch\n```\n\n" +
+		"---\n\n```kpi\n92% | Uptime | up\n```\n\n---\n\n## Mixed\n\nIntro\n\n```gallery\n| caption only\n```\n\n" +
+		"```steps {oops}\nPlan | Decide\n```\n\n```python\nprint(1)\n```",
+);
+const minterWarnings = md.resolveMarkdownMinters(minterMd);
+const minterJobs = md.collectMinterJobs(
+	minterMd.map((info, i) => ({ info, slideIndex: i, slide: { getObjectId: () => `m${i}` } })),
+);
+ok(
+	"minter fences become payloads through the minter's adapter, hints included",
+	minterJobs.map((j) => `${j.pageObjectId}:${j.spec.minter.key}`).join() === "m0:timeline,m1:kpi" &&
+		minterJobs[0].spec.minter.payload.items.length === 2 &&
+		minterJobs[0].spec.minter.payload.orientation === "vertical" &&
+		minterJobs[1].spec.minter.payload.items[0].label === "Uptime" &&
+		minterMd[0].codeBlocks.length === 0,
+);
+ok(
+	"minter-only slides drop the body placeholder; unreadable fences stay code with a warning",
+	minterMd.map((s) => s.layout).join() === "TITLE_ONLY,BLANK,TITLE_AND_BODY" &&
+		minterMd[2].codeBlocks.map((c) => c.language.split(" ")[0]).join() === "gallery,steps,python" &&
+		minterWarnings.length === 2 && /```steps options are not valid JSON/.test(minterWarnings[1]),
+);
+const directiveMd = md.parseMarkdownToStructure(
+	"<!-- layout: TWO_COLUMNS -->\n## Pros and cons\n\n---\n\n<!-- layout: title only -->\n" +
+		"<!-- class: appendix lead no-chrome -->\n<!-- notes: Skip if short on time -->\n## Extra\n\n" +
+		"<!-- layout: NOT_A_LAYOUT -->",
+);
+ok(
+	"layout directives take any lz_layouts name; class and notes directives are read",
+	directiveMd[0].layout === "TITLE_AND_TWO_COLUMNS" && directiveMd[1].layout === "TITLE_ONLY" &&
+		directiveMd[1].markers.join() === "APPENDIX,NO_CHROME" &&
+		directiveMd[1].speakerNotes.join() === "Skip if short on time",
+);
+const fm = md.markdownFrontMatterConfig({
+	title: "Review", "main-color": "#1F4E79", accent_color: "orange", font: "Lato", chrome: "off",
+});
+const fmPreset = md.markdownFrontMatterConfig({ chrome: "segmented" }).config;
+ok(
+	"front matter maps colours, font and chrome onto the config layer; bad values warn",
+	JSON.stringify(Object.keys(fm.config)) === JSON.stringify(["mainColor", "fontFamily", "chrome"]) &&
+		fm.config.mainColor === "#1F4E79" && fm.config.fontFamily === "Lato" &&
+		Object.keys(fm.config.chrome).every((k) => fm.config.chrome[k] === false) &&
+		fm.warnings.length === 1 && /accent_color/.test(fm.warnings[0]) &&
+		fmPreset.chromePreset === "segmented" && fmPreset.chrome.progress === true &&
+		md.markdownFrontMatterConfig({ chrome: "sometimes" }).warnings.length === 1,
+);
+const titled = md.parseMarkdownToStructure("## First\n\nBody");
+md.addMarkdownTitleSlide(titled, { title: "Review", author: "Platform team", date: "2025-10-01" });
+const keptTitle = md.parseMarkdownToStructure(deckMd);
+md.addMarkdownTitleSlide(keptTitle, mdMeta);
+ok(
+	"title, author and date open the deck with a title slide unless it has one",
+	titled.length === 2 && titled[0].layout === "TITLE" && titled[0].title === "Review" &&
+		titled[0].bodyItems.join("|") === "Platform team|2025-10-01" &&
+		keptTitle.length === mdSlides.length && keptTitle[0].bodyItems.join() === "Lizard team",
+);
+const syncMd = md.parseMarkdownToStructure(
+	"<!-- id: intro -->\n## Welcome\n\nHello **all**\n\n> Say hi\n\n---\n\n## Agenda\n\n- One\n- Two\n\n" +
+		"---\n\n## Agenda\n\n- Repeat\n\n---\n\n## New  Topic\n\n---\n\nUntitled",
+);
+ok(
+	"sync keys: id directive, else title, else untitled; repeats numbered in order",
+	md.uniqueMarkdownSlideKeys(syncMd.map(md.markdownSlideKey)).join() ===
+		"id:intro,title:agenda,title:agenda#2,title:new topic,untitled" &&
+		md.uniqueMarkdownSlideKeys(["title:a", "title:a#2", "title:a"]).join() === "title:a,title:a#2,title:a#3" &&
+		md.markdownSyncIdOfKey("id:intro") === "intro" && md.markdownSyncIdOfKey("title:intro") === "",
+);
+ok(
+	"an id directive is written back before the heading",
+	md.structureToMarkdown(syncMd.slice(0, 1)) === "<!-- id: intro -->\n## Welcome\n\nHello **all**\n\n> Say hi\n",
+);
+const syncRows = md.planMarkdownSync(syncMd, [
+	{ id: "g1", key: "id:intro", source: "", title: "Welcome", body: ["Hello all"], notes: ["Say hi"], imported: true },
+	{ id: "g2", key: "title:agenda", title: "Agenda", body: ["- One", "- Three"], notes: [], imported: false },
+	{ id: "g3", key: "title:agenda#2", source: "", title: "agenda", body: ["- Repeat"], notes: ["Old note"], imported: true },
+	{ id: "g4", key: "title:dropped", source: "", title: "Dropped", body: [], notes: [], imported: true },
+	{ id: "g5", key: "title:by hand", title: "By hand", body: [], notes: [], imported: false },
+]);
+ok(
+	"sync plan: unchanged, updated fields, inserts and removed imported slides only",
+	syncRows.map((r) => `${r.action}:${r.slideId || r.index}:${r.changes.join("+")}`).join() ===
+		"unchanged:g1:,update:g2:body,update:g3:title+notes,insert:3:,insert:4:,remove:g4:" &&
+		syncRows.filter((r) => r.handMade).map((r) => r.slideId).join() === "g2" &&
+		JSON.stringify(md.countMarkdownSyncRows(syncRows)) ===
+			JSON.stringify({ insert: 2, update: 2, unchanged: 1, remove: 1 }),
+);
+const idDeck = [
+	{ id: "g1", key: "id:md2slides_1_a", source: "", title: "Methods", body: [], notes: [], imported: true },
+	{ id: "g2", key: "id:md2slides_1_b", source: "", title: "Results", body: [], notes: [], imported: true },
+];
+const retitledRows = md.planMarkdownSync(
+	md.parseMarkdownToStructure("<!-- id: md2slides_1_a -->\n## Study methods\n\n---\n\n## Results"),
+	idDeck,
+);
+ok(
+	"an imported slide's id survives a retitle; an id-less slide matches by title and keeps the id",
+	retitledRows.map((r) => `${r.action}:${r.slideId}:${r.changes.join("+")}:${r.key}`).join() ===
+		"update:g1:title:id:md2slides_1_a,unchanged:g2::id:md2slides_1_b",
+);
+// Two markdown files synced into one deck
+const twoSourceDeck = [
+	{ id: "a1", key: "id:a-intro", source: "Part A", title: "Intro", body: [], notes: [], imported: true },
+	{ id: "a2", key: "id:a-old", source: "Part A", title: "Old", body: [], notes: [], imported: true },
+	{ id: "b1", key: "id:b-intro", source: "part-b", title: "Methods", body: [], notes: [], imported: true },
+	{ id: "b2", key: "id:b-old", source: "part-b", title: "", body: [], notes: [], imported: true },
+];
+const partA = md.parseMarkdownToStructure("---\ntitle: Part A\n---\n\n## Intro");
+const partB = md.parseMarkdownToStructure("---\nid: part-b\ntitle: Part B\n---\n\n## Methods");
+const rowsOf = (slides, meta) =>
+	md.planMarkdownSync(slides, twoSourceDeck, md.markdownSyncSourceOf(meta))
+		.map((r) => `${r.action}:${r.slideId}`).join();
+ok(
+	"two sources in one deck: a sync only plans removals among its own source's slides",
+	md.markdownSyncSourceOf({ title: "Part A" }) === "Part A" &&
+		md.markdownSyncSourceOf({ id: "part-b", title: "Part B" }) === "part-b" &&
+		rowsOf(partA, { title: "Part A" }) === "unchanged:a1,remove:a2" &&
+		rowsOf(partB, { id: "part-b", title: "Part B" }) === "unchanged:b1,remove:b2",
+);
+const mergedKeys = md.mergeMarkdownSyncKeys(
+	{
+		a1: { key: "id:a-intro", source: "Part A" },
+		b1: { key: "id:b-intro", source: "part-b" },
+		b2: { key: "id:b-old", source: "part-b" },
+		gone: { key: "id:gone", source: "part-b" },
+	},
+	["a1", "a3", "b1", "b2"],
+	{ a1: { key: "id:a-intro", source: "Part A" }, a3: { key: "id:a-new", source: "Part A" } },
+);
+ok(
+	"a sync merges its keys into the saved record: other sources' keys stay, deleted slides' go",
+	Object.keys(mergedKeys).join() === "a1,a3,b1,b2" && mergedKeys.b2.source === "part-b" &&
+		mergedKeys.a3.key === "id:a-new",
+);
+md.PropertiesService = {
+	getDocumentProperties: () => ({ getProperty: () => JSON.stringify({ p1: "id:intro", p2: { key: "id:x", source: "Part A" } }) }),
+};
+const legacyKeys = md.readMarkdownSyncKeys();
+ok(
+	"keys saved before sources were kept read as the default source",
+	legacyKeys.p1.key === "id:intro" && legacyKeys.p1.source === "" && legacyKeys.p2.source === "Part A",
+);
+const legacyMd = md.parseMarkdownToStructure(
+	"---\nmarp: true\ntitle: Old\n---\n\n## Intro\n\nHello\n\n<!--\nSpeaker notes:\nSay hi\n-->\n\n## Next",
+);
+ok(
+	"older Marp exports still import, notes included",
+	legacyMd.length === 2 && legacyMd[0].speakerNotes.join() === "Say hi" && legacyMd[1].title === "Next",
+);
+
 // ── Load-order robustness: orchestrator evaluated FIRST, registry still fills ──
 const early = loadAll(["src/util/auto_minter.js"].concat(MINTER_FILES));
 ok(